@@ -0,0 +1,62 @@
+// Live status updates from /api/events, shared by the portals and the
+// teacher dashboard. EventSource can't send the access token, so the stream
+// is read through the page's authFetch. It reconnects by itself, and the
+// server fills in what was missed.
+//
+//   const stop = subscribeToEvents(authFetch, { interviewId }, (type, data) => { ... });
+
+function subscribeToEvents(authFetch, params, onEvent) {
+    let stopped = false;
+    let controller = null;
+    let lastEventId = null;
+    let retryMs = 5000;
+
+    function handleMessage(message) {
+        let type = 'message';
+        let data = '';
+        for (const line of message.split('\n')) {
+            if (line.startsWith('id: ')) lastEventId = line.slice(4);
+            else if (line.startsWith('event: ')) type = line.slice(7);
+            else if (line.startsWith('data: ')) data += line.slice(6);
+            else if (line.startsWith('retry: ')) retryMs = parseInt(line.slice(7), 10) || retryMs;
+        }
+        if (data) onEvent(type, JSON.parse(data));
+    }
+
+    async function connect() {
+        controller = new AbortController();
+        try {
+            const response = await authFetch(`/api/events?${new URLSearchParams(params)}`, {
+                signal: controller.signal,
+                headers: lastEventId ? { 'Last-Event-ID': lastEventId } : {}
+            });
+            if (response.status >= 400 && response.status < 500) {
+                const data = await response.json().catch(() => ({}));
+                console.error('Live updates refused:', data.error || response.status);
+                return;
+            }
+            const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+            let buffer = '';
+            for (;;) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                buffer += value;
+                let end;
+                while ((end = buffer.indexOf('\n\n')) >= 0) {
+                    handleMessage(buffer.slice(0, end));
+                    buffer = buffer.slice(end + 2);
+                }
+            }
+        } catch (error) {
+            if (stopped) return;
+            console.error('Live updates error:', error);
+        }
+        if (!stopped) setTimeout(connect, retryMs);
+    }
+
+    connect();
+    return () => {
+        stopped = true;
+        controller.abort();
+    };
+}
@@ -0,0 +1,132 @@
+const express = require('express');
+
+// Summary of one analysis version for the versions list
+function summarizeVersion(version) {
+  const result = version.result;
+  return {
+    version: version.version,
+    status: version.status,
+    reason: version.reason,
+    requestedBy: version.requestedBy,
+    provider: version.provider,
+    model: version.model,
+    promptVersion: version.promptVersion,
+    inputsHash: version.inputsHash,
+    createdAt: version.createdAt,
+    score: result.score,
+    llmScore: result.llmScore ?? null,
+    confidence: result.confidence,
+    aiLikelihood: result.aiLikelihood
+  };
+}
+
+function delta(from, to) {
+  return typeof from === 'number' && typeof to === 'number' ? Math.round((to - from) * 100) / 100 : null;
+}
+
+// What changed between two consecutive versions: scores, what produced
+// them, and how each ensemble component and question score moved
+function diffVersions(previous, current) {
+  const before = previous.result;
+  const after = current.result;
+
+  const componentsBefore = new Map((before.ensemble?.components || []).map(component => [component.key, component]));
+  const components = (after.ensemble?.components || [])
+    .map(component => ({
+      key: component.key,
+      label: component.label,
+      from: componentsBefore.get(component.key)?.contribution ?? null,
+      to: component.contribution,
+      change: delta(componentsBefore.get(component.key)?.contribution, component.contribution)
+    }))
+    .filter(component => component.change !== 0);
+
+  const questionsBefore = before.questionBreakdown || [];
+  const questions = (after.questionBreakdown || [])
+    .map(item => ({
+      index: item.index,
+      from: questionsBefore[item.index]?.score ?? null,
+      to: item.score,
+      change: delta(questionsBefore[item.index]?.score, item.score)
+    }))
+    .filter(item => item.from !== item.to);
+
+  return {
+    fromVersion: previous.version,
+    toVersion: current.version,
+    score: { from: before.score, to: after.score, change: delta(before.score, after.score) },
+    llmScore: { from: before.llmScore ?? null, to: after.llmScore ?? null, change: delta(before.llmScore, after.llmScore) },
+    confidence: before.confidence !== after.confidence ? { from: before.confidence, to: after.confidence } : null,
+    modelChanged: previous.model !== current.model || previous.provider !== current.provider,
+    promptChanged: previous.promptVersion !== current.promptVersion,
+    // Unknown for versions stored before inputs were hashed
+    inputsChanged: previous.inputsHash && current.inputsHash ? previous.inputsHash !== current.inputsHash : null,
+    components,
+    questions
+  };
+}
+
+// Analysis versions and re-analysis for teachers. Re-analysis is queued; the
+// result shows up as a new version once the analysis queue has run it.
+function createAnalysisRoutes({ store, analysisQueue, requireRole, canViewInterview }) {
+  const router = express.Router();
+
+  function requestedBy(user) {
+    return user.email || user.id;
+  }
+
+  router.get('/:interviewId/versions', requireRole('teacher'), (req, res) => {
+    const { interviewId } = req.params;
+    if (!canViewInterview(req.user, interviewId)) {
+      return res.status(403).json({ error: 'You do not have access to this interview' });
+    }
+
+    const versions = store.listAnalysisVersions(interviewId);
+    res.json({
+      success: true,
+      versions: versions.map(summarizeVersion),
+      diffs: versions.slice(1).map((version, index) => diffVersions(versions[index], version)),
+      job: analysisQueue.getJob(interviewId)
+    });
+  });
+
+  // Re-run the analysis of one interview
+  router.post('/:interviewId/reanalyze', requireRole('teacher'), (req, res) => {
+    const { interviewId } = req.params;
+    if (!canViewInterview(req.user, interviewId)) {
+      return res.status(403).json({ error: 'You do not have access to this interview' });
+    }
+    if (!store.getAnalysis(interviewId)) {
+      return res.status(409).json({ error: 'This interview has not been analyzed yet' });
+    }
+
+    const queued = analysisQueue.reanalyze(interviewId, { requestedBy: requestedBy(req.user) });
+    res.status(202).json({
+      success: true,
+      queued,
+      message: queued ? 'Re-analysis queued' : 'An analysis is already queued or running for this interview'
+    });
+  });
+
+  // Re-run every analyzed interview in an assignment
+  router.post('/reanalyze', requireRole('teacher'), (req, res) => {
+    const { assignmentId } = req.body;
+    const assignment = assignmentId ? store.getAssignment(assignmentId) : null;
+    if (!assignment) {
+      return res.status(404).json({ error: 'Assignment not found' });
+    }
+
+    const interviewIds = store.listSubmissionsForAssignment(assignment.id)
+      .map(submission => submission.interviewId)
+      .filter(interviewId => canViewInterview(req.user, interviewId) && store.getAnalysis(interviewId));
+    // Bulk runs yield to students' own results
+    const queued = interviewIds.filter(interviewId => analysisQueue.reanalyze(interviewId, { requestedBy: requestedBy(req.user), priority: 'background' }));
+
+    console.log(`🔁 ${requestedBy(req.user)} queued re-analysis of ${queued.length} interviews in "${assignment.title}"`);
+    res.status(202).json({ success: true, queued: queued.length, skipped: interviewIds.length - queued.length });
+  });
+
+  return router;
+}
+
+module.exports = createAnalysisRoutes;
@@ -0,0 +1,183 @@
+const express = require('express');
+const { hasRole, canViewSubmission, isOwnSubmission } = require('../services/auth');
+const { resolveTemplate } = require('../services/question-templates');
+const { isChallengeLanguage, createChallenge, timeToSolve } = require('../services/challenges');
+const { runChallengeTests } = require('../services/challenges/sandbox');
+const { LIMITS } = require('../services/project-files');
+
+function getMaxAttempts() {
+  return parseInt(process.env.CHALLENGE_MAX_ATTEMPTS, 10) || 50;
+}
+
+// Test names and outcomes only; the expressions stay hidden from students
+function attemptResult({ passed, total, results, error }) {
+  return {
+    passed,
+    total,
+    error,
+    results: results.map(({ name, passed: ok, error: testError }) => ({ name, passed: ok, error: testError }))
+  };
+}
+
+// The optional "modify your code" challenge. The student who submitted
+// starts it, which generates the change request and starts the clock, then
+// runs attempts against the hidden tests. Teachers see the tests, every
+// attempt and the time to solve.
+function createChallengeRoutes({ store, requireRole, getProvider }) {
+  const router = express.Router();
+  // Challenges being generated and attempts being run, so a double click
+  // doesn't do either twice
+  const generating = new Set();
+  const running = new Set();
+
+  // Whether the submission can have a challenge, and why not
+  function availability(submission) {
+    if (!isChallengeLanguage(submission.language)) {
+      return { available: false, reason: 'Challenges are only offered for JavaScript and TypeScript submissions' };
+    }
+    if (store.listSubmissionFiles(submission.interviewId).length > 1) {
+      return { available: false, reason: 'Challenges are only offered for single-file submissions' };
+    }
+    const { template } = resolveTemplate(store, submission);
+    if (!template.challenge) {
+      return { available: false, reason: 'This course or assignment does not include a challenge' };
+    }
+    return { available: true, reason: null };
+  }
+
+  function studentView(challenge, submission) {
+    const [last] = store.listChallengeAttempts(challenge.interviewId).slice(-1);
+    return {
+      status: challenge.status,
+      title: challenge.title,
+      instructions: challenge.instructions,
+      language: challenge.language,
+      code: challenge.latestCode ?? submission.code,
+      tests: challenge.tests.length,
+      attempts: challenge.attempts,
+      bestPassed: challenge.bestPassed,
+      startedAt: challenge.startedAt,
+      solvedAt: challenge.solvedAt,
+      timeToSolveSeconds: timeToSolve(challenge),
+      lastAttempt: last ? attemptResult(last) : null
+    };
+  }
+
+  function teacherView(challenge) {
+    return {
+      ...challenge,
+      timeToSolveSeconds: timeToSolve(challenge),
+      attemptHistory: store.listChallengeAttempts(challenge.interviewId)
+    };
+  }
+
+  // Look up :interviewId and check the user may see it
+  function loadSubmission(req, res, next) {
+    const submission = store.getSubmission(req.params.interviewId);
+    const course = submission?.courseId ? store.getCourse(submission.courseId) : null;
+    if (!submission || !canViewSubmission(req.user, submission, course)) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+    req.submission = submission;
+    next();
+  }
+
+  // Only the student who submitted takes the challenge
+  function requireOwner(req, res, next) {
+    if (!isOwnSubmission(req.user, req.submission)) {
+      return res.status(403).json({ error: 'Only the student who submitted the code can take its challenge' });
+    }
+    next();
+  }
+
+  router.get('/:interviewId', requireRole('student'), loadSubmission, (req, res) => {
+    const challenge = store.getChallenge(req.submission.interviewId);
+    const { available, reason } = challenge ? { available: true, reason: null } : availability(req.submission);
+    let view = null;
+    if (challenge) {
+      view = hasRole(req.user, 'teacher') && !isOwnSubmission(req.user, req.submission)
+        ? teacherView(challenge)
+        : studentView(challenge, req.submission);
+    }
+    res.json({ success: true, available, reason, challenge: view });
+  });
+
+  // Generate the challenge; starting it again returns the existing one
+  router.post('/:interviewId', requireRole('student'), loadSubmission, requireOwner, async (req, res) => {
+    const { submission } = req;
+    const existing = store.getChallenge(submission.interviewId);
+    if (existing) {
+      return res.json({ success: true, challenge: studentView(existing, submission) });
+    }
+
+    const { available, reason } = availability(submission);
+    if (!available) {
+      return res.status(400).json({ error: 'No challenge is available for this submission', details: reason });
+    }
+    if (generating.has(submission.interviewId)) {
+      return res.status(409).json({ error: 'The challenge is already being prepared' });
+    }
+
+    generating.add(submission.interviewId);
+    try {
+      const { challenge, source, reason: unavailable } = await createChallenge({
+        code: submission.code,
+        language: submission.language,
+        provider: getProvider()
+      });
+      if (!challenge) {
+        return res.status(422).json({ error: 'Could not build a challenge for this code', details: unavailable });
+      }
+      const stored = store.createChallenge({ interviewId: submission.interviewId, source, language: submission.language, ...challenge });
+      console.log(`🛠️ Started a ${source} challenge for ${submission.studentEmail} (interview ${submission.interviewId})`);
+      res.status(201).json({ success: true, challenge: studentView(stored, submission) });
+    } catch (error) {
+      console.error(`Failed to create the challenge for ${submission.interviewId}:`, error);
+      res.status(502).json({ error: 'Failed to create the challenge', details: error.message });
+    } finally {
+      generating.delete(submission.interviewId);
+    }
+  });
+
+  // Run the edited code against the hidden tests
+  router.post('/:interviewId/attempts', requireRole('student'), loadSubmission, requireOwner, async (req, res) => {
+    const { submission } = req;
+    const challenge = store.getChallenge(submission.interviewId);
+    if (!challenge) {
+      return res.status(404).json({ error: 'Start the challenge first' });
+    }
+
+    const { code } = req.body;
+    if (typeof code !== 'string' || !code.trim()) {
+      return res.status(400).json({ error: 'code is required' });
+    }
+    if (Buffer.byteLength(code) > LIMITS.maxFileBytes) {
+      return res.status(400).json({ error: `code can be at most ${LIMITS.maxFileBytes} bytes` });
+    }
+    if (challenge.attempts >= getMaxAttempts()) {
+      return res.status(429).json({ error: `You have used all ${getMaxAttempts()} attempts for this challenge` });
+    }
+    if (running.has(submission.interviewId)) {
+      return res.status(409).json({ error: 'Your previous attempt is still running' });
+    }
+
+    running.add(submission.interviewId);
+    try {
+      const result = await runChallengeTests({ code, language: challenge.language, tests: challenge.tests });
+      const updated = store.recordChallengeAttempt(submission.interviewId, { code, ...result });
+      if (updated.status === 'solved' && challenge.status !== 'solved') {
+        console.log(`🏁 ${submission.studentEmail} solved the challenge for ${submission.interviewId} in ${timeToSolve(updated)}s`);
+      }
+      res.json({ success: true, result: attemptResult(result), challenge: studentView(updated, submission) });
+    } catch (error) {
+      console.error(`Failed to run a challenge attempt for ${submission.interviewId}:`, error);
+      res.status(500).json({ error: 'Failed to run your code', details: error.message });
+    } finally {
+      running.delete(submission.interviewId);
+    }
+  });
+
+  return router;
+}
+
+module.exports = createChallengeRoutes;
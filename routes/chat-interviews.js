@@ -0,0 +1,41 @@
+const express = require('express');
+
+// Student-facing endpoints for the built-in text-chat interview.
+// onStarted(interviewId) runs when the first question is answered,
+// onCompleted(interviewId) when the last one is.
+function createChatInterviewRoutes(chatBackend, { onStarted, onCompleted } = {}) {
+  const router = express.Router();
+
+  // Current question and conversation so far
+  router.get('/:interviewId', (req, res) => {
+    const state = chatBackend.getChatState(req.params.interviewId);
+    if (!state) {
+      return res.status(404).json({ error: 'Interview not found' });
+    }
+    res.json({ success: true, ...state });
+  });
+
+  // Record the answer to the current question and move on to the next one
+  router.post('/:interviewId/answer', (req, res) => {
+    try {
+      const state = chatBackend.submitAnswer(req.params.interviewId, req.body.answer);
+      if (state.questionIndex === 1 && onStarted) {
+        onStarted(req.params.interviewId);
+      }
+      if (state.status === 'completed' && onCompleted) {
+        onCompleted(req.params.interviewId);
+      }
+      res.json({ success: true, ...state });
+    } catch (error) {
+      console.error('Error recording chat answer:', error.message);
+      res.status(error.status || 500).json({
+        error: 'Failed to record answer',
+        details: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createChatInterviewRoutes;
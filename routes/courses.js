@@ -0,0 +1,183 @@
+const express = require('express');
+const crypto = require('crypto');
+const { hasRole } = require('../services/auth');
+const { normalizeTemplate, resolveTemplate } = require('../services/question-templates');
+
+// Languages a student can pick in the submission forms
+const LANGUAGES = [
+  'javascript', 'typescript', 'python', 'java', 'cpp', 'c', 'csharp',
+  'go', 'rust', 'php', 'ruby', 'swift', 'kotlin', 'other'
+];
+
+function parseEmails(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[\s,;]+/);
+  return list.map(email => String(email).trim().toLowerCase()).filter(Boolean);
+}
+
+function canManageCourse(user, course) {
+  return hasRole(user, 'admin') || (hasRole(user, 'teacher') && course.teacherId === user.id);
+}
+
+function createCourseRoutes({ store, requireRole }) {
+  const router = express.Router();
+
+  function withAssignments(course) {
+    return { ...course, assignments: store.listAssignments(course.id) };
+  }
+
+  // Look up :courseId and check the user may manage it (or, with
+  // allowEnrolled, that they're enrolled in it)
+  function loadCourse({ allowEnrolled = false } = {}) {
+    return (req, res, next) => {
+      const course = store.getCourse(req.params.courseId);
+      if (!course) {
+        return res.status(404).json({ error: 'Course not found' });
+      }
+
+      req.canManageCourse = canManageCourse(req.user, course);
+      if (!req.canManageCourse && !(allowEnrolled && store.isEnrolled(course.id, req.user.email))) {
+        return res.status(403).json({ error: 'You do not have access to this course' });
+      }
+      req.course = course;
+      next();
+    };
+  }
+
+  // Teachers get their own courses, admins get every course, students get the
+  // courses they're enrolled in. Each course includes its assignments.
+  router.get('/', requireRole('student'), (req, res) => {
+    const isAdmin = hasRole(req.user, 'admin');
+    const isTeacher = hasRole(req.user, 'teacher');
+
+    if (!isTeacher) {
+      const courses = store.listCoursesForStudent(req.user.email)
+        .map(course => ({ id: course.id, name: course.name, assignments: store.listAssignments(course.id) }));
+      return res.json({ success: true, courses });
+    }
+
+    const courses = store.listCourses(isAdmin ? {} : { teacherId: req.user.id })
+      .map(course => ({ ...withAssignments(course), enrollment: store.getEnrollment(course.id) }));
+    res.json({ success: true, courses });
+  });
+
+  router.post('/', requireRole('teacher'), (req, res) => {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name) {
+      return res.status(400).json({ error: 'Course name is required' });
+    }
+
+    const course = store.createCourse({
+      id: crypto.randomUUID(),
+      name,
+      teacherId: req.user.id,
+      teacherEmail: req.user.email
+    });
+    const enrollment = store.setEnrollment(course.id, parseEmails(req.body.studentEmails));
+    console.log(`📚 Created course "${name}" for ${req.user.email || req.user.id} with ${enrollment.length} students`);
+    res.status(201).json({ success: true, course: { ...course, assignments: [], enrollment } });
+  });
+
+  router.get('/:courseId', requireRole('student'), loadCourse({ allowEnrolled: true }), (req, res) => {
+    const course = withAssignments(req.course);
+    if (!req.canManageCourse) {
+      return res.json({ success: true, course: { id: course.id, name: course.name, assignments: course.assignments } });
+    }
+    res.json({ success: true, course: { ...course, enrollment: store.getEnrollment(course.id) } });
+  });
+
+  // Replace the enrollment list
+  router.put('/:courseId/enrollment', requireRole('teacher'), loadCourse(), (req, res) => {
+    const enrollment = store.setEnrollment(req.course.id, parseEmails(req.body.studentEmails));
+    console.log(`👥 Course "${req.course.name}" now has ${enrollment.length} enrolled students`);
+    res.json({ success: true, enrollment });
+  });
+
+  router.get('/:courseId/assignments', requireRole('student'), loadCourse({ allowEnrolled: true }), (req, res) => {
+    res.json({ success: true, assignments: store.listAssignments(req.course.id) });
+  });
+
+  router.post('/:courseId/assignments', requireRole('teacher'), loadCourse(), (req, res) => {
+    const title = typeof req.body.title === 'string' ? req.body.title.trim() : '';
+    if (!title) {
+      return res.status(400).json({ error: 'Assignment title is required' });
+    }
+
+    let dueAt = null;
+    if (req.body.dueAt) {
+      const due = new Date(req.body.dueAt);
+      if (Number.isNaN(due.getTime())) {
+        return res.status(400).json({ error: 'Due date is not a valid date' });
+      }
+      dueAt = due.toISOString();
+    }
+
+    const allowedLanguages = [].concat(req.body.allowedLanguages || []).map(lang => String(lang).toLowerCase());
+    const unknown = allowedLanguages.filter(lang => !LANGUAGES.includes(lang));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: 'Unknown language', details: unknown.join(', ') });
+    }
+
+    const assignment = store.createAssignment({
+      id: crypto.randomUUID(),
+      courseId: req.course.id,
+      title,
+      description: typeof req.body.description === 'string' ? req.body.description.trim() || null : null,
+      dueAt,
+      allowedLanguages
+    });
+    console.log(`📝 Created assignment "${title}" in course "${req.course.name}"`);
+    res.status(201).json({ success: true, assignment });
+  });
+
+  // Question templates. An assignment's template replaces its course's;
+  // `effective` is the one new submissions get and `source` says where it
+  // comes from (assignment, course or default).
+  function templateRoutes(path, scopeOf) {
+    router.get(path, requireRole('teacher'), loadCourse(), loadScope(scopeOf), (req, res) => {
+      const own = store.getQuestionTemplate(req.scope.scope, req.scope.id);
+      const { template, source } = resolveTemplate(store, req.scope.resolveWith);
+      res.json({ success: true, template: own, effective: template, source });
+    });
+
+    router.put(path, requireRole('teacher'), loadCourse(), loadScope(scopeOf), (req, res) => {
+      let template;
+      try {
+        template = normalizeTemplate(req.body);
+      } catch (error) {
+        return res.status(error.status || 400).json({ error: 'Invalid question template', details: error.message });
+      }
+      const saved = store.saveQuestionTemplate(req.scope.scope, req.scope.id, template, req.user.email || req.user.id);
+      console.log(`🧩 Saved the question template for ${req.scope.scope} ${req.scope.id}`);
+      res.json({ success: true, template: saved });
+    });
+
+    // Back to the course template (or the default)
+    router.delete(path, requireRole('teacher'), loadCourse(), loadScope(scopeOf), (req, res) => {
+      const deleted = store.deleteQuestionTemplate(req.scope.scope, req.scope.id);
+      res.json({ success: true, deleted });
+    });
+  }
+
+  // Which template :courseId (or its :assignmentId) refers to
+  function loadScope(scopeOf) {
+    return (req, res, next) => {
+      if (scopeOf === 'course') {
+        req.scope = { scope: 'course', id: req.course.id, resolveWith: { courseId: req.course.id } };
+        return next();
+      }
+      const assignment = store.getAssignment(req.params.assignmentId);
+      if (!assignment || assignment.courseId !== req.course.id) {
+        return res.status(404).json({ error: 'Assignment not found' });
+      }
+      req.scope = { scope: 'assignment', id: assignment.id, resolveWith: { courseId: req.course.id, assignmentId: assignment.id } };
+      next();
+    };
+  }
+
+  templateRoutes('/:courseId/question-template', 'course');
+  templateRoutes('/:courseId/assignments/:assignmentId/question-template', 'assignment');
+
+  return router;
+}
+
+module.exports = createCourseRoutes;
@@ -0,0 +1,51 @@
+const express = require('express');
+const { parseEventFilter } = require('../services/events');
+
+const HEARTBEAT_MS = 25 * 1000;
+const RETRY_MS = 5000;
+
+function formatEvent({ id, type, data }) {
+  return `${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+// Server-Sent Events stream of live status updates (see services/events).
+// ?interviewId=, ?reviewId= or ?courseId= narrow it down; without them a
+// student gets their own interviews and a teacher everything they can see.
+// The first event is `ready`; a watched interview or review then gets its
+// current state, and after that every change as it happens.
+function createEventRoutes({ hub, requireRole, canWatch }) {
+  const router = express.Router();
+
+  router.get('/', requireRole('student'), (req, res) => {
+    const filter = parseEventFilter(req.query);
+    if (!canWatch(req.user, filter)) {
+      return res.status(403).json({ error: 'You do not have access to this interview' });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Proxies such as nginx would otherwise hold events back
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+    res.write(formatEvent({ type: 'ready', data: { transport: 'sse', filter } }));
+
+    const close = hub.connect(req.user, filter, {
+      lastEventId: req.get('Last-Event-ID'),
+      send: event => res.write(formatEvent(event))
+    });
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      close();
+    });
+  });
+
+  return router;
+}
+
+module.exports = createEventRoutes;
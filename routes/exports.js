@@ -0,0 +1,235 @@
+const express = require('express');
+const { toCsv, renderReportHtml, renderReportPdf } = require('../services/reports');
+const { DEFAULT_MIN_SCORE } = require('../services/similarity');
+const { locateEvidence } = require('../services/evidence');
+
+function describeLocation(location) {
+  if (!location) return 'not found in the code or transcript';
+  if (location.source === 'transcript') return 'transcript';
+  const [start, end] = location.file ? [location.fileStartLine, location.fileEndLine] : [location.startLine, location.endLine];
+  const lines = start === end ? `line ${start}` : `lines ${start}-${end}`;
+  return location.file ? `${location.file}, ${lines}` : `code, ${lines}`;
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toISOString().replace('T', ' ').slice(0, 16) + ' UTC' : 'unknown';
+}
+
+// Gradebook exports and printable reports for teachers. Everything is read
+// from the database, so exports never wait on the interview backends.
+function createExportRoutes({ store, requireRole, canViewInterview, getAnalysisLikelihood }) {
+  const router = express.Router();
+
+  function gradebookRow(submission, analysis) {
+    const course = submission.courseId ? store.getCourse(submission.courseId) : null;
+    const assignment = submission.assignmentId ? store.getAssignment(submission.assignmentId) : null;
+    const result = store.getInterviewResult(submission.interviewId);
+    const aiLikelihood = getAnalysisLikelihood(analysis);
+    const failed = aiLikelihood === 'analysis failed';
+    return {
+      interviewId: submission.interviewId,
+      studentName: submission.studentName,
+      studentEmail: submission.studentEmail,
+      courseName: course?.name || null,
+      assignmentTitle: assignment?.title || null,
+      language: submission.language,
+      // A failed analysis has no score; leave it blank rather than grade it 0
+      score: failed ? null : analysis.score,
+      aiLikelihood,
+      confidence: failed ? null : analysis.confidence,
+      reviewState: store.getReview(submission.interviewId).state,
+      completedAt: result?.completedAt || analysis.analyzedAt || null
+    };
+  }
+
+  // Analyzed interviews of a course or assignment (or all the teacher can
+  // see) as CSV or JSON
+  router.get('/gradebook', requireRole('teacher'), (req, res) => {
+    const { courseId, assignmentId, format = 'csv' } = req.query;
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({ error: 'format must be csv or json' });
+    }
+    if (courseId && !store.getCourse(courseId)) {
+      return res.status(404).json({ error: 'Course not found' });
+    }
+    if (assignmentId && !store.getAssignment(assignmentId)) {
+      return res.status(404).json({ error: 'Assignment not found' });
+    }
+
+    const rows = store.listSubmissions()
+      .filter(submission => (!courseId || submission.courseId === courseId) &&
+        (!assignmentId || submission.assignmentId === assignmentId) &&
+        canViewInterview(req.user, submission.interviewId))
+      .map(submission => ({ submission, analysis: store.getAnalysis(submission.interviewId) }))
+      .filter(({ analysis }) => analysis)
+      .map(({ submission, analysis }) => gradebookRow(submission, analysis))
+      .sort((a, b) => (a.courseName || '').localeCompare(b.courseName || '') ||
+        (a.assignmentTitle || '').localeCompare(b.assignmentTitle || '') ||
+        (a.studentName || '').localeCompare(b.studentName || ''));
+
+    console.log(`📤 Exporting ${rows.length} gradebook rows as ${format}`);
+    const filename = `codefessor-gradebook-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'json') {
+      return res.json({ success: true, exportedAt: new Date().toISOString(), rows });
+    }
+    res.type('text/csv').send(toCsv(rows));
+  });
+
+  // Everything about one interview for an academic-integrity meeting
+  function buildReport(user, submission, analysis) {
+    const result = store.getInterviewResult(submission.interviewId);
+    const course = submission.courseId ? store.getCourse(submission.courseId) : null;
+    const assignment = submission.assignmentId ? store.getAssignment(submission.assignmentId) : null;
+    const review = store.getReview(submission.interviewId);
+    const reviewEvents = store.listReviewEvents(submission.interviewId);
+    const files = store.listSubmissionFiles(submission.interviewId);
+    const row = gradebookRow(submission, analysis);
+    const sections = [];
+
+    sections.push({
+      title: 'Student',
+      fields: [
+        ['Name', submission.studentName],
+        ['Email', submission.studentEmail],
+        ['Language', submission.language],
+        ...(course ? [['Course', course.name]] : []),
+        ...(assignment ? [['Assignment', assignment.title]] : []),
+        ['Submitted', formatDate(submission.createdAt)],
+        ['Interview completed', formatDate(row.completedAt)],
+        ['Interview ID', submission.interviewId]
+      ]
+    });
+
+    sections.push({
+      title: 'AI Detection Analysis',
+      fields: [
+        ['Score', row.score ?? 'none'],
+        ['Likelihood', row.aiLikelihood],
+        ['Confidence', row.confidence ?? 'none'],
+        ['Analyzed', `${formatDate(analysis.analyzedAt)}${analysis.version ? ` (version ${analysis.version})` : ''}`],
+        ...(analysis.provenance ? [['Model', [analysis.provenance.provider, analysis.provenance.model, analysis.provenance.promptVersion].filter(Boolean).join(' / ')]] : [])
+      ],
+      text: analysis.reasoning
+    });
+
+    sections.push({
+      title: 'Teacher Review',
+      fields: [
+        ['State', review.state.replace(/_/g, ' ')],
+        ['Last updated', review.updatedAt ? `${formatDate(review.updatedAt)} by ${review.updatedBy}` : 'never']
+      ],
+      text: review.notes || 'No notes.',
+      list: reviewEvents.length > 0
+        ? reviewEvents.map(event => `${formatDate(event.createdAt)} ${event.actorEmail || event.actorId} changed ${event.field}` +
+          (event.field === 'state' ? ` from ${event.previousValue} to ${event.newValue}` : ''))
+        : undefined
+    });
+
+    if (analysis.questionBreakdown) {
+      sections.push({
+        title: 'Question-by-Question',
+        list: analysis.questionBreakdown.map(item =>
+          `Q${item.index + 1} (${item.score ?? 'not scored'}): ${item.question}${item.notes ? ` - ${item.notes}` : ''}`)
+      });
+    }
+
+    if (analysis.ensemble) {
+      sections.push({
+        title: 'Score Breakdown',
+        text: `Final score ${analysis.score} = 50 + the contributions below. Positive contributions point to human authorship.`,
+        list: analysis.ensemble.components.map(component =>
+          `${component.label}: score ${component.score}, weight ${Math.round(component.weight * 100)}%, contribution ${component.contribution > 0 ? '+' : ''}${component.contribution}`)
+      });
+    }
+
+    for (const [title, items] of [
+      ['AI Generation Indicators', analysis.redFlags],
+      ['Human Authorship Indicators', analysis.humanIndicators],
+      ['Key Observations', analysis.keyObservations]
+    ]) {
+      if (items && items.length > 0) sections.push({ title, list: items });
+    }
+
+    const evidence = locateEvidence(analysis.suspiciousPhrases, submission.code, result?.transcript);
+    if (evidence.length > 0) {
+      sections.push({
+        title: 'Evidence',
+        list: evidence.map(phrase =>
+          `"${phrase.text}" (${describeLocation(phrase.location)})${phrase.reason ? `: ${phrase.reason}` : ''}`)
+      });
+    }
+
+    const similar = store.listSimilarityMatches(submission.interviewId, { minScore: DEFAULT_MIN_SCORE })
+      .filter(match => canViewInterview(user, match.otherInterviewId));
+    if (similar.length > 0) {
+      sections.push({
+        title: 'Similar Submissions',
+        list: similar.map(match => {
+          const other = store.getSubmission(match.otherInterviewId);
+          return `${other?.studentName || match.otherInterviewId} (${other?.studentEmail || 'unknown email'}): ${Math.round(match.score * 100)}% similar, ${match.regions.length} matched regions`;
+        })
+      });
+    }
+
+    sections.push({
+      title: 'Submitted Code',
+      code: files.length > 0
+        ? files.map(file => ({ title: file.path, content: file.content }))
+        : [{ content: submission.code || 'No code stored.' }]
+    });
+
+    sections.push({
+      title: 'Interview Transcript',
+      code: [{ content: result?.transcript || 'No transcript stored.' }]
+    });
+
+    return {
+      title: `Interview report: ${submission.studentName || 'Unknown Student'}`,
+      generatedAt: formatDate(new Date().toISOString()),
+      sections
+    };
+  }
+
+  router.get('/interviews/:interviewId/report', requireRole('teacher'), async (req, res) => {
+    try {
+      const { interviewId } = req.params;
+      const { format = 'html' } = req.query;
+      if (!['html', 'pdf'].includes(format)) {
+        return res.status(400).json({ error: 'format must be html or pdf' });
+      }
+
+      const submission = store.getSubmission(interviewId);
+      if (!submission) {
+        return res.status(404).json({ error: 'Interview not found' });
+      }
+      if (!canViewInterview(req.user, interviewId)) {
+        return res.status(403).json({ error: 'You do not have access to this interview' });
+      }
+      const analysis = store.getAnalysis(interviewId);
+      if (!analysis) {
+        return res.status(409).json({ error: 'This interview has not been analyzed yet' });
+      }
+
+      const report = buildReport(req.user, submission, analysis);
+      console.log(`🖨️ Generating ${format} report for interview ${interviewId}`);
+      if (format === 'html') {
+        return res.type('html').send(renderReportHtml(report));
+      }
+
+      const pdf = await renderReportPdf(report);
+      res.setHeader('Content-Disposition', `attachment; filename="codefessor-report-${interviewId}.pdf"`);
+      res.type('application/pdf').send(pdf);
+    } catch (error) {
+      console.error('Error generating report:', error);
+      res.status(500).json({
+        error: 'Failed to generate report',
+        details: error.message
+      });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createExportRoutes;
@@ -0,0 +1,31 @@
+const express = require('express');
+const { priorityName } = require('../services/llm');
+
+// Admin view of the LLM scheduler and the analysis jobs waiting on it
+function createLlmQueueRoutes({ store, scheduler, getProvider, requireRole }) {
+  const router = express.Router();
+
+  router.get('/', requireRole('admin'), (req, res) => {
+    const provider = getProvider();
+    const { counts, pending } = store.summarizeAnalysisJobs();
+
+    const analysisJobs = {};
+    for (const { status, priority, count } of counts) {
+      analysisJobs[status] = analysisJobs[status] || { total: 0 };
+      analysisJobs[status].total += count;
+      analysisJobs[status][priorityName(priority)] = count;
+    }
+
+    res.json({
+      success: true,
+      provider: { name: provider.name, model: provider.model },
+      scheduler: scheduler.status(provider.name),
+      analysisJobs,
+      pendingJobs: pending.map(job => ({ ...job, priority: priorityName(job.priority) }))
+    });
+  });
+
+  return router;
+}
+
+module.exports = createLlmQueueRoutes;
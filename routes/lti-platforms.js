@@ -0,0 +1,63 @@
+const express = require('express');
+const crypto = require('crypto');
+
+const URL_FIELDS = ['authLoginUrl', 'authTokenUrl', 'jwksUrl'];
+
+function isUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+function parseList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(/[\s,]+/);
+  return list.map(item => String(item).trim()).filter(Boolean);
+}
+
+// Admin registration of LMS platforms, with the tool URLs to enter on the
+// platform side
+function createLtiPlatformRoutes({ store, tool, requireRole }) {
+  const router = express.Router();
+
+  router.get('/', requireRole('admin'), (req, res) => {
+    res.json({ success: true, tool: tool.config(), platforms: store.listLtiPlatforms() });
+  });
+
+  router.post('/', requireRole('admin'), (req, res) => {
+    const { name, issuer, clientId } = req.body;
+    const deploymentIds = parseList(req.body.deploymentIds);
+
+    if (!issuer || !clientId) {
+      return res.status(400).json({ error: 'issuer and clientId are required' });
+    }
+    if (deploymentIds.length === 0) {
+      return res.status(400).json({ error: 'At least one deployment ID is required' });
+    }
+    const invalid = URL_FIELDS.filter(field => !isUrl(req.body[field]));
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: 'Invalid platform URLs', details: `Expected http(s) URLs for: ${invalid.join(', ')}` });
+    }
+    if (store.findLtiPlatform(issuer, clientId)) {
+      return res.status(409).json({ error: 'This issuer and client ID are already registered' });
+    }
+
+    const platform = store.createLtiPlatform({
+      id: crypto.randomUUID(),
+      name: name || null,
+      issuer,
+      clientId,
+      deploymentIds,
+      authLoginUrl: req.body.authLoginUrl,
+      authTokenUrl: req.body.authTokenUrl,
+      jwksUrl: req.body.jwksUrl
+    });
+    console.log(`🔗 Registered LTI platform ${issuer} (client ${clientId})`);
+    res.status(201).json({ success: true, platform, tool: tool.config() });
+  });
+
+  return router;
+}
+
+module.exports = createLtiPlatformRoutes;
@@ -0,0 +1,284 @@
+const express = require('express');
+const crypto = require('crypto');
+const { CLAIMS, lineItemFor } = require('../services/lti');
+const { escapeHtml, page } = require('../services/html');
+
+const DEEP_LINK_ISSUER = 'codefessor-lti';
+const DEEP_LINK_AUDIENCE = 'codefessor-deep-link';
+
+function launchError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+// JSON that is safe to embed in a <script> element
+function scriptJson(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+// Form that posts itself as soon as the page loads
+function autoPostPage(action, fields) {
+  const inputs = Object.entries(fields)
+    .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+    .join('');
+  return page('Returning to the LMS', `
+  <form id="autoPost" method="POST" action="${escapeHtml(action)}">${inputs}<noscript><button type="submit">Continue</button></noscript></form>
+  <script>document.getElementById('autoPost').submit();</script>`);
+}
+
+// Keeps the session in this tab's sessionStorage for the portal and
+// dashboard pages, then opens the right one
+function sessionPage(session, redirectTo) {
+  return page('Opening Codefessor', `
+  <p>Opening Codefessor...</p>
+  <script>
+    sessionStorage.setItem('codefessorLtiSession', JSON.stringify(${scriptJson(session)}));
+    window.location.replace(${scriptJson(redirectTo)});
+  </script>`);
+}
+
+function sendError(res, error) {
+  const status = error.status || 500;
+  if (status >= 500) console.error('LTI error:', error);
+  else console.log(`⚠️ LTI request rejected: ${error.message}`);
+  res.status(status).send(page('Launch failed', `
+  <h1>Codefessor could not open this activity</h1>
+  <p class="error">${escapeHtml(error.message)}</p>`));
+}
+
+// Browser-facing LTI 1.3 endpoints: OIDC login initiation, the launch
+// (resource links and deep linking), the deep linking form, and the tool's
+// public keys. Nothing here uses the bearer-token auth of /api; identity
+// comes from the platform's signed id_token.
+function createLtiRoutes({ store, tool }) {
+  const router = express.Router();
+  router.use(express.urlencoded({ extended: false }));
+
+  // The Codefessor course an LMS context maps to. The first instructor to
+  // launch from a context creates the course and owns it.
+  function resolveCourse({ platform, claims, user }) {
+    const context = claims[CLAIMS.context];
+    if (!context?.id) {
+      throw launchError('The launch does not include a course context');
+    }
+
+    const linked = store.getLtiContextCourse(platform.id, context.id);
+    if (linked) return linked;
+    if (user.role !== 'teacher') {
+      throw launchError('This course is not set up in Codefessor yet. Ask your instructor to open the activity first.', 409);
+    }
+
+    const course = store.createCourse({
+      id: crypto.randomUUID(),
+      name: context.title || context.label || 'LMS course',
+      teacherId: user.id,
+      teacherEmail: user.email
+    });
+    store.linkLtiContext(platform.id, context.id, course.id);
+    console.log(`📚 Created course "${course.name}" for LMS context ${context.id}`);
+    return course;
+  }
+
+  // The assignment a resource link opens: the one named in the custom
+  // parameters (set by deep linking), the one linked on an earlier launch,
+  // or, for an instructor's first launch, a new one
+  function resolveAssignment({ platform, claims, user }, course) {
+    const resourceLink = claims[CLAIMS.resourceLink];
+    const customId = claims[CLAIMS.custom]?.assignment_id;
+    const existing = store.getLtiResourceLink(platform.id, resourceLink.id);
+
+    let assignment = customId
+      ? store.getAssignment(customId)
+      : existing ? store.getAssignment(existing.assignmentId) : null;
+    if (assignment && assignment.courseId !== course.id) {
+      throw launchError('This activity belongs to a different course', 409);
+    }
+    if (!assignment) {
+      if (user.role !== 'teacher') {
+        throw launchError('This activity is not set up in Codefessor yet. Ask your instructor to open it first.', 409);
+      }
+      assignment = store.createAssignment({
+        id: crypto.randomUUID(),
+        courseId: course.id,
+        title: resourceLink.title || 'LMS activity',
+        description: resourceLink.description || null
+      });
+      console.log(`📝 Created assignment "${assignment.title}" for LMS resource link ${resourceLink.id}`);
+    }
+
+    // Grade service endpoints come with every launch and may change
+    const ags = claims[CLAIMS.agsEndpoint] || {};
+    store.saveLtiResourceLink({
+      platformId: platform.id,
+      resourceLinkId: resourceLink.id,
+      assignmentId: assignment.id,
+      lineitemUrl: ags.lineitem || null,
+      lineitemsUrl: ags.lineitems || null,
+      agsScopes: Array.isArray(ags.scope) ? ags.scope : []
+    });
+    return assignment;
+  }
+
+  async function completeResourceLaunch(launch, res) {
+    const { platform, user } = launch;
+    if (user.role === 'student' && !user.email) {
+      throw launchError('The LMS did not share your email address, which Codefessor needs to identify you. Ask your LMS administrator to enable it for this tool.');
+    }
+
+    const course = resolveCourse(launch);
+    const assignment = resolveAssignment(launch, course);
+    if (user.role === 'student') {
+      store.enrollStudent(course.id, user.email);
+    }
+
+    const token = await tool.keys.signSession(user, {
+      platformId: platform.id,
+      courseId: course.id,
+      assignmentId: assignment.id
+    });
+    console.log(`🎓 LTI launch by ${user.email || user.id} (${user.role}) into "${assignment.title}"`);
+
+    const session = { token, user: { name: user.name, email: user.email, role: user.role }, courseId: course.id, assignmentId: assignment.id };
+    const redirectTo = user.role === 'teacher'
+      ? `/teacher-dashboard.html?courseId=${encodeURIComponent(course.id)}&assignmentId=${encodeURIComponent(assignment.id)}`
+      : `/student-portal.html?assignmentId=${encodeURIComponent(assignment.id)}`;
+    res.send(sessionPage(session, redirectTo));
+  }
+
+  // Instructors pick an existing assignment or create one; the choice goes
+  // back to the LMS from POST /lti/deep-link
+  async function startDeepLinking(launch, res) {
+    const { platform, claims, user } = launch;
+    if (user.role !== 'teacher') {
+      throw launchError('Only instructors can add Codefessor activities', 403);
+    }
+    const settings = claims[CLAIMS.deepLinkingSettings];
+    if (!settings?.deep_link_return_url) {
+      throw launchError('The deep linking request has no return URL');
+    }
+    if (Array.isArray(settings.accept_types) && !settings.accept_types.includes('ltiResourceLink')) {
+      throw launchError('The LMS does not accept LTI resource links here');
+    }
+
+    const course = resolveCourse(launch);
+    // Everything needed to answer the LMS, signed so the form can't alter it
+    const request = await tool.keys.sign({
+      platformId: platform.id,
+      deploymentId: claims[CLAIMS.deploymentId],
+      returnUrl: settings.deep_link_return_url,
+      data: settings.data ?? null,
+      courseId: course.id
+    }, { issuer: DEEP_LINK_ISSUER, subject: user.id, audience: DEEP_LINK_AUDIENCE, expiresIn: '30m' });
+
+    const options = store.listAssignments(course.id)
+      .map(assignment => `<option value="${escapeHtml(assignment.id)}">${escapeHtml(assignment.title)}</option>`)
+      .join('');
+    res.send(page('Add a Codefessor activity', `
+  <h1>Add a Codefessor activity to ${escapeHtml(course.name)}</h1>
+  <form method="POST" action="/lti/deep-link">
+    <input type="hidden" name="request" value="${escapeHtml(request)}">
+    <label for="assignmentId">Assignment</label>
+    <select id="assignmentId" name="assignmentId">
+      <option value="">Create a new assignment</option>
+      ${options}
+    </select>
+    <label for="title">Title (new assignment)</label>
+    <input id="title" name="title" value="${escapeHtml(settings.title || '')}">
+    <label for="description">Description (new assignment)</label>
+    <textarea id="description" name="description" rows="3">${escapeHtml(settings.text || '')}</textarea>
+    <label for="dueAt">Due date (new assignment, optional)</label>
+    <input id="dueAt" name="dueAt" type="datetime-local">
+    <button type="submit">Add to course</button>
+  </form>`));
+  }
+
+  router.get('/jwks', async (req, res) => {
+    res.json(await tool.keys.jwks());
+  });
+
+  router.get('/config', (req, res) => {
+    res.json(tool.config());
+  });
+
+  // Platforms may start a login with GET or POST
+  router.all('/login', (req, res) => {
+    try {
+      res.redirect(tool.launch.startLogin({ ...req.query, ...req.body }));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.post('/launch', async (req, res) => {
+    try {
+      const launch = await tool.launch.validateLaunch(req.body);
+      if (launch.messageType === 'LtiDeepLinkingRequest') {
+        await startDeepLinking(launch, res);
+      } else {
+        await completeResourceLaunch(launch, res);
+      }
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.post('/deep-link', async (req, res) => {
+    try {
+      let request;
+      try {
+        request = await tool.keys.verify(req.body.request || '', { issuer: DEEP_LINK_ISSUER, audience: DEEP_LINK_AUDIENCE });
+      } catch (error) {
+        throw launchError(`Invalid or expired deep linking request: ${error.message}. Start again from the LMS.`, 401);
+      }
+      const platform = store.getLtiPlatform(request.platformId);
+
+      let assignment;
+      if (req.body.assignmentId) {
+        assignment = store.getAssignment(req.body.assignmentId);
+        if (!assignment || assignment.courseId !== request.courseId) {
+          throw launchError('Assignment not found in this course', 404);
+        }
+      } else {
+        const title = (req.body.title || '').trim();
+        if (!title) {
+          throw launchError('A title is required for a new assignment');
+        }
+        const dueAt = req.body.dueAt ? new Date(req.body.dueAt) : null;
+        if (dueAt && isNaN(dueAt.getTime())) {
+          throw launchError('Invalid due date');
+        }
+        assignment = store.createAssignment({
+          id: crypto.randomUUID(),
+          courseId: request.courseId,
+          title,
+          description: (req.body.description || '').trim() || null,
+          dueAt: dueAt ? dueAt.toISOString() : null
+        });
+        console.log(`📝 Created assignment "${title}" from LMS deep linking`);
+      }
+
+      const response = await tool.keys.sign({
+        nonce: crypto.randomUUID(),
+        [CLAIMS.messageType]: 'LtiDeepLinkingResponse',
+        [CLAIMS.version]: '1.3.0',
+        [CLAIMS.deploymentId]: request.deploymentId,
+        [CLAIMS.deepLinkingContentItems]: [{
+          type: 'ltiResourceLink',
+          title: assignment.title,
+          ...(assignment.description ? { text: assignment.description } : {}),
+          url: tool.launch.launchUrl,
+          custom: { assignment_id: assignment.id },
+          lineItem: lineItemFor(assignment)
+        }],
+        ...(request.data !== null ? { [CLAIMS.deepLinkingData]: request.data } : {})
+      }, { issuer: platform.clientId, audience: platform.issuer });
+
+      res.send(autoPostPage(request.returnUrl, { JWT: response }));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
+
+module.exports = createLtiRoutes;
@@ -0,0 +1,152 @@
+const express = require('express');
+const {
+  NOTIFICATION_KINDS,
+  DEFAULT_TEMPLATES,
+  isNotificationKind,
+  normalizeNotificationTemplate,
+  resolveNotificationTemplate
+} = require('../services/notifications/templates');
+const { escapeHtml, page } = require('../services/html');
+
+const KIND_NAMES = {
+  interview_link: 'interview link emails',
+  interview_reminder: 'interview reminders',
+  teacher_digest: 'teacher digests',
+  all: 'all Codefessor emails'
+};
+
+function preferencesView(preferences) {
+  return {
+    email: preferences.email,
+    kinds: NOTIFICATION_KINDS.map(kind => ({
+      kind,
+      description: DEFAULT_TEMPLATES[kind].description,
+      subscribed: !preferences.unsubscribed.includes(kind)
+    }))
+  };
+}
+
+function templateView(store, kind) {
+  const { description, variables, subject, body } = DEFAULT_TEMPLATES[kind];
+  const custom = store.getNotificationTemplate(kind);
+  return {
+    kind,
+    description,
+    variables,
+    ...resolveNotificationTemplate(store, kind),
+    updatedBy: custom?.updatedBy || null,
+    updatedAt: custom?.updatedAt || null,
+    default: { subject, body }
+  };
+}
+
+// Email notifications: the unsubscribe links in every email (no sign-in
+// needed, the token identifies the address), each user's own preferences,
+// and for admins the editable templates, the email log and a manual run of
+// reminders and digests.
+function createNotificationRoutes({ store, requireRole, notifier }) {
+  const router = express.Router();
+
+  // The token and kind from an unsubscribe link, or an error page
+  function loadUnsubscribe(req, res, next) {
+    const preferences = typeof req.query.token === 'string' ? store.findNotificationPreferencesByToken(req.query.token) : null;
+    const kind = req.query.kind || 'all';
+    if (!preferences || !(kind === 'all' || isNotificationKind(kind))) {
+      return res.status(404).type('html').send(page('Unsubscribe', '<h1>Unsubscribe</h1><p class="error">This unsubscribe link is not valid.</p>'));
+    }
+    req.preferences = preferences;
+    req.kind = kind;
+    next();
+  }
+
+  // Link scanners follow GET links, so unsubscribing takes the button (or a
+  // one-click POST from the mail client)
+  router.get('/unsubscribe', loadUnsubscribe, (req, res) => {
+    const { preferences, kind } = req;
+    const action = `?token=${encodeURIComponent(preferences.token)}&kind=${encodeURIComponent(kind)}`;
+    res.type('html').send(page('Unsubscribe', `<h1>Unsubscribe</h1>
+  <p>Stop sending ${escapeHtml(KIND_NAMES[kind])} to <strong>${escapeHtml(preferences.email)}</strong>?</p>
+  <form method="POST" action="${escapeHtml(action)}"><button type="submit">Unsubscribe</button></form>`));
+  });
+
+  router.post('/unsubscribe', loadUnsubscribe, (req, res) => {
+    const { preferences, kind } = req;
+    const unsubscribed = kind === 'all' ? NOTIFICATION_KINDS : [...new Set([...preferences.unsubscribed, kind])];
+    store.setUnsubscribedNotifications(preferences.email, unsubscribed);
+    console.log(`📭 ${preferences.email} unsubscribed from ${kind === 'all' ? 'all emails' : kind}`);
+    res.type('html').send(page('Unsubscribed', `<h1>Unsubscribed</h1>
+  <p>${escapeHtml(preferences.email)} will no longer receive ${escapeHtml(KIND_NAMES[kind])}.</p>`));
+  });
+
+  function requireEmail(req, res, next) {
+    if (!req.user.email) {
+      return res.status(400).json({ error: 'Your account has no email address' });
+    }
+    next();
+  }
+
+  router.get('/preferences', requireRole('student'), requireEmail, (req, res) => {
+    res.json({ success: true, preferences: preferencesView(store.getNotificationPreferences(req.user.email)) });
+  });
+
+  // { "unsubscribed": ["interview_reminder", ...] } replaces the list
+  router.put('/preferences', requireRole('student'), requireEmail, (req, res) => {
+    const { unsubscribed } = req.body;
+    if (!Array.isArray(unsubscribed) || !unsubscribed.every(isNotificationKind)) {
+      return res.status(400).json({ error: `unsubscribed must be a list of: ${NOTIFICATION_KINDS.join(', ')}` });
+    }
+    const preferences = store.setUnsubscribedNotifications(req.user.email, [...new Set(unsubscribed)]);
+    res.json({ success: true, preferences: preferencesView(preferences) });
+  });
+
+  router.get('/templates', requireRole('admin'), (req, res) => {
+    res.json({ success: true, templates: NOTIFICATION_KINDS.map(kind => templateView(store, kind)) });
+  });
+
+  function loadKind(req, res, next) {
+    if (!isNotificationKind(req.params.kind)) {
+      return res.status(404).json({ error: 'Unknown notification kind', details: `Available: ${NOTIFICATION_KINDS.join(', ')}` });
+    }
+    next();
+  }
+
+  router.put('/templates/:kind', requireRole('admin'), loadKind, (req, res) => {
+    let template;
+    try {
+      template = normalizeNotificationTemplate(req.params.kind, req.body);
+    } catch (error) {
+      return res.status(error.status || 400).json({ error: 'Invalid email template', details: error.message });
+    }
+    store.saveNotificationTemplate(req.params.kind, template, req.user.email || req.user.id);
+    console.log(`✉️ Saved the ${req.params.kind} email template`);
+    res.json({ success: true, template: templateView(store, req.params.kind) });
+  });
+
+  // Back to the default template
+  router.delete('/templates/:kind', requireRole('admin'), loadKind, (req, res) => {
+    const deleted = store.deleteNotificationTemplate(req.params.kind);
+    res.json({ success: true, deleted, template: templateView(store, req.params.kind) });
+  });
+
+  // The most recent emails, optionally of one kind
+  router.get('/', requireRole('admin'), (req, res) => {
+    const kind = isNotificationKind(req.query.kind) ? req.query.kind : null;
+    const limit = Math.min(500, parseInt(req.query.limit, 10) || 100);
+    res.json({ success: true, status: notifier.status(), notifications: store.listNotifications({ kind, limit }) });
+  });
+
+  // Send the reminders and digests that are due now
+  router.post('/run', requireRole('admin'), async (req, res) => {
+    try {
+      const result = await notifier.run();
+      res.json({ success: !result || result.errors.length === 0, result, status: notifier.status() });
+    } catch (error) {
+      console.error('Notification run failed:', error);
+      res.status(500).json({ error: 'Notification run failed', details: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createNotificationRoutes;
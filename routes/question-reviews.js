@@ -0,0 +1,156 @@
+const express = require('express');
+const { hasRole, canViewSubmission } = require('../services/auth');
+const { normalizeQuestions } = require('../services/question-templates');
+
+function canReview(user, course) {
+  return hasRole(user, 'admin') || (hasRole(user, 'teacher') && course?.teacherId === user.id);
+}
+
+// What the student sees: the questions stay hidden until they're approved
+function studentView(review) {
+  return {
+    id: review.id,
+    status: review.status,
+    note: review.status === 'rejected' ? review.note : null,
+    interviewId: review.interviewId,
+    interviewLink: review.interviewLink,
+    interviewMode: review.backend,
+    fallback: review.status === 'approved' && !!review.interviewMode && review.backend !== review.interviewMode,
+    createdAt: review.createdAt,
+    reviewedAt: review.reviewedAt
+  };
+}
+
+// Submissions whose course or assignment template requires approval wait
+// here with their generated questions. Teachers edit and approve them, which
+// creates the interview, or reject them with a note; onResolved(review) then
+// tells the waiting student (see /api/events), who reads the outcome from
+// GET /:reviewId.
+function createQuestionReviewRoutes({ store, requireRole, startInterview, onResolved }) {
+  const router = express.Router();
+  // Reviews being approved right now, so a double click can't create two interviews
+  const approving = new Set();
+
+  function withContext(review) {
+    const { files, ...rest } = review;
+    const course = store.getCourse(review.courseId);
+    const assignment = review.assignmentId ? store.getAssignment(review.assignmentId) : null;
+    return {
+      ...rest,
+      courseName: course?.name || null,
+      assignmentTitle: assignment?.title || null,
+      files: files ? files.map(({ path, language, size }) => ({ path, language, size })) : null
+    };
+  }
+
+  // Look up :reviewId and check the user may review it
+  function loadReview(req, res, next) {
+    const review = store.getQuestionReview(req.params.reviewId);
+    if (!review) {
+      return res.status(404).json({ error: 'Question review not found' });
+    }
+    if (!canReview(req.user, store.getCourse(review.courseId))) {
+      return res.status(403).json({ error: 'You do not have access to this question review' });
+    }
+    req.review = review;
+    next();
+  }
+
+  function requirePending(req, res, next) {
+    if (req.review.status !== 'pending') {
+      return res.status(409).json({ error: `This question review is already ${req.review.status}` });
+    }
+    if (approving.has(req.review.id)) {
+      return res.status(409).json({ error: 'This question review is being approved' });
+    }
+    next();
+  }
+
+  // Teachers get reviews for their own courses, admins for every course
+  router.get('/', requireRole('teacher'), (req, res) => {
+    const status = req.query.status === 'all' ? null : (req.query.status || 'pending');
+    if (status && !['pending', 'approved', 'rejected'].includes(status)) {
+      return res.status(400).json({ error: 'status must be pending, approved, rejected or all' });
+    }
+
+    let courseIds = hasRole(req.user, 'admin') ? null : store.listCourses({ teacherId: req.user.id }).map(course => course.id);
+    if (req.query.courseId) {
+      courseIds = courseIds ? courseIds.filter(id => id === req.query.courseId) : [req.query.courseId];
+    }
+    const reviews = store.listQuestionReviews({ status, courseIds, assignmentId: req.query.assignmentId || null });
+    res.json({ success: true, reviews: reviews.map(withContext) });
+  });
+
+  // The student who submitted sees the status and, once approved, the
+  // interview link. Teachers who can review it see everything.
+  router.get('/:reviewId', requireRole('student'), (req, res) => {
+    const review = store.getQuestionReview(req.params.reviewId);
+    const course = review ? store.getCourse(review.courseId) : null;
+    if (!review || !canViewSubmission(req.user, review, course)) {
+      return res.status(404).json({ error: 'Question review not found' });
+    }
+    res.json({ success: true, review: canReview(req.user, course) ? withContext(review) : studentView(review) });
+  });
+
+  // Save edited questions without approving them yet
+  router.put('/:reviewId', requireRole('teacher'), loadReview, requirePending, (req, res) => {
+    let questions;
+    try {
+      questions = normalizeQuestions(req.body.questions);
+    } catch (error) {
+      return res.status(error.status || 400).json({ error: 'Invalid questions', details: error.message });
+    }
+    res.json({ success: true, review: withContext(store.updateQuestionReviewQuestions(req.review.id, questions)) });
+  });
+
+  // Create the interview with the approved (optionally edited) questions
+  router.post('/:reviewId/approve', requireRole('teacher'), loadReview, requirePending, async (req, res) => {
+    let questions = req.review.questions;
+    if (req.body.questions !== undefined) {
+      try {
+        questions = normalizeQuestions(req.body.questions);
+      } catch (error) {
+        return res.status(error.status || 400).json({ error: 'Invalid questions', details: error.message });
+      }
+    }
+
+    const { review } = req;
+    approving.add(review.id);
+    try {
+      const interview = await startInterview({ ...review, questions });
+      const approved = store.resolveQuestionReview(review.id, {
+        status: 'approved',
+        reviewedBy: req.user.email || req.user.id,
+        questions,
+        interviewId: interview.interviewId,
+        interviewLink: interview.interviewLink,
+        backend: interview.interviewMode
+      });
+      onResolved(approved);
+      console.log(`✅ ${req.user.email || req.user.id} approved the questions for ${review.studentEmail}; interview ${interview.interviewId} created`);
+      res.json({ success: true, review: withContext(approved), interview });
+    } catch (error) {
+      console.error(`Failed to start the interview for question review ${review.id}:`, error);
+      res.status(502).json({ error: 'Failed to create interview', details: error.message });
+    } finally {
+      approving.delete(review.id);
+    }
+  });
+
+  // The student is told why and can submit again
+  router.post('/:reviewId/reject', requireRole('teacher'), loadReview, requirePending, (req, res) => {
+    const note = typeof req.body.note === 'string' ? req.body.note.trim() : '';
+    const rejected = store.resolveQuestionReview(req.review.id, {
+      status: 'rejected',
+      reviewedBy: req.user.email || req.user.id,
+      note: note || null
+    });
+    onResolved(rejected);
+    console.log(`🚫 ${req.user.email || req.user.id} rejected the submission from ${req.review.studentEmail} (review ${req.review.id})`);
+    res.json({ success: true, review: withContext(rejected) });
+  });
+
+  return router;
+}
+
+module.exports = createQuestionReviewRoutes;
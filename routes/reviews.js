@@ -0,0 +1,60 @@
+const express = require('express');
+
+// A teacher's own verdict on an interview, separate from the AI score
+const REVIEW_STATES = ['unreviewed', 'cleared', 'flagged', 'confirmed_misconduct'];
+const MAX_NOTES_LENGTH = 10000;
+
+// Review state and private notes for an interview. Notes are only ever
+// returned by teacher endpoints. Every change is appended to the audit trail
+// by the store. `onStateChanged(interviewId)` runs after the state changes.
+function createReviewRoutes({ store, requireRole, canViewInterview, onStateChanged }) {
+  const router = express.Router();
+
+  function checkAccess(req, res, next) {
+    if (!store.getSubmission(req.params.interviewId)) {
+      return res.status(404).json({ error: 'Interview not found' });
+    }
+    if (!canViewInterview(req.user, req.params.interviewId)) {
+      return res.status(403).json({ error: 'You do not have access to this interview' });
+    }
+    next();
+  }
+
+  router.get('/:interviewId', requireRole('teacher'), checkAccess, (req, res) => {
+    res.json({
+      success: true,
+      review: store.getReview(req.params.interviewId),
+      history: store.listReviewEvents(req.params.interviewId)
+    });
+  });
+
+  router.put('/:interviewId', requireRole('teacher'), checkAccess, (req, res) => {
+    const { state, notes } = req.body;
+    if (state === undefined && notes === undefined) {
+      return res.status(400).json({ error: 'state or notes is required' });
+    }
+    if (state !== undefined && !REVIEW_STATES.includes(state)) {
+      return res.status(400).json({ error: 'Unknown review state', details: `Allowed: ${REVIEW_STATES.join(', ')}` });
+    }
+    if (notes !== undefined && typeof notes !== 'string') {
+      return res.status(400).json({ error: 'notes must be a string' });
+    }
+    if (notes && notes.length > MAX_NOTES_LENGTH) {
+      return res.status(400).json({ error: `Notes are longer than ${MAX_NOTES_LENGTH} characters` });
+    }
+
+    const { interviewId } = req.params;
+    const previous = store.getReview(interviewId);
+    const review = store.updateReview(interviewId, { state, notes }, req.user);
+    if (review.state !== previous.state) {
+      console.log(`🧑‍⚖️ ${req.user.email || req.user.id} marked interview ${interviewId} as ${review.state} (was ${previous.state})`);
+      if (onStateChanged) onStateChanged(interviewId);
+    }
+
+    res.json({ success: true, review, history: store.listReviewEvents(interviewId) });
+  });
+
+  return router;
+}
+
+module.exports = createReviewRoutes;
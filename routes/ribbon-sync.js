@@ -0,0 +1,25 @@
+const express = require('express');
+
+// Admin view and manual trigger of the Ribbon interview mirror sync
+function createRibbonSyncRoutes({ sync, requireRole }) {
+  const router = express.Router();
+
+  router.get('/', requireRole('admin'), (req, res) => {
+    res.json({ success: true, sync: sync.status() });
+  });
+
+  // { "full": true } pages through every interview instead of stopping once caught up
+  router.post('/', requireRole('admin'), async (req, res) => {
+    try {
+      const result = await sync.run({ full: req.body.full === true });
+      res.json({ success: result.errors.length === 0, result, sync: sync.status() });
+    } catch (error) {
+      console.error('Ribbon sync failed:', error);
+      res.status(500).json({ error: 'Ribbon sync failed', details: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createRibbonSyncRoutes;
@@ -0,0 +1,89 @@
+const express = require('express');
+const { DEFAULT_MIN_SCORE, fingerprint, compareFingerprints, compareAllPairs } = require('../services/similarity');
+
+function isSameStudent(a, b) {
+  return !!a.studentEmail && a.studentEmail.toLowerCase() === b.studentEmail?.toLowerCase();
+}
+
+function describeSubmission(submission) {
+  return {
+    interviewId: submission.interviewId,
+    studentName: submission.studentName,
+    studentEmail: submission.studentEmail,
+    language: submission.language,
+    createdAt: submission.createdAt
+  };
+}
+
+// Teacher-facing similarity reports. canViewInterview(user, id) limits
+// results to submissions the teacher has access to.
+function createSimilarityRoutes({ store, requireRole, canViewInterview }) {
+  const router = express.Router();
+
+  // Compare every pair of submissions in an assignment (or, for submissions
+  // without one, a language) and list the pairs above minScore
+  router.get('/', requireRole('teacher'), (req, res) => {
+    const { assignmentId, language } = req.query;
+    if (!assignmentId && !language) {
+      return res.status(400).json({ error: 'assignmentId or language is required' });
+    }
+
+    const minScore = req.query.minScore !== undefined ? parseFloat(req.query.minScore) : DEFAULT_MIN_SCORE;
+    const group = store.listPeerSubmissions({ assignmentId, language })
+      .filter(submission => submission.code && canViewInterview(req.user, submission.interviewId));
+    const byId = new Map(group.map(submission => [submission.interviewId, submission]));
+
+    const matches = compareAllPairs(group)
+      .filter(match => !isSameStudent(byId.get(match.interviewId), byId.get(match.otherInterviewId)));
+    store.saveSimilarityMatches(matches.filter(match => match.matchedFingerprints > 0));
+
+    const pairs = matches
+      .filter(match => match.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .map(match => ({
+        score: match.score,
+        jaccard: match.jaccard,
+        matchedRegions: match.regions.length,
+        submission: describeSubmission(byId.get(match.interviewId)),
+        otherSubmission: describeSubmission(byId.get(match.otherInterviewId))
+      }));
+
+    console.log(`👥 Similarity report: ${group.length} submissions, ${pairs.length} pairs at or above ${minScore}`);
+    res.json({ success: true, submissionsCompared: group.length, minScore, pairs });
+  });
+
+  // Side-by-side view of two submissions with their matched regions
+  router.get('/:interviewId/:otherInterviewId', requireRole('teacher'), (req, res) => {
+    const { interviewId, otherInterviewId } = req.params;
+    if (!canViewInterview(req.user, interviewId) || !canViewInterview(req.user, otherInterviewId)) {
+      return res.status(403).json({ error: 'You do not have access to these submissions' });
+    }
+
+    const submission = store.getSubmission(interviewId);
+    const other = store.getSubmission(otherInterviewId);
+    if (!submission?.code || !other?.code) {
+      return res.status(404).json({ error: 'Submission not found' });
+    }
+
+    const match = compareFingerprints(
+      fingerprint(submission.code, submission.language),
+      fingerprint(other.code, other.language)
+    );
+    if (match.matchedFingerprints > 0) {
+      store.saveSimilarityMatches([{ interviewId, otherInterviewId, ...match }]);
+    }
+
+    res.json({
+      success: true,
+      score: match.score,
+      jaccard: match.jaccard,
+      regions: match.regions,
+      submission: { ...describeSubmission(submission), code: submission.code },
+      otherSubmission: { ...describeSubmission(other), code: other.code }
+    });
+  });
+
+  return router;
+}
+
+module.exports = createSimilarityRoutes;
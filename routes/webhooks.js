@@ -0,0 +1,55 @@
+const express = require('express');
+const { verifySignature } = require('../services/webhooks');
+
+const STARTED_EVENT_TYPES = ['interview.started', 'interview_started'];
+const COMPLETED_EVENT_TYPES = ['interview.completed', 'interview_completed'];
+
+// Incoming interview events. Deliveries must be signed with
+// INTERVIEW_WEBHOOK_SECRET. onStarted(interviewId) and onCompleted(interviewId)
+// run for started and completed interviews; completed ones go on to analysis.
+function createWebhookRoutes({ store, secret, onStarted, onCompleted }) {
+  const router = express.Router();
+
+  router.post('/interview-events', (req, res) => {
+    if (!secret) {
+      return res.status(503).json({ error: 'Webhooks are not configured' });
+    }
+
+    const verification = verifySignature({
+      secret,
+      timestamp: req.get('X-Webhook-Timestamp'),
+      signature: req.get('X-Webhook-Signature'),
+      rawBody: req.rawBody?.toString('utf8')
+    });
+    if (!verification.valid) {
+      console.log(`⚠️ Rejected webhook delivery: ${verification.reason}`);
+      return res.status(401).json({ error: 'Invalid webhook signature', details: verification.reason });
+    }
+
+    const eventId = req.body.event_id || req.body.id;
+    const eventType = req.body.type || req.body.event;
+    const interviewId = req.body.data?.interview_id || req.body.interview_id;
+    if (!eventId || !eventType) {
+      return res.status(400).json({ error: 'Event ID and type are required' });
+    }
+
+    // Each event ID is accepted once; redeliveries are acknowledged but ignored
+    if (!store.recordWebhookEvent({ eventId, eventType, interviewId })) {
+      console.log(`🔁 Ignoring duplicate webhook event ${eventId}`);
+      return res.json({ received: true, duplicate: true });
+    }
+
+    if (STARTED_EVENT_TYPES.includes(eventType) && interviewId) {
+      onStarted(interviewId);
+    }
+    if (COMPLETED_EVENT_TYPES.includes(eventType) && interviewId) {
+      onCompleted(interviewId);
+    }
+
+    res.json({ received: true });
+  });
+
+  return router;
+}
+
+module.exports = createWebhookRoutes;
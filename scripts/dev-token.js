@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+// Mint signed JWTs for local development and offline testing.
+//
+//   node scripts/dev-token.js --role teacher --email teacher@example.com [--name "Ada Lovelace"] [--sub id]
+//
+// The first run creates a key pair in data/dev-auth/. Start the server with
+//   AUTH_JWKS_FILE=data/dev-auth/jwks.json AUTH_ISSUER=codefessor-dev
+// and send the printed token as `Authorization: Bearer <token>`.
+
+const fs = require('fs');
+const path = require('path');
+const { generateKeyPair, exportJWK, importJWK, SignJWT } = require('jose');
+
+const KEY_DIR = path.join(__dirname, '..', 'data', 'dev-auth');
+const PRIVATE_KEY_FILE = path.join(KEY_DIR, 'private-key.json');
+const JWKS_FILE = path.join(KEY_DIR, 'jwks.json');
+const ISSUER = 'codefessor-dev';
+const ROLES_CLAIM = process.env.AUTH_ROLES_CLAIM || 'https://codefessor.app/roles';
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, '')] = argv[i + 1];
+  }
+  return args;
+}
+
+async function loadOrCreateKey() {
+  if (!fs.existsSync(PRIVATE_KEY_FILE)) {
+    const { publicKey, privateKey } = await generateKeyPair('RS256', { extractable: true });
+    const kid = `dev-${Date.now()}`;
+    fs.mkdirSync(KEY_DIR, { recursive: true });
+    fs.writeFileSync(PRIVATE_KEY_FILE, JSON.stringify({ ...(await exportJWK(privateKey)), kid, alg: 'RS256' }, null, 2));
+    fs.writeFileSync(JWKS_FILE, JSON.stringify({ keys: [{ ...(await exportJWK(publicKey)), kid, alg: 'RS256', use: 'sig' }] }, null, 2));
+    console.error(`Created development key pair in ${KEY_DIR}`);
+  }
+
+  const jwk = JSON.parse(fs.readFileSync(PRIVATE_KEY_FILE, 'utf8'));
+  return { key: await importJWK(jwk, 'RS256'), kid: jwk.kid };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const role = args.role || 'student';
+  const email = args.email || `${role}@example.com`;
+  const { key, kid } = await loadOrCreateKey();
+
+  const token = await new SignJWT({
+    email,
+    name: args.name || email.split('@')[0],
+    [ROLES_CLAIM]: [role]
+  })
+    .setProtectedHeader({ alg: 'RS256', kid })
+    .setSubject(args.sub || `dev|${email}`)
+    .setIssuer(ISSUER)
+    .setAudience(process.env.AUTH_AUDIENCE || 'https://codefessor-api')
+    .setIssuedAt()
+    .setExpirationTime(args.expires || '12h')
+    .sign(key);
+
+  console.log(token);
+}
+
+main().catch(error => {
+  console.error('Failed to create token:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+// Replay a labeled dataset of interviews through the authorship analysis
+// and report how accurate it is: accuracy, precision and recall, ROC/AUC,
+// calibration, the indecisive rate, and thresholds that would fit the data
+// better than the current ones.
+//
+//   node scripts/evaluate-detector.js --dataset scripts/fixtures/detector-sample.jsonl
+//     [--provider offline] [--recording data/eval/recording.json] [--record true]
+//     [--output data/eval/report.json] [--baseline data/eval/previous-report.json]
+//     [--target-precision 0.9]
+//
+// The dataset is JSON Lines (or a JSON array), one interview per entry:
+//   { "id": "...", "label": "human" | "ai", "language": "python", "code": "...",
+//     "transcript": "Interviewer: ...\nStudent: ...", "questions": ["..."]? }
+// A multi-file entry has "files": [{ "path", "content" }] instead of "code".
+//
+// --provider picks the model (offline, gemini or openai; defaults to offline).
+// With --recording, analyses are replayed from that file; add --record true to
+// ask the provider for the ones it lacks and save them, so later runs with
+// changed scoring or thresholds compare against the same model replies.
+// STYLOMETRY_WEIGHT applies as in the server.
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { createProvider } = require('../services/llm');
+const { createRecordedProvider } = require('../services/llm/recorded-provider');
+const { analyzeForAIDetection } = require('../services/detection');
+const { DEFAULT_TARGET_PRECISION, evaluateResults } = require('../services/evaluation');
+const { normalizeFiles, combineFiles, primaryLanguage, formatTree } = require('../services/project-files');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, '')] = argv[i + 1];
+  }
+  return args;
+}
+
+const LABEL_ALIASES = { human: 'human', 'human-written': 'human', ai: 'ai', 'ai-generated': 'ai' };
+
+function loadDataset(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  const entries = file.endsWith('.json')
+    ? JSON.parse(text)
+    : text.split('\n').filter(line => line.trim()).map((line, index) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        throw new Error(`Line ${index + 1} of ${file} is not valid JSON: ${error.message}`);
+      }
+    });
+
+  return entries.map((entry, index) => {
+    const id = entry.id || `example-${index + 1}`;
+    const label = LABEL_ALIASES[String(entry.label).toLowerCase()];
+    if (!label) throw new Error(`${id}: label must be "human" or "ai"`);
+    if (typeof entry.transcript !== 'string' || !entry.transcript.trim()) throw new Error(`${id}: transcript is required`);
+
+    const files = entry.files ? normalizeFiles(entry.files) : null;
+    const code = files ? combineFiles(files) : entry.code;
+    if (typeof code !== 'string' || !code.trim()) throw new Error(`${id}: code or files is required`);
+    return {
+      id,
+      label,
+      code,
+      language: entry.language || (files ? primaryLanguage(files) : 'other'),
+      project: files && files.length > 1 ? { tree: formatTree(files), files } : null,
+      questions: Array.isArray(entry.questions) ? entry.questions : null,
+      transcript: entry.transcript
+    };
+  });
+}
+
+function chooseProvider(args) {
+  const name = args.provider || (args.recording && args.record !== 'true' ? null : 'offline');
+  const live = name ? createProvider(name) : null;
+  if (!args.recording) return live;
+  return createRecordedProvider({ file: args.recording, live: args.record === 'true' ? live : null });
+}
+
+async function runExample(example, provider) {
+  try {
+    const analysis = await analyzeForAIDetection({ transcript: example.transcript }, example.code, {
+      language: example.language,
+      project: example.project,
+      questions: example.questions,
+      priority: 'background',
+      provider
+    });
+    return {
+      id: example.id,
+      label: example.label,
+      score: analysis.score,
+      llmScore: analysis.llmScore,
+      indecisive: analysis.aiLikelihood === 'indecisive',
+      aiLikelihood: analysis.aiLikelihood,
+      error: null
+    };
+  } catch (error) {
+    return { id: example.id, label: example.label, error: error.message };
+  }
+}
+
+function percent(value) {
+  return value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`;
+}
+
+function printReport(report, baseline) {
+  const { counts, current, roc, calibration, suggestions } = report;
+  console.log(`\n📊 ${counts.total} interviews (${counts.human} human, ${counts.ai} AI): ${counts.decided} decided, ${counts.indecisive} indecisive, ${counts.failed} failed`);
+  console.log(`   Indecisive rate: ${percent(report.indecisiveRate)} (human ${percent(report.indecisiveByLabel.human)}, AI ${percent(report.indecisiveByLabel.ai)})`);
+
+  const metrics = current.metrics;
+  console.log(`\nAt the current teacher threshold (${current.teacherThreshold}), AI-generated as positive:`);
+  console.log(`   Accuracy ${percent(metrics.accuracy)}  Precision ${percent(metrics.precision)}  Recall ${percent(metrics.recall)}  F1 ${metrics.f1 ?? 'n/a'}  Balanced accuracy ${percent(metrics.balancedAccuracy)}`);
+  console.log(`   Flagged: ${metrics.truePositives} AI, ${metrics.falsePositives} human. Passed: ${metrics.trueNegatives} human, ${metrics.falseNegatives} AI`);
+  console.log(`   ROC AUC ${roc.auc ?? 'n/a'}`);
+
+  console.log('\nDetailed labels:');
+  for (const label of current.labels) {
+    console.log(`   ${label.label.padEnd(24)} ${String(label.count).padStart(4)}  (${label.ai} AI, ${label.human} human)`);
+  }
+
+  console.log(`\nCalibration (score / 100 as the chance of human-written): ECE ${calibration.expectedCalibrationError ?? 'n/a'}, Brier ${calibration.brierScore ?? 'n/a'}`);
+  for (const bin of calibration.bins.filter(bin => bin.count > 0)) {
+    console.log(`   ${String(bin.from).padStart(3)}-${String(bin.to).padEnd(3)} n=${String(bin.count).padEnd(4)} predicted ${percent(bin.meanPredicted).padStart(6)}  observed ${percent(bin.observedHuman).padStart(6)}`);
+  }
+
+  if (suggestions) {
+    const { likelihoodThresholds: suggested } = suggestions;
+    console.log(`\nSuggested thresholds (services/detection.js, "likely" labels right ${percent(suggestions.targetPrecision)} of the time):`);
+    console.log(`   TEACHER_THRESHOLD ${current.teacherThreshold} -> ${suggestions.teacherThreshold} (balanced accuracy ${percent(metrics.balancedAccuracy)} -> ${percent(suggestions.metrics.balancedAccuracy)})`);
+    for (const key of Object.keys(current.likelihoodThresholds)) {
+      console.log(`   LIKELIHOOD_THRESHOLDS.${key} ${current.likelihoodThresholds[key]} -> ${suggested[key] ?? 'not reachable'}`);
+    }
+  } else {
+    console.log('\nNo threshold suggestions: the decided interviews need both labels');
+  }
+
+  if (report.misclassified.length > 0) {
+    console.log(`\nMisclassified at the current threshold:`);
+    for (const result of report.misclassified) {
+      console.log(`   ${result.id}: labeled ${result.label}, score ${result.score}`);
+    }
+  }
+  for (const failure of report.failures) {
+    console.log(`⚠️ ${failure.id} failed: ${failure.error}`);
+  }
+
+  if (baseline) {
+    const change = (after, before) => (after === null || before === null ? 'n/a' : `${after >= before ? '+' : ''}${((after - before) * 100).toFixed(1)} pts`);
+    console.log(`\nCompared with the baseline report:`);
+    console.log(`   Accuracy ${change(metrics.accuracy, baseline.current.metrics.accuracy)}, balanced accuracy ${change(metrics.balancedAccuracy, baseline.current.metrics.balancedAccuracy)}, AUC ${change(roc.auc, baseline.roc.auc)}, indecisive rate ${change(report.indecisiveRate, baseline.indecisiveRate)}`);
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.dataset) {
+    console.error('Usage: node scripts/evaluate-detector.js --dataset <file.jsonl> [--provider offline] [--recording <file>] [--record true] [--output <report.json>] [--baseline <report.json>]');
+    process.exit(1);
+  }
+
+  const examples = loadDataset(args.dataset);
+  const provider = chooseProvider(args);
+  console.log(`🧪 Evaluating ${examples.length} interviews with the ${provider.name} provider (${provider.model})`);
+
+  const results = [];
+  for (const example of examples) {
+    results.push(await runExample(example, provider));
+  }
+  if (provider.save) {
+    const added = provider.save();
+    if (added > 0) console.log(`💾 Recorded ${added} new analyses in ${args.recording}`);
+  }
+
+  const targetPrecision = args['target-precision'] ? parseFloat(args['target-precision']) : DEFAULT_TARGET_PRECISION;
+  const report = {
+    dataset: args.dataset,
+    provider: provider.name,
+    model: provider.model,
+    promptVersion: provider.promptVersion || null,
+    stylometryWeight: process.env.STYLOMETRY_WEIGHT ?? null,
+    evaluatedAt: new Date().toISOString(),
+    ...evaluateResults(results, { targetPrecision }),
+    results
+  };
+
+  const baseline = args.baseline ? JSON.parse(fs.readFileSync(args.baseline, 'utf8')) : null;
+  printReport(report, baseline);
+
+  if (args.output) {
+    fs.mkdirSync(path.dirname(path.resolve(args.output)), { recursive: true });
+    fs.writeFileSync(args.output, JSON.stringify(report, null, 2));
+    console.log(`\n📝 Full report written to ${args.output}`);
+  }
+}
+
+main().catch(error => {
+  console.error('❌ Evaluation failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+// A minimal LTI 1.3 platform (LMS) for testing Codefessor's LTI support
+// locally. It launches the tool as a student or instructor, answers the
+// OIDC login, accepts deep linking responses, and records the scores the
+// tool posts back.
+//
+//   node scripts/mock-lti-platform.js [--port 4000] [--tool http://localhost:3000]
+//
+// Register it once with the tool using the curl command it prints, then open
+// http://localhost:4000 and pick a launch.
+
+const crypto = require('crypto');
+const express = require('express');
+const { generateKeyPair, exportJWK, SignJWT, createRemoteJWKSet, jwtVerify } = require('jose');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, '')] = argv[i + 1];
+  }
+  return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const PORT = Number(args.port || 4000);
+const TOOL_URL = args.tool || 'http://localhost:3000';
+const PLATFORM_URL = `http://localhost:${PORT}`;
+const CLIENT_ID = 'codefessor-mock-client';
+const DEPLOYMENT_ID = 'mock-deployment-1';
+const CONTEXT = { id: 'mock-course-101', label: 'CS101', title: 'Intro to Programming (mock LMS)' };
+const LTI = 'https://purl.imsglobal.org/spec/lti/claim';
+const AGS_SCOPES = [
+  'https://purl.imsglobal.org/spec/lti-ags/scope/lineitem',
+  'https://purl.imsglobal.org/spec/lti-ags/scope/score'
+];
+
+const USERS = {
+  student: { sub: 'mock-student-1', name: 'Sam Student', email: 'sam.student@example.edu', roles: [`http://purl.imsglobal.org/vocab/lis/v2/membership#Learner`] },
+  student2: { sub: 'mock-student-2', name: 'Alex Learner', email: 'alex.learner@example.edu', roles: [`http://purl.imsglobal.org/vocab/lis/v2/membership#Learner`] },
+  instructor: { sub: 'mock-instructor-1', name: 'Ida Instructor', email: 'ida.instructor@example.edu', roles: [`http://purl.imsglobal.org/vocab/lis/v2/membership#Instructor`] }
+};
+
+// Resource links in the mock course. Deep linking adds more.
+const resourceLinks = new Map([
+  ['mock-link-1', { id: 'mock-link-1', title: 'Word counter interview', custom: null, lineitemId: null }]
+]);
+const lineItems = new Map();
+const scores = [];
+const accessTokens = new Set();
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+function autoPost(action, fields) {
+  const inputs = Object.entries(fields)
+    .map(([name, value]) => `<input type="hidden" name="${escapeHtml(name)}" value="${escapeHtml(value)}">`)
+    .join('');
+  return `<!DOCTYPE html><html><body><form id="f" method="POST" action="${escapeHtml(action)}">${inputs}<button>Continue</button></form>
+<script>document.getElementById('f').submit();</script></body></html>`;
+}
+
+async function main() {
+  const { publicKey, privateKey } = await generateKeyPair('RS256');
+  const kid = `mock-${Date.now()}`;
+  const jwks = { keys: [{ ...(await exportJWK(publicKey)), kid, alg: 'RS256', use: 'sig' }] };
+  const toolKeys = createRemoteJWKSet(new URL(`${TOOL_URL}/lti/jwks`));
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+  app.use(express.json({ type: ['application/json', 'application/*+json'] }));
+
+  app.get('/', (req, res) => {
+    const links = [...resourceLinks.values()].map(link => `
+      <li>${escapeHtml(link.title)} (${escapeHtml(link.id)}):
+        ${Object.keys(USERS).map(user => `<a href="/launch?user=${user}&link=${encodeURIComponent(link.id)}">${user}</a>`).join(' · ')}</li>`).join('');
+    res.send(`<!DOCTYPE html><html><body style="font-family: sans-serif;">
+      <h1>Mock LMS: ${escapeHtml(CONTEXT.title)}</h1>
+      <h2>Activities</h2><ul>${links}</ul>
+      <p><a href="/launch?user=instructor&type=deeplink">Add a Codefessor activity (deep linking, as instructor)</a></p>
+      <p><a href="/scores">Scores posted by the tool</a></p>
+    </body></html>`);
+  });
+
+  app.get('/.well-known/jwks.json', (req, res) => res.json(jwks));
+
+  // Third-party initiated login: send the browser to the tool
+  app.get('/launch', (req, res) => {
+    const user = USERS[req.query.user] ? req.query.user : 'student';
+    const type = req.query.type === 'deeplink' ? 'deeplink' : 'resource';
+    const url = new URL(`${TOOL_URL}/lti/login`);
+    url.search = new URLSearchParams({
+      iss: PLATFORM_URL,
+      login_hint: user,
+      target_link_uri: `${TOOL_URL}/lti/launch`,
+      lti_message_hint: JSON.stringify({ type, link: req.query.link || 'mock-link-1' }),
+      client_id: CLIENT_ID,
+      lti_deployment_id: DEPLOYMENT_ID
+    }).toString();
+    res.redirect(url.toString());
+  });
+
+  // OIDC authorization endpoint: answer with a signed id_token
+  app.all('/auth', async (req, res) => {
+    const params = { ...req.query, ...req.body };
+    if (params.client_id !== CLIENT_ID || params.redirect_uri !== `${TOOL_URL}/lti/launch`) {
+      return res.status(400).send('Unknown client_id or redirect_uri');
+    }
+
+    const user = USERS[params.login_hint];
+    const hint = JSON.parse(params.lti_message_hint || '{}');
+    const claims = {
+      nonce: params.nonce,
+      name: user.name,
+      email: user.email,
+      [`${LTI}/deployment_id`]: DEPLOYMENT_ID,
+      [`${LTI}/version`]: '1.3.0',
+      [`${LTI}/roles`]: user.roles,
+      [`${LTI}/context`]: CONTEXT,
+      [`${LTI}/target_link_uri`]: `${TOOL_URL}/lti/launch`
+    };
+
+    if (hint.type === 'deeplink') {
+      claims[`${LTI}/message_type`] = 'LtiDeepLinkingRequest';
+      claims['https://purl.imsglobal.org/spec/lti-dl/claim/deep_linking_settings'] = {
+        deep_link_return_url: `${PLATFORM_URL}/deep-link-return`,
+        accept_types: ['ltiResourceLink'],
+        accept_presentation_document_targets: ['iframe', 'window'],
+        data: 'mock-deep-link-data'
+      };
+    } else {
+      const link = resourceLinks.get(hint.link) || resourceLinks.get('mock-link-1');
+      claims[`${LTI}/message_type`] = 'LtiResourceLinkRequest';
+      claims[`${LTI}/resource_link`] = { id: link.id, title: link.title };
+      if (link.custom) claims[`${LTI}/custom`] = link.custom;
+      claims['https://purl.imsglobal.org/spec/lti-ags/claim/endpoint'] = {
+        scope: AGS_SCOPES,
+        lineitems: `${PLATFORM_URL}/lineitems`,
+        ...(link.lineitemId ? { lineitem: `${PLATFORM_URL}/lineitems/${link.lineitemId}` } : {})
+      };
+    }
+
+    const idToken = await new SignJWT(claims)
+      .setProtectedHeader({ alg: 'RS256', kid })
+      .setIssuer(PLATFORM_URL)
+      .setAudience(CLIENT_ID)
+      .setSubject(user.sub)
+      .setIssuedAt()
+      .setExpirationTime('5m')
+      .sign(privateKey);
+    res.send(autoPost(params.redirect_uri, { id_token: idToken, state: params.state }));
+  });
+
+  // Deep linking response: the new activity becomes a resource link
+  app.post('/deep-link-return', async (req, res) => {
+    try {
+      const { payload } = await jwtVerify(req.body.JWT, toolKeys, { issuer: CLIENT_ID, audience: PLATFORM_URL });
+      const items = payload['https://purl.imsglobal.org/spec/lti-dl/claim/content_items'] || [];
+      for (const item of items) {
+        const id = `mock-link-${resourceLinks.size + 1}`;
+        let lineitemId = null;
+        if (item.lineItem) {
+          lineitemId = String(lineItems.size + 1);
+          lineItems.set(lineitemId, { ...item.lineItem, id: `${PLATFORM_URL}/lineitems/${lineitemId}`, resourceLinkId: id });
+        }
+        resourceLinks.set(id, { id, title: item.title, custom: item.custom || null, lineitemId });
+        console.log(`🔗 Deep linking added "${item.title}" as ${id}`, item.custom || '');
+      }
+      res.send(`<p>Added ${items.length} activity. <a href="/">Back to the course</a></p>`);
+    } catch (error) {
+      console.error('Rejected deep linking response:', error.message);
+      res.status(400).send(`Invalid deep linking response: ${escapeHtml(error.message)}`);
+    }
+  });
+
+  // Client credentials grant with a JWT client assertion signed by the tool
+  app.post('/token', async (req, res) => {
+    try {
+      await jwtVerify(req.body.client_assertion, toolKeys, { issuer: CLIENT_ID, subject: CLIENT_ID, audience: `${PLATFORM_URL}/token` });
+      const token = crypto.randomBytes(16).toString('hex');
+      accessTokens.add(token);
+      res.json({ access_token: token, token_type: 'Bearer', expires_in: 3600, scope: req.body.scope });
+    } catch (error) {
+      console.error('Rejected token request:', error.message);
+      res.status(401).json({ error: 'invalid_client', error_description: error.message });
+    }
+  });
+
+  function requireToken(req, res, next) {
+    const token = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+    if (!accessTokens.has(token)) return res.status(401).json({ error: 'invalid token' });
+    next();
+  }
+
+  app.post('/lineitems', requireToken, (req, res) => {
+    const id = String(lineItems.size + 1);
+    const lineItem = { ...req.body, id: `${PLATFORM_URL}/lineitems/${id}` };
+    lineItems.set(id, lineItem);
+    const link = resourceLinks.get(req.body.resourceLinkId);
+    if (link) link.lineitemId = id;
+    console.log(`📒 Created line item ${lineItem.id} "${lineItem.label}"`);
+    res.status(201).json(lineItem);
+  });
+
+  app.post('/lineitems/:id/scores', requireToken, (req, res) => {
+    if (!lineItems.has(req.params.id)) return res.status(404).json({ error: 'line item not found' });
+    scores.push({ lineitem: req.params.id, ...req.body });
+    console.log(`📝 Score for ${req.body.userId} on line item ${req.params.id}: ${req.body.gradingProgress} - ${req.body.comment}`);
+    res.status(200).json({});
+  });
+
+  app.get('/scores', (req, res) => res.json({ lineItems: [...lineItems.values()], scores }));
+
+  app.listen(PORT, () => {
+    const registration = {
+      name: 'Mock LMS',
+      issuer: PLATFORM_URL,
+      clientId: CLIENT_ID,
+      deploymentIds: [DEPLOYMENT_ID],
+      authLoginUrl: `${PLATFORM_URL}/auth`,
+      authTokenUrl: `${PLATFORM_URL}/token`,
+      jwksUrl: `${PLATFORM_URL}/.well-known/jwks.json`
+    };
+    console.log(`Mock LTI platform running on ${PLATFORM_URL}, launching ${TOOL_URL}`);
+    console.log('Register it with the tool (admin token required):');
+    console.log(`  curl -X POST ${TOOL_URL}/api/lti/platforms -H "Authorization: Bearer $ADMIN_TOKEN" -H "Content-Type: application/json" -d '${JSON.stringify(registration)}'`);
+  });
+}
+
+main().catch(error => {
+  console.error('Mock platform failed to start:', error.message);
+  process.exit(1);
+});
@@ -1,57 +1,93 @@
 const express = require('express');
-const axios = require('axios');
+const crypto = require('crypto');
 const cors = require('cors');
 const bodyParser = require('body-parser');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const fs = require('fs');
-const path = require('path');
 require('dotenv').config();
+const { getProvider, initScheduler, isQuotaError } = require('./services/llm');
+const { getStore } = require('./services/store');
+const { getInterviewBackend, getDefaultBackendName, findInterview, onInterviewStatusChange } = require('./services/interviews');
+const { createAnalysisQueue } = require('./services/analysis-queue');
+const createChatInterviewRoutes = require('./routes/chat-interviews');
+const createWebhookRoutes = require('./routes/webhooks');
+const createCourseRoutes = require('./routes/courses');
+const { createAuth, hasRole, canViewSubmission } = require('./services/auth');
+const multer = require('multer');
+const { analyzeForAIDetection, getAnalysisLikelihood, isFailedAnalysis } = require('./services/detection');
+const { DEFAULT_TEMPLATE, resolveTemplate, generatedCount, composeQuestions } = require('./services/question-templates');
+const { parseInterviewQuery, searchInterviews } = require('./services/interview-search');
+const { compareToBaseline, adjustConfidence } = require('./services/student-baseline');
+const { LIMITS, normalizeFiles, extractArchive, primaryLanguage, combineFiles, formatTree } = require('./services/project-files');
+const { DEFAULT_MIN_SCORE, compareWithGroup } = require('./services/similarity');
+const createSimilarityRoutes = require('./routes/similarity');
+const createReviewRoutes = require('./routes/reviews');
+const createAnalysisRoutes = require('./routes/analyses');
+const createExportRoutes = require('./routes/exports');
+const { extractCodeStructure } = require('./services/code-structure');
+const { findQuestionTargets, groundQuestions } = require('./services/question-validation');
+const { locateEvidence } = require('./services/evidence');
+const { createLtiTool } = require('./services/lti');
+const createLtiRoutes = require('./routes/lti');
+const createLtiPlatformRoutes = require('./routes/lti-platforms');
+const createLlmQueueRoutes = require('./routes/llm-queue');
+const createRibbonSyncRoutes = require('./routes/ribbon-sync');
+const createQuestionReviewRoutes = require('./routes/question-reviews');
+const createChallengeRoutes = require('./routes/challenges');
+const { timeToSolve } = require('./services/challenges');
+const { createNotifier } = require('./services/notifications');
+const createNotificationRoutes = require('./routes/notifications');
+const { createEventHub } = require('./services/events');
+const { attachEventSocket } = require('./services/events/websocket');
+const createEventRoutes = require('./routes/events');
 
 const app = express();
 const PORT =  3000;
-const RIBBON_API_KEY = process.env.RIBBON_API_KEY;
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const RIBBON_BASE_URL = 'https://app.ribbon.ai/be-api/v1';
+const WEBHOOK_SECRET = process.env.INTERVIEW_WEBHOOK_SECRET;
+// Unanalyzed interviews queued per teacher dashboard request
+const BACKFILL_BATCH_SIZE = 100;
+// Where users reach this server, for links in LTI launches and emails
+const PUBLIC_URL = process.env.PUBLIC_URL || process.env.LTI_TOOL_URL || `http://localhost:${PORT}`;
 
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
+// Persistent storage for submissions, analyses and chat interviews
+const store = getStore();
+console.log(`📊 Loaded ${store.countAnalyses()} existing analysis results`);
 
-// Persistent storage for analysis results
-const ANALYSIS_FILE = path.join(__dirname, 'analysis_results.json');
+// Every model call waits its turn here, within the daily budgets
+const llmScheduler = initScheduler(store);
 
-// Load existing analysis results from file
-function loadAnalysisResults() {
-  try {
-    if (fs.existsSync(ANALYSIS_FILE)) {
-      const data = fs.readFileSync(ANALYSIS_FILE, 'utf8');
-      return new Map(JSON.parse(data));
-    }
-  } catch (error) {
-    console.error('Error loading analysis results:', error);
-  }
-  return new Map();
-}
+// LTI 1.3 tool: LMS launches, deep linking and grade passback
+const ltiTool = createLtiTool({ store, toolUrl: process.env.LTI_TOOL_URL || PUBLIC_URL });
 
-// Save analysis results to file
-function saveAnalysisResults(analysisMap) {
-  try {
-    const data = JSON.stringify([...analysisMap.entries()], null, 2);
-    fs.writeFileSync(ANALYSIS_FILE, data, 'utf8');
-    console.log(`💾 Saved analysis results to ${ANALYSIS_FILE}`);
-  } catch (error) {
-    console.error('Error saving analysis results:', error);
-  }
-}
+// Emails: interview links, reminders and teacher digests
+const notifier = createNotifier({ store, findInterview, appUrl: PUBLIC_URL });
 
-// Load persistent analysis results
-const persistentAnalysis = loadAnalysisResults();
-console.log(`📊 Loaded ${persistentAnalysis.size} existing analysis results`);
+// Live status updates pushed to the student portal and the teacher dashboard
+const eventHub = createEventHub({ snapshot: currentEventState });
 
 // Middleware
 app.use(cors());
-app.use(bodyParser.json());
+app.use(bodyParser.json({
+  // Room for multi-file submissions sent as a JSON list of files
+  limit: '2mb',
+  // Keep the raw body for webhook signature verification
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(express.static('public'));
 
+// Server-side JWT verification; sets req.user when a bearer token is sent
+const auth = createAuth({
+  jwksFile: process.env.AUTH_JWKS_FILE,
+  auth0Domain: process.env.AUTH0_DOMAIN,
+  issuer: process.env.AUTH_ISSUER,
+  audience: process.env.AUTH_AUDIENCE,
+  userinfoUrl: process.env.AUTH_USERINFO_URL,
+  rolesClaim: process.env.AUTH_ROLES_CLAIM || 'https://codefessor.app/roles',
+  adminEmails: process.env.ADMIN_EMAILS,
+  teacherEmails: process.env.TEACHER_EMAILS,
+  sessionTokens: ltiTool.keys.sessionTokens
+});
+app.use('/api', auth.authenticate);
+const { requireRole } = auth;
+
 // Serve index page by default (student portal)
 app.get('/', (req, res) => {
   res.sendFile(__dirname + '/public/index.html');
@@ -62,409 +98,524 @@ app.get('/homepage.html', (req, res) => {
   res.sendFile(__dirname + '/public/homepage.html');
 });
 
-// Store interview sessions (in production, use a database)
-const sessions = new Map();
+// Project structure handed to the LLM provider for multi-file submissions
+function buildProject(files) {
+  return files && files.length > 1 ? { tree: formatTree(files), files } : null;
+}
 
-// Helper function to generate code analysis questions using Gemini AI
-async function generateCodeQuestions(code, language) {
-  const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-  
-  const prompt = `
-You are an expert code reviewer helping assess code understanding. Analyze the following ${language} code and generate 6 specific, targeted questions that will help determine if the person truly understands their own code.
-
-**Code to analyze:**
-\`\`\`${language}
-${code}
-\`\`\`
-
-**Requirements for questions:**
-1. The first question should always be what the overall code does (not what a specific part or function does for the whole but what the code as a whole does) and its main purpose (can be paraphrased). 
-2. The second question should be how did you achieve your overall goal you wanted through the code and why did you choose this specific implementation (can also be paraphrased).
-3. Questions should be SPECIFIC to this exact code, not generic
-4. Focus on testing deep understanding of design decisions, logic, and implementation details
-5. Questions should reveal if someone actually wrote the code vs. just copied it
-6. Include questions about specific functions, variables, or logic patterns in THIS code
-7. Ask about potential issues, edge cases, or improvements specific to THIS implementation
-8. Keep questions focused strictly on the code - no personal or unrelated topics
-9. Frame questions as friendly code review discussion, not job interview questions
-
-**Question types to include:**
-- Ask about specific variable names, function names, or logic choices in their code
-- Question specific implementation decisions they made
-- Ask about potential bugs or edge cases in their specific code
-- Test understanding of how specific parts of their code work together
-- Ask about alternatives to their specific approach
-- Question specific error handling or lack thereof in their code
-
-**Output format:**
-Return exactly 6 questions as a JSON array of strings. Each question should reference specific elements from the provided code.
-
-Example format:
-["Question 1 about specific code element", "Question 2 about specific implementation", ...]
-
-Make the questions conversational and friendly, like a code review discussion. Focus on "Can you explain..." and "What happens if..." questions about their specific code.
-`;
-
-  const result = await model.generateContent(prompt);
-  const response = result.response;
-  const text = response.text();
-  
-  // Try to extract JSON array from response
-  const jsonMatch = text.match(/\[[\s\S]*\]/);
-  if (jsonMatch) {
-    const questions = JSON.parse(jsonMatch[0]);
-    if (Array.isArray(questions) && questions.length > 0) {
-      console.log(`Generated ${questions.length} tailored questions for ${language} code`);
-      return questions;
-    }
+// Helper function to generate code analysis questions using the configured LLM provider.
+// The student is waiting, so these calls go ahead of queued analyses. The
+// course or assignment template sets how many the model writes around the
+// teacher's required questions. Generated questions that don't name anything
+// in the parsed code, or repeat another question, are regenerated once and
+// then replaced with questions about code nothing else covers.
+async function generateCodeQuestions(code, language, project = null, template = DEFAULT_TEMPLATE) {
+  const count = generatedCount(template);
+  if (count === 0) {
+    return template.requiredQuestions;
   }
-  
-  throw new Error('Failed to generate valid questions from Gemini API');
+
+  const provider = getProvider();
+  const generated = await provider.generateQuestions(code, language, project, { priority: 'interactive', template });
+  const structure = await extractCodeStructure(code, language, project?.files);
+  const { questions: grounded, checks } = await groundQuestions(generated.slice(0, count), structure, {
+    fixedCount: template.includeOverview ? 2 : 0,
+    asked: template.requiredQuestions,
+    focusAreas: template.focusAreas,
+    regenerate: (replacements, { avoid, targets }) => provider.generateQuestions(code, language, project, {
+      priority: 'interactive',
+      template: { ...template, questionCount: replacements, requiredQuestions: [], includeOverview: false },
+      avoid,
+      targets
+    })
+  });
+  const questions = composeQuestions(template, grounded);
+  console.log(`Generated ${grounded.length} tailored questions for ${language} code (${questions.length} in the interview, ${checks.filter(check => check.targets.length > 0).length} tied to parsed ${structure.parser} code)`);
+  return questions;
 }
 
-// Create interview flow for code review
-async function createInterviewFlow(code, language, studentName) {
+// Which parts of the code each question targets, stored with the
+// submission. Worked out from the final questions, so teacher edits count.
+async function locateQuestionTargets(questions, code, language, files) {
   try {
-    console.log(`Creating interview flow for ${studentName} - ${language}`);
-    const questions = await generateCodeQuestions(code, language);
-    console.log(`Generated questions:`, questions);
-    
-    const flowData = {
-      org_name: "Codefessor",
-      title: `Code Understanding Assessment - ${language}`,
-      questions: questions,
-      interview_type: "recruitment",
-      is_video_enabled: true
-    };
-    
-    console.log(`Sending flow data to Ribbon API:`, JSON.stringify(flowData, null, 2));
-    
-    const response = await axios.post(`${RIBBON_BASE_URL}/interview-flows`, flowData, {
-      headers: {
-        'Authorization': `Bearer ${RIBBON_API_KEY}`,
-        'Content-Type': 'application/json',
-        'Accept': 'application/json'
-      }
-    });
-    
-    console.log(`Interview flow created successfully:`, response.data);
-    return response.data.interview_flow_id;
+    const structure = await extractCodeStructure(code, language, files);
+    return questions.map(question => findQuestionTargets(question, structure));
   } catch (error) {
-    console.error('Error creating interview flow:', error.response?.data || error.message);
-    console.error('Full error response:', error.response);
-    throw error;
+    console.error('Failed to locate question targets:', error);
+    return null;
   }
 }
 
-// Create interview session
-async function createInterview(interviewFlowId, studentEmail, studentName) {
-  try {
-    const [firstName, ...lastNameParts] = studentName.split(' ');
-    const lastName = lastNameParts.join(' ') || '';
-    
-    const response = await axios.post(`${RIBBON_BASE_URL}/interviews?limit=1000`, {
-      interview_flow_id: interviewFlowId,
-      interviewee_email_address: studentEmail,
-      interviewee_first_name: firstName,
-      interviewee_last_name: lastName
-    }, {
-      headers: {
-        'Authorization': `Bearer ${RIBBON_API_KEY}`,
-        'Content-Type': 'application/json',
-        'Accept': 'application/json'
-      }
-    });
-    
-    return response.data;
-  } catch (error) {
-    console.error('Error creating interview:', error.response?.data || error.message);
-    throw error;
-  }
+// Student info stored alongside each analysis
+function buildStudentInfo(session) {
+  return {
+    name: session?.studentName || 'Unknown Student',
+    email: session?.studentEmail || 'Unknown Email',
+    language: session?.language || 'Unknown',
+    code: session?.code || null
+  };
 }
 
-// Get interview results
-async function getInterviewResults(interviewId) {
-  try {
-    console.log(`Making request to Ribbon API for interviews...`);
-    console.log(`Looking for interview ID: ${interviewId}`);
-    
-    const response = await axios.get(`${RIBBON_BASE_URL}/interviews?limit=1000`, {
-      headers: {
-        'Authorization': `Bearer ${RIBBON_API_KEY}`,
-        'Accept': 'application/json'
-      }
-    });
-    
-    console.log(`Ribbon API response received, ${response.data.interviews?.length || 0} interviews found`);
-    
-    // Log all interview IDs for debugging
-    if (response.data.interviews) {
-      console.log('Available interview IDs:', response.data.interviews.map(i => i.interview_data?.interview_id || i.interview_id));
-      
-      // Log the full structure of the first interview for debugging
-      if (response.data.interviews.length > 0) {
-        console.log('Sample interview structure:', JSON.stringify(response.data.interviews[0], null, 2));
-      }
-    }
-    
-    const interview = response.data.interviews?.find(
-      interview => (interview.interview_data?.interview_id || interview.interview_id) === interviewId
-    );
-    
-    if (interview) {
-      // Handle nested structure: status might be at root level or in interview_data
-      const interviewData = interview.interview_data || interview;
-      const status = interview.status || interview.interview_data?.status;
-      const flowId = interview.interview_flow_id || interview.interview_data?.interview_flow_id;
-      
-      console.log(`Found interview with status: ${status}`);
-      console.log(`Interview flow ID: ${flowId}`);
-      
-      // Return a normalized structure with status at the top level
-      const normalizedData = {
-        ...interviewData,
-        status: status,
-        interview_flow_id: flowId,
-        interview_id: interviewData.interview_id || interview.interview_id
-      };
-      
-      return normalizedData;
-    } else {
-      console.log(`Interview with ID ${interviewId} not found in API response`);
-      console.log(`Searched for: ${interviewId}`);
-    }
-    
-    return null;
-  } catch (error) {
-    console.error('Error getting interview results:', error.response?.data || error.message);
-    console.error('Full error:', error);
-    throw error;
+// Compare a submission with the same student's earlier analyzed submissions
+function compareWithStudentHistory(session, interviewScore) {
+  if (!session?.studentEmail || !session.code) return null;
+  
+  const history = store.listSubmissionsByStudent(session.studentEmail)
+    .filter(previous => previous.interviewId !== session.interviewId && previous.createdAt < session.createdAt && previous.code)
+    .map(previous => ({ previous, analysis: store.getAnalysis(previous.interviewId) }))
+    // Failed or placeholder analyses say nothing about the student
+    .filter(({ analysis }) => analysis && !isFailedAnalysis(analysis))
+    .map(({ previous, analysis }) => ({
+      code: previous.code,
+      language: previous.language,
+      interviewScore: analysis.llmScore ?? analysis.score
+    }));
+  
+  return compareToBaseline({ code: session.code, language: session.language, interviewScore }, history);
+}
+
+// Hash of everything an analysis reads, so versions can tell a changed
+// submission or transcript apart from a changed model or prompt
+function hashAnalysisInputs(session, transcript, files) {
+  return crypto.createHash('sha256').update(JSON.stringify({
+    code: session?.code || null,
+    language: session?.language || null,
+    questions: session?.questions || [],
+    files: files.map(file => [file.path, file.content]),
+    transcript
+  })).digest('hex');
+}
+
+// Analyze one completed interview and store the result as a new analysis
+// version with the student's info. Only called from the analysis queue.
+async function analyzeInterview(interviewId, { reason, requestedBy, priority } = {}) {
+  publishInterviewState(interviewId, 'analyzing');
+  const session = store.getSubmission(interviewId);
+  const interviewData = await findInterview(interviewId, session?.backend, { refresh: true });
+  
+  if (!interviewData || interviewData.status !== 'completed') {
+    throw new Error(`Interview ${interviewId} is not completed (status: ${interviewData?.status || 'not found'})`);
   }
+  
+  store.saveInterviewResult(interviewId, {
+    status: interviewData.status,
+    transcript: interviewData.transcript,
+    completedAt: interviewData.completed_at
+  });
+  
+  const files = store.listSubmissionFiles(interviewId);
+  const project = buildProject(files);
+  const aiAnalysis = await analyzeForAIDetection(interviewData, session?.code || null, {
+    language: session?.language,
+    project,
+    questions: session?.questions,
+    questionTargets: session?.questionTargets,
+    priority
+  });
+  // How this submission compares with the student's earlier work, folded into confidence
+  const baseline = compareWithStudentHistory(session, aiAnalysis.llmScore);
+  const { confidence, adjustment } = adjustConfidence(aiAnalysis.confidence, aiAnalysis.score, baseline);
+  
+  const analysis = {
+    ...aiAnalysis,
+    status: aiAnalysis.geminiAnalysis === false ? 'failed' : 'completed',
+    // What produced this result, for comparing versions
+    provenance: {
+      provider: aiAnalysis.provider || null,
+      model: aiAnalysis.model || null,
+      promptVersion: aiAnalysis.promptVersion || null,
+      stylometryVersion: aiAnalysis.stylometry?.version || null,
+      baselineVersion: baseline?.version || null,
+      inputsHash: hashAnalysisInputs(session, interviewData.transcript, files)
+    },
+    confidence,
+    baseline: baseline && { ...baseline, confidenceBefore: aiAnalysis.confidence, confidenceAdjustment: adjustment },
+    studentInfo: buildStudentInfo(session),
+    analyzedAt: new Date().toISOString(),
+    interviewId: interviewId
+  };
+  
+  const saved = store.saveAnalysis(interviewId, analysis, { reason, requestedBy });
+  publishInterviewState(interviewId, analysis.status === 'failed' ? 'failed' : 'analyzed');
+  postLtiReviewStatus(interviewId);
+  return saved;
 }
 
-// Analyze interview for AI detection using Gemini AI
-async function analyzeForAIDetection(interviewData, originalCode) {
-  if (!interviewData || !interviewData.transcript) {
-    return {
-      score: 0,
-      confidence: 'unknown',
-      aiLikelihood: 'unknown',
-      reasoning: 'No interview data available',
-      geminiAnalysis: false
-    };
+// Tell the LMS gradebook about the interview's review status, for
+// submissions made through an LTI launch. Never blocks the caller.
+function postLtiReviewStatus(interviewId) {
+  ltiTool.grades.postReviewStatus(interviewId)
+    .catch(error => console.error(`⚠️ LTI grade passback failed for interview ${interviewId}:`, error.message));
+}
+
+// Placeholder stored once an interview's analysis job has run out of attempts.
+// The analysis queue retries these later.
+function storeFailedAnalysis(interviewId, error, { reason, requestedBy } = {}) {
+  const quotaExceeded = isQuotaError(error);
+  if (quotaExceeded) {
+    console.log(`⚠️ LLM quota exceeded, storing interview ${interviewId} without AI analysis until ${error.retryAfter}`);
   }
+  
+  const analysis = {
+    score: 0,
+    aiLikelihood: quotaExceeded ? 'Analysis unavailable (quota exceeded)' : 'analysis failed',
+    confidence: quotaExceeded ? 'pending' : 'error',
+    reasoning: quotaExceeded
+      ? `${error.message}. The analysis will be retried automatically.`
+      : `Analysis failed: ${error.message}. The analysis will be retried automatically.`,
+    redFlags: [],
+    humanIndicators: [],
+    keyObservations: quotaExceeded ? ['AI analysis temporarily unavailable due to quota limits'] : [],
+    geminiAnalysis: false,
+    status: 'failed',
+    failureKind: quotaExceeded ? 'quota' : 'error',
+    // When the LLM scheduler expects calls to succeed again
+    retryAfter: quotaExceeded ? error.retryAfter : null,
+    // Store student info even when analysis fails
+    studentInfo: buildStudentInfo(store.getSubmission(interviewId)),
+    analyzedAt: new Date().toISOString(),
+    interviewId: interviewId
+  };
+  
+  const saved = store.saveAnalysis(interviewId, analysis, { reason, requestedBy });
+  publishInterviewState(interviewId, 'failed');
+  return saved;
+}
 
+const analysisQueue = createAnalysisQueue({
+  store,
+  concurrency: llmScheduler.concurrency,
+  analyze: analyzeInterview,
+  onFailure: storeFailedAnalysis
+});
 
+// Whether the signed-in user may see this interview and its submission
+function canViewInterview(user, interviewId) {
+  const submission = store.getSubmission(interviewId);
+  const course = submission?.courseId ? store.getCourse(submission.courseId) : null;
+  return canViewSubmission(user, submission, course);
+}
 
-  try {
-    const model = genAI.getGenerativeModel({ model: "gemini-1.5-flash" });
-    
-    const prompt = `
-You are an expert at detecting whether code was written by a human or generated by AI tools like ChatGPT, Claude, etc.
-
-Analyze the following code and interview transcript to determine if the code was likely written by AI or by a human.
-
-**Original Code:**
-\`\`\`
-${originalCode || 'Code not available'}
-\`\`\`
-
-**Interview Transcript:**
-"${interviewData.transcript}"
-
-**Analysis Instructions:**
-1. **Code Analysis:** Look for signs of AI-generated code:
-   - Overly perfect structure and formatting
-   - Generic variable names (e.g., data, result, temp)
-   - Excessive comments or no comments at all
-   - Lack of personal coding style or quirks
-   - Too-perfect error handling
-   - Generic solutions without specific optimizations
-
-2. **Interview Analysis:** Evaluate the responses for:
-   - **Hesitation vs Confidence:** Does the person seem uncertain about their own code?
-   - **Deep Understanding:** Can they explain WHY they made specific decisions?
-   - **Personal Experience:** Do they mention struggles, debugging, or iterations?
-   - **Specific Knowledge:** Can they discuss edge cases, limitations, or alternative approaches?
-   - **Generic Responses:** Are answers too perfect or could apply to any code?
-   - **Technical Depth:** Do they understand the underlying concepts or just surface-level?
-   - **Link with Code:** Do their explanations match the code structure and logic?
-
-3. **Red Flags for AI Generation:**
-   - Can't explain specific design choices
-   - Hesitant when asked about debugging process
-   - Generic explanations that could apply to any code
-   - No mention of personal coding challenges or iterations
-   - Perfect explanations without personal touch
-   - Unable to discuss what they would change or improve
-
-4. **Human Indicators:**
-   - Personal anecdotes about writing the code
-   - Mentions of debugging, struggles, or multiple attempts
-   - Specific reasons for design decisions
-   - Knowledge of limitations or potential improvements
-   - Coding style quirks or personal preferences
-   - Ability to discuss alternative approaches they considered
-
-**Required Output Format (JSON only):**
-{
-  "score": [number from 0-100, where 0=definitely AI-generated, 100=definitely human-written],
-  "confidence": "[low/medium/high/indecisive]",
-  "reasoning": "[detailed explanation of your analysis]",
-  "redFlags": ["list of specific concerns suggesting AI generation"],
-  "humanIndicators": ["list of specific signs suggesting human authorship"],
-  "keyObservations": ["important patterns you noticed in code or interview"],
-  "indecisive": [true/false, true if there is not enough information to make a confident judgment, or if the code is so basic that either AI or human could have written it],
-  "suspiciousPhrases": [
-    {
-      "text": "exact suspicious phrase",
-      "type": "code" | "transcript",
-      "reason": "why this phrase is suspicious"
-    },
-    ...
-  ]
+function interviewEventData(interviewId, state) {
+  const submission = store.getSubmission(interviewId);
+  return {
+    interviewId,
+    state,
+    courseId: submission?.courseId || null,
+    assignmentId: submission?.assignmentId || null
+  };
 }
 
-In addition to your previous instructions, scan both the code and transcript for any highly suspicious phrases or patterns that strongly suggest AI generation (e.g., generic explanations, overly formal language, repeated AI-like patterns, or code comments that match known AI output). For each, add an object to "suspiciousPhrases" with the exact phrase, whether it was found in the code or transcript, and a brief reason.
-`;
+function reviewEventData(review) {
+  return {
+    reviewId: review.id,
+    state: review.status,
+    interviewId: review.interviewId || null,
+    courseId: review.courseId || null,
+    assignmentId: review.assignmentId || null
+  };
+}
 
-    const result = await model.generateContent(prompt);
-    const response = result.response;
-    const text = response.text();
-    
-    console.log('Gemini AI Response:', text); // Debug log
-    
-    // Try to extract JSON from the response
-    let geminiAnalysis;
-    try {
-      // Look for JSON in the response
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        geminiAnalysis = JSON.parse(jsonMatch[0]);
-      } else {
-        throw new Error('No JSON found in response');
-      }
-    } catch (parseError) {
-      console.log('Could not parse Gemini JSON response, creating structured response from text');
-      geminiAnalysis = {
-        score: extractScoreFromText(text),
-        confidence: extractConfidenceFromText(text),
-        reasoning: text,
-        redFlags: [],
-        humanIndicators: [],
-        keyObservations: []
-      };
-    }
+// Push an interview's new state to the student who owns it and the teachers
+// who can see it
+function publishInterviewState(interviewId, state) {
+  eventHub.publish('interview', interviewEventData(interviewId, state), user => canViewInterview(user, interviewId));
+}
 
-    // Ensure score is within bounds
-    geminiAnalysis.score = Math.max(0, Math.min(100, geminiAnalysis.score || 50));
-
-    // Determine AI likelihood based on score and indecisive/confidence
-    let aiLikelihood;
-    if (geminiAnalysis.indecisive || geminiAnalysis.confidence === 'indecisive') {
-      aiLikelihood = 'indecisive';
-    } else if (geminiAnalysis.score >= 70) {
-      aiLikelihood = 'likely human-written';
-    } else if (geminiAnalysis.score >= 50) {
-      aiLikelihood = 'possibly human-written';
-    } else if (geminiAnalysis.score >= 30) {
-      aiLikelihood = 'possibly AI-generated';
-    } else {
-      aiLikelihood = 'likely AI-generated';
-    }
+function publishReviewState(review) {
+  const course = store.getCourse(review.courseId);
+  eventHub.publish('question_review', reviewEventData(review), user => canViewSubmission(user, review, course));
+}
 
-    return {
-      score: geminiAnalysis.score,
-      confidence: geminiAnalysis.confidence || 'medium',
-      aiLikelihood,
-      reasoning: geminiAnalysis.reasoning || 'Analysis completed',
-      redFlags: geminiAnalysis.redFlags || [],
-      humanIndicators: geminiAnalysis.humanIndicators || [],
-      keyObservations: geminiAnalysis.keyObservations || [],
-      geminiAnalysis: true,
-      transcriptLength: interviewData.transcript.length,
-      suspiciousPhrases: geminiAnalysis.suspiciousPhrases || [],
-    };
+// The interview is done; its analysis comes next. Reported once, when the
+// analysis is first queued, however many ways the completion reaches us.
+function interviewCompleted(interviewId) {
+  if (analysisQueue.enqueue(interviewId)) {
+    publishInterviewState(interviewId, 'completed');
+  }
+}
 
-  } catch (error) {
-    console.error('Gemini AI analysis failed:', error);
-    throw error; // Don't fall back, just throw the error
+// Ribbon interviews change state on Ribbon's side; the mirror's sync notices
+onInterviewStatusChange((interviewId, status) => {
+  if (status === 'in_progress') publishInterviewState(interviewId, 'started');
+  if (status === 'completed') interviewCompleted(interviewId);
+});
+
+// Where an interview stands, with the statuses of GET /api/interview-status.
+// Only reads: without webhooks the backend is asked, and a change it reports
+// is published by whoever records it (the chat routes or the Ribbon sync).
+async function checkInterviewStatus(interviewId) {
+  const session = store.getSubmission(interviewId);
+  const analysis = store.getAnalysis(interviewId);
+  if (analysis) {
+    return { status: 'completed', analysis };
+  }
+  if (analysisQueue.getJob(interviewId)) {
+    return { status: 'analyzing' };
+  }
+  
+  // With webhooks configured, Ribbon tells us when an interview completes
+  if (WEBHOOK_SECRET && session?.backend !== 'chat') {
+    return { status: 'pending' };
+  }
+  
+  const interviewData = await findInterview(interviewId, session?.backend);
+  if (!interviewData) {
+    return { status: 'pending' };
+  }
+  if (interviewData.status !== 'completed') {
+    return { status: interviewData.status };
+  }
+  
+  // Normally queued when the completion was recorded; this catches any that weren't
+  interviewCompleted(interviewId);
+  return { status: 'analyzing' };
+}
+
+// Current state of the interview or question review a live stream watches
+async function currentEventState({ interviewId, reviewId }) {
+  const at = new Date().toISOString();
+  if (reviewId) {
+    const review = store.getQuestionReview(reviewId);
+    return review && { type: 'question_review', data: { ...reviewEventData(review), at } };
+  }
+  
+  const { status, analysis } = await checkInterviewStatus(interviewId);
+  const state = {
+    completed: analysis?.status === 'failed' ? 'failed' : 'analyzed',
+    analyzing: 'analyzing',
+    in_progress: 'started'
+  }[status] || 'created';
+  return { type: 'interview', data: { ...interviewEventData(interviewId, state), at } };
+}
+
+// A live stream may watch one interview or question review the user can
+// see; everything else is filtered per event
+function canWatchEvents(user, { interviewId, reviewId }) {
+  if (interviewId && !canViewInterview(user, interviewId)) return false;
+  if (reviewId) {
+    const review = store.getQuestionReview(reviewId);
+    if (!review || !canViewSubmission(user, review, store.getCourse(review.courseId))) return false;
   }
+  return true;
 }
 
-// Helper function to convert detailed AI likelihood to simplified teacher view
-function getTeacherAILikelihood(score, confidence, indecisive) {
-  if (indecisive || confidence === 'indecisive') {
-    return 'indecisive';
-  } else if (score >= 50) {
-    return 'likely human-written';
-  } else {
-    return 'likely AI-generated';
+// Fingerprint a new submission against other students' submissions to the
+// same assignment (or, without an assignment, in the same language). A
+// failure here never blocks the submission.
+function checkSimilarity(submission) {
+  try {
+    const email = submission.studentEmail?.toLowerCase();
+    const peers = store.listPeerSubmissions(submission)
+      .filter(peer => peer.code && !(email && peer.studentEmail?.toLowerCase() === email));
+    const matches = compareWithGroup(submission, peers).filter(match => match.matchedFingerprints > 0);
+    store.saveSimilarityMatches(matches);
+
+    const similar = matches.filter(match => match.score >= DEFAULT_MIN_SCORE);
+    if (similar.length > 0) {
+      console.log(`👥 Interview ${submission.interviewId} is similar to ${similar.length} other submissions (top score ${Math.max(...similar.map(match => match.score))})`);
+    }
+  } catch (error) {
+    console.error(`Similarity check failed for ${submission.interviewId}:`, error.message);
   }
 }
 
-// Helper functions for text parsing
-function extractScoreFromText(text) {
-  const scoreMatch = text.match(/score[\":\s]*(\d+)/i);
-  if (scoreMatch) {
-    return parseInt(scoreMatch[1]);
+// Create the interview for a submission whose questions are final (generated
+// at submit, or approved by the teacher) and store the submission. Falls
+// back to a text-chat interview when Ribbon is down.
+async function startInterview({ questions, code, language, files, studentName, studentEmail, studentId, interviewMode, courseId, assignmentId }) {
+  const requestedBackend = interviewMode || getDefaultBackendName();
+  let backendName = requestedBackend;
+  let interview;
+  try {
+    interview = await getInterviewBackend(backendName).createInterview({
+      questions, code, language, studentName, studentEmail
+    });
+  } catch (backendError) {
+    // Students can still be interviewed over text chat when Ribbon is down
+    if (backendName !== 'ribbon' || process.env.INTERVIEW_FALLBACK === 'false') {
+      throw backendError;
+    }
+    console.log(`⚠️ Ribbon unavailable (${backendError.message}), falling back to text-chat interview`);
+    backendName = 'chat';
+    interview = await getInterviewBackend('chat').createInterview({
+      questions, code, language, studentName, studentEmail
+    });
   }
   
-  // Look for percentage
-  const percentMatch = text.match(/(\d+)%/);
-  if (percentMatch) {
-    return parseInt(percentMatch[1]);
+  // Store submission data
+  const sessionId = interview.interviewId;
+  const submission = {
+    interviewId: sessionId,
+    code,
+    language,
+    studentName,
+    studentEmail,
+    interviewFlowId: interview.interviewFlowId,
+    backend: backendName,
+    questions,
+    questionTargets: await locateQuestionTargets(questions, code, language, files),
+    studentId,
+    courseId: courseId || null,
+    assignmentId: assignmentId || null,
+    interviewLink: interview.interviewLink,
+    createdAt: new Date().toISOString()
+  };
+  store.saveSubmission(submission);
+  publishInterviewState(sessionId, 'created');
+  if (files) {
+    store.saveSubmissionFiles(sessionId, files);
+    console.log(`📁 Stored ${files.length} project files for interview ${sessionId}`);
   }
+  checkSimilarity(submission);
+  // The link also goes out by email so closing the tab doesn't lose it
+  notifier.sendInterviewLink(submission)
+    .catch(error => console.error(`⚠️ Could not email the interview link for ${sessionId}:`, error.message));
   
-  return 50; // Default neutral score
+  return {
+    interviewId: sessionId,
+    interviewLink: interview.interviewLink,
+    interviewMode: backendName,
+    fallback: backendName !== requestedBackend
+  };
 }
 
-function extractConfidenceFromText(text) {
-  if (text.toLowerCase().includes('high confidence') || text.toLowerCase().includes('very confident')) {
-    return 'high';
-  } else if (text.toLowerCase().includes('low confidence') || text.toLowerCase().includes('uncertain')) {
-    return 'low';
+// Project archives are held in memory and unpacked by services/project-files
+const archiveUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: LIMITS.maxArchiveBytes, files: 1 }
+}).single('archive');
+
+function receiveArchive(req, res, next) {
+  archiveUpload(req, res, error => {
+    if (error) {
+      return res.status(400).json({ error: 'Invalid upload', details: error.message });
+    }
+    next();
+  });
+}
+
+// Files of a multi-file submission: an uploaded archive or a JSON list of
+// { path, content }. Returns null for a single pasted snippet.
+async function readSubmissionFiles(req) {
+  if (req.file) {
+    return extractArchive(req.file.buffer, req.file.originalname);
+  }
+  if (req.body.files) {
+    const files = typeof req.body.files === 'string' ? JSON.parse(req.body.files) : req.body.files;
+    return normalizeFiles(files);
   }
-  return 'medium';
+  return null;
 }
 
 // Routes
 
 // Submit code and create interview
-app.post('/api/submit-code', async (req, res) => {
+app.post('/api/submit-code', requireRole('student'), receiveArchive, async (req, res) => {
   try {
-    const { code, language, studentName, studentEmail } = req.body;
+    const { interviewMode, assignmentId } = req.body;
+    // Who is submitting comes only from the verified sign-in, never the form
+    const studentEmail = req.user.email;
+    const studentName = req.user.name || studentEmail;
+    if (!studentEmail) {
+      return res.status(403).json({ error: 'Your sign-in did not provide an email address', details: 'Sign in again, or ask your administrator to include the email claim in access tokens' });
+    }
+    
+    let files;
+    try {
+      files = await readSubmissionFiles(req);
+    } catch (fileError) {
+      return res.status(400).json({ error: 'Invalid project files', details: fileError.message });
+    }
+    const code = files ? combineFiles(files) : req.body.code;
+    const language = req.body.language || (files ? primaryLanguage(files) : null);
     
     if (!code || !language || !studentName || !studentEmail) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
+    if (!files && Buffer.byteLength(code) > LIMITS.maxFileBytes) {
+      return res.status(400).json({ error: 'Code is too large', details: `Pasted code must be at most ${LIMITS.maxFileBytes / 1024} KB` });
+    }
     
-    // Create interview flow
-    const interviewFlowId = await createInterviewFlow(code, language, studentName);
+    // Submissions against an assignment must respect its course enrollment,
+    // due date and language restrictions
+    const assignment = assignmentId ? store.getAssignment(assignmentId) : null;
+    if (assignmentId && !assignment) {
+      return res.status(400).json({ error: 'Unknown assignment' });
+    }
+    if (assignment) {
+      if (!hasRole(req.user, 'teacher') && !store.isEnrolled(assignment.courseId, studentEmail)) {
+        return res.status(403).json({ error: 'You are not enrolled in the course for this assignment' });
+      }
+      if (assignment.dueAt && new Date(assignment.dueAt) < new Date()) {
+        return res.status(400).json({ error: 'The due date for this assignment has passed', details: assignment.dueAt });
+      }
+      const languages = files
+        ? [...new Set(files.map(file => file.language).filter(lang => lang !== 'other'))]
+        : [language];
+      if (assignment.allowedLanguages.length > 0 && languages.some(lang => !assignment.allowedLanguages.includes(lang))) {
+        return res.status(400).json({
+          error: 'This language is not allowed for this assignment',
+          details: `Allowed: ${assignment.allowedLanguages.join(', ')}`
+        });
+      }
+    }
     
-    // Create interview
-    const interview = await createInterview(interviewFlowId, studentEmail, studentName);
+    const { template } = resolveTemplate(store, { courseId: assignment?.courseId, assignmentId: assignment?.id });
+    const questions = await generateCodeQuestions(code, language, buildProject(files), template);
     
-    // Store session data
-    const sessionId = interview.interview_id;
-    sessions.set(sessionId, {
-      code,
-      language,
-      studentName,
-      studentEmail,
-      interviewFlowId,
-      createdAt: new Date()
-    });
+    const fileSummary = files ? files.map(({ path, language, size }) => ({ path, language, size })) : undefined;
+    const details = {
+      questions, code, language, files, studentName, studentEmail,
+      studentId: req.user.id,
+      interviewMode,
+      courseId: assignment?.courseId || null,
+      assignmentId: assignment?.id || null
+    };
+    
+    // The teacher approves (and may edit) the questions before the
+    // interview exists; the student hears the outcome on /api/events
+    if (template.requireApproval) {
+      const review = store.createQuestionReview({
+        ...details,
+        id: crypto.randomUUID(),
+        generatedQuestions: questions
+      });
+      publishReviewState(review);
+      console.log(`📝 Questions for ${studentEmail} are waiting for teacher approval (review ${review.id})`);
+      return res.status(202).json({
+        success: true,
+        status: 'pending_review',
+        reviewId: review.id,
+        message: 'Your teacher reviews the interview questions before the interview starts. Your interview link appears here once they are approved.',
+        language,
+        files: fileSummary
+      });
+    }
+    
+    const interview = await startInterview(details);
     
     res.json({
       success: true,
-      sessionId,
-      interviewLink: interview.interview_link,
-      interviewId: interview.interview_id
+      sessionId: interview.interviewId,
+      interviewLink: interview.interviewLink,
+      interviewId: interview.interviewId,
+      interviewMode: interview.interviewMode,
+      fallback: interview.fallback,
+      language,
+      files: fileSummary
     });
     
   } catch (error) {
     console.error('Error in submit-code:', error);
+    if (isQuotaError(error)) {
+      res.set('Retry-After', String(Math.max(1, Math.ceil((new Date(error.retryAfter) - Date.now()) / 1000))));
+      return res.status(503).json({
+        error: 'Question generation is temporarily unavailable',
+        details: error.message,
+        retryAfter: error.retryAfter
+      });
+    }
     res.status(500).json({ 
       error: 'Failed to create interview',
       details: error.message 
@@ -473,71 +624,51 @@ app.post('/api/submit-code', async (req, res) => {
 });
 
 // Get interview status and results
-app.get('/api/interview-status/:interviewId', async (req, res) => {
+app.get('/api/interview-status/:interviewId', requireRole('student'), async (req, res) => {
   try {
     const { interviewId } = req.params;
     console.log(`\n=== Checking interview status for: ${interviewId} ===`);
     
-    const session = sessions.get(interviewId);
+    if (!canViewInterview(req.user, interviewId)) {
+      return res.status(403).json({ error: 'You do not have access to this interview' });
+    }
     
-    // First, try to get interview data from Ribbon API
-    console.log(`Getting interview results from Ribbon API...`);
-    const interviewData = await getInterviewResults(interviewId);
+    const session = store.getSubmission(interviewId);
+    const { status, analysis } = await checkInterviewStatus(interviewId);
     
-    if (!interviewData) {
-      console.log(`⏳ No interview data found - interview may not be completed yet`);
+    if (status === 'analyzing') {
       return res.json({ 
-        status: 'pending',
-        message: 'Interview not completed yet. Please complete the interview and wait a moment.' 
+        status: 'analyzing',
+        message: 'Interview completed. Analysis is in progress.' 
       });
     }
-    
-    console.log(`📊 Interview data found, status: ${interviewData.status}`);
-    
-    if (interviewData.status !== 'completed') {
-      console.log(`⏳ Interview status is: ${interviewData.status}`);
+    if (status === 'pending') {
       return res.json({ 
-        status: interviewData.status,
-        message: `Interview status: ${interviewData.status}. Please wait for completion.` 
+        status: 'pending',
+        message: 'Interview not completed yet. Please complete the interview and wait a moment.' 
       });
     }
-    
-    // If no session data (server restarted), create minimal analysis
-    if (!session) {
-      console.log(`⚠️ Session not found, but interview completed. Creating analysis without original code context.`);
-      
-      // Analyze without original code (Gemini can still analyze the transcript)
-      const analysis = await analyzeForAIDetection(interviewData, null);
-      
-      res.json({
-        status: 'completed',
-        analysis,
-        transcript: interviewData.transcript,
-        originalCode: null,
-        studentInfo: {
-          name: 'Unknown Student',
-          language: 'Unknown'
-        },
-        note: 'Session data was lost. Analysis performed without original code context.'
+    if (!analysis) {
+      console.log(`⏳ Interview status is: ${status}`);
+      return res.json({ 
+        status,
+        message: `Interview status: ${status}. Please wait for completion.` 
       });
-      return;
     }
     
-    // Normal case with session data
-    console.log(`✅ Session found for ${session.studentName}`);
-    console.log(`🔍 Analyzing completed interview with Gemini AI...`);
-    const analysis = await analyzeForAIDetection(interviewData, session.code);
-    console.log(`✅ Analysis complete - Score: ${analysis.score}`);
+    const result = store.getInterviewResult(interviewId);
+    const studentInfo = analysis.studentInfo || buildStudentInfo(session);
     
     res.json({
       status: 'completed',
       analysis,
-      transcript: interviewData.transcript,
-      originalCode: session.code,
+      transcript: result?.transcript || null,
+      originalCode: studentInfo.code,
       studentInfo: {
-        name: session.studentName,
-        language: session.language
-      }
+        name: studentInfo.name,
+        language: studentInfo.language
+      },
+      ...(session ? {} : { note: 'Session data was lost. Analysis performed without original code context.' })
     });
     
   } catch (error) {
@@ -560,25 +691,17 @@ app.get('/api/health', (req, res) => {
 });
 
 // Test Ribbon API connection
-app.get('/api/test-ribbon', async (req, res) => {
+app.get('/api/test-ribbon', requireRole('admin'), async (req, res) => {
   try {
     console.log('Testing Ribbon API connection...');
-    const response = await axios.get(`${RIBBON_BASE_URL}/interviews`, {
-      headers: {
-        'Authorization': `Bearer ${RIBBON_API_KEY}`,
-        'Accept': 'application/json'
-      }
-    });
+    const ribbon = getInterviewBackend('ribbon');
+    await ribbon.checkConnection();
     
     res.json({ 
       status: 'OK', 
       message: 'Ribbon API connection successful',
-      interviewCount: response.data.interviews?.length || 0,
-      interviews: response.data.interviews?.map(i => ({
-        id: i.interview_data?.interview_id || i.interview_id,
-        flowId: i.interview_data?.interview_flow_id || i.interview_flow_id,
-        status: i.interview_data?.status || i.status
-      })) || []
+      // Interviews and flows in the local mirror, and the last sync
+      mirror: ribbon.sync.status()
     });
   } catch (error) {
     console.error('Ribbon API test failed:', error.response?.data || error.message);
@@ -591,22 +714,22 @@ app.get('/api/test-ribbon', async (req, res) => {
 });
 
 // Manual interview check - useful for debugging
-app.get('/api/manual-check/:interviewId', async (req, res) => {
+app.get('/api/manual-check/:interviewId', requireRole('admin'), async (req, res) => {
   try {
     const { interviewId } = req.params;
     console.log(`Manual check for interview: ${interviewId}`);
     
-    const interviewData = await getInterviewResults(interviewId);
+    const interviewData = await findInterview(interviewId, store.getSubmission(interviewId)?.backend, { refresh: true });
     
     if (!interviewData) {
       return res.json({
         found: false,
-        message: 'Interview not found in Ribbon API'
+        message: 'Interview not found in interview backend'
       });
     }
     
-    // Create analysis even without session data
-    const analysis = analyzeForAIDetection(interviewData, null);
+    // Report the stored analysis rather than running a new one
+    const analysis = store.getAnalysis(interviewId);
     
     res.json({
       found: true,
@@ -615,7 +738,8 @@ app.get('/api/manual-check/:interviewId', async (req, res) => {
       status: interviewData.status,
       analysis,
       transcript: interviewData.transcript,
-      note: 'Manual check - no original code context available'
+      analysisJob: analysisQueue.getJob(interviewId),
+      note: 'Manual check - analysis is only present once the analysis queue has processed this interview'
     });
     
   } catch (error) {
@@ -628,7 +752,7 @@ app.get('/api/manual-check/:interviewId', async (req, res) => {
 });
 
 // New endpoint for enhanced AI detection analysis
-app.post('/api/analyze-ai-detection', async (req, res) => {
+app.post('/api/analyze-ai-detection', requireRole('teacher'), async (req, res) => {
   try {
     const { code, transcript, language, studentName } = req.body;
     
@@ -642,8 +766,8 @@ app.post('/api/analyze-ai-detection', async (req, res) => {
       status: 'completed'
     };
 
-    console.log(`🤖 Running Gemini AI detection analysis for ${studentName || 'unknown student'}`);
-    const analysis = await analyzeForAIDetection(mockInterviewData, code);
+    console.log(`🤖 Running AI detection analysis for ${studentName || 'unknown student'}`);
+    const analysis = await analyzeForAIDetection(mockInterviewData, code, { language });
     
     res.json({
       success: true,
@@ -666,181 +790,107 @@ app.post('/api/analyze-ai-detection', async (req, res) => {
   }
 });
 
+// Built-in text-chat interviews
+app.use('/api/chat-interviews', createChatInterviewRoutes(getInterviewBackend('chat'), {
+  onStarted: interviewId => publishInterviewState(interviewId, 'started'),
+  onCompleted: interviewCompleted
+}));
+
+// Courses that submissions belong to
+app.use('/api/courses', createCourseRoutes({ store, requireRole }));
+app.use('/api/teacher/similarity', createSimilarityRoutes({ store, requireRole, canViewInterview }));
+app.use('/api/teacher/reviews', createReviewRoutes({ store, requireRole, canViewInterview, onStateChanged: postLtiReviewStatus }));
+app.use('/api/teacher/analyses', createAnalysisRoutes({ store, analysisQueue, requireRole, canViewInterview }));
+app.use('/api/teacher/exports', createExportRoutes({ store, requireRole, canViewInterview, getAnalysisLikelihood }));
+
+// Generated questions held for teacher approval before the interview starts
+app.use('/api/question-reviews', createQuestionReviewRoutes({ store, requireRole, startInterview, onResolved: publishReviewState }));
+app.use('/api/challenges', createChallengeRoutes({ store, requireRole, getProvider }));
+
+// Signed-in user's identity and role
+app.get('/api/auth/me', requireRole('student'), (req, res) => {
+  res.json({ success: true, user: req.user });
+});
+
+// LTI 1.3 launches from an LMS, and platform registration
+app.use('/lti', createLtiRoutes({ store, tool: ltiTool }));
+app.use('/api/lti/platforms', createLtiPlatformRoutes({ store, tool: ltiTool, requireRole }));
+
+// Local mirror of Ribbon interviews: status and manual sync
+app.use('/api/admin/ribbon-sync', createRibbonSyncRoutes({ sync: getInterviewBackend('ribbon').sync, requireRole }));
+
+// LLM scheduler, budgets and analysis job status
+app.use('/api/admin/llm-queue', createLlmQueueRoutes({ store, scheduler: llmScheduler, getProvider, requireRole }));
+
+// Unsubscribe links, email preferences, and admins' email templates and log
+app.use('/api/notifications', createNotificationRoutes({ store, requireRole, notifier }));
+
+// Live interview and question review status (Server-Sent Events)
+app.use('/api/events', createEventRoutes({ hub: eventHub, requireRole, canWatch: canWatchEvents }));
+
+// Signed interview events from the interview provider
+app.use('/api/webhooks', createWebhookRoutes({
+  store,
+  secret: WEBHOOK_SECRET,
+  onStarted: interviewId => publishInterviewState(interviewId, 'started'),
+  onCompleted: interviewCompleted
+}));
+
 // Debug endpoint to check sessions
-app.get('/api/debug/sessions', (req, res) => {
-  const sessionData = Array.from(sessions.entries()).map(([key, value]) => ({
-    sessionId: key,
+app.get('/api/debug/sessions', requireRole('admin'), (req, res) => {
+  const sessionData = store.listSubmissions().map(value => ({
+    sessionId: value.interviewId,
     studentName: value.studentName,
     language: value.language,
+    backend: value.backend,
     createdAt: value.createdAt,
     hasCode: !!value.code
   }));
   
   res.json({
-    sessionCount: sessions.size,
+    sessionCount: sessionData.length,
     sessions: sessionData
   });
 });
 
-// Teacher dashboard endpoint - get recent interviews with AI analysis
-app.get('/api/teacher/recent-interviews', async (req, res) => {
+// Teacher dashboard endpoint - completed interviews with AI analysis, with
+// filters, text search over transcripts and code, sorting and cursor
+// pagination (see services/interview-search.js for the query parameters)
+app.get('/api/teacher/recent-interviews', requireRole('teacher'), async (req, res) => {
+  let query;
+  try {
+    query = parseInterviewQuery(req.query);
+  } catch (error) {
+    return res.status(error.status || 400).json({ error: 'Invalid interview query', details: error.message });
+  }
+
   try {
     console.log('Fetching recent interviews for teacher dashboard...');
-    console.log(`Using Ribbon API Key: ${RIBBON_API_KEY.substring(0, 8)}...${RIBBON_API_KEY.substring(-4)} (from your account)`);
-    
-    // Get all interviews from Ribbon API
-    const response = await axios.get(`${RIBBON_BASE_URL}/interviews?limit=1000`, {
-      headers: {
-        'Authorization': `Bearer ${RIBBON_API_KEY}`,
-        'Accept': 'application/json'
-      }
-    });
-    
-    const interviews = response.data.interviews || [];
-    console.log(`Found ${interviews.length} total interviews`);
-    
-    // Process interviews and get the most recent 5 completed ones
-    // (regardless of AI score - teacher sees simplified binary classification)
-    const processedInterviews = [];
-    
-    for (const interview of interviews) {
-      const interviewData = interview.interview_data || interview;
-      const status = interview.status || interview.interview_data?.status;
-      const interviewId = interviewData.interview_id || interview.interview_id;
-      
-      // Only include completed interviews
-      if (status === 'completed' && interviewData.transcript) {
-        // Get session data if available
-        const session = sessions.get(interviewId);
-        
-        // Check if we already have persistent analysis for this interview
-        let analysis = persistentAnalysis.get(interviewId);
-        
-        if (!analysis) {
-          // Perform AI analysis only if not previously analyzed
-          try {
-            console.log(`🤖 Analyzing interview ${interviewId} (not previously analyzed)`);
-            const aiAnalysis = await analyzeForAIDetection(interviewData, session?.code || null);
-            
-            // Combine AI analysis with session data for persistent storage
-            analysis = {
-              ...aiAnalysis,
-              // Store student info with the analysis
-              studentInfo: {
-                name: session?.studentName || 'Unknown Student',
-                email: session?.studentEmail || 'Unknown Email', 
-                language: session?.language || 'Unknown',
-                code: session?.code || null
-              },
-              analyzedAt: new Date().toISOString(),
-              interviewId: interviewId
-            };
-            
-            // Save to persistent storage
-            persistentAnalysis.set(interviewId, analysis);
-            saveAnalysisResults(persistentAnalysis);
-          } catch (analysisError) {
-            // Check if it's a quota exceeded error (429) or rate limit
-            if (analysisError.message?.includes('429') || 
-                analysisError.message?.toLowerCase().includes('quota') ||
-                analysisError.message?.toLowerCase().includes('rate limit')) {
-              console.log(`⚠️ Gemini API quota exceeded, showing interview ${interviewId} without AI analysis`);
-              // Still show the interview but without AI analysis with student info
-              analysis = {
-                score: 0,
-                aiLikelihood: 'Analysis unavailable (quota exceeded)',
-                confidence: 'pending',
-                reasoning: 'Gemini API quota exceeded. Try again in 24 hours.',
-                redFlags: [],
-                humanIndicators: [],
-                keyObservations: ['AI analysis temporarily unavailable due to quota limits'],
-                geminiAnalysis: false,
-                // Store student info even when analysis fails
-                studentInfo: {
-                  name: session?.studentName || 'Unknown Student',
-                  email: session?.studentEmail || 'Unknown Email',
-                  language: session?.language || 'Unknown',
-                  code: session?.code || null
-                },
-                analyzedAt: new Date().toISOString(),
-                interviewId: interviewId
-              };
-              // Save this result to avoid retrying
-              persistentAnalysis.set(interviewId, analysis);
-              saveAnalysisResults(persistentAnalysis);
-            } else {
-              console.error(`Failed to analyze interview ${interviewId}:`, analysisError);
-              // Create a default analysis result for other errors with student info
-              analysis = {
-                score: 0,
-                aiLikelihood: 'analysis failed',
-                confidence: 'error',
-                reasoning: `Analysis failed: ${analysisError.message}`,
-                redFlags: [],
-                humanIndicators: [],
-                keyObservations: [],
-                geminiAnalysis: false,
-                // Store student info even when analysis fails
-                studentInfo: {
-                  name: session?.studentName || 'Unknown Student',
-                  email: session?.studentEmail || 'Unknown Email',
-                  language: session?.language || 'Unknown',
-                  code: session?.code || null
-                },
-                analyzedAt: new Date().toISOString(),
-                interviewId: interviewId
-              };
-              // Save the error result to avoid retrying immediately
-              persistentAnalysis.set(interviewId, analysis);
-              saveAnalysisResults(persistentAnalysis);
-            }
-          }
-        } else {
-          console.log(`📋 Using previously analyzed results for interview ${interviewId}`);
-        }
-        
-        // Only add to processed interviews if we have a valid analysis
-        if (analysis) {
-          // Use stored student info from analysis if available, fallback to session
-          const studentInfo = analysis.studentInfo || {
-            name: session?.studentName || 'Unknown Student',
-            email: session?.studentEmail || 'Unknown Email',
-            language: session?.language || 'Unknown',
-            code: session?.code || null
-          };
-          
-          processedInterviews.push({
-            interviewId: interviewId,
-            studentName: studentInfo.name,
-            studentEmail: studentInfo.email,
-            language: studentInfo.language,
-            aiScore: analysis.score,
-            aiLikelihood: getTeacherAILikelihood(analysis.score, analysis.confidence, analysis.indecisive),
-            confidence: analysis.confidence,
-            completedAt: interviewData.completed_at || new Date().toISOString(),
-            transcriptLength: interviewData.transcript?.length || 0,
-            hasOriginalCode: !!studentInfo.code
-          });
-        }
-      }
+
+    // Completed interviews that were never analyzed are queued; they show up
+    // once their analysis is stored. Backfills wait behind students' own results.
+    let pendingAnalysis = 0;
+    for (const interviewId of store.listUnanalyzedInterviews(BACKFILL_BATCH_SIZE)) {
+      if (analysisQueue.enqueue(interviewId, { priority: 'background' })) pendingAnalysis++;
     }
-    
-    // Sort by completion date (most recent first) and take top 5
-    // Show 5 interviews regardless of AI score distribution
-    const recentInterviews = processedInterviews
-      .sort((a, b) => new Date(b.completedAt) - new Date(a.completedAt))
-      .slice(0, 5);
-    
-    console.log(`Returning ${recentInterviews.length} recent completed interviews`);
-    console.log(`AI Scores: ${recentInterviews.map(i => `${i.studentName}: ${i.aiScore} (${i.aiLikelihood})`).join(', ')}`);
-    
+
+    // Only analyzed interviews are listed, regardless of AI score (the
+    // teacher sees a simplified binary classification)
+    const { interviews: page, nextCursor, total, stats, groups, visible } = searchInterviews(store, query, req.user);
+    console.log(`Returning ${page.length} of ${total} matching interviews`);
+
     res.json({
       success: true,
-      interviews: recentInterviews,
-      totalProcessed: processedInterviews.length,
-      totalAvailable: interviews.length
+      interviews: page,
+      nextCursor,
+      total,
+      stats,
+      groups,
+      totalProcessed: visible,
+      totalAvailable: store.countInterviews(),
+      pendingAnalysis
     });
-    
+
   } catch (error) {
     console.error('Error fetching recent interviews:', error);
     res.status(500).json({ 
@@ -851,13 +901,20 @@ app.get('/api/teacher/recent-interviews', async (req, res) => {
 });
 
 // Teacher dashboard endpoint - get detailed interview analysis
-app.get('/api/teacher/interview/:interviewId', async (req, res) => {
+app.get('/api/teacher/interview/:interviewId', requireRole('teacher'), async (req, res) => {
   try {
     const { interviewId } = req.params;
     console.log(`Fetching detailed analysis for interview: ${interviewId}`);
     
-    // Get interview data from Ribbon API
-    const interviewData = await getInterviewResults(interviewId);
+    if (!canViewInterview(req.user, interviewId)) {
+      return res.status(403).json({ error: 'You do not have access to this interview' });
+    }
+    
+    // Get session data if available
+    const session = store.getSubmission(interviewId);
+    
+    // Get interview data from the interview backend
+    const interviewData = await findInterview(interviewId, session?.backend);
     
     if (!interviewData) {
       return res.status(404).json({ error: 'Interview not found' });
@@ -870,84 +927,42 @@ app.get('/api/teacher/interview/:interviewId', async (req, res) => {
       });
     }
     
-    // Get session data if available
-    const session = sessions.get(interviewId);
-    
-    // Check if we already have persistent analysis for this interview
-    let analysis = persistentAnalysis.get(interviewId);
+    // Use the stored analysis, queueing one if the interview hasn't been analyzed yet
+    let analysis = store.getAnalysis(interviewId);
     
     if (!analysis) {
-      // Perform AI analysis only if not previously analyzed
+      // The teacher is waiting on this one
+      analysisQueue.enqueue(interviewId, { priority: 'interactive' });
       try {
-        console.log(`🤖 Analyzing interview ${interviewId} for details (not previously analyzed)`);
-        const aiAnalysis = await analyzeForAIDetection(interviewData, session?.code || null);
-        
-        // Combine AI analysis with session data for persistent storage
-        analysis = {
-          ...aiAnalysis,
-          // Store student info with the analysis
-          studentInfo: {
-            name: session?.studentName || 'Unknown Student',
-            email: session?.studentEmail || 'Unknown Email',
-            language: session?.language || 'Unknown',
-            code: session?.code || null
-          },
-          analyzedAt: new Date().toISOString(),
-          interviewId: interviewId
-        };
-        
-        // Save to persistent storage
-        persistentAnalysis.set(interviewId, analysis);
-        saveAnalysisResults(persistentAnalysis);
-      } catch (analysisError) {
-        // Check if it's a quota exceeded error (429) or rate limit
-        if (analysisError.message?.includes('429') || 
-            analysisError.message?.toLowerCase().includes('quota') ||
-            analysisError.message?.toLowerCase().includes('rate limit')) {
-          console.log(`⚠️ Gemini API quota exceeded for interview details ${interviewId}`);
-          return res.status(503).json({ 
-            error: 'AI analysis temporarily unavailable',
-            details: 'Gemini API quota exceeded. Please try again later.',
-            retryAfter: '24h'
-          });
-        } else {
-          console.error(`Failed to analyze interview ${interviewId}:`, analysisError);
-          // Create a default analysis result for other errors
-          analysis = {
-            score: 0,
-            aiLikelihood: 'analysis failed',
-            confidence: 'error',
-            reasoning: `Analysis failed: ${analysisError.message}`,
-            redFlags: [],
-            humanIndicators: [],
-            keyObservations: [],
-            geminiAnalysis: false,
-            // Store student info even when analysis fails
-            studentInfo: {
-              name: session?.studentName || 'Unknown Student',
-              email: session?.studentEmail || 'Unknown Email',
-              language: session?.language || 'Unknown',
-              code: session?.code || null
-            },
-            analyzedAt: new Date().toISOString(),
-            interviewId: interviewId
-          };
-          // Save the error result to avoid retrying immediately
-          persistentAnalysis.set(interviewId, analysis);
-          saveAnalysisResults(persistentAnalysis);
-        }
+        analysis = await analysisQueue.waitFor(interviewId);
+      } catch (waitError) {
+        return res.status(202).json({ 
+          success: false,
+          status: 'analyzing',
+          error: 'Analysis is still running. Please try again in a moment.'
+        });
       }
     } else {
       console.log(`📋 Using previously analyzed results for interview details ${interviewId}`);
     }
     
     // Use stored student info from analysis if available, fallback to session
-    const studentInfo = analysis.studentInfo || {
-      name: session?.studentName || 'Unknown Student',
-      email: session?.studentEmail || 'Unknown Email',
-      language: session?.language || 'Unknown',
-      code: session?.code || null
-    };
+    const studentInfo = analysis.studentInfo || buildStudentInfo(session);
+    const course = session?.courseId ? store.getCourse(session.courseId) : null;
+    const assignment = session?.assignmentId ? store.getAssignment(session.assignmentId) : null;
+    const challenge = store.getChallenge(interviewId);
+    const similarSubmissions = store.listSimilarityMatches(interviewId, { minScore: DEFAULT_MIN_SCORE })
+      .filter(match => canViewInterview(req.user, match.otherInterviewId))
+      .map(match => {
+        const other = store.getSubmission(match.otherInterviewId);
+        return {
+          interviewId: match.otherInterviewId,
+          studentName: other?.studentName || null,
+          studentEmail: other?.studentEmail || null,
+          score: match.score,
+          matchedRegions: match.regions.length
+        };
+      });
     
     res.json({
       success: true,
@@ -957,12 +972,29 @@ app.get('/api/teacher/interview/:interviewId', async (req, res) => {
         email: studentInfo.email,
         language: studentInfo.language
       },
+      course: course ? { id: course.id, name: course.name } : null,
+      assignment: assignment ? { id: assignment.id, title: assignment.title, dueAt: assignment.dueAt } : null,
       originalCode: studentInfo.code || null,
+      // Multi-file submissions; empty for a single pasted snippet
+      files: store.listSubmissionFiles(interviewId),
+      // Other students' submissions that share code with this one
+      similarSubmissions,
+      // Teacher verdict, private notes and the audit trail of changes to them
+      review: store.getReview(interviewId),
+      reviewHistory: store.listReviewEvents(interviewId),
+      // The "modify your code" challenge, if the student started one
+      challenge: challenge ? {
+        ...challenge,
+        timeToSolveSeconds: timeToSolve(challenge),
+        attemptHistory: store.listChallengeAttempts(interviewId)
+      } : null,
       transcript: interviewData.transcript,
       analysis: {
         ...analysis,
+        // Analyses stored before phrases were located get their locations here
+        suspiciousPhrases: locateEvidence(analysis.suspiciousPhrases, studentInfo.code, interviewData.transcript),
         // Override aiLikelihood with simplified teacher version
-        aiLikelihood: getTeacherAILikelihood(analysis.score, analysis.confidence, analysis.indecisive)
+        aiLikelihood: getAnalysisLikelihood(analysis)
       },
       completedAt: interviewData.completed_at || new Date().toISOString(),
       interviewFlowId: interviewData.interview_flow_id,
@@ -978,24 +1010,22 @@ app.get('/api/teacher/interview/:interviewId', async (req, res) => {
   }
 });
 
-// Test endpoint for Gemini API
-app.get('/api/test-gemini', async (req, res) => {
+// Test endpoint for the configured LLM provider (kept at its original path)
+app.get('/api/test-gemini', requireRole('admin'), async (req, res) => {
   try {
-    console.log('Testing Gemini API with current key...');
-    const { GoogleGenerativeAI } = require('@google/generative-ai');
-    const genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
-    const model = genAI.getGenerativeModel({ model: 'gemini-1.5-flash' });
-    
-    const result = await model.generateContent('Say "API key working" if you can respond.');
-    const text = result.response.text();
-    
+    const provider = getProvider();
+    console.log(`Testing ${provider.name} LLM provider...`);
+    const health = await provider.healthCheck();
+
     res.json({
       success: true,
-      response: text,
-      message: 'Gemini API key is working correctly'
+      provider: health.provider,
+      model: health.model,
+      response: health.response,
+      message: `${health.provider} provider is working correctly`
     });
   } catch (error) {
-    console.error('Gemini API test failed:', error);
+    console.error('LLM provider test failed:', error);
     res.status(500).json({
       success: false,
       error: error.message,
@@ -1004,6 +1034,14 @@ app.get('/api/test-gemini', async (req, res) => {
   }
 });
 
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
+  analysisQueue.start();
+  notifier.start();
+  if (process.env.RIBBON_API_KEY) {
+    getInterviewBackend('ribbon').sync.start();
+  }
 });
+
+// The same live updates over a WebSocket, when the optional `ws` package is installed
+attachEventSocket(server, { hub: eventHub, verifyToken: auth.verifyToken, canWatch: canWatchEvents });
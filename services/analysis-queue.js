@@ -0,0 +1,162 @@
+const { EventEmitter } = require('events');
+const { isQuotaError, priorityName, priorityRank } = require('./llm');
+
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 30 * 1000;
+
+// Failed or placeholder analyses are queued again automatically, backing off
+// with each failure. Quota failures wait longer, since the quota resets slowly.
+const FAILED_RETRY_DELAY_MS = 10 * 60 * 1000;
+const QUOTA_RETRY_DELAY_MS = 60 * 60 * 1000;
+const MAX_AUTOMATIC_RETRIES = 5;
+const FAILED_SCAN_INTERVAL_MS = 60 * 1000;
+
+// Background queue that analyzes each completed interview once, unless a
+// re-analysis is requested or the stored result is a failure. Jobs live in
+// the analysis_jobs table keyed by interview ID, so enqueueing the same
+// interview twice (webhook retries, polling, dashboard loads) is a no-op and
+// jobs survive restarts. Up to `concurrency` jobs run at once, highest
+// priority first (see PRIORITIES in services/llm/scheduler.js).
+//
+//   analyze(interviewId, { reason, requestedBy, priority })          -> stores and returns the analysis
+//   onFailure(interviewId, error, { reason, requestedBy, priority }) -> called once a job runs out of attempts
+function createAnalysisQueue({ store, analyze, onFailure, concurrency = 1, pollIntervalMs = 1000 }) {
+  const events = new EventEmitter();
+  let timer = null;
+  let failedScanTimer = null;
+  let running = 0;
+
+  async function runJob(job) {
+    const { interviewId } = job;
+    const context = { reason: job.reason, requestedBy: job.requestedBy, priority: priorityName(job.priority) };
+    try {
+      console.log(`🤖 Analyzing interview ${interviewId} (${job.reason}, attempt ${job.attempts})`);
+      const analysis = await analyze(interviewId, context);
+      store.updateAnalysisJob(interviewId, { status: 'done' });
+      console.log(`✅ Analysis complete for ${interviewId} - Score: ${analysis.score}`);
+      events.emit(`done:${interviewId}`, analysis);
+    } catch (error) {
+      console.error(`Analysis job for ${interviewId} failed:`, error.message);
+
+      if (job.attempts < MAX_ATTEMPTS) {
+        // Out of quota: wait until the scheduler says calls can succeed again
+        const runAfter = isQuotaError(error) && error.retryAfter
+          ? error.retryAfter
+          : new Date(Date.now() + RETRY_DELAY_MS * job.attempts).toISOString();
+        store.updateAnalysisJob(interviewId, { status: 'queued', lastError: error.message, runAfter });
+        return;
+      }
+
+      store.updateAnalysisJob(interviewId, { status: 'failed', lastError: error.message });
+      const analysis = onFailure ? onFailure(interviewId, error, context) : null;
+      events.emit(`done:${interviewId}`, analysis);
+    }
+  }
+
+  function tick() {
+    try {
+      let job;
+      while (running < concurrency && (job = store.claimNextAnalysisJob())) {
+        running++;
+        runJob(job)
+          .catch(error => console.error('Analysis queue error:', error))
+          .finally(() => {
+            running--;
+            setImmediate(tick);
+          });
+      }
+    } catch (error) {
+      console.error('Analysis queue error:', error);
+    }
+  }
+
+  // Queue failed analyses whose backoff has passed, up to MAX_AUTOMATIC_RETRIES
+  function retryFailedAnalyses() {
+    try {
+      for (const { interviewId, analysis, analyzedAt, failedVersions } of store.listFailedAnalyses()) {
+        if (failedVersions > MAX_AUTOMATIC_RETRIES) continue;
+
+        // Quota failures carry the time the scheduler expects calls to succeed again
+        const delay = (analysis.failureKind === 'quota' ? QUOTA_RETRY_DELAY_MS : FAILED_RETRY_DELAY_MS) * Math.max(1, failedVersions);
+        const dueAt = analysis.retryAfter ? new Date(analysis.retryAfter).getTime() : new Date(analyzedAt).getTime() + delay;
+        if (Date.now() < dueAt) continue;
+
+        if (store.requeueAnalysisJob(interviewId, { reason: 'auto-retry', priority: priorityRank('background') })) {
+          console.log(`🔁 Retrying failed analysis for interview ${interviewId} after ${failedVersions} failed version(s)`);
+          setImmediate(tick);
+        }
+      }
+    } catch (error) {
+      console.error('Failed-analysis scan error:', error);
+    }
+  }
+
+  return {
+    // Returns true if a new job was queued. Asking again with a higher
+    // priority moves a queued job up.
+    enqueue(interviewId, { priority = 'normal' } = {}) {
+      if (store.getAnalysis(interviewId)) return false;
+
+      const queued = store.enqueueAnalysisJob(interviewId, { priority: priorityRank(priority) });
+      if (queued) {
+        console.log(`📥 Queued analysis for interview ${interviewId} (${priority})`);
+      }
+      setImmediate(tick);
+      return queued;
+    },
+
+    // Analyze an interview again even though it has an analysis; the result
+    // is stored as a new version. Returns false if a job is already pending.
+    reanalyze(interviewId, { reason = 'manual', requestedBy = null, priority = 'normal' } = {}) {
+      const queued = store.requeueAnalysisJob(interviewId, { reason, requestedBy, priority: priorityRank(priority) });
+      if (queued) {
+        console.log(`📥 Queued re-analysis for interview ${interviewId} (${reason}, ${priority})`);
+        setImmediate(tick);
+      }
+      return queued;
+    },
+
+    getJob(interviewId) {
+      return store.getAnalysisJob(interviewId);
+    },
+
+    // Resolves with the stored analysis once the interview's job finishes
+    waitFor(interviewId, timeoutMs = 60 * 1000) {
+      const existing = store.getAnalysis(interviewId);
+      if (existing) return Promise.resolve(existing);
+
+      return new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => {
+          events.removeListener(`done:${interviewId}`, onDone);
+          reject(new Error('Timed out waiting for analysis'));
+        }, timeoutMs);
+
+        function onDone(analysis) {
+          clearTimeout(timeout);
+          resolve(analysis);
+        }
+        events.once(`done:${interviewId}`, onDone);
+      });
+    },
+
+    start() {
+      const requeued = store.requeueRunningAnalysisJobs();
+      if (requeued > 0) {
+        console.log(`🔁 Requeued ${requeued} interrupted analysis jobs`);
+      }
+      timer = setInterval(tick, pollIntervalMs);
+      failedScanTimer = setInterval(retryFailedAnalyses, FAILED_SCAN_INTERVAL_MS);
+      setImmediate(tick);
+      setImmediate(retryFailedAnalyses);
+    },
+
+    stop() {
+      clearInterval(timer);
+      clearInterval(failedScanTimer);
+      timer = null;
+      failedScanTimer = null;
+    }
+  };
+}
+
+module.exports = { createAnalysisQueue };
@@ -0,0 +1,166 @@
+const fs = require('fs');
+const axios = require('axios');
+const { createLocalJWKSet, createRemoteJWKSet, decodeJwt, jwtVerify } = require('jose');
+
+// Ordered by privilege: each role can do everything the roles before it can
+const ROLES = ['student', 'teacher', 'admin'];
+
+const PROFILE_TTL_MS = 10 * 60 * 1000;
+const MAX_CACHED_PROFILES = 1000;
+
+function parseList(value) {
+  return (value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+}
+
+function roleRank(role) {
+  return ROLES.indexOf(role);
+}
+
+function hasRole(user, role) {
+  return !!user && roleRank(user.role) >= roleRank(role);
+}
+
+// Server-side JWT verification. Keys come from a local JWKS file
+// (offline testing) or the Auth0 tenant's JWKS endpoint. `sessionTokens`
+// ({ issuer, verify }) also accepts the tool's own tokens from LTI launches.
+//
+// A user's name and email only ever come from the verified token or, when
+// it lacks them (Auth0 access tokens usually do), from the provider's
+// userinfo endpoint called with that same token.
+function createAuth({ jwksFile, auth0Domain, issuer, audience, userinfoUrl, rolesClaim, adminEmails, teacherEmails, sessionTokens }) {
+  let keySet = null;
+  if (jwksFile) {
+    keySet = createLocalJWKSet(JSON.parse(fs.readFileSync(jwksFile, 'utf8')));
+    console.log(`🔐 Verifying tokens with local JWKS from ${jwksFile}`);
+  } else if (auth0Domain) {
+    keySet = createRemoteJWKSet(new URL(`https://${auth0Domain}/.well-known/jwks.json`));
+    issuer = issuer || `https://${auth0Domain}/`;
+    console.log(`🔐 Verifying tokens with Auth0 JWKS from ${auth0Domain}`);
+  } else {
+    console.log('⚠️ No JWKS configured (AUTH_JWKS_FILE or AUTH0_DOMAIN); authenticated endpoints will reject all requests');
+  }
+
+  userinfoUrl = userinfoUrl || (auth0Domain ? `https://${auth0Domain}/userinfo` : null);
+  const admins = parseList(adminEmails);
+  const teachers = parseList(teacherEmails);
+  // sub -> { expiresAt, profile }, where profile is a promise so concurrent
+  // requests share one lookup
+  const profiles = new Map();
+
+  async function fetchProfile(token, sub) {
+    const cached = profiles.get(sub);
+    if (cached && cached.expiresAt > Date.now()) return cached.profile;
+
+    const profile = axios.get(userinfoUrl, { headers: { Authorization: `Bearer ${token}` }, timeout: 10000 })
+      .then(response => response.data || {})
+      .catch(error => {
+        profiles.delete(sub);
+        console.log(`⚠️ Could not fetch the user profile for ${sub}: ${error.message}`);
+        return {};
+      });
+    profiles.set(sub, { expiresAt: Date.now() + PROFILE_TTL_MS, profile });
+    if (profiles.size > MAX_CACHED_PROFILES) {
+      profiles.delete(profiles.keys().next().value);
+    }
+    return profile;
+  }
+
+  // Session tokens carry the role the launch granted, signed by the tool. Their
+  // email is whatever the LMS sent, so it never adds a role from the lists.
+  function resolveRole(payload, fromSession) {
+    const email = (payload.email || '').toLowerCase();
+    const claimed = [].concat((fromSession ? payload.roles : payload[rolesClaim] || payload.roles) || [])
+      .map(role => String(role).toLowerCase());
+
+    if (!fromSession && admins.includes(email)) claimed.push('admin');
+    if (!fromSession && teachers.includes(email)) claimed.push('teacher');
+
+    return claimed
+      .filter(role => ROLES.includes(role))
+      .reduce((best, role) => (roleRank(role) > roleRank(best) ? role : best), 'student');
+  }
+
+  async function verifyToken(token) {
+    let payload;
+    let fromSession = false;
+    if (sessionTokens && decodeJwt(token).iss === sessionTokens.issuer) {
+      payload = await sessionTokens.verify(token);
+      fromSession = true;
+    } else {
+      if (!keySet) {
+        throw new Error('Authentication is not configured');
+      }
+      ({ payload } = await jwtVerify(token, keySet, {
+        issuer: issuer || undefined,
+        audience: audience || undefined
+      }));
+    }
+
+    if ((!payload.email || !payload.name) && !fromSession && userinfoUrl && payload.sub) {
+      const profile = await fetchProfile(token, payload.sub);
+      // Only the token's own user; the email must not be marked unverified
+      if (profile.sub === payload.sub) {
+        payload = {
+          ...payload,
+          email: payload.email || (profile.email_verified === false ? null : profile.email),
+          name: payload.name || profile.name
+        };
+      }
+    }
+
+    return {
+      id: payload.sub,
+      email: payload.email || null,
+      name: payload.name || null,
+      role: resolveRole(payload, fromSession)
+    };
+  }
+
+  // Attach req.user when a valid bearer token is present
+  async function authenticate(req, res, next) {
+    const header = req.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    req.user = null;
+    if (!match) return next();
+
+    try {
+      req.user = await verifyToken(match[1]);
+      next();
+    } catch (error) {
+      console.log(`⚠️ Rejected bearer token: ${error.message}`);
+      res.status(401).json({ error: 'Invalid or expired token', details: error.message });
+    }
+  }
+
+  function requireRole(role) {
+    return (req, res, next) => {
+      if (!req.user) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      if (!hasRole(req.user, role)) {
+        return res.status(403).json({ error: `This action requires the ${role} role` });
+      }
+      next();
+    };
+  }
+
+  return { verifyToken, authenticate, requireRole };
+}
+
+// Students see their own submissions. Teachers see submissions in courses
+// they own. Admins see all, including submissions outside any course.
+function canViewSubmission(user, submission, course) {
+  if (hasRole(user, 'admin')) return true;
+  if (isOwnSubmission(user, submission)) return true;
+
+  return hasRole(user, 'teacher') && !!submission?.courseId && course?.teacherId === user.id;
+}
+
+function isOwnSubmission(user, submission) {
+  if (!user || !submission) return false;
+  if (submission.studentId) return submission.studentId === user.id;
+  // Submissions made before sign-in was enforced only have the typed-in email
+  return !!user.email && submission.studentEmail?.toLowerCase() === user.email.toLowerCase();
+}
+
+module.exports = { ROLES, hasRole, createAuth, canViewSubmission, isOwnSubmission };
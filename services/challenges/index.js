@@ -0,0 +1,141 @@
+// The optional "modify your code" challenge: after submitting, the student
+// gets a small change request for their own code (handle an edge case,
+// rename a parameter throughout, ...) and edits the code in the browser
+// until hidden tests pass. Only single-file JavaScript and TypeScript
+// submissions get one, since the tests run the code (see sandbox.js).
+//
+//   { title, instructions, tests: [{ name, expression, expected } | { name, expression, throws }] }
+//
+// A test expression runs after the student's code, in the same scope. It
+// passes when its value serializes to the same JSON as `expected`, or when
+// it throws an error whose message contains `throws`.
+
+const { extractCodeStructure } = require('../code-structure');
+const { runChallengeTests } = require('./sandbox');
+
+const CHALLENGE_LANGUAGES = ['javascript', 'typescript'];
+const MIN_TESTS = 1;
+const MAX_TESTS = 8;
+const MAX_EXPRESSION_LENGTH = 500;
+
+// Names offered when a challenge asks for a parameter to be renamed
+const RENAME_CANDIDATES = ['input', 'value', 'amount', 'target', 'source', 'entry', 'subject', 'payload'];
+
+function challengeError(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function isChallengeLanguage(language) {
+  return CHALLENGE_LANGUAGES.includes(language);
+}
+
+// Validated challenge from a model reply; throws on anything unusable
+function normalizeChallenge(input) {
+  if (!input || typeof input !== 'object') throw challengeError('The challenge must be an object');
+  const title = typeof input.title === 'string' ? input.title.trim() : '';
+  const instructions = typeof input.instructions === 'string' ? input.instructions.trim() : '';
+  if (!title || !instructions) throw challengeError('The challenge needs a title and instructions');
+
+  if (!Array.isArray(input.tests) || input.tests.length < MIN_TESTS || input.tests.length > MAX_TESTS) {
+    throw challengeError(`The challenge needs ${MIN_TESTS} to ${MAX_TESTS} tests`);
+  }
+  const tests = input.tests.map((test, index) => {
+    const expression = typeof test?.expression === 'string' ? test.expression.trim() : '';
+    if (!expression || expression.length > MAX_EXPRESSION_LENGTH) {
+      throw challengeError(`Test ${index + 1} needs an expression of at most ${MAX_EXPRESSION_LENGTH} characters`);
+    }
+    const name = typeof test.name === 'string' && test.name.trim() ? test.name.trim() : `Test ${index + 1}`;
+    if (typeof test.throws === 'string' && test.throws) {
+      return { name, expression, throws: test.throws };
+    }
+    if (test.expected === undefined) {
+      throw challengeError(`Test ${index + 1} needs an expected value or an error to throw`);
+    }
+    return { name, expression, expected: test.expected };
+  });
+
+  return { title, instructions, tests };
+}
+
+// Deterministic challenge for when no model writes one: rename a parameter
+// of a top-level function and make the function reject a call without
+// arguments. Null when the code has no such function.
+function buildFallbackChallenge(code, structure) {
+  const fn = structure.symbols.find(symbol => symbol.kind === 'function' && symbol.topLevel && symbol.params?.length > 0);
+  if (!fn) return null;
+
+  const used = new Set(structure.symbols.map(symbol => symbol.name));
+  const from = fn.params[0];
+  const to = RENAME_CANDIDATES.find(name => !used.has(name) && !new RegExp(`\\b${name}\\b`).test(code));
+  if (!to) return null;
+
+  const source = `String(${fn.name})`;
+  return {
+    title: `Rename \`${from}\` and guard \`${fn.name}\``,
+    instructions: [
+      `In \`${fn.name}\` (line ${fn.startLine}), rename the parameter \`${from}\` to \`${to}\` everywhere it is used.`,
+      `Then make \`${fn.name}\` throw an \`Error\` with the message "Invalid input" when it is called without any arguments.`,
+      'Everything else should keep working as before.'
+    ].join(' '),
+    tests: [
+      { name: `\`${fn.name}\` still exists`, expression: `typeof ${fn.name}`, expected: 'function' },
+      { name: `\`${from}\` is renamed to \`${to}\``, expression: `/\\b${to}\\b/.test(${source}) && !/\\b${from}\\b/.test(${source})`, expected: true },
+      { name: 'Calling it without arguments is rejected', expression: `${fn.name}()`, throws: 'Invalid input' }
+    ]
+  };
+}
+
+// A challenge is only useful when the current code runs and fails at least
+// one of its tests
+async function checkAgainstOriginal(challenge, code, language) {
+  const run = await runChallengeTests({ code, language, tests: challenge.tests });
+  if (run.error) return `the submitted code does not run in the sandbox (${run.error})`;
+  if (run.passed === run.total) return 'the submitted code already passes every test';
+  return null;
+}
+
+// Generates and checks a challenge for a submission. The model writes it
+// when it can; otherwise, or when its challenge doesn't hold up, the
+// fallback is used. Returns { challenge, source } or { challenge: null, reason }.
+async function createChallenge({ code, language, provider, priority = 'interactive' }) {
+  if (!isChallengeLanguage(language)) {
+    return { challenge: null, reason: `Challenges are only available for ${CHALLENGE_LANGUAGES.join(' and ')} code` };
+  }
+
+  if (provider.generateChallenge) {
+    try {
+      const challenge = normalizeChallenge(await provider.generateChallenge(code, language, { priority }));
+      const problem = await checkAgainstOriginal(challenge, code, language);
+      if (!problem) return { challenge, source: provider.name };
+      console.log(`⚠️ Discarded the ${provider.name} challenge: ${problem}`);
+    } catch (error) {
+      console.log(`⚠️ Could not generate a challenge with ${provider.name} (${error.message}), using the fallback`);
+    }
+  }
+
+  const structure = await extractCodeStructure(code, language);
+  const fallback = buildFallbackChallenge(code, structure);
+  if (!fallback) {
+    return { challenge: null, reason: 'The code has no top-level function with parameters to build a challenge around' };
+  }
+  const problem = await checkAgainstOriginal(fallback, code, language);
+  if (problem) {
+    return { challenge: null, reason: `No challenge could be built: ${problem}` };
+  }
+  return { challenge: fallback, source: 'fallback' };
+}
+
+// Seconds from starting the challenge to the first attempt passing every test
+function timeToSolve(challenge) {
+  if (!challenge.solvedAt) return null;
+  return Math.round((new Date(challenge.solvedAt) - new Date(challenge.startedAt)) / 1000);
+}
+
+module.exports = {
+  CHALLENGE_LANGUAGES,
+  isChallengeLanguage,
+  normalizeChallenge,
+  buildFallbackChallenge,
+  createChallenge,
+  timeToSolve
+};
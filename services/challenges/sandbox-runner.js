@@ -0,0 +1,130 @@
+'use strict';
+// Runs inside the child process started by sandbox.js: the student's code
+// in a fresh vm context, then each hidden test expression in the same
+// context, so the tests see the code's top-level functions and variables.
+// Reads { code, tests, timeoutMs } as JSON on stdin and writes
+// { loadError, results } as JSON on stdout.
+//
+// A vm context is not a security boundary: the process around it is, with
+// the permission model denying file system, child process, worker and
+// native addon access. Inside it, host code still never reads a value from
+// the sandbox. The harness below runs in the context before the student's
+// code, keeps its own references to JSON.stringify and String, and turns
+// every test result and error into a string there, so redefining globals
+// can't change how results compare, and thrown objects (Proxies, getters)
+// only ever run against strict-mode harness frames.
+
+const vm = require('vm');
+const { types } = require('util');
+
+const HARNESS = `
+  'use strict';
+  (() => {
+    const stringify = JSON.stringify;
+    const toString = String;
+    const describe = error => {
+      try {
+        const message = error !== null && typeof error === 'object' ? error.message : undefined;
+        return typeof message === 'string' ? message : toString(error);
+      } catch {
+        return 'Unknown error';
+      }
+    };
+    const run = test => {
+      try {
+        const serialized = stringify(test());
+        return 'value:' + (typeof serialized === 'string' ? serialized : 'undefined');
+      } catch (error) {
+        return 'error:' + describe(error);
+      }
+    };
+    Object.defineProperty(globalThis, '__challengeRun', { value: run });
+    return describe;
+  })();
+`;
+
+const PRELUDE = `
+  var module = { exports: {} };
+  var exports = module.exports;
+  var console = { log() {}, info() {}, warn() {}, error() {}, debug() {} };
+  function require(name) {
+    throw new Error('require("' + name + '") is not available in the challenge sandbox');
+  }
+`;
+
+// The vm's own timeout error, told apart without running anything the
+// student's code may have thrown: no Proxy traps, and `code` is read from a
+// plain data property, never through a getter. The code could throw a
+// look-alike, so the time limit must also really have passed.
+function isTimeout(error, started, timeoutMs) {
+  if (Date.now() - started < timeoutMs || types.isProxy(error) || !types.isNativeError(error)) {
+    return false;
+  }
+  const code = Object.getOwnPropertyDescriptor(error, 'code');
+  return Boolean(code) && 'value' in code && code.value === 'ERR_SCRIPT_EXECUTION_TIMEOUT';
+}
+
+function runAttempt({ code, tests, timeoutMs }) {
+  const context = vm.createContext(Object.create(null), {
+    name: 'challenge',
+    codeGeneration: { strings: false, wasm: false }
+  });
+  const describe = vm.runInContext(HARNESS, context);
+  vm.runInContext(PRELUDE, context);
+
+  let loadError = null;
+  const loadStarted = Date.now();
+  try {
+    vm.runInContext(code, context, { filename: 'challenge.js', timeout: timeoutMs });
+  } catch (error) {
+    loadError = isTimeout(error, loadStarted, timeoutMs) ? `Took longer than ${timeoutMs} ms` : describe(error);
+  }
+
+  const results = tests.map(test => {
+    const started = Date.now();
+    const result = { passed: false, error: null };
+    if (loadError) {
+      return { ...result, error: `Your code did not run: ${loadError}` };
+    }
+
+    let outcome;
+    try {
+      outcome = vm.runInContext(`__challengeRun(() => (${test.expression}\n));`, context, { filename: 'test.js', timeout: timeoutMs });
+    } catch (error) {
+      outcome = isTimeout(error, started, timeoutMs) ? `error:Took longer than ${timeoutMs} ms` : 'error:The test could not run';
+    }
+    if (typeof outcome !== 'string') {
+      outcome = 'error:The test could not run';
+    }
+
+    if (outcome.startsWith('value:')) {
+      if (test.throws !== undefined) {
+        result.error = 'Expected an error but none was thrown';
+      } else if (outcome.slice('value:'.length) === JSON.stringify(test.expected)) {
+        result.passed = true;
+      } else {
+        result.error = 'Returned a different result than expected';
+      }
+    } else {
+      const message = outcome.slice('error:'.length);
+      if (test.throws !== undefined && message.includes(test.throws)) {
+        result.passed = true;
+      } else {
+        result.error = test.throws !== undefined ? `Threw a different error: ${message}` : `Threw: ${message}`;
+      }
+    }
+    result.durationMs = Date.now() - started;
+    return result;
+  });
+
+  return { loadError, results };
+}
+
+let input = '';
+process.stdin.setEncoding('utf8');
+process.stdin.on('data', chunk => {
+  input += chunk;
+});
+process.stdin.on('end', () => {
+  process.stdout.write(JSON.stringify(runAttempt(JSON.parse(input))));
+});
@@ -0,0 +1,135 @@
+// Runs a challenge attempt: the student's JavaScript or TypeScript and the
+// hidden tests, in a child process of its own under the Node permission
+// model (no file system, child processes, workers or native addons), with
+// an empty environment and a heap limit, killed when it runs too long.
+// TypeScript and ES module syntax are compiled to plain JavaScript with
+// sucrase first.
+
+const path = require('path');
+const { spawn } = require('child_process');
+const { transform } = require('sucrase');
+
+const RUNNER_FILE = path.join(__dirname, 'sandbox-runner.js');
+// Node 20 only knows the flag by its experimental name
+const PERMISSION_FLAG = process.allowedNodeEnvironmentFlags.has('--permission') ? '--permission' : '--experimental-permission';
+const MAX_OUTPUT_BYTES = 1024 * 1024;
+const MAX_ERROR_LENGTH = 500;
+
+function getSandboxLimits() {
+  return {
+    // Per run of the code and of each test
+    timeoutMs: parseInt(process.env.CHALLENGE_TIMEOUT_MS, 10) || 2000,
+    memoryMb: parseInt(process.env.CHALLENGE_MEMORY_MB, 10) || 64
+  };
+}
+
+// Plain JavaScript for the vm; throws a SyntaxError-like error with the
+// line when the code doesn't compile
+function compile(code, language) {
+  const transforms = [];
+  if (language === 'typescript') transforms.push('typescript');
+  if (/^\s*(import|export)\b/m.test(code)) transforms.push('imports');
+  if (transforms.length === 0) return code;
+  return transform(code, { transforms, disableESTransforms: true }).code;
+}
+
+// Resolves with what the runner printed, or { error } when the process
+// crashed, ran out of memory or had to be killed
+function runInChildProcess(input, limits, deadline) {
+  return new Promise(resolve => {
+    const child = spawn(process.execPath, [
+      PERMISSION_FLAG,
+      `--allow-fs-read=${RUNNER_FILE}`,
+      `--max-old-space-size=${limits.memoryMb}`,
+      '--no-warnings',
+      RUNNER_FILE
+    ], { env: {}, stdio: ['pipe', 'pipe', 'pipe'] });
+
+    let stdout = '';
+    let stderr = '';
+    let failure = null;
+    const stop = error => {
+      failure = failure || error;
+      child.kill('SIGKILL');
+    };
+    const timer = setTimeout(() => stop(`Stopped after ${Math.round(deadline / 1000)} seconds`), deadline);
+
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', chunk => {
+      stdout += chunk;
+      if (stdout.length > MAX_OUTPUT_BYTES) stop('The sandbox produced too much output');
+    });
+    child.stderr.setEncoding('utf8');
+    child.stderr.on('data', chunk => {
+      if (stderr.length < MAX_OUTPUT_BYTES) stderr += chunk;
+    });
+    child.stdin.on('error', () => {});
+    child.on('error', error => stop(error.message));
+    child.on('close', code => {
+      clearTimeout(timer);
+      if (failure) return resolve({ error: failure });
+      if (/heap out of memory|Allocation failed/i.test(stderr)) {
+        return resolve({ error: `Ran out of memory (limit ${limits.memoryMb} MB)` });
+      }
+      try {
+        if (code !== 0) throw new Error(`exit code ${code}`);
+        resolve({ output: JSON.parse(stdout) });
+      } catch (error) {
+        resolve({ error: 'The sandbox stopped unexpectedly' });
+      }
+    });
+    child.stdin.end(JSON.stringify(input));
+  });
+}
+
+function cleanError(value) {
+  return typeof value === 'string' ? value.slice(0, MAX_ERROR_LENGTH) : null;
+}
+
+// { passed, total, results: [{ name, passed, error, durationMs }], error }
+// where `error` is set when the code could not be compiled or the sandbox
+// had to be stopped; every test counts as failed then. Only the verdicts
+// are read back from the sandbox, never its test names or values.
+async function runChallengeTests({ code, language, tests }, limits = getSandboxLimits()) {
+  const failAll = error => ({
+    passed: 0,
+    total: tests.length,
+    results: tests.map(test => ({ name: test.name, passed: false, error })),
+    error
+  });
+
+  let compiled;
+  try {
+    compiled = compile(code, language);
+  } catch (error) {
+    return failAll(`Your code did not compile: ${error.message}`);
+  }
+
+  // The vm timeouts stop long synchronous runs; this also catches work left
+  // behind in timers or promises, and the process starting up
+  const deadline = limits.timeoutMs * (tests.length + 1) + 2000;
+  const runnerTests = tests.map(({ expression, expected, throws }) => ({ expression, expected, throws }));
+  const { output, error } = await runInChildProcess({ code: compiled, tests: runnerTests, timeoutMs: limits.timeoutMs }, limits, deadline);
+
+  if (error) return failAll(error);
+  const reported = Array.isArray(output?.results) ? output.results : [];
+  const results = tests.map((test, index) => {
+    const result = reported[index] || {};
+    const passed = result.passed === true;
+    return {
+      name: test.name,
+      passed,
+      error: passed ? null : cleanError(result.error) || 'The test did not run',
+      durationMs: Number.isFinite(result.durationMs) ? result.durationMs : 0
+    };
+  });
+  const loadError = cleanError(output?.loadError);
+  return {
+    passed: results.filter(result => result.passed).length,
+    total: results.length,
+    results,
+    error: loadError ? `Your code did not run: ${loadError}` : null
+  };
+}
+
+module.exports = { getSandboxLimits, runChallengeTests };
@@ -0,0 +1,378 @@
+// Parses submitted code into the elements interview questions can target:
+// functions, classes, variables and parameters, branches and loops, each
+// with its line range. JavaScript and TypeScript get a real AST from
+// @babel/parser and Python from its own `ast` module (run with python3);
+// every other language, and code those parsers reject, is lexed with
+// regular expressions, which is best effort.
+//
+//   { parser, lineCount, files: [{ path, startLine, endLine }],
+//     symbols: [{ name, kind, startLine, endLine }],
+//     branches: [{ kind, startLine, endLine }], loops: [{ kind, startLine, endLine }] }
+//
+// Multi-file submissions are parsed file by file. Line numbers then refer to
+// the combined code (with its "// ===== File: ..." headers), and each element
+// also has `file`, `fileStartLine` and `fileEndLine`, like evidence locations.
+// `files` is empty for a single snippet. JavaScript and TypeScript functions
+// also list their `params` and whether they are declared at the `topLevel`.
+
+const { spawn } = require('child_process');
+const babelParser = require('@babel/parser');
+
+const PYTHON_TIMEOUT_MS = 5000;
+// The lexer only looks at this much of a snippet or file
+const MAX_LEXED_LENGTH = 200 * 1024;
+const PYTHON_BIN = process.env.PYTHON_BIN || 'python3';
+
+// Reads code on stdin and prints [kind, name, startLine, endLine] rows
+const PYTHON_SCRIPT = `
+import ast, json, sys
+tree = ast.parse(sys.stdin.read())
+methods = set()
+for node in ast.walk(tree):
+    if isinstance(node, ast.ClassDef):
+        for item in node.body:
+            if isinstance(item, (ast.FunctionDef, ast.AsyncFunctionDef)):
+                methods.add(id(item))
+rows = []
+def add(kind, name, node):
+    rows.append([kind, name, node.lineno, getattr(node, 'end_lineno', None) or node.lineno])
+for node in ast.walk(tree):
+    if isinstance(node, (ast.FunctionDef, ast.AsyncFunctionDef)):
+        add('method' if id(node) in methods else 'function', node.name, node)
+        for arg in node.args.posonlyargs + node.args.args + node.args.kwonlyargs:
+            if arg.arg not in ('self', 'cls'):
+                add('parameter', arg.arg, arg)
+    elif isinstance(node, ast.ClassDef):
+        add('class', node.name, node)
+    elif isinstance(node, ast.Name) and isinstance(node.ctx, ast.Store):
+        add('variable', node.id, node)
+    elif isinstance(node, ast.If):
+        add('if', None, node)
+    elif isinstance(node, ast.IfExp):
+        add('ternary', None, node)
+    elif isinstance(node, ast.Try):
+        add('try', None, node)
+    elif isinstance(node, getattr(ast, 'Match', ())):
+        add('match', None, node)
+    elif isinstance(node, (ast.For, ast.AsyncFor)):
+        add('for', None, node)
+    elif isinstance(node, ast.While):
+        add('while', None, node)
+    elif isinstance(node, ast.comprehension):
+        add('comprehension', None, node.iter)
+print(json.dumps(rows))
+`;
+
+const BRANCH_KINDS = ['if', 'switch', 'match', 'when', 'unless', 'ternary', 'try'];
+const LOOP_KINDS = ['for', 'for-in', 'for-of', 'foreach', 'while', 'do-while', 'until', 'loop', 'each', 'comprehension'];
+
+const KEYWORDS = new Set([
+  'if', 'else', 'for', 'while', 'do', 'switch', 'case', 'return', 'new', 'catch', 'try', 'throw',
+  'function', 'class', 'struct', 'sizeof', 'typeof', 'delete', 'await', 'yield', 'using', 'namespace'
+]);
+
+// Function definitions per language for the lexer; C-like languages share one.
+// The return type and the separator before the name share no characters and
+// the type is at most 100 long, so a failed match never backtracks far.
+// Parameter and generic lists in the other patterns are capped at 200 for the
+// same reason.
+const C_LIKE_FUNCTION = /\b[\w<>[\],:]{1,100}[\s*&]+([A-Za-z_]\w*)\s*\([^;{}()]*(?:\([^()]*\)[^;{}()]*)*\)\s*(?:const\s*)?(?:override\s*)?(?:throws\s+[\w.,\s]+)?\{/g;
+const FUNCTION_PATTERNS = {
+  java: [C_LIKE_FUNCTION],
+  c: [C_LIKE_FUNCTION],
+  cpp: [C_LIKE_FUNCTION],
+  csharp: [C_LIKE_FUNCTION],
+  go: [/\bfunc\s+(?:\([^)]{0,200}\)\s*)?([A-Za-z_]\w*)/g],
+  rust: [/\bfn\s+([A-Za-z_]\w*)/g],
+  kotlin: [/\bfun\s+(?:<[^>]{0,200}>\s*)?(?:[\w.]{1,200}\.)?([A-Za-z_]\w*)/g],
+  swift: [/\bfunc\s+([A-Za-z_]\w*)/g],
+  php: [/\bfunction\s+&?([A-Za-z_]\w*)/g],
+  ruby: [/\bdef\s+(?:self\.)?([A-Za-z_]\w*[?!]?)/g],
+  javascript: [/\bfunction\s*\*?\s*([A-Za-z_$][\w$]*)/g, /\b(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*(?:async\s*)?(?:\([^)]{0,200}\)|[A-Za-z_$][\w$]*)\s*=>/g],
+  python: [/\bdef\s+([A-Za-z_]\w*)/g]
+};
+FUNCTION_PATTERNS.typescript = FUNCTION_PATTERNS.javascript;
+
+const CLASS_PATTERNS = [
+  /\b(?:class|struct|interface|enum|trait|protocol|record|module|object)\s+([A-Za-z_]\w*)/g,
+  /\btype\s+([A-Za-z_]\w*)\s+(?:struct|interface)\b/g
+];
+const VARIABLE_PATTERNS = [
+  /\b(?:let|var|val|const|auto|my|our)\s+(?:mut\s+)?([A-Za-z_$][\w$]*)/g,
+  /\b(?:int|long|short|float|double|char|bool|boolean|string|String|size_t|byte|u?int\d*_t|usize|isize|i32|i64|u32|u64|f32|f64)(?:\s*[*&]\s*|\s+)([A-Za-z_]\w*)\s*(?=[=;,[)])/g,
+  /\b([A-Za-z_]\w*)\s*:=/g,
+  /\$([A-Za-z_]\w*)\s*=(?!=)/g
+];
+const BRANCH_PATTERN = /\b(if|switch|match|when|unless|elsif|elif)\b/g;
+const LOOP_PATTERN = /\b(for|foreach|while|until|loop)\b|\.(each|times|forEach)\b/g;
+
+// Offset -> 1-based line, by binary search over line starts
+function lineIndex(text) {
+  const starts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text.charCodeAt(i) === 10) starts.push(i + 1);
+  }
+  return offset => {
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (starts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return low + 1;
+  };
+}
+
+// Comments and string contents blanked out, keeping offsets and newlines,
+// so keywords inside them aren't mistaken for code
+function stripCommentsAndStrings(code, language) {
+  const hashComments = ['python', 'ruby', 'php', 'other'].includes(language);
+  const pattern = hashComments
+    ? /\/\*[\s\S]*?\*\/|\/\/[^\n]*|#[^\n]*|"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|`(?:\\.|[^`\\])*`/g
+    : /\/\*[\s\S]*?\*\/|\/\/[^\n]*|"(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*'|`(?:\\.|[^`\\])*`/g;
+  return code.replace(pattern, match => match.replace(/[^\n]/g, ' '));
+}
+
+// Line of the brace closing the block that opens at or after `offset`
+function blockEnd(text, offset, lineAt) {
+  const open = text.indexOf('{', offset);
+  if (open === -1) return null;
+  let depth = 0;
+  for (let i = open; i < text.length; i++) {
+    if (text[i] === '{') depth++;
+    else if (text[i] === '}' && --depth === 0) return lineAt(i);
+  }
+  return null;
+}
+
+function lexStructure(code, language) {
+  const text = stripCommentsAndStrings(code.slice(0, MAX_LEXED_LENGTH), language);
+  const lineAt = lineIndex(text);
+  const symbols = [];
+  const branches = [];
+  const loops = [];
+
+  const functionPatterns = FUNCTION_PATTERNS[language] || [...new Set(Object.values(FUNCTION_PATTERNS).flat())];
+  for (const pattern of functionPatterns) {
+    for (const match of text.matchAll(pattern)) {
+      if (KEYWORDS.has(match[1])) continue;
+      const startLine = lineAt(match.index + match[0].indexOf(match[1]));
+      symbols.push({ name: match[1], kind: 'function', startLine, endLine: blockEnd(text, match.index, lineAt) || startLine });
+    }
+  }
+  for (const pattern of CLASS_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      const startLine = lineAt(match.index);
+      symbols.push({ name: match[1], kind: 'class', startLine, endLine: blockEnd(text, match.index, lineAt) || startLine });
+    }
+  }
+  for (const pattern of VARIABLE_PATTERNS) {
+    for (const match of text.matchAll(pattern)) {
+      if (KEYWORDS.has(match[1])) continue;
+      const line = lineAt(match.index);
+      symbols.push({ name: match[1], kind: 'variable', startLine: line, endLine: line });
+    }
+  }
+  for (const match of text.matchAll(BRANCH_PATTERN)) {
+    const line = lineAt(match.index);
+    branches.push({ kind: ['elsif', 'elif'].includes(match[1]) ? 'if' : match[1], startLine: line, endLine: line });
+  }
+  for (const match of text.matchAll(LOOP_PATTERN)) {
+    const line = lineAt(match.index);
+    loops.push({ kind: match[1] || 'each', startLine: line, endLine: line });
+  }
+
+  return { parser: 'lexer', symbols, branches, loops };
+}
+
+// Every AST node below `node`, depth first
+function* walk(node) {
+  if (!node || typeof node.type !== 'string') return;
+  yield node;
+  for (const [key, value] of Object.entries(node)) {
+    if (key === 'loc' || key === 'leadingComments' || key === 'trailingComments') continue;
+    if (Array.isArray(value)) {
+      for (const child of value) yield* walk(child);
+    } else if (value && typeof value === 'object') {
+      yield* walk(value);
+    }
+  }
+}
+
+// Identifiers bound by a declaration target (plain names and destructuring)
+function* boundNames(pattern) {
+  if (!pattern) return;
+  switch (pattern.type) {
+    case 'Identifier': yield pattern; break;
+    case 'ObjectPattern': for (const property of pattern.properties) yield* boundNames(property.value || property.argument); break;
+    case 'ArrayPattern': for (const element of pattern.elements) yield* boundNames(element); break;
+    case 'AssignmentPattern': yield* boundNames(pattern.left); break;
+    case 'RestElement': yield* boundNames(pattern.argument); break;
+    case 'TSParameterProperty': yield* boundNames(pattern.parameter); break;
+  }
+}
+
+const JS_BRANCHES = { IfStatement: 'if', SwitchStatement: 'switch', ConditionalExpression: 'ternary', TryStatement: 'try' };
+const JS_LOOPS = { ForStatement: 'for', ForInStatement: 'for-in', ForOfStatement: 'for-of', WhileStatement: 'while', DoWhileStatement: 'do-while' };
+
+function parseJavaScript(code, language) {
+  const ast = babelParser.parse(code, {
+    sourceType: 'unambiguous',
+    errorRecovery: true,
+    plugins: language === 'typescript' ? ['typescript', 'jsx'] : ['jsx']
+  });
+
+  const symbols = [];
+  const branches = [];
+  const loops = [];
+  const add = (list, entry, node) => list.push({ ...entry, startLine: node.loc.start.line, endLine: node.loc.end.line });
+  const addParams = params => {
+    for (const param of params) {
+      for (const id of boundNames(param)) add(symbols, { name: id.name, kind: 'parameter' }, id);
+    }
+  };
+  const paramNames = params => params.flatMap(param => [...boundNames(param)].map(id => id.name));
+  // Declarations directly in the program, which code run after it can call
+  const topLevel = new Set(ast.program.body.flatMap(statement => {
+    const declaration = statement.type.startsWith('Export') && statement.declaration ? statement.declaration : statement;
+    return declaration.type === 'VariableDeclaration' ? declaration.declarations : [declaration];
+  }));
+
+  for (const node of walk(ast.program)) {
+    if (JS_BRANCHES[node.type]) add(branches, { kind: JS_BRANCHES[node.type] }, node);
+    else if (JS_LOOPS[node.type]) add(loops, { kind: JS_LOOPS[node.type] }, node);
+
+    switch (node.type) {
+      case 'FunctionDeclaration':
+        if (node.id) add(symbols, { name: node.id.name, kind: 'function', params: paramNames(node.params), topLevel: topLevel.has(node) }, node);
+        addParams(node.params);
+        break;
+      case 'FunctionExpression':
+      case 'ArrowFunctionExpression':
+        addParams(node.params);
+        break;
+      case 'ClassDeclaration':
+      case 'ClassExpression':
+        if (node.id) add(symbols, { name: node.id.name, kind: 'class' }, node);
+        break;
+      case 'ClassMethod':
+      case 'ClassPrivateMethod':
+      case 'ObjectMethod':
+        if (node.key?.name && node.key.name !== 'constructor') add(symbols, { name: node.key.name, kind: 'method' }, node);
+        addParams(node.params);
+        break;
+      case 'VariableDeclarator': {
+        const isFunction = ['ArrowFunctionExpression', 'FunctionExpression'].includes(node.init?.type);
+        for (const id of boundNames(node.id)) {
+          if (isFunction) add(symbols, { name: id.name, kind: 'function', params: paramNames(node.init.params), topLevel: topLevel.has(node) }, node);
+          else add(symbols, { name: id.name, kind: 'variable' }, id);
+        }
+        break;
+      }
+      case 'TSInterfaceDeclaration':
+      case 'TSTypeAliasDeclaration':
+      case 'TSEnumDeclaration':
+        add(symbols, { name: node.id.name, kind: 'type' }, node);
+        break;
+    }
+  }
+
+  return { parser: 'babel', symbols, branches, loops };
+}
+
+function runPython(code) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(PYTHON_BIN, ['-c', PYTHON_SCRIPT], { stdio: ['pipe', 'pipe', 'pipe'] });
+    const timer = setTimeout(() => child.kill(), PYTHON_TIMEOUT_MS);
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.on('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on('close', status => {
+      clearTimeout(timer);
+      if (status === 0) resolve(stdout);
+      else reject(new Error(stderr.trim().split('\n').pop() || `python exited with ${status}`));
+    });
+    child.stdin.end(code);
+  });
+}
+
+async function parsePython(code) {
+  const rows = JSON.parse(await runPython(code));
+  const structure = { parser: 'python-ast', symbols: [], branches: [], loops: [] };
+  for (const [kind, name, startLine, endLine] of rows) {
+    const entry = { kind, startLine, endLine };
+    if (name) structure.symbols.push({ name, ...entry });
+    else if (LOOP_KINDS.includes(kind)) structure.loops.push(entry);
+    else structure.branches.push(entry);
+  }
+  return structure;
+}
+
+// One entry per name and kind (the first), everything in line order
+function tidy(structure) {
+  const seen = new Set();
+  const byLine = (a, b) => a.startLine - b.startLine;
+  return {
+    parser: structure.parser,
+    symbols: structure.symbols
+      .filter(symbol => {
+        const key = `${symbol.kind}:${symbol.name}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .sort(byLine),
+    branches: structure.branches.filter(branch => BRANCH_KINDS.includes(branch.kind)).sort(byLine),
+    loops: structure.loops.sort(byLine)
+  };
+}
+
+async function parseSource(code, language) {
+  try {
+    if (language === 'javascript' || language === 'typescript') return tidy(parseJavaScript(code, language));
+    if (language === 'python') return tidy(await parsePython(code));
+  } catch (error) {
+    console.log(`⚠️ Could not parse ${language} code (${error.message}), falling back to lexing`);
+  }
+  return tidy(lexStructure(code, language));
+}
+
+// Structure of a submission: the pasted snippet, or each project file with
+// its lines mapped into the combined code. `files` are the submission's
+// files in the order combineFiles() joined them.
+async function extractCodeStructure(code, language, files = null) {
+  const lineCount = (code || '').split('\n').length;
+  if (!files || files.length < 2) {
+    return { ...(await parseSource(code || '', language)), lineCount, files: [] };
+  }
+
+  const combined = { parser: 'project', lineCount, files: [], symbols: [], branches: [], loops: [] };
+  let headerLine = 1;
+  for (const file of files) {
+    const structure = await parseSource(file.content, file.language);
+    const place = entry => ({
+      ...entry,
+      startLine: headerLine + entry.startLine,
+      endLine: headerLine + entry.endLine,
+      file: file.path,
+      fileStartLine: entry.startLine,
+      fileEndLine: entry.endLine
+    });
+    combined.symbols.push(...structure.symbols.map(place));
+    combined.branches.push(...structure.branches.map(place));
+    combined.loops.push(...structure.loops.map(place));
+    const fileLines = file.content.split('\n').length;
+    combined.files.push({ path: file.path, startLine: headerLine + 1, endLine: headerLine + fileLines });
+    // Header, content, then the blank line combineFiles puts between files
+    headerLine += 1 + fileLines + 1;
+  }
+  return combined;
+}
+
+module.exports = { extractCodeStructure, lexStructure };
@@ -0,0 +1,135 @@
+// The authorship verdict for a completed interview: the LLM provider's
+// analysis of the transcript blended with the deterministic stylometry
+// features of the code, then mapped to a likelihood label. Used by the
+// server and by scripts/evaluate-detector.js, which replays labeled
+// interviews through it to measure accuracy and tune the thresholds below.
+
+const { getProvider } = require('./llm');
+const { analyzeStylometry, blendScores } = require('./stylometry');
+const { segmentTranscript, buildQuestionBreakdown } = require('./transcript');
+const { locateEvidence } = require('./evidence');
+
+// Lowest final score (0 = AI, 100 = human) for each detailed label
+const LIKELIHOOD_THRESHOLDS = {
+  likelyHuman: 70,
+  possiblyHuman: 50,
+  possiblyAI: 30
+};
+
+// Lowest score the teacher view calls human-written
+const TEACHER_THRESHOLD = 50;
+
+// Share of the final score that comes from the local stylometry features
+function getStylometryWeight() {
+  const weight = parseFloat(process.env.STYLOMETRY_WEIGHT ?? '0.3');
+  return Number.isNaN(weight) ? 0.3 : Math.max(0, Math.min(1, weight));
+}
+
+function isIndecisive(analysis) {
+  return Boolean(analysis.indecisive) || analysis.confidence === 'indecisive';
+}
+
+function getAILikelihood(score, thresholds = LIKELIHOOD_THRESHOLDS) {
+  if (score >= thresholds.likelyHuman) return 'likely human-written';
+  if (score >= thresholds.possiblyHuman) return 'possibly human-written';
+  if (score >= thresholds.possiblyAI) return 'possibly AI-generated';
+  return 'likely AI-generated';
+}
+
+// Analyze interview for AI detection: the LLM provider's verdict (the
+// configured one unless `provider` is given) blended with the
+// deterministic stylometry features of the code
+async function analyzeForAIDetection(interviewData, originalCode, { language, project, questions, questionTargets, priority, provider = getProvider() } = {}) {
+  if (!interviewData || !interviewData.transcript) {
+    return {
+      score: 0,
+      confidence: 'unknown',
+      aiLikelihood: 'unknown',
+      reasoning: 'No interview data available',
+      geminiAnalysis: false
+    };
+  }
+
+  try {
+    // Split the transcript by the questions that were asked so each answer is scored on its own
+    const segments = questions && questions.length > 0
+      ? segmentTranscript(interviewData.transcript, questions).segments
+      : null;
+    const modelAnalysis = await provider.analyzeAuthorship(originalCode, interviewData.transcript, project, segments, { priority });
+
+    // Ensure score is within bounds (0 is a valid verdict, not a missing one)
+    const rawScore = parseFloat(modelAnalysis.score);
+    const llmScore = Math.max(0, Math.min(100, Number.isNaN(rawScore) ? 50 : rawScore));
+
+    const stylometryWeight = getStylometryWeight();
+    const stylometry = analyzeStylometry(originalCode, language);
+    const ensemble = blendScores(llmScore, stylometry, stylometryWeight);
+    const score = ensemble.score;
+
+    return {
+      score,
+      llmScore,
+      confidence: modelAnalysis.confidence || 'medium',
+      aiLikelihood: isIndecisive(modelAnalysis) ? 'indecisive' : getAILikelihood(score),
+      reasoning: modelAnalysis.reasoning || 'Analysis completed',
+      redFlags: modelAnalysis.redFlags || [],
+      humanIndicators: modelAnalysis.humanIndicators || [],
+      keyObservations: modelAnalysis.keyObservations || [],
+      geminiAnalysis: true,
+      provider: provider.name,
+      model: provider.model,
+      promptVersion: provider.promptVersion || null,
+      transcriptLength: interviewData.transcript.length,
+      // Each phrase with its line range in the code or offsets in the transcript
+      suspiciousPhrases: locateEvidence(modelAnalysis.suspiciousPhrases, originalCode, interviewData.transcript),
+      // Per-feature metrics and how much each component moved the final score
+      stylometry,
+      ensemble: {
+        weights: { llm: stylometry ? 1 - stylometryWeight : 1, stylometry: stylometry ? stylometryWeight : 0 },
+        components: ensemble.components
+      },
+      // Understanding score and notes for each interview question
+      questionBreakdown: segments ? buildQuestionBreakdown(segments, modelAnalysis.questionScores, questionTargets) : null
+    };
+
+  } catch (error) {
+    console.error('LLM authorship analysis failed:', error);
+    throw error; // Don't fall back, just throw the error
+  }
+}
+
+// Helper function to convert detailed AI likelihood to simplified teacher view
+function getTeacherAILikelihood(score, confidence, indecisive) {
+  if (indecisive || confidence === 'indecisive') {
+    return 'indecisive';
+  } else if (score >= TEACHER_THRESHOLD) {
+    return 'likely human-written';
+  } else {
+    return 'likely AI-generated';
+  }
+}
+
+// Failed and placeholder analyses (provider errors, quota, no transcript)
+// carry a score of 0 that says nothing about the student
+function isFailedAnalysis(analysis) {
+  return analysis?.status === 'failed' || analysis?.geminiAnalysis === false;
+}
+
+// What teachers see for a stored analysis, failed ones included
+function getAnalysisLikelihood(analysis) {
+  if (isFailedAnalysis(analysis)) {
+    return 'analysis failed';
+  }
+  return getTeacherAILikelihood(analysis.score, analysis.confidence, analysis.indecisive);
+}
+
+module.exports = {
+  LIKELIHOOD_THRESHOLDS,
+  TEACHER_THRESHOLD,
+  getStylometryWeight,
+  getAILikelihood,
+  analyzeForAIDetection,
+  getTeacherAILikelihood,
+  isFailedAnalysis,
+  getAnalysisLikelihood
+};
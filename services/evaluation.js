@@ -0,0 +1,239 @@
+// Accuracy metrics for the authorship detector, computed from labeled
+// interviews that were run through services/detection.js (see
+// scripts/evaluate-detector.js). Each result is
+//
+//   { id, label: 'human' | 'ai', score, indecisive, error }
+//
+// with the final 0-100 score, where low means AI-generated. AI-generated is
+// the positive class: precision is the share of flagged submissions that
+// were AI-generated, recall the share of AI-generated ones that got flagged.
+// Indecisive and failed analyses give no verdict, so they are counted on
+// their own and left out of everything else.
+
+const { LIKELIHOOD_THRESHOLDS, TEACHER_THRESHOLD, getAILikelihood } = require('./detection');
+
+const CALIBRATION_BINS = 10;
+// Share of a "likely" label that must be right for a suggested threshold
+const DEFAULT_TARGET_PRECISION = 0.9;
+const LABELS = ['likely AI-generated', 'possibly AI-generated', 'possibly human-written', 'likely human-written'];
+
+function round(value, digits = 3) {
+  if (value === null || Number.isNaN(value)) return null;
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function ratio(part, whole) {
+  return whole > 0 ? part / whole : null;
+}
+
+function isAI(result) {
+  return result.label === 'ai';
+}
+
+// Counts for "score below threshold means AI-generated"
+function confusionMatrix(results, threshold) {
+  const matrix = { truePositives: 0, falsePositives: 0, trueNegatives: 0, falseNegatives: 0 };
+  for (const result of results) {
+    const flagged = result.score < threshold;
+    if (flagged && isAI(result)) matrix.truePositives += 1;
+    else if (flagged) matrix.falsePositives += 1;
+    else if (isAI(result)) matrix.falseNegatives += 1;
+    else matrix.trueNegatives += 1;
+  }
+  return matrix;
+}
+
+function metricsAt(results, threshold) {
+  const matrix = confusionMatrix(results, threshold);
+  const { truePositives: tp, falsePositives: fp, trueNegatives: tn, falseNegatives: fn } = matrix;
+  const precision = ratio(tp, tp + fp);
+  const recall = ratio(tp, tp + fn);
+  const specificity = ratio(tn, tn + fp);
+  return {
+    threshold,
+    ...matrix,
+    accuracy: round(ratio(tp + tn, results.length)),
+    precision: round(precision),
+    recall: round(recall),
+    f1: round(precision !== null && recall !== null && precision + recall > 0 ? 2 * precision * recall / (precision + recall) : null),
+    // Same as above for the human-written class
+    humanPrecision: round(ratio(tn, tn + fn)),
+    humanRecall: round(specificity),
+    balancedAccuracy: round(recall !== null && specificity !== null ? (recall + specificity) / 2 : null)
+  };
+}
+
+// One point per distinct score, from flagging nothing to flagging everything.
+// AUC is the chance that a random AI-generated submission scores lower than
+// a random human-written one (ties count half).
+function rocCurve(results) {
+  const positives = results.filter(isAI).length;
+  const negatives = results.length - positives;
+  const thresholds = [...new Set(results.map(result => result.score))].sort((a, b) => a - b);
+  const points = [0, ...thresholds.map(score => score + 1e-9)].map(threshold => {
+    const { truePositives, falsePositives } = confusionMatrix(results, threshold);
+    return {
+      threshold: round(threshold, 2),
+      truePositiveRate: round(ratio(truePositives, positives)),
+      falsePositiveRate: round(ratio(falsePositives, negatives))
+    };
+  });
+
+  let wins = 0;
+  for (const ai of results.filter(isAI)) {
+    for (const human of results.filter(result => !isAI(result))) {
+      if (ai.score < human.score) wins += 1;
+      else if (ai.score === human.score) wins += 0.5;
+    }
+  }
+  return { auc: round(ratio(wins, positives * negatives)), points };
+}
+
+// How often submissions the detector put at a given chance of being
+// human-written (score / 100) actually were. Expected calibration error is
+// the count-weighted gap between the two; the Brier score is the mean
+// squared error of the chance.
+function calibrationCurve(results, binCount = CALIBRATION_BINS) {
+  const bins = Array.from({ length: binCount }, (_, index) => ({
+    from: index * 100 / binCount,
+    to: (index + 1) * 100 / binCount,
+    count: 0,
+    predicted: 0,
+    human: 0
+  }));
+  let brier = 0;
+  for (const result of results) {
+    const bin = bins[Math.min(binCount - 1, Math.floor(result.score / (100 / binCount)))];
+    const outcome = isAI(result) ? 0 : 1;
+    bin.count += 1;
+    bin.predicted += result.score / 100;
+    bin.human += outcome;
+    brier += (result.score / 100 - outcome) ** 2;
+  }
+
+  let gap = 0;
+  const curve = bins.map(bin => {
+    if (bin.count > 0) gap += bin.count * Math.abs(bin.predicted / bin.count - bin.human / bin.count);
+    return {
+      from: bin.from,
+      to: bin.to,
+      count: bin.count,
+      meanPredicted: round(ratio(bin.predicted, bin.count)),
+      observedHuman: round(ratio(bin.human, bin.count))
+    };
+  });
+  return {
+    bins: curve,
+    expectedCalibrationError: round(ratio(gap, results.length)),
+    brierScore: round(ratio(brier, results.length))
+  };
+}
+
+// How the labeled submissions spread over the detailed labels
+function labelBreakdown(results, thresholds = LIKELIHOOD_THRESHOLDS) {
+  return LABELS.map(label => {
+    const matching = results.filter(result => getAILikelihood(result.score, thresholds) === label);
+    const ai = matching.filter(isAI).length;
+    return { label, count: matching.length, ai, human: matching.length - ai, aiShare: round(ratio(ai, matching.length)) };
+  });
+}
+
+// Integer thresholds from 1 to 100, as used for the current ones
+function candidateThresholds() {
+  return Array.from({ length: 100 }, (_, index) => index + 1);
+}
+
+// Thresholds that fit the data: the teacher view's cut at the best balanced
+// accuracy (closest to the current one on ties), and the "likely" labels
+// where they are right at least `targetPrecision` of the time. A label no
+// threshold reaches that for is null.
+function suggestThresholds(results, { targetPrecision = DEFAULT_TARGET_PRECISION } = {}) {
+  if (results.length === 0 || results.every(isAI) || !results.some(isAI)) {
+    return null;
+  }
+
+  let teacher = null;
+  for (const threshold of candidateThresholds()) {
+    const { balancedAccuracy } = metricsAt(results, threshold);
+    const better = !teacher || balancedAccuracy > teacher.balancedAccuracy ||
+      (balancedAccuracy === teacher.balancedAccuracy &&
+        Math.abs(threshold - TEACHER_THRESHOLD) < Math.abs(teacher.threshold - TEACHER_THRESHOLD));
+    if (better) teacher = { threshold, balancedAccuracy };
+  }
+
+  // Lowest score above which human-written is right often enough
+  const likelyHuman = candidateThresholds().find(threshold => {
+    const above = results.filter(result => result.score >= threshold);
+    return above.length > 0 && ratio(above.filter(result => !isAI(result)).length, above.length) >= targetPrecision;
+  }) ?? null;
+  // Highest score below which AI-generated is right often enough
+  const likelyAI = [...candidateThresholds()].reverse().find(threshold => {
+    const below = results.filter(result => result.score < threshold);
+    return below.length > 0 && ratio(below.filter(isAI).length, below.length) >= targetPrecision;
+  }) ?? null;
+
+  const possiblyHuman = teacher.threshold;
+  return {
+    targetPrecision,
+    teacherThreshold: teacher.threshold,
+    likelihoodThresholds: {
+      likelyHuman: likelyHuman === null ? null : Math.max(likelyHuman, possiblyHuman),
+      possiblyHuman,
+      possiblyAI: likelyAI === null ? null : Math.min(likelyAI, possiblyHuman)
+    }
+  };
+}
+
+// Everything above for one evaluation run
+function evaluateResults(all, { targetPrecision = DEFAULT_TARGET_PRECISION } = {}) {
+  const failed = all.filter(result => result.error);
+  const analyzed = all.filter(result => !result.error);
+  const indecisive = analyzed.filter(result => result.indecisive);
+  const decided = analyzed.filter(result => !result.indecisive);
+  const suggestions = suggestThresholds(decided, { targetPrecision });
+
+  return {
+    counts: {
+      total: all.length,
+      human: all.filter(result => !isAI(result)).length,
+      ai: all.filter(isAI).length,
+      failed: failed.length,
+      indecisive: indecisive.length,
+      decided: decided.length
+    },
+    indecisiveRate: round(ratio(indecisive.length, analyzed.length)),
+    indecisiveByLabel: {
+      human: round(ratio(indecisive.filter(result => !isAI(result)).length, analyzed.filter(result => !isAI(result)).length)),
+      ai: round(ratio(indecisive.filter(isAI).length, analyzed.filter(isAI).length))
+    },
+    current: {
+      teacherThreshold: TEACHER_THRESHOLD,
+      likelihoodThresholds: LIKELIHOOD_THRESHOLDS,
+      metrics: metricsAt(decided, TEACHER_THRESHOLD),
+      labels: labelBreakdown(decided)
+    },
+    roc: rocCurve(decided),
+    calibration: calibrationCurve(decided),
+    suggestions: suggestions && {
+      ...suggestions,
+      metrics: metricsAt(decided, suggestions.teacherThreshold)
+    },
+    // Decided submissions the teacher view gets wrong
+    misclassified: decided
+      .filter(result => (result.score < TEACHER_THRESHOLD) !== isAI(result))
+      .map(({ id, label, score, llmScore }) => ({ id, label, score, llmScore })),
+    failures: failed.map(({ id, error }) => ({ id, error }))
+  };
+}
+
+module.exports = {
+  DEFAULT_TARGET_PRECISION,
+  confusionMatrix,
+  metricsAt,
+  rocCurve,
+  calibrationCurve,
+  labelBreakdown,
+  suggestThresholds,
+  evaluateResults
+};
@@ -0,0 +1,140 @@
+// Live status updates for the portals and the teacher dashboard. Interview
+// state changes (created, started, completed, analyzing, analyzed, failed)
+// and question review outcomes (pending, approved, rejected) are published
+// here, and each connected client gets the ones it is allowed to see: the
+// student their own, teachers those in their courses, admins all of them.
+//
+// Events live in memory. A client that reconnects with the ID of the last
+// event it saw is sent what it missed, while that is still among the last
+// `bufferSize` events; IDs from before a restart are ignored, and the client
+// gets a fresh snapshot instead.
+//
+//   publish(type, data, canView)                  -> the event, or null if the state didn't change
+//   connect(user, filter, { lastEventId, send })  -> close()
+
+// States after which a watched interview or review changes only on request
+const FINAL_STATES = ['analyzed', 'failed', 'approved', 'rejected'];
+
+const EVENT_BUFFER_SIZE = 500;
+const MAX_TRACKED_STATES = 10000;
+const CHECK_INTERVAL_MS = 15 * 1000;
+
+function eventKey(type, data) {
+  return `${type}:${type === 'question_review' ? data.reviewId : data.interviewId}`;
+}
+
+// { interviewId, reviewId, courseId } narrow a connection to one interview,
+// one question review or one course
+function parseEventFilter(input = {}) {
+  const filter = {};
+  for (const key of ['interviewId', 'reviewId', 'courseId']) {
+    if (typeof input[key] === 'string' && input[key]) filter[key] = input[key];
+  }
+  return filter;
+}
+
+function matchesFilter(event, filter) {
+  if (filter.interviewId && event.data.interviewId !== filter.interviewId) return false;
+  if (filter.reviewId && event.data.reviewId !== filter.reviewId) return false;
+  if (filter.courseId && event.data.courseId !== filter.courseId) return false;
+  return true;
+}
+
+// `snapshot(filter)` returns the current state of the watched interview or
+// review ({ type, data }) and publishes nothing. Interviews the server isn't
+// told about (Ribbon without webhooks) are only seen to change when someone
+// asks, so it runs every `checkIntervalMs` until the state is final; the
+// change itself is published where it is recorded.
+function createEventHub({ snapshot, bufferSize = EVENT_BUFFER_SIZE, checkIntervalMs = CHECK_INTERVAL_MS } = {}) {
+  const listeners = new Set();
+  const buffer = [];
+  const lastStates = new Map();
+  // Event IDs are "<run>-<sequence>", so IDs from an earlier run never match
+  const run = Date.now().toString(36);
+  let sequence = 0;
+
+  function sequenceOf(eventId) {
+    const [eventRun, eventSequence] = String(eventId || '').split('-');
+    return eventRun === run ? parseInt(eventSequence, 10) || 0 : null;
+  }
+
+  // Consecutive repeats of a state (polls, webhook retries, restarted
+  // analysis attempts) are dropped
+  function publish(type, data, canView) {
+    const key = eventKey(type, data);
+    if (lastStates.get(key) === data.state) return null;
+    lastStates.delete(key);
+    lastStates.set(key, data.state);
+    if (lastStates.size > MAX_TRACKED_STATES) {
+      lastStates.delete(lastStates.keys().next().value);
+    }
+
+    sequence++;
+    const event = { id: `${run}-${sequence}`, sequence, type, data: { ...data, at: new Date().toISOString() }, canView };
+    buffer.push(event);
+    if (buffer.length > bufferSize) buffer.shift();
+
+    for (const listener of listeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('Live event listener error:', error);
+      }
+    }
+    return event;
+  }
+
+  // Replays the events after lastEventId, sends the watched interview's or
+  // review's current state, then every new event the user may see
+  function connect(user, filter, { lastEventId = null, send }) {
+    const matches = event => matchesFilter(event, filter) && event.canView(user);
+    let closed = false;
+    let timer = null;
+
+    const after = sequenceOf(lastEventId);
+    if (after !== null) {
+      for (const event of buffer) {
+        if (event.sequence > after && matches(event)) send(event);
+      }
+    }
+    const listener = event => {
+      if (matches(event)) send(event);
+    };
+    listeners.add(listener);
+
+    async function check(first) {
+      timer = null;
+      try {
+        const current = await snapshot(filter);
+        if (closed || !current) return;
+        if (first) send({ id: null, ...current });
+        if (!FINAL_STATES.includes(current.data.state)) {
+          timer = setTimeout(() => check(false), checkIntervalMs);
+        }
+      } catch (error) {
+        console.error('Live status check failed:', error.message);
+        if (!closed) timer = setTimeout(() => check(first), checkIntervalMs);
+      }
+    }
+    if (snapshot && (filter.interviewId || filter.reviewId)) {
+      check(true);
+    }
+
+    return function close() {
+      closed = true;
+      clearTimeout(timer);
+      listeners.delete(listener);
+    };
+  }
+
+  return {
+    publish,
+    connect,
+
+    connections() {
+      return listeners.size;
+    }
+  };
+}
+
+module.exports = { FINAL_STATES, createEventHub, parseEventFilter };
@@ -0,0 +1,84 @@
+// The live status updates over a WebSocket at /api/events/ws, for clients
+// behind proxies that hold back Server-Sent Events. Needs the optional `ws`
+// package; EVENTS_WEBSOCKET=false turns it off.
+//
+// Browsers can't send headers with a WebSocket, so the first message signs
+// in and says what to watch, with the same filters as the SSE stream:
+//   { "token": "<access token>", "interviewId"?, "reviewId"?, "courseId"?, "lastEventId"? }
+// Every message after that is { id, type, data }, starting with `ready`.
+
+const { parseEventFilter } = require('./index');
+
+const PATH = '/api/events/ws';
+const SIGN_IN_TIMEOUT_MS = 10 * 1000;
+const HEARTBEAT_MS = 25 * 1000;
+const MAX_MESSAGE_BYTES = 16 * 1024;
+
+// Returns the WebSocket server, or null when it is off or `ws` isn't installed
+function attachEventSocket(server, { hub, verifyToken, canWatch }) {
+  if (process.env.EVENTS_WEBSOCKET === 'false') return null;
+
+  let WebSocketServer;
+  try {
+    ({ WebSocketServer } = require('ws'));
+  } catch (error) {
+    console.log('ℹ️ WebSocket live updates are off (the optional "ws" package is not installed); SSE still works');
+    return null;
+  }
+
+  const wss = new WebSocketServer({ server, path: PATH, maxPayload: MAX_MESSAGE_BYTES });
+
+  wss.on('connection', socket => {
+    let close = null;
+    let alive = true;
+    const send = ({ id, type, data }) => socket.send(JSON.stringify({ id: id || null, type, data }));
+    const fail = (code, message) => {
+      send({ type: 'error', data: { error: message } });
+      socket.close(code, message);
+    };
+
+    const signInTimeout = setTimeout(() => fail(4401, 'Sign-in timed out'), SIGN_IN_TIMEOUT_MS);
+    const heartbeat = setInterval(() => {
+      if (!alive) return socket.terminate();
+      alive = false;
+      socket.ping();
+    }, HEARTBEAT_MS);
+    socket.on('pong', () => {
+      alive = true;
+    });
+
+    socket.once('message', async raw => {
+      clearTimeout(signInTimeout);
+      let message;
+      let user;
+      try {
+        message = JSON.parse(raw.toString('utf8'));
+        user = await verifyToken(String(message.token || ''));
+      } catch (error) {
+        console.log(`⚠️ Rejected live update socket: ${error.message}`);
+        return fail(4401, 'Invalid or expired token');
+      }
+
+      const filter = parseEventFilter(message);
+      if (!canWatch(user, filter)) {
+        return fail(4403, 'You do not have access to this interview');
+      }
+      if (socket.readyState !== socket.OPEN) return;
+
+      send({ type: 'ready', data: { transport: 'websocket', filter } });
+      close = hub.connect(user, filter, { lastEventId: message.lastEventId, send });
+    });
+
+    socket.on('close', () => {
+      clearTimeout(signInTimeout);
+      clearInterval(heartbeat);
+      if (close) close();
+    });
+    socket.on('error', error => console.error('Live update socket error:', error.message));
+  });
+
+  console.log(`🔌 WebSocket live updates at ${PATH}`);
+  return wss;
+}
+
+module.exports = { attachEventSocket };
@@ -0,0 +1,83 @@
+// Locates the model's suspiciousPhrases in the submitted code and the
+// interview transcript so the dashboard can mark them. Models often change
+// whitespace or case when quoting, and join multi-line comments into one
+// sentence, so an exact match falls back to a case-insensitive match that
+// ignores whitespace and comment markers between words.
+
+const FILE_HEADER = /^\/\/ ===== File: (.*) \((\w+)\) =====$/;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// { start, end } character range of the phrase in text, or null
+function findPhrase(text, phrase) {
+  if (!text || !phrase) return null;
+
+  const exact = text.indexOf(phrase);
+  if (exact !== -1) return { start: exact, end: exact + phrase.length };
+
+  const words = phrase.trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return null;
+  const match = new RegExp(words.map(escapeRegExp).join('\\s+(?:(?:\\/\\/+|#+|\\*+)\\s*)?'), 'i').exec(text);
+  return match ? { start: match.index, end: match.index + match[0].length } : null;
+}
+
+function lineAt(text, offset) {
+  let line = 1;
+  for (let i = 0; i < offset; i++) {
+    if (text.charCodeAt(i) === 10) line++;
+  }
+  return line;
+}
+
+// For multi-file submissions, the file a line of the combined code belongs
+// to and the line number within that file
+function fileAt(code, line) {
+  const lines = code.split('\n');
+  for (let index = line - 1; index >= 0; index--) {
+    const header = lines[index].match(FILE_HEADER);
+    if (header) return { path: header[1], headerLine: index + 1 };
+  }
+  return null;
+}
+
+function locateInCode(code, phrase) {
+  const range = findPhrase(code, phrase);
+  if (!range) return null;
+
+  const startLine = lineAt(code, range.start);
+  const endLine = lineAt(code, range.end);
+  const file = fileAt(code, startLine);
+  return {
+    source: 'code',
+    ...range,
+    startLine,
+    endLine,
+    ...(file ? { file: file.path, fileStartLine: startLine - file.headerLine, fileEndLine: endLine - file.headerLine } : {})
+  };
+}
+
+function locateInTranscript(transcript, phrase) {
+  const range = findPhrase(transcript, phrase);
+  return range ? { source: 'transcript', ...range } : null;
+}
+
+// suspiciousPhrases with a `location` added to each: line range and offsets
+// in the code, or offsets in the transcript. The phrase's own `type` is tried
+// first, then the other source; phrases found in neither get location null.
+function locateEvidence(phrases, code, transcript) {
+  if (!Array.isArray(phrases)) return [];
+  return phrases
+    .filter(phrase => phrase && typeof phrase.text === 'string')
+    .map(phrase => {
+      const inCode = () => locateInCode(code || '', phrase.text);
+      const inTranscript = () => locateInTranscript(transcript || '', phrase.text);
+      const location = phrase.type === 'code'
+        ? inCode() || inTranscript()
+        : inTranscript() || inCode();
+      return { ...phrase, location };
+    });
+}
+
+module.exports = { locateEvidence };
@@ -0,0 +1,35 @@
+// HTML the server renders itself: the LTI and unsubscribe pages, and reports
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// A small standalone page; `body` is HTML and must already be escaped
+function page(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(title)} - Codefessor</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #333; max-width: 640px; margin: 40px auto; padding: 0 20px; }
+    h1 { font-size: 1.4rem; }
+    label { display: block; font-weight: 600; margin: 15px 0 5px; }
+    input, select, textarea { width: 100%; padding: 8px; border: 1px solid #ccc; border-radius: 5px; box-sizing: border-box; font: inherit; }
+    button { margin-top: 20px; background: #667eea; color: white; border: none; padding: 10px 20px; border-radius: 5px; font-size: 1rem; cursor: pointer; }
+    .error { background: #fdecea; color: #b71c1c; padding: 15px; border-radius: 5px; }
+  </style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+module.exports = { escapeHtml, page };
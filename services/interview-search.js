@@ -0,0 +1,133 @@
+// Query parameters and cursors for the teacher's interview list. The
+// filtering, sorting, paging and stats run in SQL (store.searchInterviews),
+// over summaries like { interviewId, studentName, aiScore, completedAt, ... }.
+
+const { hasRole } = require('./auth');
+const { TEACHER_THRESHOLD } = require('./detection');
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+// Sortable fields and their default order
+const SORTS = {
+  completedAt: { order: 'desc' },
+  score: { order: 'desc' },
+  studentName: { order: 'asc' },
+  studentEmail: { order: 'asc' },
+  language: { order: 'asc' },
+  confidence: { order: 'asc' },
+  reviewState: { order: 'asc' }
+};
+
+function queryError(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+// Comma-separated values, lower-cased for case-insensitive matching
+function parseList(value) {
+  if (!value) return null;
+  const list = String(value).split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+  return list.length > 0 ? list : null;
+}
+
+function parseScore(value, name) {
+  if (value === undefined || value === '') return null;
+  const score = Number(value);
+  if (Number.isNaN(score) || score < 0 || score > 100) {
+    throw queryError(`${name} must be a number from 0 to 100`);
+  }
+  return score;
+}
+
+// As an ISO timestamp; a date-only `to` covers the whole day
+function parseDate(value, name, { endOfDay = false } = {}) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw queryError(`${name} must be a date`);
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+    date.setUTCMilliseconds(-1);
+  }
+  return date.toISOString();
+}
+
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodeCursor(value) {
+  try {
+    const cursor = JSON.parse(Buffer.from(value, 'base64url').toString('utf8'));
+    if (!cursor || typeof cursor.id !== 'string' || !['string', 'number'].includes(typeof cursor.value)) {
+      throw new Error('missing position');
+    }
+    return cursor;
+  } catch (error) {
+    throw queryError('Invalid cursor');
+  }
+}
+
+// Validated filters and paging options from the request query. Throws an
+// error with status 400 for values that can't be used.
+function parseInterviewQuery(query) {
+  const sort = query.sort || 'completedAt';
+  if (!SORTS[sort]) {
+    throw queryError(`sort must be one of: ${Object.keys(SORTS).join(', ')}`);
+  }
+  const order = query.order || SORTS[sort].order;
+  if (!['asc', 'desc'].includes(order)) {
+    throw queryError('order must be asc or desc');
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : parseInt(query.limit, 10);
+  if (Number.isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw queryError(`limit must be from 1 to ${MAX_LIMIT}`);
+  }
+
+  const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+  if (cursor && (cursor.sort !== sort || cursor.order !== order)) {
+    throw queryError('The cursor belongs to a different sort order; start again without it');
+  }
+
+  const filters = {
+    courseId: query.courseId || null,
+    assignmentId: query.assignmentId || null,
+    student: query.student ? String(query.student).trim().toLowerCase() : null,
+    languages: parseList(query.language),
+    minScore: parseScore(query.minScore, 'minScore'),
+    maxScore: parseScore(query.maxScore, 'maxScore'),
+    likelihoods: parseList(query.likelihood),
+    confidences: parseList(query.confidence),
+    reviewStates: parseList(query.reviewState),
+    from: parseDate(query.from, 'from'),
+    to: parseDate(query.to, 'to', { endOfDay: true }),
+    text: query.q ? String(query.q).trim().toLowerCase() : null
+  };
+  if (filters.minScore !== null && filters.maxScore !== null && filters.minScore > filters.maxScore) {
+    throw queryError('minScore cannot be greater than maxScore');
+  }
+
+  return { filters, sort, order, limit, cursor };
+}
+
+// The page, next cursor, stats and per-assignment groups for a parsed query,
+// over the analyzed interviews the user may see. The cursor marks the last
+// interview of the previous page by its sort value and ID, so pages stay
+// consistent while new interviews arrive.
+function searchInterviews(store, { filters, sort, order, limit, cursor }, user) {
+  const result = store.searchInterviews({
+    viewer: { id: user.id, email: user.email, all: hasRole(user, 'admin'), teacher: hasRole(user, 'teacher') },
+    filters,
+    sort,
+    order,
+    limit,
+    after: cursor,
+    teacherThreshold: TEACHER_THRESHOLD
+  });
+  const { last, ...page } = result;
+  return { ...page, nextCursor: last ? encodeCursor({ sort, order, ...last }) : null };
+}
+
+module.exports = { DEFAULT_LIMIT, MAX_LIMIT, SORTS, parseInterviewQuery, searchInterviews };
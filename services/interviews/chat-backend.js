@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+
+const MAX_ANSWER_LENGTH = 5000;
+
+// Native text-chat interviews served by our own Express app. Questions are
+// asked one at a time and the answers are assembled into the same
+// transcript/status shape Ribbon produces, so analysis and the teacher
+// endpoints don't need to know which backend ran the interview.
+function createChatBackend(store) {
+  function buildTranscript(interview) {
+    return interview.answers
+      .map((answer, index) => `Interviewer: ${interview.questions[index]}\nStudent: ${answer}`)
+      .join('\n\n');
+  }
+
+  function toInterviewData(interview) {
+    return {
+      interview_id: interview.interviewId,
+      interview_flow_id: null,
+      status: interview.status,
+      transcript: interview.answers.length > 0 ? buildTranscript(interview) : null,
+      created_at: interview.createdAt,
+      started_at: interview.startedAt,
+      completed_at: interview.completedAt,
+      backend: 'chat'
+    };
+  }
+
+  return {
+    name: 'chat',
+
+    async createInterview({ questions, language, studentName }) {
+      const interviewId = crypto.randomUUID();
+      store.createChatInterview({
+        interviewId,
+        questions,
+        answers: [],
+        language,
+        studentName,
+        status: 'pending',
+        createdAt: new Date().toISOString(),
+        startedAt: null,
+        completedAt: null
+      });
+
+      console.log(`💬 Created text-chat interview ${interviewId} for ${studentName}`);
+      return {
+        interviewId,
+        interviewLink: `/chat-interview.html?interviewId=${interviewId}`,
+        interviewFlowId: null
+      };
+    },
+
+    async getInterview(interviewId) {
+      const interview = store.getChatInterview(interviewId);
+      return interview ? toInterviewData(interview) : null;
+    },
+
+    async listInterviews() {
+      return store.listChatInterviews().map(toInterviewData);
+    },
+
+    has(interviewId) {
+      return !!store.getChatInterview(interviewId);
+    },
+
+    // State shown to the student in the chat page
+    getChatState(interviewId) {
+      const interview = store.getChatInterview(interviewId);
+      if (!interview) return null;
+
+      const answered = interview.answers.length;
+      return {
+        interviewId,
+        status: interview.status,
+        language: interview.language,
+        totalQuestions: interview.questions.length,
+        questionIndex: answered,
+        currentQuestion: interview.questions[answered] || null,
+        messages: interview.answers.flatMap((answer, index) => [
+          { role: 'interviewer', text: interview.questions[index] },
+          { role: 'student', text: answer }
+        ])
+      };
+    },
+
+    submitAnswer(interviewId, answer) {
+      const interview = store.getChatInterview(interviewId);
+      if (!interview) {
+        throw Object.assign(new Error('Interview not found'), { status: 404 });
+      }
+      if (interview.status === 'completed') {
+        throw Object.assign(new Error('Interview already completed'), { status: 409 });
+      }
+
+      const text = typeof answer === 'string' ? answer.trim() : '';
+      if (!text) {
+        throw Object.assign(new Error('Answer is required'), { status: 400 });
+      }
+
+      interview.answers.push(text.slice(0, MAX_ANSWER_LENGTH));
+      if (interview.status === 'pending') {
+        interview.status = 'in_progress';
+        interview.startedAt = new Date().toISOString();
+      }
+      if (interview.answers.length >= interview.questions.length) {
+        interview.status = 'completed';
+        interview.completedAt = new Date().toISOString();
+        console.log(`✅ Text-chat interview ${interviewId} completed`);
+      }
+      store.updateChatInterview(interview);
+
+      return this.getChatState(interviewId);
+    }
+  };
+}
+
+module.exports = { createChatBackend };
@@ -0,0 +1,61 @@
+const { createRibbonBackend } = require('./ribbon-backend');
+const { createChatBackend } = require('./chat-backend');
+const { getStore } = require('../store');
+
+// Every backend exposes the same interface:
+//   createInterview({ questions, code, language, studentName, studentEmail })
+//     -> { interviewId, interviewLink, interviewFlowId }
+//   getInterview(interviewId, { refresh }?) -> { interview_id, status, transcript, completed_at, ... } | null
+//   listInterviews() -> [interviewData, ...]
+// `refresh` asks for the backend's current state rather than a recent copy.
+const BACKENDS = {
+  ribbon: () => createRibbonBackend({
+    apiKey: process.env.RIBBON_API_KEY,
+    baseUrl: process.env.RIBBON_BASE_URL,
+    store: getStore(),
+    syncIntervalMs: (parseInt(process.env.RIBBON_SYNC_INTERVAL_SECONDS, 10) || 300) * 1000,
+    onStatusChange: (interviewId, status) => statusListener && statusListener(interviewId, status)
+  }),
+  chat: () => createChatBackend(getStore())
+};
+
+const instances = new Map();
+let statusListener = null;
+
+// listener(interviewId, status) runs when a backend sees an interview's
+// status change on its own, rather than being told by a webhook or the chat
+function onInterviewStatusChange(listener) {
+  statusListener = listener;
+}
+
+function getInterviewBackend(name) {
+  if (!BACKENDS[name]) {
+    throw new Error(`Unknown interview backend "${name}". Available: ${Object.keys(BACKENDS).join(', ')}`);
+  }
+  if (!instances.has(name)) {
+    instances.set(name, BACKENDS[name]());
+  }
+  return instances.get(name);
+}
+
+// Backend used when a submission doesn't ask for one (INTERVIEW_BACKEND, defaults to ribbon)
+function getDefaultBackendName() {
+  return process.env.INTERVIEW_BACKEND || 'ribbon';
+}
+
+// Work out which backend owns an interview when we don't have a session for it
+function resolveBackendName(interviewId, backendName) {
+  if (backendName) return backendName;
+  return getInterviewBackend('chat').has(interviewId) ? 'chat' : 'ribbon';
+}
+
+async function findInterview(interviewId, backendName, options = {}) {
+  return getInterviewBackend(resolveBackendName(interviewId, backendName)).getInterview(interviewId, options);
+}
+
+module.exports = {
+  getInterviewBackend,
+  getDefaultBackendName,
+  findInterview,
+  onInterviewStatusChange
+};
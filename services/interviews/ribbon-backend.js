@@ -0,0 +1,137 @@
+const axios = require('axios');
+const { createRibbonSync } = require('./ribbon-sync');
+
+const RIBBON_BASE_URL = 'https://app.ribbon.ai/be-api/v1';
+
+// Ribbon returns interviews either flat or nested under interview_data;
+// normalize to a structure with status at the top level
+function normalizeRibbonInterview(interview) {
+  const interviewData = interview.interview_data || interview;
+  return {
+    ...interviewData,
+    status: interview.status || interview.interview_data?.status,
+    interview_flow_id: interview.interview_flow_id || interview.interview_data?.interview_flow_id,
+    interview_id: interviewData.interview_id || interview.interview_id
+  };
+}
+
+// Thin wrapper around the Ribbon REST API
+function createRibbonClient({ apiKey, baseUrl = RIBBON_BASE_URL }) {
+  const headers = {
+    'Authorization': `Bearer ${apiKey}`,
+    'Accept': 'application/json'
+  };
+
+  // Create interview flow for code review
+  async function createInterviewFlow(flowData) {
+    try {
+      const response = await axios.post(`${baseUrl}/interview-flows`, flowData, {
+        headers: { ...headers, 'Content-Type': 'application/json' }
+      });
+
+      console.log(`Interview flow ${response.data.interview_flow_id} created with ${flowData.questions.length} questions`);
+      return response.data.interview_flow_id;
+    } catch (error) {
+      console.error('Error creating interview flow:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  // Create interview session
+  async function createInterviewSession(interviewFlowId, studentEmail, studentName) {
+    try {
+      const [firstName, ...lastNameParts] = studentName.split(' ');
+      const lastName = lastNameParts.join(' ') || '';
+
+      const response = await axios.post(`${baseUrl}/interviews`, {
+        interview_flow_id: interviewFlowId,
+        interviewee_email_address: studentEmail,
+        interviewee_first_name: firstName,
+        interviewee_last_name: lastName
+      }, {
+        headers: { ...headers, 'Content-Type': 'application/json' }
+      });
+
+      return response.data;
+    } catch (error) {
+      console.error('Error creating interview:', error.response?.data || error.message);
+      throw error;
+    }
+  }
+
+  return {
+    createInterviewFlow,
+    createInterviewSession,
+
+    // One interview by ID, or null if Ribbon doesn't know it
+    async getInterview(interviewId) {
+      try {
+        const response = await axios.get(`${baseUrl}/interviews/${encodeURIComponent(interviewId)}`, { headers });
+        return normalizeRibbonInterview(response.data.interview || response.data);
+      } catch (error) {
+        if (error.response?.status === 404) return null;
+        throw error;
+      }
+    },
+
+    async listInterviews({ limit, offset }) {
+      const response = await axios.get(`${baseUrl}/interviews`, { headers, params: { limit, offset } });
+      return (response.data.interviews || []).map(normalizeRibbonInterview);
+    },
+
+    async listInterviewFlows({ limit, offset }) {
+      const response = await axios.get(`${baseUrl}/interview-flows`, { headers, params: { limit, offset } });
+      return response.data.interview_flows || [];
+    }
+  };
+}
+
+// Interviews are created through the API and read from the local mirror,
+// which `sync` keeps up to date (see ribbon-sync.js)
+function createRibbonBackend({ apiKey, baseUrl, store, syncIntervalMs, onStatusChange }) {
+  const client = createRibbonClient({ apiKey, baseUrl });
+  const sync = createRibbonSync({ store, client, intervalMs: syncIntervalMs, onStatusChange });
+
+  return {
+    name: 'ribbon',
+    sync,
+
+    async createInterview({ questions, language, studentName, studentEmail }) {
+      console.log(`Creating interview flow for ${studentName} - ${language}`);
+      const flowData = {
+        org_name: "Codefessor",
+        title: `Code Understanding Assessment - ${language}`,
+        questions: questions,
+        interview_type: "recruitment",
+        is_video_enabled: true
+      };
+      const interviewFlowId = await client.createInterviewFlow(flowData);
+      store.saveRibbonFlow({ ...flowData, interview_flow_id: interviewFlowId });
+
+      const interview = await client.createInterviewSession(interviewFlowId, studentEmail, studentName);
+      store.saveRibbonInterview(normalizeRibbonInterview({ interview_flow_id: interviewFlowId, ...interview }));
+      return {
+        interviewId: interview.interview_id,
+        interviewLink: interview.interview_link,
+        interviewFlowId
+      };
+    },
+
+    // Served from the mirror; see sync.getInterview for when Ribbon is asked
+    getInterview(interviewId, options) {
+      return sync.getInterview(interviewId, options);
+    },
+
+    async listInterviews() {
+      return store.listRibbonInterviews().map(entry => entry.interview);
+    },
+
+    // A one-item request, to check the API key and connection
+    async checkConnection() {
+      await client.listInterviews({ limit: 1, offset: 0 });
+      return true;
+    }
+  };
+}
+
+module.exports = { createRibbonBackend, createRibbonClient, normalizeRibbonInterview };
@@ -0,0 +1,178 @@
+const PAGE_SIZE = 100;
+const SYNC_STATE = 'ribbon';
+
+// An interview that may still change is fetched again once its local copy
+// is this old; completed interviews are served from the mirror
+const REFRESH_AFTER_MS = 15 * 1000;
+const OPEN_INTERVIEWS_PER_RUN = 50;
+const FULL_SYNC_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// Keeps the store's mirror of Ribbon interviews and flows up to date.
+//
+// An incremental run pages through Ribbon's lists (newest first) and stops at
+// the first page that brings nothing new or changed, then refreshes the
+// interviews still in progress one by one. A full run pages through
+// everything; one runs at start-up, once a day and on demand.
+//
+//   run({ full }) -> { mode, interviews, flows, openRefreshed, ... }
+//   getInterview(interviewId, { refresh }) -> interview data | null
+//
+// onStatusChange(interviewId, status) runs when a mirrored interview comes
+// back with a different status; interviews seen for the first time don't count.
+function createRibbonSync({ store, client, intervalMs = 5 * 60 * 1000, fullSyncIntervalMs = FULL_SYNC_INTERVAL_MS, onStatusChange = null }) {
+  let timer = null;
+  let current = null;
+
+  function saveInterview(interview) {
+    const previous = store.getRibbonInterview(interview.interview_id);
+    const result = store.saveRibbonInterview(interview);
+    if (result === 'updated' && onStatusChange && previous.interview.status !== interview.status) {
+      try {
+        onStatusChange(interview.interview_id, interview.status);
+      } catch (error) {
+        console.error(`Ribbon status change handler failed for ${interview.interview_id}:`, error.message);
+      }
+    }
+    return result;
+  }
+
+  async function syncList(name, fetchPage, save, idKey, { full }) {
+    const counts = { pages: 0, fetched: 0, inserted: 0, updated: 0, unchanged: 0 };
+    let previousIds = null;
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const items = await fetchPage({ limit: PAGE_SIZE, offset });
+      const ids = items.map(item => item[idKey]).join(',');
+      // An API that ignores the offset would return the same page forever
+      if (items.length > 0 && ids === previousIds) {
+        console.log(`⚠️ Ribbon returned the same ${name} page twice; stopping at offset ${offset}`);
+        break;
+      }
+      previousIds = ids;
+      counts.pages++;
+
+      let changed = 0;
+      for (const item of items) {
+        const result = save(item);
+        counts[result]++;
+        counts.fetched++;
+        if (result !== 'unchanged') changed++;
+      }
+      if (items.length < PAGE_SIZE || (!full && changed === 0)) break;
+    }
+    return counts;
+  }
+
+  async function refreshInterview(interviewId) {
+    const interview = await client.getInterview(interviewId);
+    if (interview) {
+      saveInterview(interview);
+    }
+    return interview;
+  }
+
+  // In-progress interviews the list pages didn't reach
+  async function refreshOpenInterviews() {
+    const open = store.listOpenRibbonInterviews({
+      syncedBefore: new Date(Date.now() - REFRESH_AFTER_MS).toISOString(),
+      limit: OPEN_INTERVIEWS_PER_RUN
+    });
+    for (const { interview } of open) {
+      await refreshInterview(interview.interview_id);
+    }
+    return open.length;
+  }
+
+  // One step of a run; a failing step is recorded and the others still run
+  async function step(errors, name, fn) {
+    try {
+      return await fn();
+    } catch (error) {
+      const details = error.response ? `${error.response.status} ${JSON.stringify(error.response.data)}` : error.message;
+      console.error(`⚠️ Ribbon sync of ${name} failed: ${details}`);
+      errors.push({ step: name, message: details });
+      return null;
+    }
+  }
+
+  async function runOnce({ full }) {
+    const state = store.getSyncState(SYNC_STATE) || {};
+    const mode = full || !state.lastFullSyncAt || Date.now() - new Date(state.lastFullSyncAt).getTime() >= fullSyncIntervalMs
+      ? 'full'
+      : 'incremental';
+    const startedAt = new Date().toISOString();
+    const errors = [];
+
+    const flows = await step(errors, 'interview flows', () => syncList(
+      'interview flow', client.listInterviewFlows, flow => store.saveRibbonFlow(flow), 'interview_flow_id', { full: mode === 'full' }
+    ));
+    const interviews = await step(errors, 'interviews', () => syncList(
+      'interview', client.listInterviews, saveInterview, 'interview_id', { full: mode === 'full' }
+    ));
+    const openRefreshed = await step(errors, 'open interviews', refreshOpenInterviews);
+
+    const result = { mode, startedAt, finishedAt: new Date().toISOString(), interviews, flows, openRefreshed, errors };
+    store.saveSyncState(SYNC_STATE, {
+      ...state,
+      lastRun: result,
+      ...(errors.length === 0 ? { lastSuccessAt: result.finishedAt } : {}),
+      ...(errors.length === 0 && mode === 'full' ? { lastFullSyncAt: startedAt } : {})
+    });
+
+    if (interviews) {
+      console.log(`🔄 Ribbon ${mode} sync: ${interviews.inserted} new and ${interviews.updated} changed interviews, ${openRefreshed ?? 0} in progress refreshed`);
+    }
+    return result;
+  }
+
+  // Runs a sync now; joins the run in progress if there is one
+  function run({ full = false } = {}) {
+    if (!current) {
+      current = runOnce({ full }).finally(() => {
+        current = null;
+      });
+    }
+    return current;
+  }
+
+  return {
+    run,
+
+    // The mirrored interview. Ribbon is asked only for interviews the mirror
+    // doesn't have, or that may still change and were last synced more than
+    // REFRESH_AFTER_MS ago (always, with `refresh`).
+    async getInterview(interviewId, { refresh = false } = {}) {
+      const local = store.getRibbonInterview(interviewId);
+      if (local?.interview.status === 'completed') return local.interview;
+      if (local && !refresh && Date.now() - new Date(local.syncedAt).getTime() < REFRESH_AFTER_MS) {
+        return local.interview;
+      }
+      return (await refreshInterview(interviewId)) || local?.interview || null;
+    },
+
+    status() {
+      return {
+        running: !!current,
+        intervalMs: timer ? intervalMs : null,
+        mirror: {
+          interviews: store.countRibbonInterviews(),
+          flows: store.countRibbonFlows()
+        },
+        ...(store.getSyncState(SYNC_STATE) || {})
+      };
+    },
+
+    start() {
+      const scheduled = () => run().catch(error => console.error('Ribbon sync error:', error));
+      timer = setInterval(scheduled, intervalMs);
+      setImmediate(scheduled);
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = { createRibbonSync };
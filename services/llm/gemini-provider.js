@@ -0,0 +1,30 @@
+const { GoogleGenerativeAI, GoogleGenerativeAIAbortError } = require('@google/generative-ai');
+const { createTextProvider } = require('./text-provider');
+
+// A request that takes longer than timeoutMs is aborted and fails with
+// ETIMEDOUT, which the scheduler retries
+function createGeminiProvider({ apiKey, model = 'gemini-1.5-flash', timeoutMs = 120 * 1000, scheduler }) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  return createTextProvider({
+    name: 'gemini',
+    model,
+    scheduler,
+    async complete(prompt) {
+      let result;
+      try {
+        result = await genAI.getGenerativeModel({ model }, { timeout: timeoutMs }).generateContent(prompt);
+      } catch (error) {
+        if (error instanceof GoogleGenerativeAIAbortError) error.code = 'ETIMEDOUT';
+        throw error;
+      }
+      const usage = result.response.usageMetadata;
+      return {
+        text: result.response.text(),
+        usage: usage && { inputTokens: usage.promptTokenCount || 0, outputTokens: usage.candidatesTokenCount || 0 }
+      };
+    }
+  });
+}
+
+module.exports = { createGeminiProvider };
@@ -0,0 +1,84 @@
+const { createGeminiProvider } = require('./gemini-provider');
+const { createOpenAIProvider } = require('./openai-provider');
+const { createOfflineProvider } = require('./offline-provider');
+const { PRIORITIES, createLlmScheduler, isQuotaError, priorityName, priorityRank } = require('./scheduler');
+
+// Every provider exposes the same interface, plus name, model and
+// promptVersion (recorded with each analysis):
+//   generateQuestions(code, language, project?, { priority, template, avoid, targets }?) -> [question, ...]
+//   analyzeAuthorship(code, transcript, project?, segments?, { priority }?) -> { score, confidence, reasoning, questionScores?, ... }
+// `project` describes multi-file submissions: { tree, files: [{ path, language, size, content }] }
+// `segments` is the transcript split by question (services/transcript.js); when
+// given, questionScores holds [{ question (1-based), score (0-100 understanding), notes }]
+// `template` is the course or assignment question template (services/question-templates.js);
+// `avoid` lists questions not to repeat and `targets` describes parts of the code to
+// ask about, when replacing questions services/question-validation.js rejected
+// `priority` orders the call in the scheduler: interactive, normal or background
+//   generateChallenge(code, language, { priority }?) -> { title, instructions, tests } (optional;
+//     services/challenges builds a simpler challenge itself when a provider has none)
+//   healthCheck() -> { ok, provider, model, response }
+// Remote providers send every prompt through the scheduler; the offline
+// provider makes no model calls and runs immediately.
+const PROVIDERS = {
+  gemini: ({ scheduler }) => createGeminiProvider({
+    apiKey: process.env.GEMINI_API_KEY,
+    model: process.env.GEMINI_MODEL,
+    timeoutMs: requestTimeoutMs(),
+    scheduler
+  }),
+  openai: ({ scheduler }) => createOpenAIProvider({
+    apiKey: process.env.OPENAI_API_KEY,
+    baseUrl: process.env.OPENAI_BASE_URL,
+    model: process.env.OPENAI_MODEL,
+    timeoutMs: requestTimeoutMs(),
+    scheduler
+  }),
+  offline: () => createOfflineProvider()
+};
+
+function createProvider(name, { scheduler = null } = {}) {
+  const factory = PROVIDERS[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${name}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return factory({ scheduler });
+}
+
+function numberFromEnv(name, fallback) {
+  const value = parseInt(process.env[name] ?? '', 10);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+}
+
+// How long one model request may take before it is abandoned and retried
+function requestTimeoutMs() {
+  return Math.max(1, numberFromEnv('LLM_TIMEOUT_SECONDS', 120)) * 1000;
+}
+
+let activeProvider = null;
+let scheduler = null;
+
+// The scheduler all model calls go through, with its limits from the
+// environment. Usage counts for the daily budgets are kept in `store`.
+function initScheduler(store) {
+  scheduler = createLlmScheduler({
+    store,
+    concurrency: Math.max(1, numberFromEnv('LLM_CONCURRENCY', 2)),
+    dailyRequestLimit: numberFromEnv('LLM_DAILY_REQUEST_LIMIT', 0),
+    dailyTokenLimit: numberFromEnv('LLM_DAILY_TOKEN_LIMIT', 0),
+    maxRetries: numberFromEnv('LLM_MAX_RETRIES', 3),
+    maxDelayMs: numberFromEnv('LLM_MAX_RETRY_DELAY_SECONDS', 60) * 1000
+  });
+  activeProvider = null;
+  return scheduler;
+}
+
+// Provider selected by LLM_PROVIDER (defaults to gemini)
+function getProvider() {
+  if (!activeProvider) {
+    activeProvider = createProvider(process.env.LLM_PROVIDER || 'gemini', { scheduler });
+    console.log(`🧠 Using ${activeProvider.name} LLM provider (${activeProvider.model})`);
+  }
+  return activeProvider;
+}
+
+module.exports = { PRIORITIES, createProvider, getProvider, initScheduler, isQuotaError, priorityName, priorityRank };
@@ -0,0 +1,184 @@
+// Deterministic provider for development and demos: no API key, no network.
+// Questions are built from identifiers found in the code and the analysis
+// applies the keyword scoring described in the README, so the same input
+// always produces the same output.
+
+const { DEFAULT_TEMPLATE, generatedCount } = require('../question-templates');
+
+const SCORING_RULES = [
+  { pattern: /\bI (wrote|coded|implemented|built|made)\b/i, points: 15, label: 'Claims personal authorship' },
+  { pattern: /\b(struggl\w*|difficult\w*|challeng\w*|hard part)\b/i, points: 10, label: 'Mentions challenges faced while writing the code' },
+  { pattern: /\b(debug\w*|fix(ed|ing)? (a |the )?bug|error I (got|hit))\b/i, points: 12, label: 'Describes a debugging process' },
+  { pattern: /\b(recursion|loop|array|function|variable|complexity|edge case|pointer|hash|index|stack|queue)\b/i, points: 10, label: 'Uses relevant technical terminology' },
+  { pattern: /\b(chatgpt|copilot|claude|gemini|generated|\bAI\b)/i, points: -25, label: 'Mentions AI tools or generated code' },
+  { pattern: /\b(copied|copy(ing)?|pasted?)\b/i, points: -15, label: 'References copying or pasting code' },
+  { pattern: /\b(don'?t know|not sure|can'?t explain|no idea)\b/i, points: -12, label: 'Shows uncertainty about the code' }
+];
+
+const BRIEF_TRANSCRIPT_LENGTH = 200;
+const BRIEF_ANSWER_LENGTH = 40;
+
+function extractIdentifiers(code) {
+  const patterns = [
+    /\bfunction\s+([A-Za-z_$][\w$]*)/g,
+    /\bdef\s+([A-Za-z_]\w*)/g,
+    /\bclass\s+([A-Za-z_]\w*)/g,
+    /\b(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*(?:async\s*)?(?:\([^)]*\)|[A-Za-z_$][\w$]*)\s*=>/g,
+    /\b(?:public|private|protected|static|void|int|bool|string|func|fn)\s+([A-Za-z_]\w*)\s*\(/g
+  ];
+
+  const names = [];
+  for (const pattern of patterns) {
+    for (const match of (code || '').matchAll(pattern)) {
+      if (!names.includes(match[1])) {
+        names.push(match[1]);
+      }
+    }
+  }
+  return names;
+}
+
+// A pair of files where the first one imports or includes the second,
+// falling back to the two largest source files
+function findFileInteraction(files) {
+  const sources = files.filter(file => file.language !== 'other');
+  for (const file of sources) {
+    for (const other of sources) {
+      if (other === file) continue;
+      const moduleName = other.path.split('/').pop().replace(/\.[^.]+$/, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const importLine = new RegExp(`(import|require|include|from|use)\\b[^\\n]*\\b${moduleName}\\b`);
+      if (importLine.test(file.content || '')) {
+        return { from: file.path, to: other.path, imports: true };
+      }
+    }
+  }
+
+  const largest = [...sources].sort((a, b) => b.size - a.size);
+  if (largest.length < 2) return null;
+  return { from: largest[0].path, to: largest[1].path, imports: false };
+}
+
+// Understanding score for each question's answer, using the same keyword
+// rules as the overall analysis plus whether the answer names what was asked about
+function scoreQuestions(segments) {
+  return segments.map(segment => {
+    if (!segment.asked) {
+      return { question: segment.index + 1, score: null, notes: 'Not asked in the interview.' };
+    }
+
+    let score = 50;
+    const notes = [];
+    for (const rule of SCORING_RULES) {
+      if (rule.pattern.test(segment.answer)) {
+        score += rule.points;
+        notes.push(rule.label);
+      }
+    }
+
+    const mentioned = [...segment.question.matchAll(/`([^`]+)`/g)].map(match => match[1]);
+    if (mentioned.some(name => segment.answer.includes(name))) {
+      score += 10;
+      notes.push('Refers to the code element the question asked about');
+    }
+    if (segment.answer.length < BRIEF_ANSWER_LENGTH) {
+      score -= 15;
+      notes.push('Very brief answer');
+    }
+
+    return {
+      question: segment.index + 1,
+      score: Math.max(0, Math.min(100, score)),
+      notes: notes.length > 0 ? `${notes.join('. ')}.` : 'No notable signals in this answer.'
+    };
+  });
+}
+
+function createOfflineProvider() {
+  return {
+    name: 'offline',
+    model: 'offline-heuristic-v1',
+    // No prompts; the version tracks the scoring rules
+    promptVersion: 'offline-rules-v2',
+
+    async generateQuestions(code, language, project = null, { template = DEFAULT_TEMPLATE, avoid = [] } = {}) {
+      const identifiers = extractIdentifiers(code);
+      const questions = template.includeOverview ? [
+        `Can you explain what this ${language} code does overall and what its main purpose is?`,
+        'How did you go about achieving that goal, and why did you choose this particular implementation?'
+      ] : [];
+
+      const interaction = project && project.files.length > 1 ? findFileInteraction(project.files) : null;
+      if (interaction) {
+        questions.push(interaction.imports
+          ? `\`${interaction.from}\` uses \`${interaction.to}\`. What does it rely on from that file, and why did you split the code that way?`
+          : `How do \`${interaction.from}\` and \`${interaction.to}\` work together in your project?`);
+      }
+
+      for (const area of template.focusAreas) {
+        questions.push(`How does your code deal with ${area}, and why did you handle it that way?`);
+      }
+
+      for (const name of identifiers.slice(0, Math.max(3, generatedCount(template) - questions.length - 3))) {
+        questions.push(`Can you walk me through how \`${name}\` works and why you structured it that way?`);
+      }
+
+      questions.push(
+        'What happens if this code receives empty or unexpected input?',
+        'Which part of this code was the hardest to get working, and how did you debug it?',
+        'If you had more time, what would you change or improve in this implementation?'
+      );
+
+      return questions.filter(question => !avoid.includes(question)).slice(0, generatedCount(template));
+    },
+
+    async analyzeAuthorship(code, transcript, project = null, segments = null) {
+      let score = 50;
+      const redFlags = [];
+      const humanIndicators = [];
+      const suspiciousPhrases = [];
+
+      for (const rule of SCORING_RULES) {
+        const match = transcript.match(rule.pattern);
+        if (!match) continue;
+
+        score += rule.points;
+        if (rule.points > 0) {
+          humanIndicators.push(rule.label);
+        } else {
+          redFlags.push(rule.label);
+          suspiciousPhrases.push({ text: match[0], type: 'transcript', reason: rule.label });
+        }
+      }
+
+      if (transcript.length < BRIEF_TRANSCRIPT_LENGTH) {
+        score -= 10;
+        redFlags.push('Very brief interview responses');
+      }
+
+      score = Math.max(0, Math.min(100, score));
+      const distance = Math.abs(score - 50);
+      const indecisive = distance < 5;
+
+      return {
+        score,
+        confidence: indecisive ? 'indecisive' : distance >= 30 ? 'high' : distance >= 15 ? 'medium' : 'low',
+        reasoning: `Offline heuristic analysis of a ${transcript.length}-character transcript: ` +
+          `${humanIndicators.length} human indicator(s) and ${redFlags.length} red flag(s) matched.`,
+        redFlags,
+        humanIndicators,
+        keyObservations: [
+          `${extractIdentifiers(code).length} named functions or classes found in the submitted code`
+        ],
+        indecisive,
+        suspiciousPhrases,
+        ...(segments && segments.length > 0 ? { questionScores: scoreQuestions(segments) } : {})
+      };
+    },
+
+    async healthCheck() {
+      return { ok: true, provider: 'offline', model: 'offline-heuristic-v1', response: 'Offline provider ready' };
+    }
+  };
+}
+
+module.exports = { createOfflineProvider, extractIdentifiers };
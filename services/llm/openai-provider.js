@@ -0,0 +1,32 @@
+const axios = require('axios');
+const { createTextProvider } = require('./text-provider');
+
+// Works with any server speaking the OpenAI chat completions API
+// (OpenAI itself, Ollama, LM Studio, vLLM, llama.cpp server, ...). A request
+// that takes longer than timeoutMs fails with ECONNABORTED and is retried.
+function createOpenAIProvider({ apiKey, baseUrl = 'https://api.openai.com/v1', model = 'gpt-4o-mini', timeoutMs = 120 * 1000, scheduler }) {
+  return createTextProvider({
+    name: 'openai',
+    model,
+    scheduler,
+    async complete(prompt) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (apiKey) {
+        headers['Authorization'] = `Bearer ${apiKey}`;
+      }
+
+      const response = await axios.post(`${baseUrl.replace(/\/$/, '')}/chat/completions`, {
+        model,
+        messages: [{ role: 'user', content: prompt }]
+      }, { headers, timeout: timeoutMs });
+
+      const usage = response.data.usage;
+      return {
+        text: response.data.choices?.[0]?.message?.content || '',
+        usage: usage && { inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 }
+      };
+    }
+  });
+}
+
+module.exports = { createOpenAIProvider };
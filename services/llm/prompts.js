@@ -0,0 +1,310 @@
+// Prompt templates and response parsing shared by the text-completion providers
+
+const { DEFAULT_TEMPLATE, generatedCount } = require('../question-templates');
+
+// Recorded with every analysis. Bump it whenever a prompt changes in a way
+// that can move scores, so re-analyses show which prompt produced which result.
+const PROMPT_VERSION = 'prompts-v3';
+
+// Extra context for multi-file submissions. `project` is
+// { tree, files: [{ path, language, size, content }] } or null for a single snippet.
+function buildProjectSection(project, instructions) {
+  if (!project || project.files.length < 2) return '';
+  return `
+**Project structure (${project.files.length} files):**
+\`\`\`
+${project.tree}
+\`\`\`
+
+The code below contains every file in the project. Each file starts with a "// ===== File: <path> (<language>) =====" line.
+${instructions}
+`;
+}
+
+const OVERVIEW_REQUIREMENTS = [
+  'The first question should always be what the overall code does (not what a specific part or function does for the whole but what the code as a whole does) and its main purpose (can be paraphrased).',
+  'The second question should be how did you achieve your overall goal you wanted through the code and why did you choose this specific implementation (can also be paraphrased).'
+];
+
+const DIFFICULTY_GUIDANCE = {
+  introductory: 'Pitch the questions at a beginner: ask about what the code does and why, using plain language rather than advanced terminology.',
+  intermediate: 'Pitch the questions at an intermediate student: expect them to reason about control flow, data structures and edge cases.',
+  advanced: 'Pitch the questions at an advanced student: probe complexity, trade-offs, failure modes and alternative designs in depth.'
+};
+
+// Course or assignment rules from services/question-templates.js: how many
+// questions to write, topics to cover, difficulty, and the teacher's own
+// questions the generated ones must not repeat
+function buildTemplateSection(template) {
+  const sections = [];
+  if (template.focusAreas.length > 0) {
+    sections.push(`**The teacher wants the questions to cover:**\n${template.focusAreas.map(area => `- ${area}`).join('\n')}`);
+  }
+  if (template.difficulty) {
+    sections.push(`**Difficulty:** ${DIFFICULTY_GUIDANCE[template.difficulty]}`);
+  }
+  if (template.requiredQuestions.length > 0) {
+    sections.push(`**The teacher will also ask these questions, so do not repeat or paraphrase them:**\n${template.requiredQuestions.map(question => `- ${question}`).join('\n')}`);
+  }
+  return sections.length > 0 ? `\n${sections.join('\n\n')}\n` : '';
+}
+
+// Replacement questions after services/question-validation.js rejected
+// some as generic or duplicated: what not to ask again, and the parts of
+// the code no question covers yet
+function buildRegenerationSection({ avoid = [], targets = [] }) {
+  const sections = [];
+  if (avoid.length > 0) {
+    sections.push(`**These questions are already in the interview or were too generic, so do not repeat or paraphrase them:**\n${avoid.map(question => `- ${question}`).join('\n')}`);
+  }
+  if (targets.length > 0) {
+    sections.push(`**Ask about these parts of the code, naming each one exactly as it appears in the code:**\n${targets.map(target => `- ${target}`).join('\n')}`);
+  }
+  return sections.length > 0 ? `\n${sections.join('\n\n')}\n` : '';
+}
+
+function buildQuestionPrompt(code, language, project = null, template = DEFAULT_TEMPLATE, regeneration = {}) {
+  const count = generatedCount(template);
+  const requirements = [
+    ...(template.includeOverview ? OVERVIEW_REQUIREMENTS : []),
+    'Questions should be SPECIFIC to this exact code, not generic',
+    'Focus on testing deep understanding of design decisions, logic, and implementation details',
+    'Questions should reveal if someone actually wrote the code vs. just copied it',
+    'Include questions about specific functions, variables, or logic patterns in THIS code',
+    'Ask about potential issues, edge cases, or improvements specific to THIS implementation',
+    'Keep questions focused strictly on the code - no personal or unrelated topics',
+    'Frame questions as friendly code review discussion, not job interview questions'
+  ];
+  return `
+You are an expert code reviewer helping assess code understanding. Analyze the following ${language} code and generate ${count} specific, targeted questions that will help determine if the person truly understands their own code.
+${buildProjectSection(project, 'At least two questions must name a specific file, and at least one question must ask how files interact (which module calls which, how data moves between them, why responsibilities are split the way they are).')}
+**Code to analyze:**
+\`\`\`${language}
+${code}
+\`\`\`
+
+**Requirements for questions:**
+${requirements.map((requirement, index) => `${index + 1}. ${requirement}`).join('\n')}
+${buildTemplateSection(template)}${buildRegenerationSection(regeneration)}
+**Question types to include:**
+- Ask about specific variable names, function names, or logic choices in their code
+- Question specific implementation decisions they made
+- Ask about potential bugs or edge cases in their specific code
+- Test understanding of how specific parts of their code work together
+- Ask about alternatives to their specific approach
+- Question specific error handling or lack thereof in their code
+
+**Output format:**
+Return exactly ${count} questions as a JSON array of strings. Each question should reference specific elements from the provided code.
+
+Example format:
+["Question 1 about specific code element", "Question 2 about specific implementation", ...]
+
+Make the questions conversational and friendly, like a code review discussion. Focus on "Can you explain..." and "What happens if..." questions about their specific code.
+`;
+}
+
+// The interview split by question, so the model can score each answer.
+// `segments` comes from services/transcript.js segmentTranscript().
+function buildQuestionSection(segments) {
+  if (!segments || segments.length === 0) return '';
+  const items = segments.map(segment => `
+Question ${segment.index + 1}: ${segment.question}
+${segment.asked ? `Answer: "${segment.answer || '(no answer)'}"` : '(This question was not asked in the interview.)'}`).join('\n');
+  return `
+**Interview by question:**
+${items}
+`;
+}
+
+function buildAnalysisPrompt(code, transcript, project = null, segments = null) {
+  return `
+You are an expert at detecting whether code was written by a human or generated by AI tools like ChatGPT, Claude, etc.
+
+Analyze the following code and interview transcript to determine if the code was likely written by AI or by a human.
+${buildProjectSection(project, 'Consider whether the student can explain how the files fit together, and whether style is consistent across files (a single file in a very different style can indicate pasted code). Name the file when you cite code.')}
+**Original Code:**
+\`\`\`
+${code || 'Code not available'}
+\`\`\`
+
+**Interview Transcript:**
+"${transcript}"
+${buildQuestionSection(segments)}
+**Analysis Instructions:**
+1. **Code Analysis:** Look for signs of AI-generated code:
+   - Overly perfect structure and formatting
+   - Generic variable names (e.g., data, result, temp)
+   - Excessive comments or no comments at all
+   - Lack of personal coding style or quirks
+   - Too-perfect error handling
+   - Generic solutions without specific optimizations
+
+2. **Interview Analysis:** Evaluate the responses for:
+   - **Hesitation vs Confidence:** Does the person seem uncertain about their own code?
+   - **Deep Understanding:** Can they explain WHY they made specific decisions?
+   - **Personal Experience:** Do they mention struggles, debugging, or iterations?
+   - **Specific Knowledge:** Can they discuss edge cases, limitations, or alternative approaches?
+   - **Generic Responses:** Are answers too perfect or could apply to any code?
+   - **Technical Depth:** Do they understand the underlying concepts or just surface-level?
+   - **Link with Code:** Do their explanations match the code structure and logic?
+
+3. **Red Flags for AI Generation:**
+   - Can't explain specific design choices
+   - Hesitant when asked about debugging process
+   - Generic explanations that could apply to any code
+   - No mention of personal coding challenges or iterations
+   - Perfect explanations without personal touch
+   - Unable to discuss what they would change or improve
+
+4. **Human Indicators:**
+   - Personal anecdotes about writing the code
+   - Mentions of debugging, struggles, or multiple attempts
+   - Specific reasons for design decisions
+   - Knowledge of limitations or potential improvements
+   - Coding style quirks or personal preferences
+   - Ability to discuss alternative approaches they considered
+
+**Required Output Format (JSON only):**
+{
+  "score": [number from 0-100, where 0=definitely AI-generated, 100=definitely human-written],
+  "confidence": "[low/medium/high/indecisive]",
+  "reasoning": "[detailed explanation of your analysis]",
+  "redFlags": ["list of specific concerns suggesting AI generation"],
+  "humanIndicators": ["list of specific signs suggesting human authorship"],
+  "keyObservations": ["important patterns you noticed in code or interview"],
+  "indecisive": [true/false, true if there is not enough information to make a confident judgment, or if the code is so basic that either AI or human could have written it],
+  "suspiciousPhrases": [
+    {
+      "text": "exact suspicious phrase",
+      "type": "code" | "transcript",
+      "reason": "why this phrase is suspicious"
+    },
+    ...
+  ]${segments && segments.length > 0 ? `,
+  "questionScores": [
+    {
+      "question": [question number, starting at 1],
+      "score": [number from 0-100, how well the answer shows the student understands this part of their code],
+      "notes": "[one or two sentences on what the answer shows or misses]"
+    },
+    ...
+  ]` : ''}
+}
+
+In addition to your previous instructions, scan both the code and transcript for any highly suspicious phrases or patterns that strongly suggest AI generation (e.g., generic explanations, overly formal language, repeated AI-like patterns, or code comments that match known AI output). For each, add an object to "suspiciousPhrases" with the exact phrase, whether it was found in the code or transcript, and a brief reason.
+${segments && segments.length > 0 ? `
+Score every question listed under "Interview by question" separately in "questionScores". Judge each answer on its own: a vague or missing answer scores low even when other answers are strong. Give unasked questions a score of null.
+` : ''}`;
+}
+
+// A small change for the student to make to their own code, with hidden
+// tests that check it (services/challenges)
+function buildChallengePrompt(code, language) {
+  return `
+You are helping a teacher check that a student can work with their own ${language} code. Real authors can change their code quickly. Write one small change request the student can finish in about five minutes, and hidden tests that check it.
+
+**Student's code:**
+\`\`\`${language}
+${code}
+\`\`\`
+
+**Requirements for the change:**
+1. It must be specific to THIS code, e.g. handling an edge case one of its functions ignores, adding an option to a function, or renaming a parameter or variable throughout
+2. The current code must fail at least one of the tests; a correct change must pass all of them
+3. Existing behaviour the change doesn't touch must keep working, and at least one test should check that
+4. The instructions tell the student what to change and where, but don't reveal the tests
+
+**Requirements for the tests:**
+1. Each test is a single JavaScript expression that runs after the student's code, in the same scope, so it can call the code's top-level functions and read its top-level variables${language === 'typescript' ? ' (the TypeScript is compiled to JavaScript first, so use plain JavaScript in the tests)' : ''}
+2. No require, imports, timers, promises or console output: the tests run synchronously in a sandbox
+3. A test passes when its value serializes to the same JSON as "expected", or, when "throws" is given instead, when it throws an error whose message contains that text
+4. Write 2 to 6 tests with short names a student can read
+
+**Output format:**
+Return only a JSON object:
+{
+  "title": "Short title of the change",
+  "instructions": "What to change and where, in one to three sentences",
+  "tests": [
+    { "name": "Handles an empty list", "expression": "total([])", "expected": 0 },
+    { "name": "Rejects negative amounts", "expression": "total([-1])", "throws": "negative" }
+  ]
+}
+`;
+}
+
+// Pull the JSON array of questions out of a model reply
+function parseQuestions(text) {
+  const jsonMatch = text.match(/\[[\s\S]*\]/);
+  if (jsonMatch) {
+    const questions = JSON.parse(jsonMatch[0]);
+    if (Array.isArray(questions) && questions.length > 0) {
+      return questions;
+    }
+  }
+  return null;
+}
+
+// Pull the challenge object out of a model reply. It is validated by
+// services/challenges normalizeChallenge().
+function parseChallenge(text) {
+  const jsonMatch = text.match(/\{[\s\S]*\}/);
+  return jsonMatch ? JSON.parse(jsonMatch[0]) : null;
+}
+
+// Pull the analysis object out of a model reply, falling back to text heuristics
+function parseAnalysis(text) {
+  try {
+    const jsonMatch = text.match(/\{[\s\S]*\}/);
+    if (jsonMatch) {
+      return JSON.parse(jsonMatch[0]);
+    }
+    throw new Error('No JSON found in response');
+  } catch (parseError) {
+    console.log('Could not parse model JSON response, creating structured response from text');
+    return {
+      score: extractScoreFromText(text),
+      confidence: extractConfidenceFromText(text),
+      reasoning: text,
+      redFlags: [],
+      humanIndicators: [],
+      keyObservations: []
+    };
+  }
+}
+
+// Helper functions for text parsing
+function extractScoreFromText(text) {
+  const scoreMatch = text.match(/score[\":\s]*(\d+)/i);
+  if (scoreMatch) {
+    return parseInt(scoreMatch[1]);
+  }
+
+  // Look for percentage
+  const percentMatch = text.match(/(\d+)%/);
+  if (percentMatch) {
+    return parseInt(percentMatch[1]);
+  }
+
+  return 50; // Default neutral score
+}
+
+function extractConfidenceFromText(text) {
+  if (text.toLowerCase().includes('high confidence') || text.toLowerCase().includes('very confident')) {
+    return 'high';
+  } else if (text.toLowerCase().includes('low confidence') || text.toLowerCase().includes('uncertain')) {
+    return 'low';
+  }
+  return 'medium';
+}
+
+module.exports = {
+  PROMPT_VERSION,
+  buildQuestionPrompt,
+  buildAnalysisPrompt,
+  buildChallengePrompt,
+  parseQuestions,
+  parseChallenge,
+  parseAnalysis
+};
@@ -0,0 +1,89 @@
+// Replays authorship analyses saved in a recording file, so an evaluation
+// run can be repeated without calling a model: the same inputs always get
+// the same verdict, and prompt or scoring changes can be compared against
+// one fixed set of model replies.
+//
+// With a `live` provider, analyses missing from the recording are asked of
+// it and added to the file; without one they are an error. Only
+// analyzeAuthorship is recorded.
+//
+//   { "version": 1, "responses": { "<sha256 of the inputs>": { provider, model, promptVersion, analysis, recordedAt } } }
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const RECORDING_VERSION = 1;
+
+// Everything the provider sees when analyzing an interview
+function recordingKey(code, transcript, project, segments) {
+  return crypto.createHash('sha256').update(JSON.stringify({
+    code: code || null,
+    transcript,
+    files: (project?.files || []).map(file => [file.path, file.content]),
+    questions: (segments || []).map(segment => segment.question)
+  })).digest('hex');
+}
+
+function loadRecording(file) {
+  if (!fs.existsSync(file)) {
+    return { version: RECORDING_VERSION, responses: {} };
+  }
+  const recording = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (recording.version !== RECORDING_VERSION || !recording.responses) {
+    throw new Error(`${file} is not a version ${RECORDING_VERSION} recording`);
+  }
+  return recording;
+}
+
+function createRecordedProvider({ file, live = null }) {
+  const recording = loadRecording(file);
+  const [first] = Object.values(recording.responses);
+  let added = 0;
+
+  return {
+    name: 'recorded',
+    model: live ? `${live.name}/${live.model}` : (first ? `${first.provider}/${first.model}` : path.basename(file)),
+    promptVersion: live?.promptVersion ?? first?.promptVersion ?? null,
+
+    async generateQuestions() {
+      throw new Error('The recorded provider only replays authorship analyses');
+    },
+
+    async analyzeAuthorship(code, transcript, project = null, segments = null, options = {}) {
+      const key = recordingKey(code, transcript, project, segments);
+      const saved = recording.responses[key];
+      if (saved) return saved.analysis;
+      if (!live) {
+        throw new Error(`No recorded analysis for these inputs in ${file} (record one with a live provider)`);
+      }
+
+      const analysis = await live.analyzeAuthorship(code, transcript, project, segments, options);
+      recording.responses[key] = {
+        provider: live.name,
+        model: live.model,
+        promptVersion: live.promptVersion || null,
+        analysis,
+        recordedAt: new Date().toISOString()
+      };
+      added += 1;
+      return analysis;
+    },
+
+    // Writes the recording when analyses were added; returns how many
+    save() {
+      if (added > 0) {
+        fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(recording, null, 2));
+      }
+      return added;
+    },
+
+    async healthCheck() {
+      const count = Object.keys(recording.responses).length;
+      return { ok: true, provider: 'recorded', model: this.model, response: `${count} recorded analyses in ${file}` };
+    }
+  };
+}
+
+module.exports = { createRecordedProvider, recordingKey };
@@ -0,0 +1,269 @@
+// Lower runs first. A person waiting on the response (question generation
+// at submit, a teacher opening an interview) beats the analysis of a newly
+// completed interview, which beats backfills and bulk re-analysis.
+const PRIORITIES = { interactive: 0, normal: 1, background: 2 };
+
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const RETRYABLE_CODES = ['ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+
+// Background calls stop at this share of a daily budget so students can
+// still get their questions once a backfill has used most of it
+const BACKGROUND_BUDGET_SHARE = 0.8;
+const RECENT_ERRORS = 20;
+
+function quotaError(message, retryAfter) {
+  return Object.assign(new Error(message), { code: 'LLM_QUOTA', status: 503, retryAfter: retryAfter.toISOString() });
+}
+
+// Raised when a daily budget is spent or the provider keeps rate limiting
+// for longer than a caller should wait. `retryAfter` says when to try again.
+function isQuotaError(error) {
+  return error?.code === 'LLM_QUOTA';
+}
+
+function priorityRank(priority) {
+  return PRIORITIES[priority] ?? PRIORITIES.normal;
+}
+
+function priorityName(rank) {
+  return Object.keys(PRIORITIES).find(name => PRIORITIES[name] === rank) || 'normal';
+}
+
+function errorStatus(error) {
+  return error.response?.status ?? error.status ?? null;
+}
+
+// How long the provider asked us to wait, in ms: the Retry-After header of
+// HTTP APIs (seconds or a date) or Gemini's RetryInfo detail ("36s")
+function retryAfterMs(error, now) {
+  const header = error.response?.headers?.['retry-after'];
+  if (header) {
+    const seconds = Number(header);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) return Math.max(0, date - now);
+  }
+
+  const retryInfo = (error.errorDetails || []).find(detail => detail?.retryDelay);
+  const match = /^([\d.]+)s$/.exec(retryInfo?.retryDelay || '');
+  return match ? parseFloat(match[1]) * 1000 : null;
+}
+
+function isRetryable(error) {
+  return RETRYABLE_STATUSES.includes(errorStatus(error)) || RETRYABLE_CODES.includes(error.code);
+}
+
+function utcDay(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function nextUtcMidnight(time) {
+  const date = new Date(time);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1));
+}
+
+// Central queue for every model call. Runs at most `concurrency` calls at
+// once, highest priority first, retries rate limits and transient errors
+// with exponential backoff (honouring retry-after), and enforces daily
+// request and token budgets counted in the store's llm_usage table.
+// A limit of 0 means no budget.
+//
+//   schedule(task, { priority, label, provider }) -> task's result
+//
+// `task` is called once per attempt. It may resolve with
+// `usage: { inputTokens, outputTokens }`, which counts toward the token budget.
+function createLlmScheduler({
+  store,
+  concurrency = 2,
+  dailyRequestLimit = 0,
+  dailyTokenLimit = 0,
+  maxRetries = 3,
+  baseDelayMs = 1000,
+  maxDelayMs = 60 * 1000,
+  now = Date.now
+}) {
+  const waiting = [];
+  const recentErrors = [];
+  const totals = { completed: 0, failed: 0, retried: 0, rejected: 0 };
+  let running = 0;
+  let sequence = 0;
+  let pausedUntil = 0;
+  let wakeTimer = null;
+
+  function recordError(entry, error) {
+    recentErrors.unshift({
+      at: new Date(now()).toISOString(),
+      label: entry.label,
+      priority: entry.priority,
+      attempt: entry.attempts,
+      status: errorStatus(error),
+      message: error.message
+    });
+    recentErrors.length = Math.min(recentErrors.length, RECENT_ERRORS);
+  }
+
+  // Why this call can't run today, or null if the budgets allow it
+  function budgetExceeded(entry) {
+    const usage = store.getLlmUsage(utcDay(now()), entry.provider);
+    const share = entry.priority === 'background' ? BACKGROUND_BUDGET_SHARE : 1;
+    if (dailyRequestLimit > 0 && usage.requests >= dailyRequestLimit * share) {
+      return `Daily LLM request budget reached (${usage.requests}/${dailyRequestLimit})`;
+    }
+    const tokens = usage.inputTokens + usage.outputTokens;
+    if (dailyTokenLimit > 0 && tokens >= dailyTokenLimit * share) {
+      return `Daily LLM token budget reached (${tokens}/${dailyTokenLimit})`;
+    }
+    return null;
+  }
+
+  // Highest priority, then oldest, among the calls whose backoff has passed
+  function nextReady(time) {
+    let best = -1;
+    waiting.forEach((entry, index) => {
+      if (entry.notBefore > time) return;
+      const current = waiting[best];
+      if (!current || entry.rank < current.rank || (entry.rank === current.rank && entry.sequence < current.sequence)) {
+        best = index;
+      }
+    });
+    return best === -1 ? null : waiting.splice(best, 1)[0];
+  }
+
+  function wakeAt(time) {
+    clearTimeout(wakeTimer);
+    wakeTimer = setTimeout(pump, Math.max(0, time - now()));
+  }
+
+  function pump() {
+    const time = now();
+    if (time < pausedUntil) {
+      // Longer than anyone should wait: callers learn when to come back instead
+      if (pausedUntil - time > maxDelayMs) {
+        for (const entry of waiting.splice(0)) {
+          totals.rejected++;
+          entry.reject(quotaError('LLM provider is rate limiting requests', new Date(pausedUntil)));
+        }
+        return;
+      }
+      if (waiting.length > 0) wakeAt(pausedUntil);
+      return;
+    }
+
+    let entry;
+    while (running < concurrency && (entry = nextReady(time))) {
+      run(entry);
+    }
+    if (waiting.length > 0 && running < concurrency) {
+      wakeAt(Math.min(...waiting.map(item => item.notBefore)));
+    }
+  }
+
+  async function run(entry) {
+    const exceeded = budgetExceeded(entry);
+    if (exceeded) {
+      totals.rejected++;
+      console.log(`⚠️ ${exceeded}, not running ${entry.label} (${entry.priority})`);
+      entry.reject(quotaError(exceeded, nextUtcMidnight(now())));
+      return;
+    }
+
+    running++;
+    entry.attempts++;
+    store.recordLlmUsage(utcDay(now()), entry.provider, { requests: 1 });
+    try {
+      const result = await entry.task();
+      if (result?.usage) {
+        store.recordLlmUsage(utcDay(now()), entry.provider, result.usage);
+      }
+      totals.completed++;
+      entry.resolve(result);
+    } catch (error) {
+      recordError(entry, error);
+      retryOrFail(entry, error);
+    } finally {
+      running--;
+      setImmediate(pump);
+    }
+  }
+
+  function retryOrFail(entry, error) {
+    const time = now();
+    const requested = retryAfterMs(error, time);
+    const rateLimited = errorStatus(error) === 429;
+
+    if (!isRetryable(error) || entry.attempts > maxRetries) {
+      totals.failed++;
+      // A rate limit that outlasted every retry is reported as a quota problem
+      entry.reject(rateLimited
+        ? Object.assign(quotaError(`LLM provider is rate limiting requests: ${error.message}`, new Date(time + (requested ?? maxDelayMs))), { cause: error })
+        : error);
+      return;
+    }
+
+    const backoff = Math.min(maxDelayMs, baseDelayMs * 2 ** (entry.attempts - 1) * (0.8 + Math.random() * 0.4));
+    const delay = Math.max(backoff, requested ?? 0);
+    if (delay > maxDelayMs) {
+      totals.failed++;
+      entry.reject(Object.assign(quotaError(`LLM provider asked to wait ${Math.round(delay / 1000)}s: ${error.message}`, new Date(time + delay)), { cause: error }));
+      if (rateLimited) pausedUntil = Math.max(pausedUntil, time + delay);
+      return;
+    }
+
+    // Rate limits apply to the whole account, so every call waits them out
+    if (rateLimited) pausedUntil = Math.max(pausedUntil, time + delay);
+    totals.retried++;
+    console.log(`🔁 Retrying ${entry.label} in ${Math.round(delay / 1000)}s (attempt ${entry.attempts} failed: ${error.message})`);
+    waiting.push({ ...entry, notBefore: time + delay });
+  }
+
+  return {
+    concurrency,
+
+    schedule(task, { priority = 'normal', label = 'LLM call', provider = 'unknown' } = {}) {
+      return new Promise((resolve, reject) => {
+        waiting.push({
+          task,
+          priority: priorityName(priorityRank(priority)),
+          rank: priorityRank(priority),
+          label,
+          provider,
+          attempts: 0,
+          notBefore: 0,
+          sequence: sequence++,
+          queuedAt: now(),
+          resolve,
+          reject
+        });
+        setImmediate(pump);
+      });
+    },
+
+    // Snapshot for the admin queue status endpoint
+    status(provider) {
+      const time = now();
+      const usage = store.getLlmUsage(utcDay(time), provider);
+      const waitingByPriority = Object.fromEntries(Object.keys(PRIORITIES).map(name => [name, 0]));
+      for (const entry of waiting) waitingByPriority[entry.priority]++;
+
+      return {
+        concurrency,
+        running,
+        waiting: waiting.length,
+        waitingByPriority,
+        oldestWaitingMs: waiting.length > 0 ? time - Math.min(...waiting.map(entry => entry.queuedAt)) : 0,
+        pausedUntil: pausedUntil > time ? new Date(pausedUntil).toISOString() : null,
+        budgets: {
+          day: utcDay(time),
+          resetsAt: nextUtcMidnight(time).toISOString(),
+          requests: { used: usage.requests, limit: dailyRequestLimit || null },
+          tokens: { used: usage.inputTokens + usage.outputTokens, input: usage.inputTokens, output: usage.outputTokens, limit: dailyTokenLimit || null }
+        },
+        retry: { maxRetries, baseDelayMs, maxDelayMs },
+        totals: { ...totals },
+        recentErrors: [...recentErrors]
+      };
+    }
+  };
+}
+
+module.exports = { PRIORITIES, createLlmScheduler, isQuotaError, priorityName, priorityRank };
@@ -0,0 +1,74 @@
+const {
+  PROMPT_VERSION,
+  buildQuestionPrompt,
+  buildAnalysisPrompt,
+  buildChallengePrompt,
+  parseQuestions,
+  parseChallenge,
+  parseAnalysis
+} = require('./prompts');
+
+// Rough token count for backends that don't report usage
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+// Build a provider from a plain `complete(prompt) -> text` function.
+// Remote backends only differ in how they send a prompt, so the prompts and
+// parsing live here once. `complete` may also return { text, usage } with the
+// token counts the backend reported. With a scheduler, every prompt waits
+// its turn there (see scheduler.js).
+function createTextProvider({ name, model, complete, scheduler = null }) {
+  async function send(prompt) {
+    const result = await complete(prompt);
+    const text = typeof result === 'string' ? result : result.text;
+    const usage = (typeof result === 'string' ? null : result.usage) || {
+      inputTokens: estimateTokens(prompt),
+      outputTokens: estimateTokens(text)
+    };
+    return { text, usage };
+  }
+
+  async function ask(prompt, { priority, label }) {
+    const { text } = scheduler
+      ? await scheduler.schedule(() => send(prompt), { priority, label, provider: name })
+      : await send(prompt);
+    return text;
+  }
+
+  return {
+    name,
+    model,
+    promptVersion: PROMPT_VERSION,
+
+    async generateQuestions(code, language, project = null, { priority = 'interactive', template, avoid, targets } = {}) {
+      const text = await ask(buildQuestionPrompt(code, language, project, template, { avoid, targets }), { priority, label: 'question generation' });
+      const questions = parseQuestions(text);
+      if (!questions) {
+        throw new Error(`Failed to generate valid questions from ${name} provider`);
+      }
+      return questions;
+    },
+
+    async generateChallenge(code, language, { priority = 'interactive' } = {}) {
+      const text = await ask(buildChallengePrompt(code, language), { priority, label: 'challenge generation' });
+      const challenge = parseChallenge(text);
+      if (!challenge) {
+        throw new Error(`Failed to generate a valid challenge from ${name} provider`);
+      }
+      return challenge;
+    },
+
+    async analyzeAuthorship(code, transcript, project = null, segments = null, { priority = 'normal' } = {}) {
+      const text = await ask(buildAnalysisPrompt(code, transcript, project, segments), { priority, label: 'authorship analysis' });
+      return parseAnalysis(text);
+    },
+
+    async healthCheck() {
+      const text = await ask('Say "API key working" if you can respond.', { priority: 'interactive', label: 'health check' });
+      return { ok: true, provider: name, model, response: text };
+    }
+  };
+}
+
+module.exports = { createTextProvider };
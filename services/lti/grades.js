@@ -0,0 +1,145 @@
+const axios = require('axios');
+const { parseLtiUserId } = require('./launch');
+
+const AGS_SCOPES = {
+  lineitem: 'https://purl.imsglobal.org/spec/lti-ags/scope/lineitem',
+  score: 'https://purl.imsglobal.org/spec/lti-ags/scope/score'
+};
+const CLIENT_ASSERTION_TYPE = 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer';
+const SCORE_MAXIMUM = 100;
+
+// What each review state tells the LMS. No score is posted: the gradebook
+// shows whether the teacher has reviewed the interview and the outcome, and
+// grading stays with the teacher.
+const GRADING_PROGRESS = {
+  unreviewed: 'PendingManual',
+  flagged: 'PendingManual',
+  cleared: 'FullyGraded',
+  confirmed_misconduct: 'FullyGraded'
+};
+const REVIEW_COMMENTS = {
+  unreviewed: 'Codefessor interview completed, awaiting teacher review',
+  flagged: 'Codefessor interview flagged by the teacher for follow-up',
+  cleared: 'Codefessor interview reviewed and cleared',
+  confirmed_misconduct: 'Codefessor interview reviewed: academic misconduct confirmed'
+};
+
+// Line item declared for an assignment, in deep linking responses and when
+// the tool creates one itself
+function lineItemFor(assignment) {
+  return {
+    scoreMaximum: SCORE_MAXIMUM,
+    label: `${assignment.title} interview review`,
+    resourceId: assignment.id
+  };
+}
+
+// URL of a line item's scores endpoint; line item URLs may carry a query string
+function scoresUrl(lineitemUrl) {
+  const url = new URL(lineitemUrl);
+  url.pathname = `${url.pathname.replace(/\/$/, '')}/scores`;
+  return url.toString();
+}
+
+// Assignment and Grade Services: posts the review status of interviews
+// launched from an LMS back to its gradebook. Access tokens come from the
+// platform's token endpoint via a client assertion signed with the tool key.
+function createGradeService({ store, keys }) {
+  const tokens = new Map();
+
+  async function getAccessToken(platform, scopes) {
+    const cacheKey = `${platform.id} ${scopes.join(' ')}`;
+    const cached = tokens.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) return cached.token;
+
+    const assertion = await keys.sign({}, {
+      issuer: platform.clientId,
+      subject: platform.clientId,
+      audience: platform.authTokenUrl
+    });
+    const response = await axios.post(platform.authTokenUrl, new URLSearchParams({
+      grant_type: 'client_credentials',
+      client_assertion_type: CLIENT_ASSERTION_TYPE,
+      client_assertion: assertion,
+      scope: scopes.join(' ')
+    }).toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    });
+
+    const { access_token: token, expires_in: expiresIn = 3600 } = response.data;
+    tokens.set(cacheKey, { token, expiresAt: Date.now() + (expiresIn - 60) * 1000 });
+    return token;
+  }
+
+  // The line item to post to. Platforms usually create one with the
+  // resource link; otherwise one is created when the platform allows it.
+  async function ensureLineItem(platform, link, assignment) {
+    if (link.lineitemUrl) return link.lineitemUrl;
+    if (!link.lineitemsUrl || !link.agsScopes.includes(AGS_SCOPES.lineitem)) return null;
+
+    const token = await getAccessToken(platform, [AGS_SCOPES.lineitem]);
+    const response = await axios.post(link.lineitemsUrl, {
+      ...lineItemFor(assignment),
+      resourceLinkId: link.resourceLinkId
+    }, {
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/vnd.ims.lis.v2.lineitem+json' }
+    });
+
+    store.saveLtiResourceLink({ ...link, lineitemUrl: response.data.id });
+    console.log(`📒 Created LTI line item ${response.data.id} for assignment ${link.assignmentId}`);
+    return response.data.id;
+  }
+
+  async function postToLink(platform, link, sub, review) {
+    if (!link.agsScopes.includes(AGS_SCOPES.score)) return false;
+    const lineitemUrl = await ensureLineItem(platform, link, store.getAssignment(link.assignmentId));
+    if (!lineitemUrl) return false;
+
+    const token = await getAccessToken(platform, [AGS_SCOPES.score]);
+    await axios.post(scoresUrl(lineitemUrl), {
+      userId: sub,
+      activityProgress: 'Completed',
+      gradingProgress: GRADING_PROGRESS[review.state] || 'PendingManual',
+      comment: REVIEW_COMMENTS[review.state] || REVIEW_COMMENTS.unreviewed,
+      timestamp: new Date().toISOString()
+    }, {
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/vnd.ims.lis.v1.score+json' }
+    });
+    return true;
+  }
+
+  // Post an interview's review status to every LMS line item of its
+  // assignment. Interviews that didn't come from a launch are skipped.
+  // Failures are logged, never thrown: the LMS is updated again on the
+  // next review change.
+  async function postReviewStatus(interviewId) {
+    const submission = store.getSubmission(interviewId);
+    const ltiUser = parseLtiUserId(submission?.studentId);
+    if (!ltiUser || !submission.assignmentId) return 0;
+
+    const platform = store.getLtiPlatform(ltiUser.platformId);
+    const review = store.getReview(interviewId);
+    const links = store.listLtiResourceLinksForAssignment(submission.assignmentId)
+      .filter(link => link.platformId === ltiUser.platformId);
+
+    let posted = 0;
+    for (const link of links) {
+      try {
+        if (await postToLink(platform, link, ltiUser.sub, review)) {
+          posted++;
+        }
+      } catch (error) {
+        const details = error.response ? `${error.response.status} ${JSON.stringify(error.response.data)}` : error.message;
+        console.error(`⚠️ LTI grade passback failed for interview ${interviewId}: ${details}`);
+      }
+    }
+    if (posted > 0) {
+      console.log(`📒 Posted review status "${review.state}" for interview ${interviewId} to ${posted} LMS line item(s)`);
+    }
+    return posted;
+  }
+
+  return { postReviewStatus };
+}
+
+module.exports = { AGS_SCOPES, createGradeService, lineItemFor };
@@ -0,0 +1,27 @@
+const { createToolKeys } = require('./keys');
+const { CLAIMS, createLaunchValidator, ltiUserId, parseLtiUserId } = require('./launch');
+const { AGS_SCOPES, createGradeService, lineItemFor } = require('./grades');
+
+// Codefessor as an LTI 1.3 tool. `toolUrl` is the public base URL platforms
+// reach the tool at (LTI_TOOL_URL); every LTI endpoint lives under /lti.
+function createLtiTool({ store, toolUrl }) {
+  const keys = createToolKeys(store);
+  return {
+    toolUrl,
+    keys,
+    // What a platform administrator enters when registering the tool
+    config() {
+      return {
+        loginUrl: `${toolUrl}/lti/login`,
+        redirectUris: [`${toolUrl}/lti/launch`],
+        targetLinkUri: `${toolUrl}/lti/launch`,
+        deepLinkingUrl: `${toolUrl}/lti/launch`,
+        jwksUrl: `${toolUrl}/lti/jwks`
+      };
+    },
+    launch: createLaunchValidator({ store, toolUrl }),
+    grades: createGradeService({ store, keys })
+  };
+}
+
+module.exports = { CLAIMS, AGS_SCOPES, createLtiTool, lineItemFor, ltiUserId, parseLtiUserId };
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const { generateKeyPair, exportJWK, importJWK, SignJWT, jwtVerify, createLocalJWKSet } = require('jose');
+
+// Issuer of the session tokens the tool hands out after a launch. The auth
+// middleware accepts them alongside Auth0 tokens.
+const SESSION_ISSUER = 'codefessor-lti';
+const SESSION_AUDIENCE = 'codefessor-session';
+const SESSION_LIFETIME = '8h';
+
+// The tool's RSA signing key, created on first use and kept in the database.
+// It signs deep linking responses, grade service token requests and session
+// tokens; platforms fetch the public half from /lti/jwks.
+function createToolKeys(store) {
+  let loading = null;
+
+  async function loadKey() {
+    let stored = store.getLtiKey();
+    if (!stored) {
+      const { publicKey, privateKey } = await generateKeyPair('RS256', { extractable: true });
+      const kid = `lti-${crypto.randomUUID()}`;
+      stored = {
+        kid,
+        privateJwk: { ...(await exportJWK(privateKey)), kid, alg: 'RS256' },
+        publicJwk: { ...(await exportJWK(publicKey)), kid, alg: 'RS256', use: 'sig' }
+      };
+      store.saveLtiKey(stored);
+      console.log(`🔑 Created LTI tool signing key ${kid}`);
+    }
+
+    return {
+      kid: stored.kid,
+      privateKey: await importJWK(stored.privateJwk, 'RS256'),
+      publicJwk: stored.publicJwk,
+      keySet: createLocalJWKSet({ keys: [stored.publicJwk] })
+    };
+  }
+
+  // Shared promise, so concurrent first requests don't create two keys
+  function load() {
+    if (!loading) loading = loadKey();
+    return loading;
+  }
+
+  async function jwks() {
+    return { keys: [(await load()).publicJwk] };
+  }
+
+  // Sign claims as the tool. `options` sets the standard claims.
+  async function sign(claims, { issuer, subject, audience, expiresIn = '5m' } = {}) {
+    const { kid, privateKey } = await load();
+    const jwt = new SignJWT(claims)
+      .setProtectedHeader({ alg: 'RS256', kid, typ: 'JWT' })
+      .setIssuedAt()
+      .setJti(crypto.randomUUID())
+      .setExpirationTime(expiresIn);
+    if (issuer) jwt.setIssuer(issuer);
+    if (subject) jwt.setSubject(subject);
+    if (audience) jwt.setAudience(audience);
+    return jwt.sign(privateKey);
+  }
+
+  // Verify a token this tool signed; returns its payload
+  async function verify(token, { issuer, audience }) {
+    const { keySet } = await load();
+    const { payload } = await jwtVerify(token, keySet, { issuer, audience });
+    return payload;
+  }
+
+  // Session for a user identified by an LTI launch
+  function signSession(user, lti) {
+    return sign(
+      { email: user.email, name: user.name, roles: [user.role], lti },
+      { issuer: SESSION_ISSUER, subject: user.id, audience: SESSION_AUDIENCE, expiresIn: SESSION_LIFETIME }
+    );
+  }
+
+  return {
+    jwks,
+    sign,
+    verify,
+    signSession,
+    // Used by the auth middleware
+    sessionTokens: {
+      issuer: SESSION_ISSUER,
+      verify: token => verify(token, { issuer: SESSION_ISSUER, audience: SESSION_AUDIENCE })
+    }
+  };
+}
+
+module.exports = { createToolKeys };
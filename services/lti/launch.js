@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const { createRemoteJWKSet, jwtVerify } = require('jose');
+
+const LTI_CLAIM = 'https://purl.imsglobal.org/spec/lti/claim';
+const CLAIMS = {
+  messageType: `${LTI_CLAIM}/message_type`,
+  version: `${LTI_CLAIM}/version`,
+  deploymentId: `${LTI_CLAIM}/deployment_id`,
+  targetLinkUri: `${LTI_CLAIM}/target_link_uri`,
+  roles: `${LTI_CLAIM}/roles`,
+  context: `${LTI_CLAIM}/context`,
+  resourceLink: `${LTI_CLAIM}/resource_link`,
+  custom: `${LTI_CLAIM}/custom`,
+  agsEndpoint: 'https://purl.imsglobal.org/spec/lti-ags/claim/endpoint',
+  deepLinkingSettings: 'https://purl.imsglobal.org/spec/lti-dl/claim/deep_linking_settings',
+  deepLinkingContentItems: 'https://purl.imsglobal.org/spec/lti-dl/claim/content_items',
+  deepLinkingData: 'https://purl.imsglobal.org/spec/lti-dl/claim/data'
+};
+
+const MESSAGE_TYPES = ['LtiResourceLinkRequest', 'LtiDeepLinkingRequest'];
+const LOGIN_STATE_MAX_AGE_MS = 10 * 60 * 1000;
+
+// LIS roles that make someone a teacher in Codefessor; everyone else is a
+// student. Launches never grant admin.
+const TEACHER_ROLES = ['Instructor', 'TeachingAssistant', 'ContentDeveloper', 'Administrator', 'Faculty'];
+
+function launchError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+function roleFromClaims(roles) {
+  const names = (Array.isArray(roles) ? roles : []).map(role => String(role).split('#').pop());
+  return names.some(name => TEACHER_ROLES.includes(name)) ? 'teacher' : 'student';
+}
+
+// Users from a launch are identified by platform and LMS user ID
+function ltiUserId(platformId, sub) {
+  return `lti|${platformId}|${sub}`;
+}
+
+function parseLtiUserId(userId) {
+  const match = /^lti\|([^|]+)\|(.+)$/.exec(userId || '');
+  return match ? { platformId: match[1], sub: match[2] } : null;
+}
+
+// OIDC login initiation and launch validation for LTI 1.3. A login stores a
+// single-use state and nonce; the launch must come back with both within
+// LOGIN_STATE_MAX_AGE_MS, signed by the platform's published keys.
+function createLaunchValidator({ store, toolUrl }) {
+  const keySets = new Map();
+  const launchUrl = `${toolUrl}/lti/launch`;
+
+  function platformKeySet(platform) {
+    if (!keySets.has(platform.jwksUrl)) {
+      keySets.set(platform.jwksUrl, createRemoteJWKSet(new URL(platform.jwksUrl)));
+    }
+    return keySets.get(platform.jwksUrl);
+  }
+
+  // URL of the platform's authorization endpoint to send the browser to
+  function startLogin(params) {
+    const { iss, login_hint: loginHint, lti_message_hint: messageHint, client_id: clientId, lti_deployment_id: deploymentId } = params;
+    if (!iss || !loginHint) {
+      throw launchError('Login request is missing iss or login_hint');
+    }
+
+    const platform = store.findLtiPlatform(iss, clientId);
+    if (!platform) {
+      throw launchError(`No LTI platform is registered for issuer ${iss}${clientId ? ` and client ID ${clientId}` : ''}`, 404);
+    }
+    if (deploymentId && !platform.deploymentIds.includes(deploymentId)) {
+      throw launchError(`Deployment ${deploymentId} is not registered for this platform`, 403);
+    }
+
+    const state = crypto.randomBytes(24).toString('base64url');
+    const nonce = crypto.randomBytes(24).toString('base64url');
+    store.saveLtiLoginState({ state, nonce, platformId: platform.id });
+
+    const url = new URL(platform.authLoginUrl);
+    url.search = new URLSearchParams({
+      scope: 'openid',
+      response_type: 'id_token',
+      response_mode: 'form_post',
+      prompt: 'none',
+      client_id: platform.clientId,
+      redirect_uri: launchUrl,
+      login_hint: loginHint,
+      state,
+      nonce,
+      ...(messageHint ? { lti_message_hint: messageHint } : {})
+    }).toString();
+    return url.toString();
+  }
+
+  // Check the id_token posted back by the platform. Returns the platform,
+  // the verified claims and the user they describe.
+  async function validateLaunch({ id_token: idToken, state }) {
+    if (!idToken || !state) {
+      throw launchError('Launch is missing id_token or state');
+    }
+
+    const login = store.consumeLtiLoginState(state, LOGIN_STATE_MAX_AGE_MS);
+    if (!login) {
+      throw launchError('Unknown or expired launch state. Start the launch again from the LMS.', 401);
+    }
+    const platform = store.getLtiPlatform(login.platformId);
+
+    let claims;
+    try {
+      ({ payload: claims } = await jwtVerify(idToken, platformKeySet(platform), {
+        issuer: platform.issuer,
+        audience: platform.clientId,
+        maxTokenAge: '10m'
+      }));
+    } catch (error) {
+      throw launchError(`Invalid id_token: ${error.message}`, 401);
+    }
+
+    if (claims.nonce !== login.nonce) {
+      throw launchError('id_token nonce does not match the login', 401);
+    }
+    if (Array.isArray(claims.aud) && claims.aud.length > 1 && claims.azp !== platform.clientId) {
+      throw launchError('id_token azp does not match the client ID', 401);
+    }
+    if (!platform.deploymentIds.includes(claims[CLAIMS.deploymentId])) {
+      throw launchError(`Deployment ${claims[CLAIMS.deploymentId]} is not registered for this platform`, 403);
+    }
+    if (claims[CLAIMS.version] !== '1.3.0') {
+      throw launchError(`Unsupported LTI version ${claims[CLAIMS.version]}`);
+    }
+    const messageType = claims[CLAIMS.messageType];
+    if (!MESSAGE_TYPES.includes(messageType)) {
+      throw launchError(`Unsupported LTI message type ${messageType}`);
+    }
+    if (!claims.sub) {
+      throw launchError('Anonymous launches are not supported');
+    }
+    if (messageType === 'LtiResourceLinkRequest' && !claims[CLAIMS.resourceLink]?.id) {
+      throw launchError('Resource link launch is missing the resource_link claim');
+    }
+
+    const user = {
+      id: ltiUserId(platform.id, claims.sub),
+      email: claims.email || null,
+      name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(' ') || null,
+      role: roleFromClaims(claims[CLAIMS.roles])
+    };
+    return { platform, claims, messageType, user };
+  }
+
+  return { launchUrl, startLogin, validateLaunch };
+}
+
+module.exports = { CLAIMS, createLaunchValidator, ltiUserId, parseLtiUserId, roleFromClaims };
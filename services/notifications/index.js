@@ -0,0 +1,256 @@
+// Email notifications: the interview link right after submitting, one
+// reminder for an interview not started as its deadline nears, and a
+// digest for teachers of the interviews completed (and flagged) in their
+// courses. Every email is logged in the notifications table, carries an
+// unsubscribe link for its kind, and is skipped for addresses that
+// unsubscribed from it.
+//
+// An interview's deadline is its assignment's due date, or
+// NOTIFY_DEFAULT_DEADLINE_HOURS after submitting when there is none. The
+// reminder goes out NOTIFY_REMINDER_LEAD_HOURS before it. Reminders and
+// digests are checked every NOTIFY_INTERVAL_MINUTES.
+
+const { getAnalysisLikelihood, isFailedAnalysis } = require('../detection');
+const { resolveNotificationTemplate, renderTemplate } = require('./templates');
+const { createTransport } = require('./transports');
+
+const HOUR_MS = 60 * 60 * 1000;
+// Submissions older than this never get a reminder, so turning
+// notifications on doesn't email every old submission
+const REMINDER_WINDOW_MS = 14 * 24 * HOUR_MS;
+// A reminder never follows the link email this closely
+const MIN_REMINDER_DELAY_MS = HOUR_MS;
+const SYNC_STATE = 'notifications';
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function numberFromEnv(name, fallback) {
+  const value = parseFloat(process.env[name] ?? '');
+  return Number.isNaN(value) || value <= 0 ? fallback : value;
+}
+
+function getNotificationSettings() {
+  return {
+    intervalMinutes: numberFromEnv('NOTIFY_INTERVAL_MINUTES', 15),
+    reminderLeadHours: numberFromEnv('NOTIFY_REMINDER_LEAD_HOURS', 24),
+    defaultDeadlineHours: numberFromEnv('NOTIFY_DEFAULT_DEADLINE_HOURS', 72),
+    digestHours: numberFromEnv('NOTIFY_DIGEST_HOURS', 24),
+    // Digest recipients for submissions that aren't in any course
+    digestEmails: (process.env.NOTIFY_DIGEST_EMAILS || '').split(',').map(email => email.trim()).filter(Boolean)
+  };
+}
+
+function formatDate(value) {
+  return new Date(value).toUTCString();
+}
+
+// Whether the student has answered anything yet
+function hasStarted(interview) {
+  return interview.status === 'in_progress' || interview.status === 'completed' || !!interview.transcript;
+}
+
+function createNotifier({ store, findInterview, appUrl, transport = createTransport(), settings = getNotificationSettings() }) {
+  let timer = null;
+  let current = null;
+
+  function unsubscribeUrl(token, kind) {
+    return `${appUrl}/api/notifications/unsubscribe?token=${encodeURIComponent(token)}&kind=${kind}`;
+  }
+
+  // Render the kind's template for one recipient, send it and log it.
+  // Returns the logged notification, or null when emails are off.
+  async function send(kind, recipient, values, { interviewId = null } = {}) {
+    if (!transport) return null;
+    if (!recipient || !EMAIL.test(recipient)) {
+      return store.recordNotification({ kind, recipient: recipient || 'unknown', interviewId, status: 'skipped', error: 'No valid email address' });
+    }
+    const preferences = store.getNotificationPreferences(recipient);
+    if (preferences.unsubscribed.includes(kind)) {
+      return store.recordNotification({ kind, recipient, interviewId, status: 'skipped', error: 'Unsubscribed' });
+    }
+
+    const link = unsubscribeUrl(preferences.token, kind);
+    const template = resolveNotificationTemplate(store, kind);
+    const subject = renderTemplate(template.subject, values);
+    let text = renderTemplate(template.body, { ...values, unsubscribeUrl: link });
+    // An edited template may leave the link out; every email keeps one
+    if (!text.includes(link)) {
+      text += `\n\nUnsubscribe: ${link}`;
+    }
+
+    try {
+      await transport.send({
+        to: recipient,
+        subject,
+        text,
+        headers: { 'List-Unsubscribe': `<${link}>`, 'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click' }
+      });
+      return store.recordNotification({ kind, recipient, interviewId, subject, status: 'sent' });
+    } catch (error) {
+      console.error(`⚠️ Failed to send the ${kind} email to ${recipient}: ${error.message}`);
+      return store.recordNotification({ kind, recipient, interviewId, subject, status: 'failed', error: error.message });
+    }
+  }
+
+  // "HW1 (CS101)", or what to call a submission outside any assignment
+  function describeAssignment(submission) {
+    const course = submission.courseId ? store.getCourse(submission.courseId) : null;
+    const assignment = submission.assignmentId ? store.getAssignment(submission.assignmentId) : null;
+    if (assignment && course) return { label: `${assignment.title} (${course.name})`, dueAt: assignment.dueAt };
+    if (course) return { label: course.name, dueAt: null };
+    return { label: submission.language ? `practice (${submission.language})` : 'practice', dueAt: null };
+  }
+
+  // The interview's deadline and when to remind the student of it, in ms
+  function reminderSchedule(submission, dueAt) {
+    const createdAt = new Date(submission.createdAt).getTime();
+    const deadline = dueAt ? new Date(dueAt).getTime() : createdAt + settings.defaultDeadlineHours * HOUR_MS;
+    return {
+      deadline,
+      remindAt: Math.max(deadline - settings.reminderLeadHours * HOUR_MS, createdAt + MIN_REMINDER_DELAY_MS)
+    };
+  }
+
+  function interviewValues(submission) {
+    const { label, dueAt } = describeAssignment(submission);
+    const link = submission.interviewLink || '';
+    return {
+      studentName: submission.studentName || 'there',
+      assignment: label,
+      interviewLink: /^https?:\/\//.test(link) ? link : `${appUrl}${link}`,
+      deadline: formatDate(reminderSchedule(submission, dueAt).deadline)
+    };
+  }
+
+  // Right after the interview is created, so the link isn't lost with the tab
+  function sendInterviewLink(submission) {
+    return send('interview_link', submission.studentEmail, interviewValues(submission), { interviewId: submission.interviewId });
+  }
+
+  async function runReminders(now) {
+    const counts = { sent: 0, skipped: 0, failed: 0 };
+    const candidates = store.listSubmissionsAwaitingInterview(new Date(now - REMINDER_WINDOW_MS).toISOString());
+    for (const { submission, dueAt } of candidates) {
+      const { deadline, remindAt } = reminderSchedule(submission, dueAt);
+      if (now < remindAt || now >= deadline) continue;
+
+      const interview = await findInterview(submission.interviewId, submission.backend).catch(error => {
+        console.error(`⚠️ Could not check interview ${submission.interviewId} for a reminder: ${error.message}`);
+        return null;
+      });
+      if (!interview || hasStarted(interview)) continue;
+
+      const notification = await send('interview_reminder', submission.studentEmail, interviewValues(submission), { interviewId: submission.interviewId });
+      if (notification) counts[notification.status]++;
+    }
+    return counts;
+  }
+
+  // Failed analyses are listed without a score and never flagged
+  function describeCompleted({ submission, analysis, analyzedAt }) {
+    const likelihood = getAnalysisLikelihood(analysis);
+    const score = isFailedAnalysis(analysis) ? '' : `, score ${Math.round(analysis.score)}`;
+    return {
+      flagged: likelihood === 'likely AI-generated',
+      line: `- ${submission.studentName || 'Unknown student'} <${submission.studentEmail || 'no email'}>, ` +
+        `${describeAssignment(submission).label}: ${likelihood}${score} (completed ${formatDate(analyzedAt)})`
+    };
+  }
+
+  async function runDigests(now) {
+    const digestMs = settings.digestHours * HOUR_MS;
+    // Long enough for any teacher whose last digest is due again
+    const completed = store.listAnalysesCompletedSince(new Date(now - Math.max(digestMs * 2, 7 * 24 * HOUR_MS)).toISOString());
+
+    const byTeacher = new Map();
+    for (const item of completed) {
+      const recipients = item.submission.courseId ? [item.teacherEmail].filter(Boolean) : settings.digestEmails;
+      for (const email of recipients) {
+        const key = email.toLowerCase();
+        byTeacher.set(key, [...(byTeacher.get(key) || []), item]);
+      }
+    }
+
+    const counts = { sent: 0, skipped: 0, failed: 0 };
+    for (const [email, items] of byTeacher) {
+      const lastSentAt = store.getLastNotificationSentAt('teacher_digest', email);
+      if (lastSentAt && now - new Date(lastSentAt).getTime() < digestMs) continue;
+      const periodStart = lastSentAt || new Date(now - digestMs).toISOString();
+      const fresh = items.filter(item => item.analyzedAt > periodStart).map(describeCompleted);
+      if (fresh.length === 0) continue;
+
+      const flagged = fresh.filter(item => item.flagged);
+      const notification = await send('teacher_digest', email, {
+        completedCount: fresh.length,
+        flaggedCount: flagged.length,
+        flaggedList: flagged.length > 0 ? flagged.map(item => item.line).join('\n') : '- none',
+        completedList: fresh.map(item => item.line).join('\n'),
+        periodStart: formatDate(periodStart),
+        dashboardUrl: `${appUrl}/teacher-dashboard.html`
+      });
+      if (notification) counts[notification.status]++;
+    }
+    return counts;
+  }
+
+  async function runOnce() {
+    const startedAt = new Date().toISOString();
+    const now = Date.now();
+    const errors = [];
+    const step = (name, fn) => fn(now).catch(error => {
+      console.error(`⚠️ Notification ${name} failed: ${error.message}`);
+      errors.push({ step: name, message: error.message });
+      return null;
+    });
+
+    const reminders = await step('reminders', runReminders);
+    const digests = await step('digests', runDigests);
+    const result = { startedAt, finishedAt: new Date().toISOString(), reminders, digests, errors };
+    store.saveSyncState(SYNC_STATE, { lastRun: result });
+    if (reminders?.sent || digests?.sent) {
+      console.log(`📬 Sent ${reminders?.sent || 0} interview reminders and ${digests?.sent || 0} teacher digests`);
+    }
+    return result;
+  }
+
+  // Sends due reminders and digests now; joins the run in progress if there is one
+  function run() {
+    if (!transport) {
+      return Promise.resolve(null);
+    }
+    if (!current) {
+      current = runOnce().finally(() => {
+        current = null;
+      });
+    }
+    return current;
+  }
+
+  return {
+    sendInterviewLink,
+    run,
+
+    status() {
+      return {
+        transport: transport ? transport.name : 'none',
+        running: !!current,
+        intervalMinutes: timer ? settings.intervalMinutes : null,
+        ...(store.getSyncState(SYNC_STATE) || {})
+      };
+    },
+
+    start() {
+      if (!transport) return;
+      console.log(`📧 Email notifications via ${transport.name}`);
+      const scheduled = () => run().catch(error => console.error('Notification run error:', error));
+      timer = setInterval(scheduled, settings.intervalMinutes * 60 * 1000);
+      setImmediate(scheduled);
+    },
+
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = { createNotifier, getNotificationSettings };
@@ -0,0 +1,117 @@
+// Email templates, one per kind of notification. Admins can replace the
+// subject and body of each (stored in notification_templates); `{{name}}`
+// placeholders are filled in when the email is sent, and a template may
+// only use the variables listed for its kind. Emails are plain text.
+
+const MAX_SUBJECT_LENGTH = 200;
+const MAX_BODY_LENGTH = 10000;
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+const DEFAULT_TEMPLATES = {
+  interview_link: {
+    description: 'Sent to the student when their interview is ready',
+    variables: ['studentName', 'assignment', 'interviewLink', 'deadline', 'unsubscribeUrl'],
+    subject: 'Your Codefessor interview for {{assignment}}',
+    body: [
+      'Hi {{studentName}},',
+      '',
+      'Thanks for submitting your code for {{assignment}}. Your interview about it is ready:',
+      '',
+      '{{interviewLink}}',
+      '',
+      'It asks a few questions about how your code works and how you wrote it. Due: {{deadline}}.',
+      '',
+      'Keep this email to come back to the link later.',
+      '',
+      '-- ',
+      'Codefessor',
+      'Stop these emails: {{unsubscribeUrl}}'
+    ].join('\n')
+  },
+  interview_reminder: {
+    description: 'Sent once to a student who has not started their interview as the deadline nears',
+    variables: ['studentName', 'assignment', 'interviewLink', 'deadline', 'unsubscribeUrl'],
+    subject: 'Reminder: your Codefessor interview for {{assignment}}',
+    body: [
+      'Hi {{studentName}},',
+      '',
+      'You have not started the interview about your code for {{assignment}} yet. Please complete it by {{deadline}}:',
+      '',
+      '{{interviewLink}}',
+      '',
+      '-- ',
+      'Codefessor',
+      'Stop these reminders: {{unsubscribeUrl}}'
+    ].join('\n')
+  },
+  teacher_digest: {
+    description: 'Sent to teachers with the interviews completed in their courses since the last digest',
+    variables: ['completedCount', 'flaggedCount', 'flaggedList', 'completedList', 'periodStart', 'dashboardUrl', 'unsubscribeUrl'],
+    subject: 'Codefessor: {{completedCount}} interviews completed, {{flaggedCount}} flagged',
+    body: [
+      'Hi,',
+      '',
+      'Interviews completed and analyzed in your courses since {{periodStart}}: {{completedCount}}',
+      '',
+      'Flagged as likely AI-generated ({{flaggedCount}}):',
+      '{{flaggedList}}',
+      '',
+      'All completed interviews:',
+      '{{completedList}}',
+      '',
+      'Review them in the dashboard: {{dashboardUrl}}',
+      '',
+      '-- ',
+      'Codefessor',
+      'Stop these digests: {{unsubscribeUrl}}'
+    ].join('\n')
+  }
+};
+
+const NOTIFICATION_KINDS = Object.keys(DEFAULT_TEMPLATES);
+
+function templateError(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function isNotificationKind(kind) {
+  return NOTIFICATION_KINDS.includes(kind);
+}
+
+// Validated { subject, body } for a kind; throws on anything unusable
+function normalizeNotificationTemplate(kind, input) {
+  const subject = typeof input?.subject === 'string' ? input.subject.replace(/\s+/g, ' ').trim() : '';
+  const body = typeof input?.body === 'string' ? input.body.replace(/\r\n/g, '\n').trim() : '';
+  if (!subject || !body) throw templateError('subject and body are required');
+  if (subject.length > MAX_SUBJECT_LENGTH) throw templateError(`subject can be at most ${MAX_SUBJECT_LENGTH} characters`);
+  if (body.length > MAX_BODY_LENGTH) throw templateError(`body can be at most ${MAX_BODY_LENGTH} characters`);
+
+  const { variables } = DEFAULT_TEMPLATES[kind];
+  const unknown = [...`${subject}\n${body}`.matchAll(PLACEHOLDER)]
+    .map(match => match[1])
+    .filter(name => !variables.includes(name));
+  if (unknown.length > 0) {
+    throw templateError(`Unknown placeholders: ${[...new Set(unknown)].map(name => `{{${name}}}`).join(', ')}. Available: ${variables.join(', ')}`);
+  }
+  return { subject, body };
+}
+
+// The admins' template for a kind, or the default one
+function resolveNotificationTemplate(store, kind) {
+  const custom = store.getNotificationTemplate(kind);
+  const { subject, body } = custom || DEFAULT_TEMPLATES[kind];
+  return { subject, body, custom: !!custom };
+}
+
+function renderTemplate(text, values) {
+  return text.replace(PLACEHOLDER, (_, name) => String(values[name] ?? ''));
+}
+
+module.exports = {
+  NOTIFICATION_KINDS,
+  DEFAULT_TEMPLATES,
+  isNotificationKind,
+  normalizeNotificationTemplate,
+  resolveNotificationTemplate,
+  renderTemplate
+};
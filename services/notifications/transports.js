@@ -0,0 +1,76 @@
+// Where emails go, picked with NOTIFY_TRANSPORT:
+//   smtp     send through SMTP_HOST (the default when it is set)
+//   file     write each email as an .eml file to NOTIFY_OUTBOX_DIR (default data/outbox)
+//   console  print each email to the server log (the default otherwise)
+//   none     send nothing
+// Every transport exposes name and send({ to, subject, text, headers }).
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+const DEFAULT_OUTBOX_DIR = path.join(__dirname, '..', '..', 'data', 'outbox');
+
+function getSender() {
+  return process.env.NOTIFY_FROM || 'Codefessor <no-reply@codefessor.local>';
+}
+
+function createSmtpTransport() {
+  const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+  const mailer = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await mailer.sendMail({ from: getSender(), ...message });
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+// Builds the same message SMTP would send, without sending it
+function createFileTransport(dir = process.env.NOTIFY_OUTBOX_DIR || DEFAULT_OUTBOX_DIR) {
+  const mailer = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  return {
+    name: 'file',
+    async send(message) {
+      const info = await mailer.sendMail({ from: getSender(), ...message });
+      fs.mkdirSync(dir, { recursive: true });
+      const file = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${info.messageId.replace(/[<>@]/g, '')}.eml`);
+      fs.writeFileSync(file, info.message);
+      return { messageId: info.messageId, file };
+    }
+  };
+}
+
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    async send({ to, subject, text }) {
+      console.log(`📧 To: ${to}\n   Subject: ${subject}\n${text.split('\n').map(line => `   | ${line}`).join('\n')}`);
+      return { messageId: null };
+    }
+  };
+}
+
+const TRANSPORTS = {
+  smtp: createSmtpTransport,
+  file: () => createFileTransport(),
+  console: createConsoleTransport,
+  none: () => null
+};
+
+// The transport selected by the environment; null when emails are off
+function createTransport(name = process.env.NOTIFY_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console')) {
+  const factory = TRANSPORTS[name];
+  if (!factory) {
+    throw new Error(`Unknown NOTIFY_TRANSPORT "${name}". Available: ${Object.keys(TRANSPORTS).join(', ')}`);
+  }
+  return factory();
+}
+
+module.exports = { createTransport, createFileTransport, createConsoleTransport };
@@ -0,0 +1,303 @@
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const AdmZip = require('adm-zip');
+const tar = require('tar-stream');
+
+// Limits for multi-file submissions. Archives are checked against these
+// before any entry is decompressed in full.
+const LIMITS = {
+  maxFiles: 100,
+  maxFileBytes: 200 * 1024,
+  maxTotalBytes: 1024 * 1024,
+  maxArchiveBytes: 5 * 1024 * 1024
+};
+
+const LANGUAGE_BY_EXTENSION = {
+  '.js': 'javascript', '.jsx': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript',
+  '.ts': 'typescript', '.tsx': 'typescript',
+  '.py': 'python',
+  '.java': 'java',
+  '.c': 'c', '.h': 'c',
+  '.cpp': 'cpp', '.cc': 'cpp', '.cxx': 'cpp', '.hpp': 'cpp', '.hh': 'cpp',
+  '.cs': 'csharp',
+  '.go': 'go',
+  '.rs': 'rust',
+  '.php': 'php',
+  '.rb': 'ruby',
+  '.swift': 'swift',
+  '.kt': 'kotlin', '.kts': 'kotlin'
+};
+
+// Dependency, build and VCS folders never belong in a submission
+const IGNORED_SEGMENTS = ['node_modules', '.git', '__MACOSX', '__pycache__', '.venv', 'venv', 'dist', 'build', 'target'];
+
+function invalid(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function detectLanguage(filePath) {
+  return LANGUAGE_BY_EXTENSION[path.extname(filePath).toLowerCase()] || 'other';
+}
+
+// Relative, forward-slash path with no way to escape the project root.
+// Returns null for paths that should be skipped.
+function normalizePath(filePath) {
+  const cleaned = String(filePath || '').replace(/\\/g, '/');
+  if (!cleaned || cleaned.startsWith('/') || /^[a-zA-Z]:/.test(cleaned)) {
+    throw invalid(`File path must be relative: ${filePath}`);
+  }
+
+  const normalized = path.posix.normalize(cleaned);
+  if (normalized === '..' || normalized.startsWith('../')) {
+    throw invalid(`File path escapes the project: ${filePath}`);
+  }
+
+  const segments = normalized.split('/');
+  if (segments.some(segment => IGNORED_SEGMENTS.includes(segment))) return null;
+  if (segments[segments.length - 1].startsWith('.')) return null;
+  return normalized;
+}
+
+function isBinary(buffer) {
+  return buffer.subarray(0, 8000).includes(0);
+}
+
+// Validate a list of { path, content } files and add language and size.
+// Binary and ignored files are dropped; anything over the limits is rejected.
+function normalizeFiles(files) {
+  if (!Array.isArray(files) || files.length === 0) {
+    throw invalid('At least one file is required');
+  }
+
+  const result = [];
+  const seen = new Set();
+  let totalBytes = 0;
+
+  for (const file of files) {
+    const filePath = normalizePath(file.path);
+    if (!filePath) continue;
+
+    const buffer = Buffer.isBuffer(file.content) ? file.content : Buffer.from(String(file.content ?? ''), 'utf8');
+    if (isBinary(buffer)) continue;
+
+    if (buffer.length > LIMITS.maxFileBytes) {
+      throw invalid(`${filePath} is larger than ${LIMITS.maxFileBytes / 1024} KB`);
+    }
+    if (seen.has(filePath)) {
+      throw invalid(`Duplicate file path: ${filePath}`);
+    }
+
+    totalBytes += buffer.length;
+    if (totalBytes > LIMITS.maxTotalBytes) {
+      throw invalid(`Submission is larger than ${LIMITS.maxTotalBytes / 1024} KB in total`);
+    }
+
+    seen.add(filePath);
+    result.push({ path: filePath, language: detectLanguage(filePath), size: buffer.length, content: buffer.toString('utf8') });
+    if (result.length > LIMITS.maxFiles) {
+      throw invalid(`Submission has more than ${LIMITS.maxFiles} files`);
+    }
+  }
+
+  if (result.length === 0) {
+    throw invalid('The submission contains no source files');
+  }
+  return result.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+// A folder wrapping the whole project (e.g. "my-project/") is dropped from paths
+function stripCommonRoot(files) {
+  const roots = new Set(files.map(file => file.path.split('/')[0]));
+  if (roots.size !== 1 || files.some(file => !file.path.includes('/'))) return files;
+  const root = [...roots][0];
+  return files.map(file => ({ ...file, path: file.path.slice(root.length + 1) }));
+}
+
+// Inflate one zip entry ourselves, capped at the per-file limit. adm-zip's
+// getData() trusts the declared size, and a zeroed one lifts its cap.
+function inflateZipEntry(entry) {
+  const { header, entryName } = entry;
+  if (header.encrypted) {
+    throw invalid(`${entryName} is encrypted`);
+  }
+
+  const compressed = entry.getCompressedData();
+  let content;
+  if (header.method === 0) {
+    content = compressed;
+  } else if (header.method === 8) {
+    try {
+      content = zlib.inflateRawSync(compressed, { maxOutputLength: LIMITS.maxFileBytes });
+    } catch (error) {
+      if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+        throw invalid(`${entryName} is larger than ${LIMITS.maxFileBytes / 1024} KB`);
+      }
+      throw invalid(`Could not read ${entryName}: ${error.message}`);
+    }
+  } else {
+    throw invalid(`${entryName} uses an unsupported compression method`);
+  }
+
+  if (content.length > LIMITS.maxFileBytes) {
+    throw invalid(`${entryName} is larger than ${LIMITS.maxFileBytes / 1024} KB`);
+  }
+  if (content.length !== header.size) {
+    throw invalid(`${entryName} does not match the size recorded in the archive`);
+  }
+  return content;
+}
+
+function extractZip(buffer) {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (error) {
+    throw invalid(`Could not read zip archive: ${error.message}`);
+  }
+
+  const entries = zip.getEntries().filter(entry => !entry.isDirectory);
+  if (entries.length > LIMITS.maxFiles * 5) {
+    throw invalid(`Archive has more than ${LIMITS.maxFiles * 5} entries`);
+  }
+
+  const files = [];
+  let totalBytes = 0;
+  const tooLarge = () => invalid(`Submission is larger than ${LIMITS.maxTotalBytes / 1024} KB in total`);
+  for (const entry of entries) {
+    if (!normalizePath(entry.entryName)) continue;
+    // Declared sizes are checked first so oversized entries are never inflated
+    if (entry.header.size > LIMITS.maxFileBytes) {
+      throw invalid(`${entry.entryName} is larger than ${LIMITS.maxFileBytes / 1024} KB`);
+    }
+    if (totalBytes + entry.header.size > LIMITS.maxTotalBytes) throw tooLarge();
+
+    const content = inflateZipEntry(entry);
+    totalBytes += content.length;
+    if (totalBytes > LIMITS.maxTotalBytes) throw tooLarge();
+    files.push({ path: entry.entryName, content });
+  }
+  return files;
+}
+
+function extractTar(buffer) {
+  return new Promise((resolve, reject) => {
+    const extract = tar.extract();
+    const files = [];
+    let entryCount = 0;
+    let totalBytes = 0;
+
+    extract.on('entry', (header, stream, next) => {
+      entryCount++;
+      if (entryCount > LIMITS.maxFiles * 5) {
+        stream.resume();
+        return extract.destroy(invalid(`Archive has more than ${LIMITS.maxFiles * 5} entries`));
+      }
+      if (header.type !== 'file' || !normalizePath(header.name)) {
+        stream.on('end', next);
+        return stream.resume();
+      }
+      if (header.size > LIMITS.maxFileBytes) {
+        stream.resume();
+        return extract.destroy(invalid(`${header.name} is larger than ${LIMITS.maxFileBytes / 1024} KB`));
+      }
+
+      const chunks = [];
+      stream.on('data', chunk => {
+        totalBytes += chunk.length;
+        chunks.push(chunk);
+      });
+      stream.on('end', () => {
+        if (totalBytes > LIMITS.maxTotalBytes) {
+          return extract.destroy(invalid(`Submission is larger than ${LIMITS.maxTotalBytes / 1024} KB in total`));
+        }
+        files.push({ path: header.name, content: Buffer.concat(chunks) });
+        next();
+      });
+    });
+    extract.on('finish', () => resolve(files));
+    extract.on('error', error => {
+      reject(error.status ? error : invalid(`Could not read tar archive: ${error.message}`));
+    });
+
+    Readable.from([buffer]).pipe(extract);
+  });
+}
+
+function gunzip(buffer) {
+  try {
+    // Cap the inflated size so a small .tar.gz can't expand without bound
+    return zlib.gunzipSync(buffer, { maxOutputLength: LIMITS.maxArchiveBytes * 4 });
+  } catch (error) {
+    throw invalid(`Could not decompress archive: ${error.message}`);
+  }
+}
+
+// Unpack an uploaded .zip, .tar, .tar.gz or .tgz into normalized files
+async function extractArchive(buffer, filename) {
+  if (buffer.length > LIMITS.maxArchiveBytes) {
+    throw invalid(`Archive is larger than ${LIMITS.maxArchiveBytes / 1024 / 1024} MB`);
+  }
+
+  const name = (filename || '').toLowerCase();
+  let files;
+  if (name.endsWith('.zip')) {
+    files = extractZip(buffer);
+  } else if (name.endsWith('.tar.gz') || name.endsWith('.tgz')) {
+    files = await extractTar(gunzip(buffer));
+  } else if (name.endsWith('.tar')) {
+    files = await extractTar(buffer);
+  } else {
+    throw invalid('Archive must be a .zip, .tar, .tar.gz or .tgz file');
+  }
+
+  return normalizeFiles(stripCommonRoot(files));
+}
+
+// Most common language across the project, by size
+function primaryLanguage(files) {
+  const bytesByLanguage = {};
+  for (const file of files) {
+    if (file.language === 'other') continue;
+    bytesByLanguage[file.language] = (bytesByLanguage[file.language] || 0) + file.size;
+  }
+  const ranked = Object.entries(bytesByLanguage).sort((a, b) => b[1] - a[1]);
+  return ranked.length > 0 ? ranked[0][0] : 'other';
+}
+
+// All files as one text, each introduced by a header line with its path,
+// so prompts and stored code keep track of which file each line came from
+function combineFiles(files) {
+  if (files.length === 1) return files[0].content;
+  return files
+    .map(file => `// ===== File: ${file.path} (${file.language}) =====\n${file.content}`)
+    .join('\n\n');
+}
+
+// Indented directory tree of the project, for prompts
+function formatTree(files) {
+  const lines = [];
+  const printed = new Set();
+  for (const file of files) {
+    const parts = file.path.split('/');
+    for (let depth = 0; depth < parts.length - 1; depth++) {
+      const dir = parts.slice(0, depth + 1).join('/');
+      if (!printed.has(dir)) {
+        printed.add(dir);
+        lines.push(`${'  '.repeat(depth)}${parts[depth]}/`);
+      }
+    }
+    lines.push(`${'  '.repeat(parts.length - 1)}${parts[parts.length - 1]} (${file.language}, ${file.size} bytes)`);
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  LIMITS,
+  detectLanguage,
+  normalizeFiles,
+  extractArchive,
+  primaryLanguage,
+  combineFiles,
+  formatTree
+};
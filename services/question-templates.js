@@ -0,0 +1,132 @@
+// Teacher-editable rules for the interview questions of a course or
+// assignment. An assignment's template replaces its course's; without
+// either the interview gets the built-in six questions.
+//
+//   questionCount     total questions in the interview, required ones included
+//   requiredQuestions teacher-written questions asked in every interview
+//   focusAreas        topics the generated questions should cover
+//   difficulty        introductory, intermediate or advanced (null: no preference)
+//   includeOverview   open with the two "what does it do / how did you build it" questions
+//   requireApproval   hold generated questions until a teacher approves them
+//   challenge         offer the "modify your code" challenge after submitting
+//                     (JavaScript and TypeScript only, see services/challenges)
+
+const DIFFICULTIES = ['introductory', 'intermediate', 'advanced'];
+const MIN_QUESTIONS = 1;
+const MAX_QUESTIONS = 12;
+const MAX_QUESTION_LENGTH = 500;
+const MAX_FOCUS_AREAS = 10;
+
+const DEFAULT_TEMPLATE = Object.freeze({
+  questionCount: 6,
+  requiredQuestions: [],
+  focusAreas: [],
+  difficulty: null,
+  includeOverview: true,
+  requireApproval: false,
+  challenge: false
+});
+
+function templateError(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function parseStrings(value, name) {
+  if (value === undefined || value === null) return [];
+  const list = Array.isArray(value) ? value : String(value).split('\n');
+  if (list.some(item => typeof item !== 'string')) {
+    throw templateError(`${name} must be a list of strings`);
+  }
+  return list.map(item => item.trim()).filter(Boolean);
+}
+
+// Validated template from a request body; missing fields take the defaults
+function normalizeTemplate(input = {}) {
+  const questionCount = input.questionCount === undefined ? DEFAULT_TEMPLATE.questionCount : Number(input.questionCount);
+  if (!Number.isInteger(questionCount) || questionCount < MIN_QUESTIONS || questionCount > MAX_QUESTIONS) {
+    throw templateError(`questionCount must be a whole number from ${MIN_QUESTIONS} to ${MAX_QUESTIONS}`);
+  }
+
+  const requiredQuestions = parseStrings(input.requiredQuestions, 'requiredQuestions');
+  if (requiredQuestions.length > questionCount) {
+    throw templateError('There are more required questions than questionCount allows');
+  }
+  if (requiredQuestions.some(question => question.length > MAX_QUESTION_LENGTH)) {
+    throw templateError(`Required questions can be at most ${MAX_QUESTION_LENGTH} characters`);
+  }
+
+  const focusAreas = parseStrings(input.focusAreas, 'focusAreas');
+  if (focusAreas.length > MAX_FOCUS_AREAS) {
+    throw templateError(`At most ${MAX_FOCUS_AREAS} focus areas are allowed`);
+  }
+
+  const difficulty = input.difficulty || null;
+  if (difficulty && !DIFFICULTIES.includes(difficulty)) {
+    throw templateError(`difficulty must be one of: ${DIFFICULTIES.join(', ')}`);
+  }
+
+  const includeOverview = input.includeOverview === undefined ? DEFAULT_TEMPLATE.includeOverview : input.includeOverview === true;
+  // The overview questions are generated, so they need room next to the required ones
+  if (includeOverview && questionCount - requiredQuestions.length < 2) {
+    throw templateError('includeOverview needs room for two generated questions besides the required ones');
+  }
+
+  return {
+    questionCount,
+    requiredQuestions,
+    focusAreas,
+    difficulty,
+    includeOverview,
+    requireApproval: input.requireApproval === true,
+    challenge: input.challenge === true
+  };
+}
+
+// The template that applies to a submission, and where it came from
+function resolveTemplate(store, { courseId = null, assignmentId = null } = {}) {
+  const assignmentTemplate = assignmentId ? store.getQuestionTemplate('assignment', assignmentId) : null;
+  if (assignmentTemplate) return { template: assignmentTemplate.template, source: 'assignment' };
+
+  const courseTemplate = courseId ? store.getQuestionTemplate('course', courseId) : null;
+  if (courseTemplate) return { template: courseTemplate.template, source: 'course' };
+
+  return { template: { ...DEFAULT_TEMPLATE }, source: 'default' };
+}
+
+// How many questions the model writes
+function generatedCount(template) {
+  return template.questionCount - template.requiredQuestions.length;
+}
+
+// The interview's questions: the generated overview pair first (when the
+// template asks for it), then the teacher's required questions, then the
+// rest of the generated ones
+function composeQuestions(template, generated) {
+  const questions = generated.slice(0, generatedCount(template));
+  if (!template.includeOverview) {
+    return [...template.requiredQuestions, ...questions];
+  }
+  return [...questions.slice(0, 2), ...template.requiredQuestions, ...questions.slice(2)];
+}
+
+// Teacher edits to generated questions before approval
+function normalizeQuestions(value) {
+  const questions = parseStrings(value, 'questions');
+  if (questions.length < MIN_QUESTIONS || questions.length > MAX_QUESTIONS) {
+    throw templateError(`An interview needs ${MIN_QUESTIONS} to ${MAX_QUESTIONS} questions`);
+  }
+  if (questions.some(question => question.length > MAX_QUESTION_LENGTH)) {
+    throw templateError(`Questions can be at most ${MAX_QUESTION_LENGTH} characters`);
+  }
+  return questions;
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  DIFFICULTIES,
+  normalizeTemplate,
+  resolveTemplate,
+  generatedCount,
+  composeQuestions,
+  normalizeQuestions
+};
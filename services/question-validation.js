@@ -0,0 +1,263 @@
+// Checks generated interview questions against the parsed code (see
+// services/code-structure.js). A question is grounded when it names
+// something in the code: a function, class or variable, a file of the
+// project, a loop or branch inside a named function, or a line. Questions
+// that name nothing are generic, and ones asking the same thing as an
+// earlier question are duplicates; both get regenerated or replaced.
+//
+// Targets are stored with each question so reviewers can see which part of
+// the code it was about:
+//   { kind, name, startLine, endLine, file?, fileStartLine?, fileEndLine? }
+
+const { contentWords } = require('./transcript');
+
+const MAX_TARGETS = 5;
+const DUPLICATE_OVERLAP = 0.6;
+const SYMBOL_PRIORITY = ['function', 'method', 'class', 'type', 'variable', 'parameter'];
+
+// Identifiers that read as ordinary English in a question, so they only
+// count when written as code (`total`)
+const COMMON_WORDS = new Set([
+  'add', 'all', 'any', 'args', 'array', 'check', 'count', 'current', 'data', 'delete', 'end', 'error', 'file',
+  'find', 'first', 'flag', 'get', 'handle', 'index', 'input', 'item', 'items', 'key', 'last', 'left', 'length',
+  'line', 'list', 'loop', 'main', 'map', 'max', 'min', 'name', 'new', 'next', 'node', 'number', 'object',
+  'output', 'prev', 'remove', 'request', 'response', 'result', 'right', 'run', 'self', 'set', 'size', 'start',
+  'state', 'string', 'sum', 'temp', 'test', 'this', 'total', 'type', 'update', 'use', 'value', 'values', 'way'
+]);
+
+const LOOP_WORDS = /\b(loops?|iterat\w*|for[- ]each|while)\b/i;
+const BRANCH_WORDS = /\b(if[- ]statements?|if\/else|else|conditionals?|conditions?|branch(?:es)?|switch|ternary|match statement|guard)\b/i;
+const LINE_REFERENCE = /\blines?\s+(\d+)/gi;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Loops and branches keep their statement (for, while, if, ...) as `type`
+function targetOf(element, kind = element.kind) {
+  const target = { kind, name: element.name || null, startLine: element.startLine, endLine: element.endLine };
+  if (kind !== element.kind) target.type = element.kind;
+  if (element.file) {
+    Object.assign(target, { file: element.file, fileStartLine: element.fileStartLine, fileEndLine: element.fileEndLine });
+  }
+  return target;
+}
+
+function targetKey(target) {
+  return `${target.kind}:${target.name || ''}:${target.startLine}`;
+}
+
+function contains(outer, inner) {
+  return outer.startLine <= inner.startLine && inner.endLine <= outer.endLine;
+}
+
+// Innermost function, method or class around a line
+function enclosingSymbol(structure, element) {
+  return structure.symbols
+    .filter(symbol => ['function', 'method', 'class'].includes(symbol.kind) && symbol.startLine < element.startLine && contains(symbol, element))
+    .sort((a, b) => (a.endLine - a.startLine) - (b.endLine - b.startLine))[0] || null;
+}
+
+// The parts of the code a question is about, in line order
+function findQuestionTargets(question, structure) {
+  const targets = [];
+  const seen = new Set();
+  const add = target => {
+    const key = targetKey(target);
+    if (!seen.has(key)) {
+      seen.add(key);
+      targets.push(target);
+    }
+  };
+
+  const quoted = new Set([...question.matchAll(/`([^`]+)`/g)].map(match => match[1].replace(/\(.*\)$/, '').trim()));
+
+  for (const file of structure.files || []) {
+    const basename = file.path.split('/').pop();
+    if (quoted.has(file.path) || quoted.has(basename) || new RegExp(`(^|[\\s(])${escapeRegExp(file.path)}\\b`).test(question)) {
+      add({ kind: 'file', name: file.path, startLine: file.startLine, endLine: file.endLine, file: file.path, fileStartLine: 1, fileEndLine: file.endLine - file.startLine + 1 });
+    }
+  }
+
+  const named = [];
+  for (const symbol of structure.symbols) {
+    const plain = symbol.name.length >= 3 && (/[A-Z_0-9]/.test(symbol.name.slice(1)) || !COMMON_WORDS.has(symbol.name.toLowerCase()));
+    const mentioned = quoted.has(symbol.name) ||
+      (plain && new RegExp(`(^|[^\\w$])${escapeRegExp(symbol.name)}(?![\\w$])`).test(question));
+    if (mentioned) {
+      named.push(symbol);
+      add(targetOf(symbol));
+    }
+  }
+
+  // Loops and branches are named by where they are: inside a named
+  // function, or the only one in the code
+  const within = elements => {
+    const scopes = named.filter(symbol => symbol.endLine > symbol.startLine);
+    if (scopes.length > 0) return elements.filter(element => scopes.some(scope => contains(scope, element) && scope.file === element.file));
+    return elements.length === 1 ? elements : [];
+  };
+  if (LOOP_WORDS.test(question)) within(structure.loops).forEach(loop => add(targetOf(loop, 'loop')));
+  if (BRANCH_WORDS.test(question)) within(structure.branches).forEach(branch => add(targetOf(branch, 'branch')));
+
+  for (const match of question.matchAll(LINE_REFERENCE)) {
+    const line = Number(match[1]);
+    if (line < 1 || line > structure.lineCount) continue;
+    const element = [...structure.loops.map(loop => targetOf(loop, 'loop')), ...structure.branches.map(branch => targetOf(branch, 'branch')), ...structure.symbols.map(symbol => targetOf(symbol))]
+      .filter(candidate => candidate.startLine <= line && line <= candidate.endLine)
+      .sort((a, b) => (a.endLine - a.startLine) - (b.endLine - b.startLine))[0];
+    add(element || { kind: 'line', name: null, startLine: line, endLine: line });
+  }
+
+  return targets.sort((a, b) => a.startLine - b.startLine).slice(0, MAX_TARGETS);
+}
+
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const word of a) {
+    if (b.has(word)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+function sameTargets(a, b) {
+  if (a.length === 0 || b.length === 0) return true;
+  const keys = new Set(a.map(targetKey));
+  return b.some(target => keys.has(targetKey(target)));
+}
+
+// One check per question, in order:
+//   { question, status, targets }
+// status is 'fixed' (the first `fixedCount` questions: the overview pair,
+// never checked), 'grounded', 'focus' (names nothing but covers one of the
+// teacher's focus areas), 'generic', 'duplicate', or 'unchecked' when the
+// code has nothing a question could name. `asked` are questions that are
+// asked anyway (the teacher's required ones), checked for duplicates only.
+function checkQuestions(questions, structure, { fixedCount = 0, asked = [], focusAreas = [] } = {}) {
+  const checkable = structure.symbols.length + structure.loops.length + structure.branches.length > 0;
+  const earlier = asked.map(question => ({ words: contentWords(question), targets: findQuestionTargets(question, structure) }));
+  const areas = focusAreas.map(area => area.toLowerCase());
+
+  return questions.map((question, index) => {
+    const targets = findQuestionTargets(question, structure);
+    const words = contentWords(question);
+    let status;
+    if (index < fixedCount) {
+      status = 'fixed';
+    } else if (earlier.some(other => similarity(words, other.words) >= DUPLICATE_OVERLAP && sameTargets(targets, other.targets))) {
+      status = 'duplicate';
+    } else if (targets.length > 0) {
+      status = 'grounded';
+    } else if (areas.some(area => question.toLowerCase().includes(area))) {
+      status = 'focus';
+    } else {
+      status = checkable ? 'generic' : 'unchecked';
+    }
+    earlier.push({ words, targets });
+    return { question, status, targets };
+  });
+}
+
+function needsReplacement(check) {
+  return check.status === 'generic' || check.status === 'duplicate';
+}
+
+// "for loop", "`if` statement", "conditional expression"
+function statementName(target) {
+  if (target.kind === 'loop') return `${target.type} loop`;
+  return target.type === 'ternary' ? 'conditional expression' : `\`${target.type}\` statement`;
+}
+
+function describeLocation(structure, element) {
+  const scope = enclosingSymbol(structure, element);
+  if (scope) return `in \`${scope.name}\``;
+  return element.file ? `on line ${element.fileStartLine} of \`${element.file}\`` : `on line ${element.startLine}`;
+}
+
+// Parts of the code no grounded question covers yet: functions and classes
+// first, then loops, branches and variables
+function uncoveredElements(structure, checks) {
+  const covered = new Set(checks.flatMap(check => check.targets.map(targetKey)));
+  const symbols = structure.symbols
+    .filter(symbol => symbol.kind !== 'parameter')
+    .sort((a, b) => SYMBOL_PRIORITY.indexOf(a.kind) - SYMBOL_PRIORITY.indexOf(b.kind));
+  return [
+    ...symbols.filter(symbol => symbol.kind !== 'variable').map(symbol => targetOf(symbol)),
+    ...structure.loops.map(loop => targetOf(loop, 'loop')),
+    ...structure.branches.map(branch => targetOf(branch, 'branch')),
+    ...symbols.filter(symbol => symbol.kind === 'variable').map(symbol => targetOf(symbol))
+  ].filter(element => !covered.has(targetKey(element)));
+}
+
+// Short description of a target for the regeneration prompt
+function describeTarget(structure, target) {
+  const lines = target.file
+    ? `\`${target.file}\` line ${target.fileStartLine}`
+    : `line ${target.startLine}`;
+  if (target.kind === 'loop' || target.kind === 'branch') {
+    return `the ${statementName(target)} ${describeLocation(structure, target)} (${lines})`;
+  }
+  return `\`${target.name}\` (${target.kind}, ${lines})`;
+}
+
+// A question about one uncovered part of the code, for when the model
+// can't produce a grounded one
+function fallbackQuestion(structure, target) {
+  const where = describeLocation(structure, target);
+  switch (target.kind) {
+    case 'function':
+      return `What does \`${target.name}\` do, and what would break if you removed it or called it with unexpected arguments?`;
+    case 'method':
+      return `What is \`${target.name}\` responsible for, and how does the rest of your code rely on it?`;
+    case 'class':
+    case 'type':
+      return `Why did you define \`${target.name}\`, and what does it keep track of?`;
+    case 'loop':
+      return `Walk me through the ${statementName(target)} ${where}. When does it stop, and what happens if it runs zero times?`;
+    case 'branch':
+      return `Which case does the ${statementName(target)} ${where} handle, and what happens when the condition goes the other way?`;
+    default:
+      return `What does \`${target.name}\` hold, and how does its value change as your code runs?`;
+  }
+}
+
+// Questions with generic and duplicate ones replaced. `regenerate(count,
+// { avoid, targets })` asks the model once for `count` new questions; what is
+// still generic or duplicated afterwards gets a fallback question about code
+// no other question covers. Returns { questions, checks }.
+async function groundQuestions(questions, structure, { regenerate, ...options } = {}) {
+  let checks = checkQuestions(questions, structure, options);
+  let rejected = checks.filter(needsReplacement);
+  if (rejected.length === 0) return { questions, checks };
+
+  if (regenerate) {
+    console.log(`🔁 Regenerating ${rejected.length} generic or duplicate question(s)`);
+    try {
+      const wanted = uncoveredElements(structure, checks).slice(0, rejected.length * 2);
+      const replacements = (await regenerate(rejected.length, {
+        avoid: [...(options.asked || []), ...questions],
+        targets: wanted.map(target => describeTarget(structure, target))
+      })).filter(question => typeof question === 'string' && question.trim());
+      const next = checks.map(check => needsReplacement(check) && replacements.length > 0 ? replacements.shift() : check.question);
+      checks = checkQuestions(next, structure, options);
+      rejected = checks.filter(needsReplacement);
+    } catch (error) {
+      console.log(`⚠️ Could not regenerate questions (${error.message}), using fallback questions`);
+    }
+  }
+
+  if (rejected.length > 0) {
+    const spare = uncoveredElements(structure, checks);
+    checks = checks.map(check => {
+      if (!needsReplacement(check) || spare.length === 0) return check;
+      const target = spare.shift();
+      return { question: fallbackQuestion(structure, target), status: 'fallback', targets: [target] };
+    });
+    console.log(`🧩 Replaced ${rejected.length - checks.filter(needsReplacement).length} question(s) with fallback questions about the code`);
+  }
+
+  return { questions: checks.map(check => check.question), checks };
+}
+
+module.exports = { findQuestionTargets, checkQuestions, groundQuestions };
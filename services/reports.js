@@ -0,0 +1,151 @@
+const PDFDocument = require('pdfkit');
+const { escapeHtml } = require('./html');
+
+// Gradebook exports and the printable per-interview report. The report is
+// built once as a list of sections and rendered either as a standalone HTML
+// page (print it from the browser) or as a PDF generated locally with pdfkit.
+
+// One row per interview. Email identifies the student, which is what LMS
+// gradebook imports match rows on.
+const GRADEBOOK_COLUMNS = [
+  { key: 'studentName', header: 'Student' },
+  { key: 'studentEmail', header: 'Email' },
+  { key: 'courseName', header: 'Course' },
+  { key: 'assignmentTitle', header: 'Assignment' },
+  { key: 'language', header: 'Language' },
+  { key: 'score', header: 'Score' },
+  { key: 'aiLikelihood', header: 'AI Likelihood' },
+  { key: 'confidence', header: 'Confidence' },
+  { key: 'reviewState', header: 'Review State' },
+  { key: 'completedAt', header: 'Completed' },
+  { key: 'interviewId', header: 'Interview ID' }
+];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  // Spreadsheets run cells starting with these as formulas
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, columns = GRADEBOOK_COLUMNS) {
+  const lines = [columns.map(column => csvCell(column.header))];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvCell(row[column.key])));
+  }
+  return lines.map(cells => cells.join(',')).join('\r\n') + '\r\n';
+}
+
+// Each section may have, in this order: fields ([label, value] pairs), a
+// paragraph of text, a bulleted list, and code-like blocks ({ title, content })
+// shown in a monospace font
+function renderReportHtml(report) {
+  const sections = report.sections.map(section => `
+    <section>
+      <h2>${escapeHtml(section.title)}</h2>
+      ${section.fields ? `<dl>${section.fields.map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`).join('')}</dl>` : ''}
+      ${section.text ? `<p>${escapeHtml(section.text)}</p>` : ''}
+      ${section.list ? `<ul>${section.list.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>` : ''}
+      ${(section.code || []).map(block => `
+        ${block.title ? `<h3>${escapeHtml(block.title)}</h3>` : ''}
+        <pre>${escapeHtml(block.content)}</pre>
+      `).join('')}
+    </section>
+  `).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(report.title)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #222; max-width: 800px; margin: 40px auto; padding: 0 20px; line-height: 1.5; }
+    h1 { font-size: 1.6rem; margin-bottom: 5px; }
+    h2 { font-size: 1.2rem; border-bottom: 2px solid #667eea; padding-bottom: 4px; margin-top: 30px; }
+    h3 { font-size: 1rem; margin: 15px 0 5px; }
+    dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 15px; }
+    dt { font-weight: 600; }
+    dd { margin: 0; }
+    pre { background: #f8f9fa; border: 1px solid #ddd; padding: 10px; font-size: 0.8rem; white-space: pre-wrap; word-break: break-word; }
+    .meta { color: #666; font-size: 0.9rem; }
+    .print-hint { background: #eef1ff; padding: 10px; border-radius: 5px; }
+    @media print {
+      body { margin: 0; max-width: none; }
+      .print-hint { display: none; }
+      h2, h3 { break-after: avoid; }
+    }
+  </style>
+</head>
+<body>
+  <p class="print-hint">Use your browser's Print command to save this report as a PDF.</p>
+  <h1>${escapeHtml(report.title)}</h1>
+  <p class="meta">Generated ${escapeHtml(report.generatedAt)}</p>
+  ${sections}
+</body>
+</html>
+`;
+}
+
+// The standard PDF fonts only cover Latin-1
+function pdfText(value) {
+  return String(value ?? '')
+    .replace(/[–—]/g, '-')
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/\t/g, '    ')
+    .replace(/[^\n\r\x20-\x7E\xA0-\xFF]/g, '?');
+}
+
+// Resolves with the PDF as a Buffer
+function renderReportPdf(report) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, bufferPages: true, info: { Title: pdfText(report.title) } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.font('Helvetica-Bold').fontSize(18).text(pdfText(report.title));
+    doc.font('Helvetica').fontSize(9).fillColor('#666666').text(`Generated ${pdfText(report.generatedAt)}`);
+    doc.fillColor('#000000');
+
+    for (const section of report.sections) {
+      doc.moveDown(1.2);
+      doc.font('Helvetica-Bold').fontSize(13).text(pdfText(section.title));
+      doc.moveDown(0.3);
+
+      for (const [label, value] of section.fields || []) {
+        doc.font('Helvetica-Bold').fontSize(10).text(`${pdfText(label)}: `, { continued: true });
+        doc.font('Helvetica').text(pdfText(value));
+      }
+      if (section.text) {
+        doc.moveDown(0.3);
+        doc.font('Helvetica').fontSize(10).text(pdfText(section.text));
+      }
+      for (const item of section.list || []) {
+        doc.font('Helvetica').fontSize(10).text(`- ${pdfText(item)}`, { indent: 10 });
+      }
+      for (const block of section.code || []) {
+        doc.moveDown(0.5);
+        if (block.title) doc.font('Helvetica-Bold').fontSize(10).text(pdfText(block.title));
+        doc.font('Courier').fontSize(8).text(pdfText(block.content));
+      }
+    }
+
+    // Page numbers, written without triggering a page break at the bottom margin
+    const { start, count } = doc.bufferedPageRange();
+    for (let index = start; index < start + count; index++) {
+      doc.switchToPage(index);
+      const bottom = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+      doc.font('Helvetica').fontSize(8).fillColor('#666666')
+        .text(`Page ${index + 1} of ${count}`, 50, doc.page.height - 35, { align: 'center', width: doc.page.width - 100 });
+      doc.page.margins.bottom = bottom;
+    }
+
+    doc.end();
+  });
+}
+
+module.exports = { GRADEBOOK_COLUMNS, toCsv, renderReportHtml, renderReportPdf };
@@ -0,0 +1,225 @@
+// Fingerprint-based similarity between submissions (winnowing, as used by
+// MOSS). Code is reduced to a token stream where every identifier becomes
+// the same token and comments, whitespace and literal values are dropped, so
+// renaming variables or reformatting doesn't hide a copy.
+
+const KGRAM_SIZE = 6;
+const WINDOW_SIZE = 4;
+
+// Pairs below this score aren't worth a teacher's attention
+const DEFAULT_MIN_SCORE = 0.3;
+
+const HASH_COMMENT_LANGUAGES = ['python', 'ruby', 'other'];
+const FILE_HEADER = /^\/\/ ===== File: .* =====$/gm;
+
+// Kept as-is in the token stream; every other identifier becomes "id"
+const KEYWORDS = new Set([
+  'if', 'else', 'elif', 'for', 'while', 'do', 'return', 'break', 'continue', 'switch', 'case', 'default',
+  'function', 'def', 'class', 'struct', 'enum', 'interface', 'new', 'delete', 'try', 'catch', 'except',
+  'finally', 'throw', 'throws', 'raise', 'import', 'from', 'include', 'using', 'package', 'const', 'let',
+  'var', 'static', 'public', 'private', 'protected', 'void', 'int', 'long', 'float', 'double', 'char', 'bool',
+  'boolean', 'string', 'true', 'false', 'null', 'None', 'True', 'False', 'nil', 'this', 'self', 'and', 'or',
+  'not', 'in', 'of', 'is', 'lambda', 'yield', 'async', 'await', 'with', 'as', 'pass', 'fn', 'func',
+  'mut', 'impl', 'match', 'go', 'defer', 'extends', 'implements', 'typeof', 'instanceof', 'end', 'then'
+]);
+
+// In Python and Ruby '//' is an operator, not a comment
+function buildTokenPattern(hashComments) {
+  return new RegExp([
+    ...(hashComments ? [] : ['(?<block>\\/\\*[\\s\\S]*?(?:\\*\\/|$))', '(?<line>\\/\\/[^\\n]*)']),
+    '(?<hash>#[^\\n]*)',
+    '(?<string>"""[\\s\\S]*?(?:"""|$)|\'\'\'[\\s\\S]*?(?:\'\'\'|$)|"(?:\\\\.|[^"\\\\\\n])*"|\'(?:\\\\.|[^\'\\\\\\n])*\'|`(?:\\\\.|[^`\\\\])*`)',
+    '(?<number>\\b\\d[\\d_]*(?:\\.\\d+)?(?:[eE][+-]?\\d+)?\\b|\\b0[xX][0-9a-fA-F]+\\b)',
+    '(?<word>[A-Za-z_$][\\w$]*)',
+    '(?<op>===|!==|==|!=|<=|>=|&&|\\|\\||\\+\\+|--|\\+=|-=|\\*=|\\/=|\\/\\/|=>|->|::|\\*\\*|<<|>>|[^\\s\\w])'
+  ].join('|'), 'g');
+}
+
+const TOKEN_PATTERNS = {
+  hash: buildTokenPattern(true),
+  slash: buildTokenPattern(false)
+};
+
+// Normalized tokens, each with the source line it came from
+function tokenize(code, language) {
+  const hashComments = HASH_COMMENT_LANGUAGES.includes(language);
+  // Blank out multi-file headers without shifting line numbers
+  const source = (code || '').replace(FILE_HEADER, '');
+  const tokens = [];
+  let line = 1;
+  let lastIndex = 0;
+
+  for (const match of source.matchAll(hashComments ? TOKEN_PATTERNS.hash : TOKEN_PATTERNS.slash)) {
+    line += countNewlines(source, lastIndex, match.index);
+    lastIndex = match.index;
+    const { block, hash, string, number, word, op } = match.groups;
+
+    // Comments carry no structure
+    if (block || match.groups.line) continue;
+
+    if (hash) {
+      // '#' starts a comment in Python/Ruby and a preprocessor line in C-like languages
+      if (!hashComments) tokens.push({ text: hash.split(/\s/)[0], line });
+    } else if (string) {
+      tokens.push({ text: 'str', line });
+    } else if (number) {
+      tokens.push({ text: 'num', line });
+    } else if (word) {
+      tokens.push({ text: KEYWORDS.has(word) ? word : 'id', line });
+    } else if (op) {
+      tokens.push({ text: op, line });
+    }
+  }
+  return tokens;
+}
+
+function countNewlines(text, from, to) {
+  let count = 0;
+  for (let i = from; i < to; i++) {
+    if (text.charCodeAt(i) === 10) count++;
+  }
+  return count;
+}
+
+// 32-bit FNV-1a
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash;
+}
+
+// Winnowing: hash every k-gram of tokens and keep the minimum hash of each
+// window of WINDOW_SIZE consecutive k-grams
+function fingerprint(code, language) {
+  const tokens = tokenize(code, language);
+  const grams = [];
+  for (let i = 0; i + KGRAM_SIZE <= tokens.length; i++) {
+    const slice = tokens.slice(i, i + KGRAM_SIZE);
+    grams.push({
+      hash: hashString(slice.map(token => token.text).join(' ')),
+      startLine: slice[0].line,
+      endLine: slice[slice.length - 1].line
+    });
+  }
+
+  // Submissions shorter than one window keep every k-gram
+  if (grams.length <= WINDOW_SIZE) return grams;
+
+  const selected = [];
+  let lastPicked = -1;
+  for (let start = 0; start + WINDOW_SIZE <= grams.length; start++) {
+    let minIndex = start;
+    for (let i = start + 1; i < start + WINDOW_SIZE; i++) {
+      // Rightmost minimum, so a repeated minimum isn't picked twice
+      if (grams[i].hash <= grams[minIndex].hash) minIndex = i;
+    }
+    if (minIndex !== lastPicked) {
+      selected.push(grams[minIndex]);
+      lastPicked = minIndex;
+    }
+  }
+  return selected;
+}
+
+// Adjacent matched fingerprints become one region with line ranges in both submissions
+function mergeRegions(pairs) {
+  const sorted = [...pairs].sort((x, y) => x.a.startLine - y.a.startLine || x.b.startLine - y.b.startLine);
+  const regions = [];
+
+  for (const pair of sorted) {
+    const last = regions[regions.length - 1];
+    const continuesA = last && pair.a.startLine <= last.a.endLine + 1;
+    const continuesB = last && pair.b.startLine <= last.b.endLine + 1 && pair.b.endLine >= last.b.startLine - 1;
+    if (continuesA && continuesB) {
+      last.a.endLine = Math.max(last.a.endLine, pair.a.endLine);
+      last.b.startLine = Math.min(last.b.startLine, pair.b.startLine);
+      last.b.endLine = Math.max(last.b.endLine, pair.b.endLine);
+    } else {
+      regions.push({ a: { ...pair.a }, b: { ...pair.b } });
+    }
+  }
+  return regions;
+}
+
+function groupByHash(fingerprints, hashes) {
+  const byHash = new Map();
+  for (const fp of fingerprints) {
+    if (!hashes.has(fp.hash)) continue;
+    if (!byHash.has(fp.hash)) byHash.set(fp.hash, []);
+    byHash.get(fp.hash).push(fp);
+  }
+  return byHash;
+}
+
+// Similarity of two fingerprinted submissions. `score` is the share of the
+// smaller submission's fingerprints found in the other one (0-1).
+function compareFingerprints(fingerprintsA, fingerprintsB) {
+  const hashesA = new Set(fingerprintsA.map(fp => fp.hash));
+  const hashesB = new Set(fingerprintsB.map(fp => fp.hash));
+  if (hashesA.size === 0 || hashesB.size === 0) {
+    return { score: 0, jaccard: 0, matchedFingerprints: 0, regions: [] };
+  }
+
+  const shared = [...hashesA].filter(hash => hashesB.has(hash));
+  const sharedSet = new Set(shared);
+
+  const byHashA = groupByHash(fingerprintsA, sharedSet);
+  const byHashB = groupByHash(fingerprintsB, sharedSet);
+
+  // Occurrences of a hash are paired in order, the extras on the longer side
+  // with the other side's last one. Every occurrence lands in a region, and
+  // repetitive code gives n + m pairs instead of n * m.
+  const pairs = [];
+  for (const hash of shared) {
+    const inA = byHashA.get(hash);
+    const inB = byHashB.get(hash);
+    for (let i = 0; i < Math.max(inA.length, inB.length); i++) {
+      const fp = inA[Math.min(i, inA.length - 1)];
+      const other = inB[Math.min(i, inB.length - 1)];
+      pairs.push({
+        a: { startLine: fp.startLine, endLine: fp.endLine },
+        b: { startLine: other.startLine, endLine: other.endLine }
+      });
+    }
+  }
+
+  return {
+    score: Math.round((shared.length / Math.min(hashesA.size, hashesB.size)) * 100) / 100,
+    jaccard: Math.round((shared.length / (hashesA.size + hashesB.size - shared.length)) * 100) / 100,
+    matchedFingerprints: shared.length,
+    regions: mergeRegions(pairs)
+  };
+}
+
+// Compare one submission against a group of { interviewId, code, language }
+function compareWithGroup(submission, group) {
+  const own = fingerprint(submission.code, submission.language);
+  return group
+    .filter(other => other.interviewId !== submission.interviewId)
+    .map(other => ({
+      interviewId: submission.interviewId,
+      otherInterviewId: other.interviewId,
+      ...compareFingerprints(own, fingerprint(other.code, other.language))
+    }));
+}
+
+// Every pair within a group, fingerprinting each submission once
+function compareAllPairs(group) {
+  const prints = group.map(submission => fingerprint(submission.code, submission.language));
+  const results = [];
+  for (let i = 0; i < group.length; i++) {
+    for (let j = i + 1; j < group.length; j++) {
+      results.push({
+        interviewId: group[i].interviewId,
+        otherInterviewId: group[j].interviewId,
+        ...compareFingerprints(prints[i], prints[j])
+      });
+    }
+  }
+  return results;
+}
+
+module.exports = { DEFAULT_MIN_SCORE, tokenize, fingerprint, compareFingerprints, compareWithGroup, compareAllPairs };
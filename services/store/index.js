@@ -0,0 +1,1522 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { runMigrations } = require('./migrations');
+
+const DEFAULT_DATABASE_FILE = path.join(__dirname, '..', '..', 'data', 'codefessor.db');
+
+function parseJSON(value, fallback) {
+  return value ? JSON.parse(value) : fallback;
+}
+
+function toSubmission(row) {
+  if (!row) return null;
+  return {
+    interviewId: row.interview_id,
+    backend: row.backend,
+    interviewFlowId: row.interview_flow_id,
+    studentName: row.student_name,
+    studentEmail: row.student_email,
+    language: row.language,
+    code: row.code,
+    questions: parseJSON(row.questions, []),
+    questionTargets: parseJSON(row.question_targets, null),
+    studentId: row.student_id,
+    courseId: row.course_id,
+    assignmentId: row.assignment_id,
+    interviewLink: row.interview_link,
+    createdAt: row.created_at
+  };
+}
+
+function toQuestionTemplate(row) {
+  if (!row) return null;
+  return {
+    scope: row.scope,
+    scopeId: row.scope_id,
+    template: JSON.parse(row.template),
+    updatedBy: row.updated_by,
+    updatedAt: row.updated_at
+  };
+}
+
+// A submission waiting for (or past) teacher approval of its questions
+function toQuestionReview(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    status: row.status,
+    studentId: row.student_id,
+    studentName: row.student_name,
+    studentEmail: row.student_email,
+    language: row.language,
+    code: row.code,
+    files: parseJSON(row.files, null),
+    interviewMode: row.interview_mode,
+    courseId: row.course_id,
+    assignmentId: row.assignment_id,
+    generatedQuestions: parseJSON(row.generated_questions, []),
+    questions: parseJSON(row.questions, []),
+    note: row.note,
+    reviewedBy: row.reviewed_by,
+    reviewedAt: row.reviewed_at,
+    interviewId: row.interview_id,
+    interviewLink: row.interview_link,
+    backend: row.backend,
+    createdAt: row.created_at
+  };
+}
+
+function toChallenge(row) {
+  if (!row) return null;
+  return {
+    interviewId: row.interview_id,
+    status: row.status,
+    source: row.source,
+    language: row.language,
+    title: row.title,
+    instructions: row.instructions,
+    tests: JSON.parse(row.tests),
+    latestCode: row.latest_code,
+    attempts: row.attempts,
+    bestPassed: row.best_passed,
+    startedAt: row.started_at,
+    lastAttemptAt: row.last_attempt_at,
+    solvedAt: row.solved_at
+  };
+}
+
+function toChallengeAttempt(row) {
+  return {
+    id: row.id,
+    code: row.code,
+    passed: row.passed,
+    total: row.total,
+    results: JSON.parse(row.results),
+    error: row.error,
+    createdAt: row.created_at
+  };
+}
+
+function toNotificationTemplate(row) {
+  if (!row) return null;
+  return {
+    kind: row.kind,
+    subject: row.subject,
+    body: row.body,
+    updatedBy: row.updated_by,
+    updatedAt: row.updated_at
+  };
+}
+
+function toNotificationPreferences(row) {
+  if (!row) return null;
+  return {
+    email: row.email,
+    token: row.token,
+    unsubscribed: parseJSON(row.unsubscribed, []),
+    updatedAt: row.updated_at
+  };
+}
+
+function toNotification(row) {
+  return {
+    id: row.id,
+    kind: row.kind,
+    recipient: row.recipient,
+    interviewId: row.interview_id,
+    subject: row.subject,
+    status: row.status,
+    error: row.error,
+    createdAt: row.created_at
+  };
+}
+
+function toCourse(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    teacherId: row.teacher_id,
+    teacherEmail: row.teacher_email,
+    createdAt: row.created_at
+  };
+}
+
+function toAssignment(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    courseId: row.course_id,
+    title: row.title,
+    description: row.description,
+    dueAt: row.due_at,
+    allowedLanguages: parseJSON(row.allowed_languages, []),
+    createdAt: row.created_at
+  };
+}
+
+// A stored pair, oriented so `interviewId` and region side "a" are `fromInterviewId`
+function toSimilarityMatch(row, fromInterviewId) {
+  const flipped = row.interview_id !== fromInterviewId;
+  const regions = parseJSON(row.regions, []);
+  return {
+    interviewId: flipped ? row.other_interview_id : row.interview_id,
+    otherInterviewId: flipped ? row.interview_id : row.other_interview_id,
+    score: row.score,
+    jaccard: row.jaccard,
+    regions: flipped ? regions.map(region => ({ a: region.b, b: region.a })) : regions,
+    computedAt: row.computed_at
+  };
+}
+
+function toReviewEvent(row) {
+  return {
+    id: row.id,
+    interviewId: row.interview_id,
+    field: row.field,
+    previousValue: row.previous_value,
+    newValue: row.new_value,
+    actorId: row.actor_id,
+    actorEmail: row.actor_email,
+    createdAt: row.created_at
+  };
+}
+
+function toAnalysisJob(row) {
+  if (!row) return null;
+  return {
+    interviewId: row.interview_id,
+    status: row.status,
+    attempts: row.attempts,
+    lastError: row.last_error,
+    runAfter: row.run_after,
+    reason: row.reason,
+    requestedBy: row.requested_by,
+    priority: row.priority,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Mirrored Ribbon interview: the interview data as Ribbon returned it, plus
+// when the mirror first saw it, last saw it change and last checked it
+function toRibbonInterview(row) {
+  if (!row) return null;
+  return {
+    interview: JSON.parse(row.data),
+    firstSeenAt: row.first_seen_at,
+    changedAt: row.changed_at,
+    syncedAt: row.synced_at
+  };
+}
+
+function toAnalysisVersion(row) {
+  return {
+    interviewId: row.interview_id,
+    version: row.version,
+    status: row.status,
+    reason: row.reason,
+    requestedBy: row.requested_by,
+    provider: row.provider,
+    model: row.model,
+    promptVersion: row.prompt_version,
+    inputsHash: row.inputs_hash,
+    result: JSON.parse(row.result),
+    createdAt: row.created_at
+  };
+}
+
+function toLtiPlatform(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    issuer: row.issuer,
+    clientId: row.client_id,
+    deploymentIds: parseJSON(row.deployment_ids, []),
+    authLoginUrl: row.auth_login_url,
+    authTokenUrl: row.auth_token_url,
+    jwksUrl: row.jwks_url,
+    createdAt: row.created_at
+  };
+}
+
+function toLtiResourceLink(row) {
+  if (!row) return null;
+  return {
+    platformId: row.platform_id,
+    resourceLinkId: row.resource_link_id,
+    assignmentId: row.assignment_id,
+    lineitemUrl: row.lineitem_url,
+    lineitemsUrl: row.lineitems_url,
+    agsScopes: parseJSON(row.ags_scopes, []),
+    updatedAt: row.updated_at
+  };
+}
+
+function toChatInterview(row) {
+  if (!row) return null;
+  return {
+    interviewId: row.interview_id,
+    questions: parseJSON(row.questions, []),
+    answers: parseJSON(row.answers, []),
+    language: row.language,
+    studentName: row.student_name,
+    status: row.status,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    completedAt: row.completed_at
+  };
+}
+
+// Stored times in one UTC ISO format, so times from different backends sort
+// and compare as text
+function utc(column) {
+  return `strftime('%Y-%m-%dT%H:%M:%fZ', ${column})`;
+}
+
+// A field of the student info stored with the analysis, or of the submission
+// for analyses stored without it
+function studentInfo(field, column, fallback) {
+  return `COALESCE(CASE WHEN json_type(a.result, '$.studentInfo') = 'object'
+    THEN json_extract(a.result, '$.studentInfo.${field}') ELSE s.${column} END, '${fallback}')`;
+}
+
+// Failed and placeholder analyses, as isFailedAnalysis in services/detection.js
+const FAILED_ANALYSIS = `(json_extract(a.result, '$.status') = 'failed' OR json_extract(a.result, '$.geminiAnalysis') = 0)`;
+
+// Every analyzed interview as the teacher's interview list shows it. The
+// completion time is the one its backend stored, else when it was submitted,
+// else when it was analyzed, so it is the same on every request.
+const INTERVIEW_SUMMARIES = `
+  SELECT
+    a.interview_id,
+    ${studentInfo('name', 'student_name', 'Unknown Student')} AS student_name,
+    ${studentInfo('email', 'student_email', 'Unknown Email')} AS student_email,
+    ${studentInfo('language', 'language', 'Unknown')} AS language,
+    json_extract(a.result, '$.score') AS score,
+    json_extract(a.result, '$.confidence') AS confidence,
+    CASE
+      WHEN ${FAILED_ANALYSIS} THEN 'analysis failed'
+      WHEN json_extract(a.result, '$.indecisive') = 1 OR json_extract(a.result, '$.confidence') = 'indecisive' THEN 'indecisive'
+      WHEN json_extract(a.result, '$.score') >= @teacherThreshold THEN 'likely human-written'
+      ELSE 'likely AI-generated'
+    END AS likelihood,
+    COALESCE(${utc('ci.completed_at')}, ${utc('ri.completed_at')}, ${utc('ir.completed_at')}, ${utc('s.created_at')}, ${utc('a.analyzed_at')}) AS completed_at,
+    COALESCE(length(ir.transcript), length(json_extract(ri.data, '$.transcript')), length(ci.answers), 0) AS transcript_length,
+    CASE WHEN json_type(a.result, '$.studentInfo') = 'object'
+      THEN json_extract(a.result, '$.studentInfo.code') IS NOT NULL ELSE s.code IS NOT NULL END AS has_code,
+    co.id AS course_id,
+    co.name AS course_name,
+    asg.id AS assignment_id,
+    asg.title AS assignment_title,
+    COALESCE(r.state, 'unreviewed') AS review_state,
+    r.updated_at AS reviewed_at,
+    s.code,
+    ci.answers AS chat_answers,
+    ri.data AS ribbon_data,
+    ir.transcript AS result_transcript
+  FROM analyses a
+  LEFT JOIN submissions s ON s.interview_id = a.interview_id
+  LEFT JOIN courses co ON co.id = s.course_id
+  LEFT JOIN assignments asg ON asg.id = s.assignment_id
+  LEFT JOIN reviews r ON r.interview_id = a.interview_id
+  LEFT JOIN chat_interviews ci ON ci.interview_id = a.interview_id
+  LEFT JOIN ribbon_interviews ri ON ri.interview_id = a.interview_id
+  LEFT JOIN interview_results ir ON ir.interview_id = a.interview_id
+  WHERE @all
+    OR s.student_id = @userId
+    OR (s.student_id IS NULL AND lower(s.student_email) = lower(@email))
+    OR (@teacher AND co.teacher_id = @userId)
+`;
+
+// What each sort of the interview list orders by, then by interview ID
+const INTERVIEW_SORT_COLUMNS = {
+  completedAt: 'completed_at',
+  score: 'COALESCE(score, -1)',
+  studentName: 'lower(student_name)',
+  studentEmail: 'lower(student_email)',
+  language: 'lower(language)',
+  confidence: "lower(COALESCE(confidence, ''))",
+  reviewState: 'review_state'
+};
+
+// WHERE conditions and their parameters for the interview list's filters
+// (see services/interview-search.js). Lists match case-insensitively.
+function interviewFilterSql(filters) {
+  const conditions = [];
+  const params = {};
+  const inList = (column, name, values) => {
+    if (!values) return;
+    const names = values.map((value, index) => {
+      params[`${name}${index}`] = value;
+      return `@${name}${index}`;
+    });
+    conditions.push(`lower(COALESCE(${column}, '')) IN (${names.join(', ')})`);
+  };
+
+  if (filters.courseId) {
+    conditions.push('course_id = @courseId');
+    params.courseId = filters.courseId;
+  }
+  if (filters.assignmentId) {
+    conditions.push('assignment_id = @assignmentId');
+    params.assignmentId = filters.assignmentId;
+  }
+  if (filters.student) {
+    conditions.push('(instr(lower(student_name), @student) > 0 OR instr(lower(student_email), @student) > 0)');
+    params.student = filters.student;
+  }
+  inList('language', 'language', filters.languages);
+  if (filters.minScore !== null) {
+    conditions.push('score >= @minScore');
+    params.minScore = filters.minScore;
+  }
+  if (filters.maxScore !== null) {
+    conditions.push('score <= @maxScore');
+    params.maxScore = filters.maxScore;
+  }
+  inList('likelihood', 'likelihood', filters.likelihoods);
+  inList('confidence', 'confidence', filters.confidences);
+  inList('review_state', 'reviewState', filters.reviewStates);
+  if (filters.from) {
+    conditions.push('completed_at >= @from');
+    params.from = filters.from;
+  }
+  if (filters.to) {
+    conditions.push('completed_at <= @to');
+    params.to = filters.to;
+  }
+  if (filters.text) {
+    // Transcripts are text for the chat backend but may be structured elsewhere
+    conditions.push(`(
+      instr(lower(code), @text) > 0 OR instr(lower(chat_answers), @text) > 0
+      OR instr(lower(json_extract(ribbon_data, '$.transcript')), @text) > 0 OR instr(lower(result_transcript), @text) > 0
+      OR EXISTS (SELECT 1 FROM submission_files f WHERE f.interview_id = summaries.interview_id AND instr(lower(f.content), @text) > 0)
+    )`);
+    params.text = filters.text;
+  }
+  return { where: conditions.length > 0 ? conditions.join(' AND ') : '1', params };
+}
+
+function toInterviewSummary(row) {
+  return {
+    interviewId: row.interview_id,
+    studentName: row.student_name,
+    studentEmail: row.student_email,
+    language: row.language,
+    aiScore: row.score,
+    aiLikelihood: row.likelihood,
+    confidence: row.confidence,
+    completedAt: row.completed_at,
+    transcriptLength: row.transcript_length,
+    hasOriginalCode: Boolean(row.has_code),
+    courseId: row.course_id,
+    courseName: row.course_name,
+    assignmentId: row.assignment_id,
+    assignmentTitle: row.assignment_title,
+    // The teacher's own verdict, separate from the AI score
+    reviewState: row.review_state,
+    reviewedAt: row.reviewed_at
+  };
+}
+
+// SQLite-backed persistence for courses, assignments, enrollments, submissions
+// and their files, similarity matches, teacher reviews and their audit trail,
+// versioned analyses, chat interviews, interview results, analysis jobs,
+// webhook deliveries, LTI platform registrations and links, daily LLM usage,
+// the local mirror of Ribbon interviews and flows, question templates,
+// submissions waiting for question approval, challenges and their attempts,
+// and email notifications with their templates and unsubscribes
+function createStore(databaseFile = DEFAULT_DATABASE_FILE) {
+  if (databaseFile !== ':memory:') {
+    fs.mkdirSync(path.dirname(databaseFile), { recursive: true });
+  }
+
+  const db = new Database(databaseFile);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  runMigrations(db);
+
+  return {
+    db,
+
+    saveSubmission(submission) {
+      db.prepare(`
+        INSERT INTO submissions
+          (interview_id, backend, interview_flow_id, student_name, student_email, language, code, questions,
+           question_targets, student_id, course_id, assignment_id, interview_link, created_at)
+        VALUES (@interviewId, @backend, @interviewFlowId, @studentName, @studentEmail, @language, @code, @questions,
+                @questionTargets, @studentId, @courseId, @assignmentId, @interviewLink, @createdAt)
+        ON CONFLICT (interview_id) DO UPDATE SET
+          backend = excluded.backend,
+          interview_flow_id = excluded.interview_flow_id,
+          student_name = excluded.student_name,
+          student_email = excluded.student_email,
+          language = excluded.language,
+          code = excluded.code,
+          questions = excluded.questions,
+          question_targets = excluded.question_targets,
+          student_id = excluded.student_id,
+          course_id = excluded.course_id,
+          assignment_id = excluded.assignment_id,
+          interview_link = COALESCE(excluded.interview_link, submissions.interview_link)
+      `).run({
+        interviewFlowId: null,
+        code: null,
+        studentId: null,
+        courseId: null,
+        assignmentId: null,
+        interviewLink: null,
+        ...submission,
+        questions: JSON.stringify(submission.questions || []),
+        questionTargets: submission.questionTargets ? JSON.stringify(submission.questionTargets) : null,
+        createdAt: submission.createdAt || new Date().toISOString()
+      });
+    },
+
+    // Files of a multi-file submission; replaces any files already stored
+    saveSubmissionFiles(interviewId, files) {
+      db.transaction(() => {
+        db.prepare('DELETE FROM submission_files WHERE interview_id = ?').run(interviewId);
+        const insert = db.prepare(`
+          INSERT INTO submission_files (interview_id, path, language, size, content)
+          VALUES (?, ?, ?, ?, ?)
+        `);
+        for (const file of files) {
+          insert.run(interviewId, file.path, file.language, file.size, file.content);
+        }
+      })();
+    },
+
+    listSubmissionFiles(interviewId) {
+      return db.prepare('SELECT path, language, size, content FROM submission_files WHERE interview_id = ? ORDER BY path')
+        .all(interviewId);
+    },
+
+    getSubmission(interviewId) {
+      return toSubmission(db.prepare('SELECT * FROM submissions WHERE interview_id = ?').get(interviewId));
+    },
+
+    listSubmissions() {
+      return db.prepare('SELECT * FROM submissions ORDER BY created_at DESC').all().map(toSubmission);
+    },
+
+    // A student's submissions by email, oldest first
+    listSubmissionsByStudent(studentEmail) {
+      return db.prepare('SELECT * FROM submissions WHERE lower(student_email) = lower(?) ORDER BY created_at')
+        .all(studentEmail || '')
+        .map(toSubmission);
+    },
+
+    listSubmissionsForAssignment(assignmentId) {
+      return db.prepare('SELECT * FROM submissions WHERE assignment_id = ? ORDER BY created_at')
+        .all(assignmentId)
+        .map(toSubmission);
+    },
+
+    // Submissions compared with each other for similarity: the same
+    // assignment, or the same language among submissions without one
+    listPeerSubmissions({ assignmentId, language }) {
+      const rows = assignmentId
+        ? db.prepare('SELECT * FROM submissions WHERE assignment_id = ? ORDER BY created_at').all(assignmentId)
+        : db.prepare('SELECT * FROM submissions WHERE assignment_id IS NULL AND language = ? ORDER BY created_at').all(language);
+      return rows.map(toSubmission);
+    },
+
+    saveSimilarityMatches(matches) {
+      const upsert = db.prepare(`
+        INSERT INTO similarity_matches (interview_id, other_interview_id, score, jaccard, regions, computed_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT (interview_id, other_interview_id) DO UPDATE SET
+          score = excluded.score,
+          jaccard = excluded.jaccard,
+          regions = excluded.regions,
+          computed_at = excluded.computed_at
+      `);
+      const computedAt = new Date().toISOString();
+      db.transaction(() => {
+        for (const match of matches) {
+          const flipped = match.interviewId > match.otherInterviewId;
+          const regions = flipped ? match.regions.map(region => ({ a: region.b, b: region.a })) : match.regions;
+          upsert.run(
+            flipped ? match.otherInterviewId : match.interviewId,
+            flipped ? match.interviewId : match.otherInterviewId,
+            match.score,
+            match.jaccard,
+            JSON.stringify(regions),
+            computedAt
+          );
+        }
+      })();
+    },
+
+    // Matches involving this interview, seen from its side ("a" is this interview)
+    listSimilarityMatches(interviewId, { minScore = 0 } = {}) {
+      return db.prepare(`
+        SELECT * FROM similarity_matches
+        WHERE (interview_id = ? OR other_interview_id = ?) AND score >= ?
+        ORDER BY score DESC
+      `).all(interviewId, interviewId, minScore).map(row => toSimilarityMatch(row, interviewId));
+    },
+
+    getSimilarityMatch(interviewId, otherInterviewId) {
+      const [first, second] = [interviewId, otherInterviewId].sort();
+      const row = db.prepare('SELECT * FROM similarity_matches WHERE interview_id = ? AND other_interview_id = ?')
+        .get(first, second);
+      return row ? toSimilarityMatch(row, interviewId) : null;
+    },
+
+    // The teacher's review of an interview; unreviewed interviews have no row
+    getReview(interviewId) {
+      const row = db.prepare('SELECT * FROM reviews WHERE interview_id = ?').get(interviewId);
+      if (!row) {
+        return { interviewId, state: 'unreviewed', notes: '', updatedBy: null, updatedAt: null };
+      }
+      return { interviewId, state: row.state, notes: row.notes, updatedBy: row.updated_by, updatedAt: row.updated_at };
+    },
+
+    // Change the review state and/or notes, recording one audit event per
+    // changed field with its previous value. Returns the updated review.
+    updateReview(interviewId, { state, notes }, actor) {
+      return db.transaction(() => {
+        const current = this.getReview(interviewId);
+        const next = {
+          state: state ?? current.state,
+          notes: notes ?? current.notes
+        };
+        const changed = ['state', 'notes'].filter(field => next[field] !== current[field]);
+        if (changed.length === 0) return current;
+
+        const now = new Date().toISOString();
+        const recordEvent = db.prepare(`
+          INSERT INTO review_events (interview_id, field, previous_value, new_value, actor_id, actor_email, created_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+        `);
+        for (const field of changed) {
+          recordEvent.run(interviewId, field, current[field], next[field], actor.id, actor.email || null, now);
+        }
+
+        db.prepare(`
+          INSERT INTO reviews (interview_id, state, notes, updated_by, updated_at)
+          VALUES (?, ?, ?, ?, ?)
+          ON CONFLICT (interview_id) DO UPDATE SET
+            state = excluded.state,
+            notes = excluded.notes,
+            updated_by = excluded.updated_by,
+            updated_at = excluded.updated_at
+        `).run(interviewId, next.state, next.notes, actor.email || actor.id, now);
+        return this.getReview(interviewId);
+      })();
+    },
+
+    // Audit trail for an interview's review, oldest first
+    listReviewEvents(interviewId) {
+      return db.prepare('SELECT * FROM review_events WHERE interview_id = ? ORDER BY id')
+        .all(interviewId)
+        .map(toReviewEvent);
+    },
+
+    createCourse(course) {
+      db.prepare(`
+        INSERT INTO courses (id, name, teacher_id, teacher_email, created_at)
+        VALUES (@id, @name, @teacherId, @teacherEmail, @createdAt)
+      `).run({ teacherEmail: null, createdAt: new Date().toISOString(), ...course });
+      return this.getCourse(course.id);
+    },
+
+    getCourse(courseId) {
+      return toCourse(db.prepare('SELECT * FROM courses WHERE id = ?').get(courseId));
+    },
+
+    listCourses({ teacherId } = {}) {
+      const rows = teacherId
+        ? db.prepare('SELECT * FROM courses WHERE teacher_id = ? ORDER BY name').all(teacherId)
+        : db.prepare('SELECT * FROM courses ORDER BY name').all();
+      return rows.map(toCourse);
+    },
+
+    // Courses whose enrollment list includes this student
+    listCoursesForStudent(studentEmail) {
+      return db.prepare(`
+        SELECT courses.* FROM courses
+        JOIN course_enrollments ON course_enrollments.course_id = courses.id
+        WHERE course_enrollments.student_email = ?
+        ORDER BY courses.name
+      `).all((studentEmail || '').toLowerCase()).map(toCourse);
+    },
+
+    // Replace a course's enrollment list with these student emails
+    setEnrollment(courseId, studentEmails) {
+      const emails = [...new Set(studentEmails.map(email => email.trim().toLowerCase()).filter(Boolean))];
+      db.transaction(() => {
+        db.prepare('DELETE FROM course_enrollments WHERE course_id = ?').run(courseId);
+        const insert = db.prepare('INSERT INTO course_enrollments (course_id, student_email) VALUES (?, ?)');
+        for (const email of emails) {
+          insert.run(courseId, email);
+        }
+      })();
+      return emails;
+    },
+
+    getEnrollment(courseId) {
+      return db.prepare('SELECT student_email FROM course_enrollments WHERE course_id = ? ORDER BY student_email')
+        .all(courseId)
+        .map(row => row.student_email);
+    },
+
+    // Add one student to a course without touching the rest of the list
+    enrollStudent(courseId, studentEmail) {
+      db.prepare('INSERT OR IGNORE INTO course_enrollments (course_id, student_email) VALUES (?, ?)')
+        .run(courseId, studentEmail.trim().toLowerCase());
+    },
+
+    isEnrolled(courseId, studentEmail) {
+      return !!db.prepare('SELECT 1 FROM course_enrollments WHERE course_id = ? AND student_email = ?')
+        .get(courseId, (studentEmail || '').toLowerCase());
+    },
+
+    createAssignment(assignment) {
+      db.prepare(`
+        INSERT INTO assignments (id, course_id, title, description, due_at, allowed_languages, created_at)
+        VALUES (@id, @courseId, @title, @description, @dueAt, @allowedLanguages, @createdAt)
+      `).run({
+        description: null,
+        dueAt: null,
+        createdAt: new Date().toISOString(),
+        ...assignment,
+        allowedLanguages: JSON.stringify(assignment.allowedLanguages || [])
+      });
+      return this.getAssignment(assignment.id);
+    },
+
+    getAssignment(assignmentId) {
+      return toAssignment(db.prepare('SELECT * FROM assignments WHERE id = ?').get(assignmentId));
+    },
+
+    listAssignments(courseId) {
+      return db.prepare('SELECT * FROM assignments WHERE course_id = ? ORDER BY due_at IS NULL, due_at, title')
+        .all(courseId)
+        .map(toAssignment);
+    },
+
+    // Question template of a course or assignment (scope 'course' or 'assignment')
+    getQuestionTemplate(scope, scopeId) {
+      return toQuestionTemplate(db.prepare('SELECT * FROM question_templates WHERE scope = ? AND scope_id = ?').get(scope, scopeId));
+    },
+
+    saveQuestionTemplate(scope, scopeId, template, updatedBy = null) {
+      db.prepare(`
+        INSERT INTO question_templates (scope, scope_id, template, updated_by, updated_at)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (scope, scope_id) DO UPDATE SET
+          template = excluded.template,
+          updated_by = excluded.updated_by,
+          updated_at = excluded.updated_at
+      `).run(scope, scopeId, JSON.stringify(template), updatedBy, new Date().toISOString());
+      return this.getQuestionTemplate(scope, scopeId);
+    },
+
+    deleteQuestionTemplate(scope, scopeId) {
+      return db.prepare('DELETE FROM question_templates WHERE scope = ? AND scope_id = ?').run(scope, scopeId).changes > 0;
+    },
+
+    createQuestionReview(review) {
+      db.prepare(`
+        INSERT INTO question_reviews
+          (id, status, student_id, student_name, student_email, language, code, files, interview_mode,
+           course_id, assignment_id, generated_questions, questions, created_at)
+        VALUES (@id, 'pending', @studentId, @studentName, @studentEmail, @language, @code, @files, @interviewMode,
+                @courseId, @assignmentId, @generatedQuestions, @questions, @createdAt)
+      `).run({
+        studentId: null,
+        interviewMode: null,
+        assignmentId: null,
+        createdAt: new Date().toISOString(),
+        ...review,
+        files: review.files ? JSON.stringify(review.files) : null,
+        generatedQuestions: JSON.stringify(review.generatedQuestions),
+        questions: JSON.stringify(review.questions)
+      });
+      return this.getQuestionReview(review.id);
+    },
+
+    getQuestionReview(reviewId) {
+      return toQuestionReview(db.prepare('SELECT * FROM question_reviews WHERE id = ?').get(reviewId));
+    },
+
+    // Oldest first, so teachers work through the queue in submission order
+    listQuestionReviews({ status = null, courseIds = null, assignmentId = null } = {}) {
+      const conditions = [];
+      const params = [];
+      if (status) {
+        conditions.push('status = ?');
+        params.push(status);
+      }
+      if (courseIds) {
+        if (courseIds.length === 0) return [];
+        conditions.push(`course_id IN (${courseIds.map(() => '?').join(', ')})`);
+        params.push(...courseIds);
+      }
+      if (assignmentId) {
+        conditions.push('assignment_id = ?');
+        params.push(assignmentId);
+      }
+      const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+      return db.prepare(`SELECT * FROM question_reviews ${where} ORDER BY created_at`).all(...params).map(toQuestionReview);
+    },
+
+    // Teacher edits while the review is still pending
+    updateQuestionReviewQuestions(reviewId, questions) {
+      db.prepare("UPDATE question_reviews SET questions = ? WHERE id = ? AND status = 'pending'")
+        .run(JSON.stringify(questions), reviewId);
+      return this.getQuestionReview(reviewId);
+    },
+
+    // Approve (with the interview that was created) or reject a pending review
+    resolveQuestionReview(reviewId, { status, reviewedBy, note = null, questions, interviewId = null, interviewLink = null, backend = null }) {
+      db.prepare(`
+        UPDATE question_reviews SET
+          status = @status, reviewed_by = @reviewedBy, reviewed_at = @reviewedAt, note = @note,
+          questions = COALESCE(@questions, questions),
+          interview_id = @interviewId, interview_link = @interviewLink, backend = @backend
+        WHERE id = @reviewId AND status = 'pending'
+      `).run({
+        reviewId,
+        status,
+        reviewedBy,
+        reviewedAt: new Date().toISOString(),
+        note,
+        questions: questions ? JSON.stringify(questions) : null,
+        interviewId,
+        interviewLink,
+        backend
+      });
+      return this.getQuestionReview(reviewId);
+    },
+
+    // The student starts the clock by creating the challenge
+    createChallenge({ interviewId, source, language, title, instructions, tests }) {
+      db.prepare(`
+        INSERT INTO challenges (interview_id, source, language, title, instructions, tests, started_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(interviewId, source, language, title, instructions, JSON.stringify(tests), new Date().toISOString());
+      return this.getChallenge(interviewId);
+    },
+
+    getChallenge(interviewId) {
+      return toChallenge(db.prepare('SELECT * FROM challenges WHERE interview_id = ?').get(interviewId));
+    },
+
+    // Store an attempt and update the challenge's counts. The first attempt
+    // that passes every test solves it. Returns the updated challenge.
+    recordChallengeAttempt(interviewId, { code, passed, total, results, error = null }) {
+      return db.transaction(() => {
+        const now = new Date().toISOString();
+        db.prepare(`
+          INSERT INTO challenge_attempts (interview_id, code, passed, total, results, error, created_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(interviewId, code, passed, total, JSON.stringify(results), error, now);
+        const solved = total > 0 && passed === total;
+        db.prepare(`
+          UPDATE challenges SET
+            attempts = attempts + 1,
+            latest_code = @code,
+            best_passed = MAX(best_passed, @passed),
+            last_attempt_at = @now,
+            status = CASE WHEN @solved THEN 'solved' ELSE status END,
+            solved_at = CASE WHEN @solved AND solved_at IS NULL THEN @now ELSE solved_at END
+          WHERE interview_id = @interviewId
+        `).run({ interviewId, code, passed, now, solved: solved ? 1 : 0 });
+        return this.getChallenge(interviewId);
+      })();
+    },
+
+    // Oldest first
+    listChallengeAttempts(interviewId) {
+      return db.prepare('SELECT * FROM challenge_attempts WHERE interview_id = ? ORDER BY id')
+        .all(interviewId)
+        .map(toChallengeAttempt);
+    },
+
+    // Admins' versions of the email templates, by kind
+    getNotificationTemplate(kind) {
+      return toNotificationTemplate(db.prepare('SELECT * FROM notification_templates WHERE kind = ?').get(kind));
+    },
+
+    listNotificationTemplates() {
+      return db.prepare('SELECT * FROM notification_templates ORDER BY kind').all().map(toNotificationTemplate);
+    },
+
+    saveNotificationTemplate(kind, { subject, body }, updatedBy = null) {
+      db.prepare(`
+        INSERT INTO notification_templates (kind, subject, body, updated_by, updated_at)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (kind) DO UPDATE SET
+          subject = excluded.subject,
+          body = excluded.body,
+          updated_by = excluded.updated_by,
+          updated_at = excluded.updated_at
+      `).run(kind, subject, body, updatedBy, new Date().toISOString());
+      return this.getNotificationTemplate(kind);
+    },
+
+    deleteNotificationTemplate(kind) {
+      return db.prepare('DELETE FROM notification_templates WHERE kind = ?').run(kind).changes > 0;
+    },
+
+    // An address's unsubscribe token and unsubscribed kinds; the token is
+    // created the first time it's asked for
+    getNotificationPreferences(email) {
+      const address = email.toLowerCase();
+      db.prepare(`
+        INSERT INTO notification_preferences (email, token, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT (email) DO NOTHING
+      `).run(address, crypto.randomBytes(24).toString('base64url'), new Date().toISOString());
+      return toNotificationPreferences(db.prepare('SELECT * FROM notification_preferences WHERE email = ?').get(address));
+    },
+
+    findNotificationPreferencesByToken(token) {
+      return toNotificationPreferences(db.prepare('SELECT * FROM notification_preferences WHERE token = ?').get(token));
+    },
+
+    setUnsubscribedNotifications(email, kinds) {
+      this.getNotificationPreferences(email);
+      db.prepare('UPDATE notification_preferences SET unsubscribed = ?, updated_at = ? WHERE email = ?')
+        .run(JSON.stringify(kinds), new Date().toISOString(), email.toLowerCase());
+      return this.getNotificationPreferences(email);
+    },
+
+    recordNotification({ kind, recipient, interviewId = null, subject = null, status, error = null }) {
+      const { lastInsertRowid } = db.prepare(`
+        INSERT INTO notifications (kind, recipient, interview_id, subject, status, error, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(kind, recipient.toLowerCase(), interviewId, subject, status, error, new Date().toISOString());
+      return toNotification(db.prepare('SELECT * FROM notifications WHERE id = ?').get(lastInsertRowid));
+    },
+
+    // Newest first, optionally only one kind
+    listNotifications({ kind = null, limit = 100 } = {}) {
+      const rows = kind
+        ? db.prepare('SELECT * FROM notifications WHERE kind = ? ORDER BY id DESC LIMIT ?').all(kind, limit)
+        : db.prepare('SELECT * FROM notifications ORDER BY id DESC LIMIT ?').all(limit);
+      return rows.map(toNotification);
+    },
+
+    // When an email of this kind was last sent to the address
+    getLastNotificationSentAt(kind, recipient) {
+      const row = db.prepare(`
+        SELECT MAX(created_at) AS sent_at FROM notifications
+        WHERE kind = ? AND recipient = ? AND status = 'sent'
+      `).get(kind, recipient.toLowerCase());
+      return row.sent_at;
+    },
+
+    // Submissions created since `since` with an interview link that have no
+    // analysis and no reminder yet (sent or skipped), with their
+    // assignment's due date
+    listSubmissionsAwaitingInterview(since) {
+      return db.prepare(`
+        SELECT s.*, a.due_at FROM submissions s
+        LEFT JOIN assignments a ON a.id = s.assignment_id
+        WHERE s.interview_link IS NOT NULL AND s.created_at >= ?
+          AND NOT EXISTS (SELECT 1 FROM analyses WHERE interview_id = s.interview_id)
+          AND NOT EXISTS (SELECT 1 FROM notifications n
+                          WHERE n.kind = 'interview_reminder' AND n.interview_id = s.interview_id AND n.status != 'failed')
+        ORDER BY s.created_at
+      `).all(since).map(row => ({ submission: toSubmission(row), dueAt: row.due_at }));
+    },
+
+    // Interviews whose first completed analysis was stored after `since`,
+    // oldest first, with that analysis and the course's teacher
+    listAnalysesCompletedSince(since) {
+      return db.prepare(`
+        SELECT s.*, v.result, v.created_at AS analyzed_at, c.teacher_email FROM analysis_versions v
+        JOIN submissions s ON s.interview_id = v.interview_id
+        LEFT JOIN courses c ON c.id = s.course_id
+        WHERE v.status = 'completed' AND v.created_at > ?
+          AND NOT EXISTS (SELECT 1 FROM analysis_versions p
+                          WHERE p.interview_id = v.interview_id AND p.status = 'completed' AND p.version < v.version)
+        ORDER BY v.created_at
+      `).all(since).map(row => ({
+        submission: toSubmission(row),
+        analysis: JSON.parse(row.result),
+        analyzedAt: row.analyzed_at,
+        teacherEmail: row.teacher_email
+      }));
+    },
+
+    getAnalysis(interviewId) {
+      const row = db.prepare('SELECT result FROM analyses WHERE interview_id = ?').get(interviewId);
+      return row ? JSON.parse(row.result) : null;
+    },
+
+    // Store a new version of an interview's analysis and make it the current
+    // one. Returns the analysis with its version number.
+    saveAnalysis(interviewId, analysis, { reason = 'initial', requestedBy = null } = {}) {
+      return db.transaction(() => {
+        const { latest } = db.prepare('SELECT MAX(version) AS latest FROM analysis_versions WHERE interview_id = ?')
+          .get(interviewId);
+        const saved = { ...analysis, version: (latest || 0) + 1 };
+        const analyzedAt = analysis.analyzedAt || new Date().toISOString();
+        const result = JSON.stringify(saved);
+
+        db.prepare(`
+          INSERT INTO analysis_versions
+            (interview_id, version, status, reason, requested_by, provider, model, prompt_version, inputs_hash, result, created_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+          interviewId,
+          saved.version,
+          analysis.status || (analysis.geminiAnalysis === false ? 'failed' : 'completed'),
+          reason,
+          requestedBy,
+          analysis.provenance?.provider || analysis.provider || null,
+          analysis.provenance?.model || analysis.model || null,
+          analysis.provenance?.promptVersion || null,
+          analysis.provenance?.inputsHash || null,
+          result,
+          analyzedAt
+        );
+        db.prepare(`
+          INSERT INTO analyses (interview_id, result, analyzed_at) VALUES (?, ?, ?)
+          ON CONFLICT (interview_id) DO UPDATE SET result = excluded.result, analyzed_at = excluded.analyzed_at
+        `).run(interviewId, result, analyzedAt);
+        return saved;
+      })();
+    },
+
+    // Every stored version of an interview's analysis, oldest first
+    listAnalysisVersions(interviewId) {
+      return db.prepare('SELECT * FROM analysis_versions WHERE interview_id = ? ORDER BY version')
+        .all(interviewId)
+        .map(toAnalysisVersion);
+    },
+
+    // Interviews whose current analysis is a failure placeholder, with the
+    // number of failed versions since the last successful one
+    listFailedAnalyses() {
+      return db.prepare(`
+        SELECT a.interview_id, a.result, a.analyzed_at,
+          (SELECT COUNT(*) FROM analysis_versions v
+           WHERE v.interview_id = a.interview_id AND v.status = 'failed'
+             AND v.version > COALESCE((SELECT MAX(version) FROM analysis_versions c
+                                       WHERE c.interview_id = a.interview_id AND c.status = 'completed'), 0)
+          ) AS failed_versions
+        FROM analyses a
+        WHERE ${FAILED_ANALYSIS}
+      `).all().map(row => ({
+        interviewId: row.interview_id,
+        analysis: JSON.parse(row.result),
+        analyzedAt: row.analyzed_at,
+        failedVersions: row.failed_versions
+      }));
+    },
+
+    countAnalyses() {
+      return db.prepare('SELECT COUNT(*) AS count FROM analyses').get().count;
+    },
+
+    // One page of the teacher's interview list: the analyzed interviews the
+    // viewer ({ id, email, all, teacher }) may see that match the filters,
+    // ordered by the sort column and then interview ID, starting after the
+    // `after` position ({ value, id }). `last` is the page's last position
+    // when there are more. Stats and per-assignment groups cover every match.
+    searchInterviews({ viewer, filters, sort, order, limit, after = null, teacherThreshold }) {
+      const column = INTERVIEW_SORT_COLUMNS[sort];
+      const direction = order === 'asc' ? 'ASC' : 'DESC';
+      const { where, params } = interviewFilterSql(filters);
+      Object.assign(params, {
+        all: viewer.all ? 1 : 0,
+        teacher: viewer.teacher ? 1 : 0,
+        userId: viewer.id || null,
+        email: viewer.email || null,
+        teacherThreshold
+      });
+      const from = `WITH summaries AS (${INTERVIEW_SUMMARIES}) SELECT`;
+
+      let position = '1';
+      if (after) {
+        position = `(${column} ${direction === 'ASC' ? '>' : '<'} @afterValue OR (${column} = @afterValue AND interview_id > @afterId))`;
+      }
+      const rows = db.prepare(`
+        ${from} *, ${column} AS sort_value FROM summaries
+        WHERE ${where} AND ${position}
+        ORDER BY ${column} ${direction}, interview_id
+        LIMIT @limit
+      `).all({ ...params, afterValue: after?.value ?? null, afterId: after?.id ?? '', limit: limit + 1 });
+      const page = rows.slice(0, limit);
+      const lastRow = rows.length > limit ? page[page.length - 1] : null;
+
+      const totals = db.prepare(`
+        ${from} COUNT(*) AS total, AVG(CASE WHEN likelihood != 'analysis failed' THEN score END) AS average_score,
+          COALESCE(SUM(likelihood = 'likely human-written'), 0) AS likely_human,
+          COALESCE(SUM(likelihood = 'likely AI-generated'), 0) AS likely_ai,
+          COALESCE(SUM(likelihood = 'indecisive'), 0) AS indecisive,
+          COALESCE(SUM(likelihood = 'analysis failed'), 0) AS analysis_failed
+        FROM summaries WHERE ${where}
+      `).get(params);
+      const byReviewState = {};
+      for (const row of db.prepare(`${from} review_state, COUNT(*) AS count FROM summaries WHERE ${where} GROUP BY review_state`).all(params)) {
+        byReviewState[row.review_state] = row.count;
+      }
+      const groups = db.prepare(`
+        ${from} course_id, course_name, assignment_id, assignment_title,
+          COUNT(*) AS count, SUM(likelihood = 'likely AI-generated') AS likely_ai
+        FROM summaries WHERE ${where}
+        GROUP BY COALESCE(assignment_id, course_id, 'unassigned')
+        ORDER BY MIN(course_name), MIN(assignment_title)
+      `).all(params);
+      const visible = db.prepare(`${from} COUNT(*) AS count FROM summaries`).get(params).count;
+
+      return {
+        interviews: page.map(toInterviewSummary),
+        last: lastRow ? { value: lastRow.sort_value, id: lastRow.interview_id } : null,
+        total: totals.total,
+        stats: {
+          total: totals.total,
+          averageScore: totals.average_score === null ? null : Math.round(totals.average_score),
+          likelyHuman: totals.likely_human,
+          likelyAI: totals.likely_ai,
+          indecisive: totals.indecisive,
+          analysisFailed: totals.analysis_failed,
+          byReviewState
+        },
+        groups: groups.map(row => ({
+          courseId: row.course_id,
+          courseName: row.course_name,
+          assignmentId: row.assignment_id,
+          assignmentTitle: row.assignment_title,
+          count: row.count,
+          likelyAI: row.likely_ai
+        })),
+        visible
+      };
+    },
+
+    // Completed interviews with a transcript but no stored analysis, from
+    // every backend's stored state
+    listUnanalyzedInterviews(limit) {
+      return db.prepare(`
+        SELECT interview_id FROM (
+          SELECT interview_id FROM chat_interviews WHERE status = 'completed' AND answers != '[]'
+          UNION
+          SELECT interview_id FROM ribbon_interviews WHERE status = 'completed' AND json_extract(data, '$.transcript') IS NOT NULL
+          UNION
+          SELECT interview_id FROM interview_results WHERE status = 'completed' AND transcript IS NOT NULL
+        )
+        WHERE interview_id NOT IN (SELECT interview_id FROM analyses)
+        LIMIT ?
+      `).all(limit).map(row => row.interview_id);
+    },
+
+    // Interviews any backend has stored, in whatever state
+    countInterviews() {
+      return db.prepare(`
+        SELECT COUNT(*) AS count FROM (
+          SELECT interview_id FROM chat_interviews
+          UNION SELECT interview_id FROM ribbon_interviews
+          UNION SELECT interview_id FROM interview_results
+        )
+      `).get().count;
+    },
+
+    createChatInterview(interview) {
+      db.prepare(`
+        INSERT INTO chat_interviews (interview_id, questions, answers, language, student_name, status, created_at)
+        VALUES (?, ?, '[]', ?, ?, ?, ?)
+      `).run(
+        interview.interviewId,
+        JSON.stringify(interview.questions),
+        interview.language,
+        interview.studentName,
+        interview.status,
+        interview.createdAt
+      );
+    },
+
+    getChatInterview(interviewId) {
+      return toChatInterview(db.prepare('SELECT * FROM chat_interviews WHERE interview_id = ?').get(interviewId));
+    },
+
+    listChatInterviews() {
+      return db.prepare('SELECT * FROM chat_interviews ORDER BY created_at DESC').all().map(toChatInterview);
+    },
+
+    updateChatInterview(interview) {
+      db.prepare(`
+        UPDATE chat_interviews
+        SET answers = ?, status = ?, started_at = ?, completed_at = ?
+        WHERE interview_id = ?
+      `).run(
+        JSON.stringify(interview.answers),
+        interview.status,
+        interview.startedAt,
+        interview.completedAt,
+        interview.interviewId
+      );
+    },
+
+    // Last known state of an interview as reported by its backend
+    saveInterviewResult(interviewId, { status, transcript, completedAt }) {
+      db.prepare(`
+        INSERT INTO interview_results (interview_id, status, transcript, completed_at, updated_at)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (interview_id) DO UPDATE SET
+          status = excluded.status,
+          transcript = excluded.transcript,
+          completed_at = excluded.completed_at,
+          updated_at = excluded.updated_at
+      `).run(interviewId, status, transcript || null, completedAt || null, new Date().toISOString());
+    },
+
+    getInterviewResult(interviewId) {
+      const row = db.prepare('SELECT * FROM interview_results WHERE interview_id = ?').get(interviewId);
+      if (!row) return null;
+      return {
+        interviewId: row.interview_id,
+        status: row.status,
+        transcript: row.transcript,
+        completedAt: row.completed_at,
+        updatedAt: row.updated_at
+      };
+    },
+
+    // Queue an analysis job; returns false if the interview already has one.
+    // A queued job asked for again at a higher priority (lower number) moves up.
+    enqueueAnalysisJob(interviewId, { priority = 1 } = {}) {
+      const now = new Date().toISOString();
+      const result = db.prepare(`
+        INSERT OR IGNORE INTO analysis_jobs (interview_id, status, priority, run_after, created_at, updated_at)
+        VALUES (?, 'queued', ?, ?, ?, ?)
+      `).run(interviewId, priority, now, now, now);
+      if (result.changes === 0) {
+        db.prepare(`
+          UPDATE analysis_jobs SET priority = ?, updated_at = ?
+          WHERE interview_id = ? AND status = 'queued' AND priority > ?
+        `).run(priority, now, interviewId, priority);
+      }
+      return result.changes > 0;
+    },
+
+    // Queue an interview again after its job has finished or failed, with fresh
+    // attempts. Returns false if a job is already queued or running.
+    requeueAnalysisJob(interviewId, { reason, requestedBy = null, runAfter, priority = 1 } = {}) {
+      const now = new Date().toISOString();
+      const result = db.prepare(`
+        INSERT INTO analysis_jobs (interview_id, status, attempts, run_after, reason, requested_by, priority, created_at, updated_at)
+        VALUES (@interviewId, 'queued', 0, @runAfter, @reason, @requestedBy, @priority, @now, @now)
+        ON CONFLICT (interview_id) DO UPDATE SET
+          status = 'queued',
+          attempts = 0,
+          last_error = NULL,
+          run_after = excluded.run_after,
+          reason = excluded.reason,
+          requested_by = excluded.requested_by,
+          priority = excluded.priority,
+          updated_at = excluded.updated_at
+        WHERE analysis_jobs.status NOT IN ('queued', 'running')
+      `).run({ interviewId, runAfter: runAfter || now, reason, requestedBy, priority, now });
+      return result.changes > 0;
+    },
+
+    getAnalysisJob(interviewId) {
+      return toAnalysisJob(db.prepare('SELECT * FROM analysis_jobs WHERE interview_id = ?').get(interviewId));
+    },
+
+    // Mark the highest priority, oldest runnable job as running and return it
+    claimNextAnalysisJob() {
+      return db.transaction(() => {
+        const now = new Date().toISOString();
+        const row = db.prepare(`
+          SELECT * FROM analysis_jobs
+          WHERE status = 'queued' AND run_after <= ?
+          ORDER BY priority, created_at
+          LIMIT 1
+        `).get(now);
+        if (!row) return null;
+
+        db.prepare(`
+          UPDATE analysis_jobs SET status = 'running', attempts = attempts + 1, updated_at = ?
+          WHERE interview_id = ?
+        `).run(now, row.interview_id);
+        return toAnalysisJob({ ...row, status: 'running', attempts: row.attempts + 1 });
+      })();
+    },
+
+    updateAnalysisJob(interviewId, { status, lastError = null, runAfter }) {
+      const now = new Date().toISOString();
+      db.prepare(`
+        UPDATE analysis_jobs SET status = ?, last_error = ?, run_after = COALESCE(?, run_after), updated_at = ?
+        WHERE interview_id = ?
+      `).run(status, lastError, runAfter || null, now, interviewId);
+    },
+
+    // Jobs left running by a crash or restart go back to the queue
+    requeueRunningAnalysisJobs() {
+      return db.prepare(`
+        UPDATE analysis_jobs SET status = 'queued', updated_at = ? WHERE status = 'running'
+      `).run(new Date().toISOString()).changes;
+    },
+
+    // Job counts by status and priority, and the jobs still to run
+    summarizeAnalysisJobs({ limit = 20 } = {}) {
+      const counts = db.prepare(`
+        SELECT status, priority, COUNT(*) AS count FROM analysis_jobs GROUP BY status, priority
+      `).all();
+      const pending = db.prepare(`
+        SELECT * FROM analysis_jobs WHERE status IN ('queued', 'running')
+        ORDER BY status = 'running' DESC, priority, created_at
+        LIMIT ?
+      `).all(limit).map(toAnalysisJob);
+      return { counts, pending };
+    },
+
+    // Model calls and tokens used on a UTC day (YYYY-MM-DD)
+    getLlmUsage(day, provider) {
+      const row = db.prepare('SELECT * FROM llm_usage WHERE day = ? AND provider = ?').get(day, provider);
+      return {
+        requests: row?.requests || 0,
+        inputTokens: row?.input_tokens || 0,
+        outputTokens: row?.output_tokens || 0
+      };
+    },
+
+    recordLlmUsage(day, provider, { requests = 0, inputTokens = 0, outputTokens = 0 }) {
+      db.prepare(`
+        INSERT INTO llm_usage (day, provider, requests, input_tokens, output_tokens)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (day, provider) DO UPDATE SET
+          requests = requests + excluded.requests,
+          input_tokens = input_tokens + excluded.input_tokens,
+          output_tokens = output_tokens + excluded.output_tokens
+      `).run(day, provider, requests, inputTokens, outputTokens);
+    },
+
+    // Local mirror of Ribbon interviews. Saving returns 'inserted', 'updated'
+    // or 'unchanged' so the sync can tell when it has caught up.
+    saveRibbonInterview(interview) {
+      return db.transaction(() => {
+        const now = new Date().toISOString();
+        const data = JSON.stringify(interview);
+        const existing = db.prepare('SELECT data FROM ribbon_interviews WHERE interview_id = ?').get(interview.interview_id);
+        if (existing && existing.data === data) {
+          db.prepare('UPDATE ribbon_interviews SET synced_at = ? WHERE interview_id = ?').run(now, interview.interview_id);
+          return 'unchanged';
+        }
+
+        db.prepare(`
+          INSERT INTO ribbon_interviews
+            (interview_id, interview_flow_id, status, data, completed_at, first_seen_at, changed_at, synced_at)
+          VALUES (@interviewId, @interviewFlowId, @status, @data, @completedAt, @now, @now, @now)
+          ON CONFLICT (interview_id) DO UPDATE SET
+            interview_flow_id = excluded.interview_flow_id,
+            status = excluded.status,
+            data = excluded.data,
+            completed_at = excluded.completed_at,
+            changed_at = excluded.changed_at,
+            synced_at = excluded.synced_at
+        `).run({
+          interviewId: interview.interview_id,
+          interviewFlowId: interview.interview_flow_id || null,
+          status: interview.status || null,
+          data,
+          completedAt: interview.completed_at || null,
+          now
+        });
+        return existing ? 'updated' : 'inserted';
+      })();
+    },
+
+    getRibbonInterview(interviewId) {
+      return toRibbonInterview(db.prepare('SELECT * FROM ribbon_interviews WHERE interview_id = ?').get(interviewId));
+    },
+
+    // Most recently completed (or first seen) first
+    listRibbonInterviews() {
+      return db.prepare(`
+        SELECT * FROM ribbon_interviews ORDER BY COALESCE(completed_at, first_seen_at) DESC
+      `).all().map(toRibbonInterview);
+    },
+
+    // Interviews that may still change, least recently synced first
+    listOpenRibbonInterviews({ syncedBefore, limit }) {
+      return db.prepare(`
+        SELECT * FROM ribbon_interviews
+        WHERE (status IS NULL OR status != 'completed') AND synced_at < ?
+        ORDER BY synced_at
+        LIMIT ?
+      `).all(syncedBefore, limit).map(toRibbonInterview);
+    },
+
+    countRibbonInterviews() {
+      const counts = {};
+      for (const row of db.prepare('SELECT status, COUNT(*) AS count FROM ribbon_interviews GROUP BY status').all()) {
+        counts[row.status || 'unknown'] = row.count;
+      }
+      return counts;
+    },
+
+    saveRibbonFlow(flow) {
+      const data = JSON.stringify(flow);
+      const existing = db.prepare('SELECT data FROM ribbon_interview_flows WHERE interview_flow_id = ?').get(flow.interview_flow_id);
+      db.prepare(`
+        INSERT INTO ribbon_interview_flows (interview_flow_id, title, data, synced_at)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT (interview_flow_id) DO UPDATE SET
+          title = excluded.title,
+          data = excluded.data,
+          synced_at = excluded.synced_at
+      `).run(flow.interview_flow_id, flow.title || null, data, new Date().toISOString());
+      return !existing ? 'inserted' : existing.data === data ? 'unchanged' : 'updated';
+    },
+
+    getRibbonFlow(interviewFlowId) {
+      const row = db.prepare('SELECT * FROM ribbon_interview_flows WHERE interview_flow_id = ?').get(interviewFlowId);
+      return row ? { ...JSON.parse(row.data), syncedAt: row.synced_at } : null;
+    },
+
+    countRibbonFlows() {
+      return db.prepare('SELECT COUNT(*) AS count FROM ribbon_interview_flows').get().count;
+    },
+
+    // Progress of background syncs, by name
+    getSyncState(name) {
+      const row = db.prepare('SELECT state FROM sync_state WHERE name = ?').get(name);
+      return row ? JSON.parse(row.state) : null;
+    },
+
+    saveSyncState(name, state) {
+      db.prepare(`
+        INSERT INTO sync_state (name, state, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT (name) DO UPDATE SET state = excluded.state, updated_at = excluded.updated_at
+      `).run(name, JSON.stringify(state), new Date().toISOString());
+    },
+
+    // Registered LTI 1.3 platforms (LMS installations)
+    createLtiPlatform(platform) {
+      db.prepare(`
+        INSERT INTO lti_platforms
+          (id, name, issuer, client_id, deployment_ids, auth_login_url, auth_token_url, jwks_url, created_at)
+        VALUES (@id, @name, @issuer, @clientId, @deploymentIds, @authLoginUrl, @authTokenUrl, @jwksUrl, @createdAt)
+      `).run({
+        name: null,
+        createdAt: new Date().toISOString(),
+        ...platform,
+        deploymentIds: JSON.stringify(platform.deploymentIds || [])
+      });
+      return this.getLtiPlatform(platform.id);
+    },
+
+    getLtiPlatform(platformId) {
+      return toLtiPlatform(db.prepare('SELECT * FROM lti_platforms WHERE id = ?').get(platformId));
+    },
+
+    // The platform for an issuer and client ID. Login requests may leave out
+    // the client ID; that only resolves if the issuer has one registration.
+    findLtiPlatform(issuer, clientId) {
+      if (clientId) {
+        return toLtiPlatform(db.prepare('SELECT * FROM lti_platforms WHERE issuer = ? AND client_id = ?').get(issuer, clientId));
+      }
+      const rows = db.prepare('SELECT * FROM lti_platforms WHERE issuer = ?').all(issuer);
+      return rows.length === 1 ? toLtiPlatform(rows[0]) : null;
+    },
+
+    listLtiPlatforms() {
+      return db.prepare('SELECT * FROM lti_platforms ORDER BY created_at').all().map(toLtiPlatform);
+    },
+
+    // The tool's current signing key as private and public JWKs
+    getLtiKey() {
+      const row = db.prepare('SELECT * FROM lti_keys ORDER BY created_at DESC LIMIT 1').get();
+      return row ? { kid: row.kid, privateJwk: JSON.parse(row.private_jwk), publicJwk: JSON.parse(row.public_jwk) } : null;
+    },
+
+    saveLtiKey({ kid, privateJwk, publicJwk }) {
+      db.prepare('INSERT INTO lti_keys (kid, private_jwk, public_jwk, created_at) VALUES (?, ?, ?, ?)')
+        .run(kid, JSON.stringify(privateJwk), JSON.stringify(publicJwk), new Date().toISOString());
+    },
+
+    saveLtiLoginState({ state, nonce, platformId }) {
+      db.prepare('INSERT INTO lti_login_states (state, nonce, platform_id, created_at) VALUES (?, ?, ?, ?)')
+        .run(state, nonce, platformId, new Date().toISOString());
+    },
+
+    // Look up and delete a login state, so each can complete one launch.
+    // States older than maxAgeMs are dropped along the way.
+    consumeLtiLoginState(state, maxAgeMs) {
+      return db.transaction(() => {
+        db.prepare('DELETE FROM lti_login_states WHERE created_at < ?')
+          .run(new Date(Date.now() - maxAgeMs).toISOString());
+        const row = db.prepare('SELECT * FROM lti_login_states WHERE state = ?').get(state);
+        if (!row) return null;
+        db.prepare('DELETE FROM lti_login_states WHERE state = ?').run(state);
+        return { state: row.state, nonce: row.nonce, platformId: row.platform_id, createdAt: row.created_at };
+      })();
+    },
+
+    // Course an LMS context (course section) is linked to
+    getLtiContextCourse(platformId, contextId) {
+      const row = db.prepare('SELECT course_id FROM lti_contexts WHERE platform_id = ? AND context_id = ?').get(platformId, contextId);
+      return row ? this.getCourse(row.course_id) : null;
+    },
+
+    linkLtiContext(platformId, contextId, courseId) {
+      db.prepare('INSERT OR REPLACE INTO lti_contexts (platform_id, context_id, course_id) VALUES (?, ?, ?)')
+        .run(platformId, contextId, courseId);
+    },
+
+    getLtiResourceLink(platformId, resourceLinkId) {
+      return toLtiResourceLink(db.prepare('SELECT * FROM lti_resource_links WHERE platform_id = ? AND resource_link_id = ?')
+        .get(platformId, resourceLinkId));
+    },
+
+    // Link a resource link to an assignment and record its grade service
+    // endpoints, which the platform sends with every launch
+    saveLtiResourceLink({ platformId, resourceLinkId, assignmentId, lineitemUrl = null, lineitemsUrl = null, agsScopes = [] }) {
+      db.prepare(`
+        INSERT INTO lti_resource_links
+          (platform_id, resource_link_id, assignment_id, lineitem_url, lineitems_url, ags_scopes, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT (platform_id, resource_link_id) DO UPDATE SET
+          assignment_id = excluded.assignment_id,
+          lineitem_url = COALESCE(excluded.lineitem_url, lti_resource_links.lineitem_url),
+          lineitems_url = excluded.lineitems_url,
+          ags_scopes = excluded.ags_scopes,
+          updated_at = excluded.updated_at
+      `).run(platformId, resourceLinkId, assignmentId, lineitemUrl, lineitemsUrl, JSON.stringify(agsScopes), new Date().toISOString());
+      return this.getLtiResourceLink(platformId, resourceLinkId);
+    },
+
+    listLtiResourceLinksForAssignment(assignmentId) {
+      return db.prepare('SELECT * FROM lti_resource_links WHERE assignment_id = ?').all(assignmentId).map(toLtiResourceLink);
+    },
+
+    // Record a webhook delivery; returns false if the event ID was already seen
+    recordWebhookEvent({ eventId, eventType, interviewId }) {
+      const result = db.prepare(`
+        INSERT OR IGNORE INTO webhook_events (event_id, event_type, interview_id, received_at)
+        VALUES (?, ?, ?, ?)
+      `).run(eventId, eventType, interviewId || null, new Date().toISOString());
+      return result.changes > 0;
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
+
+let defaultStore = null;
+
+// Shared store at DATABASE_FILE (defaults to data/codefessor.db)
+function getStore() {
+  if (!defaultStore) {
+    defaultStore = createStore(process.env.DATABASE_FILE || DEFAULT_DATABASE_FILE);
+  }
+  return defaultStore;
+}
+
+module.exports = { createStore, getStore };
@@ -0,0 +1,550 @@
+const fs = require('fs');
+const path = require('path');
+
+const LEGACY_ANALYSIS_FILE = path.join(__dirname, '..', '..', 'analysis_results.json');
+
+// Schema migrations, applied in order and recorded in schema_migrations.
+// Never edit a migration that has shipped; add a new one instead.
+const migrations = [
+  {
+    version: 1,
+    name: 'create-core-tables',
+    up(db) {
+      db.exec(`
+        CREATE TABLE submissions (
+          interview_id TEXT PRIMARY KEY,
+          backend TEXT NOT NULL,
+          interview_flow_id TEXT,
+          student_name TEXT NOT NULL,
+          student_email TEXT NOT NULL,
+          language TEXT NOT NULL,
+          code TEXT,
+          questions TEXT NOT NULL DEFAULT '[]',
+          created_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_submissions_student_email ON submissions (student_email);
+
+        CREATE TABLE analyses (
+          interview_id TEXT PRIMARY KEY,
+          result TEXT NOT NULL,
+          analyzed_at TEXT NOT NULL
+        );
+
+        CREATE TABLE chat_interviews (
+          interview_id TEXT PRIMARY KEY,
+          questions TEXT NOT NULL,
+          answers TEXT NOT NULL DEFAULT '[]',
+          language TEXT,
+          student_name TEXT,
+          status TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          started_at TEXT,
+          completed_at TEXT
+        );
+      `);
+    }
+  },
+  {
+    version: 2,
+    name: 'import-legacy-analysis-results',
+    // One-time import of the analysis_results.json file the server used to rewrite on every save
+    up(db) {
+      if (!fs.existsSync(LEGACY_ANALYSIS_FILE)) return;
+
+      const entries = JSON.parse(fs.readFileSync(LEGACY_ANALYSIS_FILE, 'utf8'));
+      const insertAnalysis = db.prepare(
+        'INSERT OR IGNORE INTO analyses (interview_id, result, analyzed_at) VALUES (?, ?, ?)'
+      );
+      const insertSubmission = db.prepare(`
+        INSERT OR IGNORE INTO submissions
+          (interview_id, backend, student_name, student_email, language, code, created_at)
+        VALUES (?, 'ribbon', ?, ?, ?, ?, ?)
+      `);
+
+      for (const [interviewId, analysis] of entries) {
+        const analyzedAt = analysis.analyzedAt || new Date().toISOString();
+        insertAnalysis.run(interviewId, JSON.stringify(analysis), analyzedAt);
+
+        const info = analysis.studentInfo;
+        if (info && info.name !== 'Unknown Student') {
+          insertSubmission.run(interviewId, info.name, info.email, info.language, info.code, analyzedAt);
+        }
+      }
+      console.log(`📥 Imported ${entries.length} analysis results from ${LEGACY_ANALYSIS_FILE}`);
+    }
+  },
+  {
+    version: 3,
+    name: 'create-analysis-jobs-interview-results-and-webhook-events',
+    up(db) {
+      db.exec(`
+        CREATE TABLE analysis_jobs (
+          interview_id TEXT PRIMARY KEY,
+          status TEXT NOT NULL,
+          attempts INTEGER NOT NULL DEFAULT 0,
+          last_error TEXT,
+          run_after TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_analysis_jobs_status ON analysis_jobs (status, run_after);
+
+        CREATE TABLE interview_results (
+          interview_id TEXT PRIMARY KEY,
+          status TEXT NOT NULL,
+          transcript TEXT,
+          completed_at TEXT,
+          updated_at TEXT NOT NULL
+        );
+
+        CREATE TABLE webhook_events (
+          event_id TEXT PRIMARY KEY,
+          event_type TEXT NOT NULL,
+          interview_id TEXT,
+          received_at TEXT NOT NULL
+        );
+      `);
+    }
+  },
+  {
+    version: 4,
+    name: 'add-courses-and-submission-owners',
+    up(db) {
+      db.exec(`
+        CREATE TABLE courses (
+          id TEXT PRIMARY KEY,
+          name TEXT NOT NULL,
+          teacher_id TEXT NOT NULL,
+          teacher_email TEXT,
+          created_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_courses_teacher_id ON courses (teacher_id);
+
+        ALTER TABLE submissions ADD COLUMN student_id TEXT;
+        ALTER TABLE submissions ADD COLUMN course_id TEXT REFERENCES courses (id);
+        CREATE INDEX idx_submissions_student_id ON submissions (student_id);
+        CREATE INDEX idx_submissions_course_id ON submissions (course_id);
+      `);
+    }
+  },
+  {
+    version: 5,
+    name: 'add-assignments-and-enrollments',
+    up(db) {
+      db.exec(`
+        CREATE TABLE assignments (
+          id TEXT PRIMARY KEY,
+          course_id TEXT NOT NULL REFERENCES courses (id),
+          title TEXT NOT NULL,
+          description TEXT,
+          due_at TEXT,
+          allowed_languages TEXT NOT NULL DEFAULT '[]',
+          created_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_assignments_course_id ON assignments (course_id);
+
+        CREATE TABLE course_enrollments (
+          course_id TEXT NOT NULL REFERENCES courses (id),
+          student_email TEXT NOT NULL,
+          PRIMARY KEY (course_id, student_email)
+        );
+        CREATE INDEX idx_course_enrollments_email ON course_enrollments (student_email);
+
+        ALTER TABLE submissions ADD COLUMN assignment_id TEXT REFERENCES assignments (id);
+        CREATE INDEX idx_submissions_assignment_id ON submissions (assignment_id);
+      `);
+    }
+  },
+  {
+    version: 6,
+    name: 'create-submission-files',
+    up(db) {
+      db.exec(`
+        CREATE TABLE submission_files (
+          interview_id TEXT NOT NULL,
+          path TEXT NOT NULL,
+          language TEXT NOT NULL,
+          size INTEGER NOT NULL,
+          content TEXT NOT NULL,
+          PRIMARY KEY (interview_id, path)
+        );
+      `);
+    }
+  },
+  {
+    version: 7,
+    name: 'create-similarity-matches',
+    up(db) {
+      // One row per pair of submissions, stored with interview_id < other_interview_id
+      db.exec(`
+        CREATE TABLE similarity_matches (
+          interview_id TEXT NOT NULL,
+          other_interview_id TEXT NOT NULL,
+          score REAL NOT NULL,
+          jaccard REAL NOT NULL,
+          regions TEXT NOT NULL,
+          computed_at TEXT NOT NULL,
+          PRIMARY KEY (interview_id, other_interview_id)
+        );
+        CREATE INDEX idx_similarity_matches_other ON similarity_matches (other_interview_id);
+      `);
+    }
+  },
+  {
+    version: 8,
+    name: 'create-reviews',
+    up(db) {
+      // Interviews without a reviews row are unreviewed. review_events is an
+      // append-only audit trail; the triggers reject edits and deletes.
+      db.exec(`
+        CREATE TABLE reviews (
+          interview_id TEXT PRIMARY KEY,
+          state TEXT NOT NULL,
+          notes TEXT NOT NULL DEFAULT '',
+          updated_by TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_reviews_state ON reviews (state);
+
+        CREATE TABLE review_events (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          interview_id TEXT NOT NULL,
+          field TEXT NOT NULL,
+          previous_value TEXT,
+          new_value TEXT,
+          actor_id TEXT NOT NULL,
+          actor_email TEXT,
+          created_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_review_events_interview ON review_events (interview_id);
+
+        CREATE TRIGGER review_events_no_update BEFORE UPDATE ON review_events
+        BEGIN
+          SELECT RAISE(ABORT, 'review_events is append-only');
+        END;
+        CREATE TRIGGER review_events_no_delete BEFORE DELETE ON review_events
+        BEGIN
+          SELECT RAISE(ABORT, 'review_events is append-only');
+        END;
+      `);
+    }
+  },
+  {
+    version: 9,
+    name: 'create-analysis-versions',
+    up(db) {
+      // Every analysis ever stored, numbered per interview. analyses keeps the
+      // latest one. Jobs record why they were queued so versions can too.
+      db.exec(`
+        CREATE TABLE analysis_versions (
+          interview_id TEXT NOT NULL,
+          version INTEGER NOT NULL,
+          status TEXT NOT NULL,
+          reason TEXT NOT NULL,
+          requested_by TEXT,
+          provider TEXT,
+          model TEXT,
+          prompt_version TEXT,
+          inputs_hash TEXT,
+          result TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          PRIMARY KEY (interview_id, version)
+        );
+
+        ALTER TABLE analysis_jobs ADD COLUMN reason TEXT NOT NULL DEFAULT 'initial';
+        ALTER TABLE analysis_jobs ADD COLUMN requested_by TEXT;
+      `);
+
+      // Existing analyses become version 1; their prompt and inputs weren't recorded
+      const insertVersion = db.prepare(`
+        INSERT INTO analysis_versions
+          (interview_id, version, status, reason, provider, model, result, created_at)
+        VALUES (?, 1, ?, 'initial', ?, ?, ?, ?)
+      `);
+      for (const row of db.prepare('SELECT * FROM analyses').all()) {
+        const result = JSON.parse(row.result);
+        insertVersion.run(
+          row.interview_id,
+          result.geminiAnalysis === false ? 'failed' : 'completed',
+          result.provider || null,
+          result.model || null,
+          JSON.stringify({ ...result, version: 1 }),
+          row.analyzed_at
+        );
+        db.prepare('UPDATE analyses SET result = ? WHERE interview_id = ?')
+          .run(JSON.stringify({ ...result, version: 1 }), row.interview_id);
+      }
+    }
+  },
+  {
+    version: 10,
+    name: 'create-lti-tables',
+    up(db) {
+      // LTI 1.3: registered LMS platforms, the tool's own signing keys,
+      // in-flight OIDC logins, and which course and assignment each LMS
+      // context and resource link maps to
+      db.exec(`
+        CREATE TABLE lti_platforms (
+          id TEXT PRIMARY KEY,
+          name TEXT,
+          issuer TEXT NOT NULL,
+          client_id TEXT NOT NULL,
+          deployment_ids TEXT NOT NULL,
+          auth_login_url TEXT NOT NULL,
+          auth_token_url TEXT NOT NULL,
+          jwks_url TEXT NOT NULL,
+          created_at TEXT NOT NULL,
+          UNIQUE (issuer, client_id)
+        );
+
+        CREATE TABLE lti_keys (
+          kid TEXT PRIMARY KEY,
+          private_jwk TEXT NOT NULL,
+          public_jwk TEXT NOT NULL,
+          created_at TEXT NOT NULL
+        );
+
+        CREATE TABLE lti_login_states (
+          state TEXT PRIMARY KEY,
+          nonce TEXT NOT NULL,
+          platform_id TEXT NOT NULL REFERENCES lti_platforms (id),
+          created_at TEXT NOT NULL
+        );
+
+        CREATE TABLE lti_contexts (
+          platform_id TEXT NOT NULL REFERENCES lti_platforms (id),
+          context_id TEXT NOT NULL,
+          course_id TEXT NOT NULL REFERENCES courses (id),
+          PRIMARY KEY (platform_id, context_id)
+        );
+
+        CREATE TABLE lti_resource_links (
+          platform_id TEXT NOT NULL REFERENCES lti_platforms (id),
+          resource_link_id TEXT NOT NULL,
+          assignment_id TEXT NOT NULL REFERENCES assignments (id),
+          lineitem_url TEXT,
+          lineitems_url TEXT,
+          ags_scopes TEXT NOT NULL DEFAULT '[]',
+          updated_at TEXT NOT NULL,
+          PRIMARY KEY (platform_id, resource_link_id)
+        );
+        CREATE INDEX idx_lti_resource_links_assignment ON lti_resource_links (assignment_id);
+      `);
+    }
+  },
+  {
+    version: 11,
+    name: 'create-llm-usage-and-job-priorities',
+    up(db) {
+      // Model calls and tokens per UTC day and provider, for the scheduler's
+      // daily budgets. Analysis jobs run in priority order (0 runs first).
+      db.exec(`
+        CREATE TABLE llm_usage (
+          day TEXT NOT NULL,
+          provider TEXT NOT NULL,
+          requests INTEGER NOT NULL DEFAULT 0,
+          input_tokens INTEGER NOT NULL DEFAULT 0,
+          output_tokens INTEGER NOT NULL DEFAULT 0,
+          PRIMARY KEY (day, provider)
+        );
+
+        ALTER TABLE analysis_jobs ADD COLUMN priority INTEGER NOT NULL DEFAULT 1;
+        DROP INDEX idx_analysis_jobs_status;
+        CREATE INDEX idx_analysis_jobs_status ON analysis_jobs (status, priority, run_after);
+      `);
+    }
+  },
+  {
+    version: 12,
+    name: 'create-ribbon-mirror',
+    up(db) {
+      // Local copy of Ribbon interviews and interview flows, kept up to date
+      // by services/interviews/ribbon-sync.js, and the sync's own progress
+      db.exec(`
+        CREATE TABLE ribbon_interviews (
+          interview_id TEXT PRIMARY KEY,
+          interview_flow_id TEXT,
+          status TEXT,
+          data TEXT NOT NULL,
+          completed_at TEXT,
+          first_seen_at TEXT NOT NULL,
+          changed_at TEXT NOT NULL,
+          synced_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_ribbon_interviews_status ON ribbon_interviews (status, synced_at);
+        CREATE INDEX idx_ribbon_interviews_flow ON ribbon_interviews (interview_flow_id);
+
+        CREATE TABLE ribbon_interview_flows (
+          interview_flow_id TEXT PRIMARY KEY,
+          title TEXT,
+          data TEXT NOT NULL,
+          synced_at TEXT NOT NULL
+        );
+
+        CREATE TABLE sync_state (
+          name TEXT PRIMARY KEY,
+          state TEXT NOT NULL,
+          updated_at TEXT NOT NULL
+        );
+      `);
+    }
+  },
+  {
+    version: 13,
+    name: 'create-question-templates-and-reviews',
+    up(db) {
+      // Question rules per course or assignment (services/question-templates.js),
+      // and submissions held until a teacher approves their questions. The
+      // interview is only created on approval, so a held submission keeps
+      // everything needed to create it.
+      db.exec(`
+        CREATE TABLE question_templates (
+          scope TEXT NOT NULL CHECK (scope IN ('course', 'assignment')),
+          scope_id TEXT NOT NULL,
+          template TEXT NOT NULL,
+          updated_by TEXT,
+          updated_at TEXT NOT NULL,
+          PRIMARY KEY (scope, scope_id)
+        );
+
+        CREATE TABLE question_reviews (
+          id TEXT PRIMARY KEY,
+          status TEXT NOT NULL DEFAULT 'pending',
+          student_id TEXT,
+          student_name TEXT NOT NULL,
+          student_email TEXT NOT NULL,
+          language TEXT NOT NULL,
+          code TEXT NOT NULL,
+          files TEXT,
+          interview_mode TEXT,
+          course_id TEXT NOT NULL REFERENCES courses(id),
+          assignment_id TEXT REFERENCES assignments(id),
+          generated_questions TEXT NOT NULL,
+          questions TEXT NOT NULL,
+          note TEXT,
+          reviewed_by TEXT,
+          reviewed_at TEXT,
+          interview_id TEXT,
+          interview_link TEXT,
+          backend TEXT,
+          created_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_question_reviews_status ON question_reviews (status, course_id, created_at);
+      `);
+    }
+  },
+  {
+    version: 14,
+    name: 'add-submission-question-targets',
+    up(db) {
+      // The parts of the code each question is about: a JSON array with one
+      // list of targets per question (services/question-validation.js)
+      db.exec(`
+        ALTER TABLE submissions ADD COLUMN question_targets TEXT;
+      `);
+    }
+  },
+  {
+    version: 15,
+    name: 'create-challenges',
+    up(db) {
+      // The optional "modify your code" challenge of a submission (at most
+      // one), and every attempt the student ran against its hidden tests
+      db.exec(`
+        CREATE TABLE challenges (
+          interview_id TEXT PRIMARY KEY REFERENCES submissions (interview_id),
+          status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'solved')),
+          source TEXT NOT NULL,
+          language TEXT NOT NULL,
+          title TEXT NOT NULL,
+          instructions TEXT NOT NULL,
+          tests TEXT NOT NULL,
+          latest_code TEXT,
+          attempts INTEGER NOT NULL DEFAULT 0,
+          best_passed INTEGER NOT NULL DEFAULT 0,
+          started_at TEXT NOT NULL,
+          last_attempt_at TEXT,
+          solved_at TEXT
+        );
+
+        CREATE TABLE challenge_attempts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          interview_id TEXT NOT NULL REFERENCES challenges (interview_id),
+          code TEXT NOT NULL,
+          passed INTEGER NOT NULL,
+          total INTEGER NOT NULL,
+          results TEXT NOT NULL,
+          error TEXT,
+          created_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_challenge_attempts_interview ON challenge_attempts (interview_id);
+      `);
+    }
+  },
+  {
+    version: 16,
+    name: 'create-notifications',
+    up(db) {
+      // Email notifications: the interview link is kept for reminders,
+      // admins' edits of the email templates, each address's unsubscribe
+      // token and unsubscribed kinds, and a log of every email (also what
+      // reminders and digests check to avoid sending twice)
+      db.exec(`
+        ALTER TABLE submissions ADD COLUMN interview_link TEXT;
+
+        CREATE TABLE notification_templates (
+          kind TEXT PRIMARY KEY,
+          subject TEXT NOT NULL,
+          body TEXT NOT NULL,
+          updated_by TEXT,
+          updated_at TEXT NOT NULL
+        );
+
+        CREATE TABLE notification_preferences (
+          email TEXT PRIMARY KEY,
+          token TEXT NOT NULL UNIQUE,
+          unsubscribed TEXT NOT NULL DEFAULT '[]',
+          updated_at TEXT NOT NULL
+        );
+
+        CREATE TABLE notifications (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          kind TEXT NOT NULL,
+          recipient TEXT NOT NULL,
+          interview_id TEXT,
+          subject TEXT,
+          status TEXT NOT NULL CHECK (status IN ('sent', 'failed', 'skipped')),
+          error TEXT,
+          created_at TEXT NOT NULL
+        );
+        CREATE INDEX idx_notifications_kind_interview ON notifications (kind, interview_id);
+        CREATE INDEX idx_notifications_kind_recipient ON notifications (kind, recipient, created_at);
+      `);
+    }
+  }
+];
+
+function runMigrations(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+
+  const applied = new Set(db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version));
+  const record = db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+
+  for (const migration of migrations) {
+    if (applied.has(migration.version)) continue;
+
+    db.transaction(() => {
+      migration.up(db);
+      record.run(migration.version, migration.name, new Date().toISOString());
+    })();
+    console.log(`🗄️ Applied migration ${migration.version} (${migration.name})`);
+  }
+}
+
+module.exports = { runMigrations };
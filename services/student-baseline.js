@@ -0,0 +1,190 @@
+const { analyzeStylometry } = require('./stylometry');
+
+// A student's earlier submissions form their baseline. Each new submission is
+// compared against it metric by metric, and large deviations are reported and
+// folded into the confidence of the verdict.
+
+const BASELINE_VERSION = 'baseline-v1';
+const MIN_HISTORY = 2;
+const MAX_HISTORY = 10;
+const SIGNIFICANT_DEVIATION = 2;
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+
+// Constructs that take some experience to reach for
+const ADVANCED_PATTERNS = [
+  /=>/g,
+  /\blambda\b/g,
+  /\[[^\]\n]+\bfor\b[^\]\n]+\bin\b[^\]\n]*\]/g,
+  /\.(map|filter|reduce|flatMap)\s*\(/g,
+  /\b(async|await|yield)\b/g,
+  /^\s*@\w+/gm,
+  /\?\.|\?\?/g,
+  /\.\.\.[A-Za-z_]/g,
+  /<[A-Z]\w*(,\s*[A-Z]\w*)*>/g,
+  /\b(template|typename|impl|trait|interface)\b/g
+];
+
+// Metrics compared against the baseline. minSpread keeps a student with very
+// uniform history from turning tiny changes into large deviations.
+const METRICS = [
+  { key: 'lineCount', label: 'Code length (lines)', minSpread: 15 },
+  { key: 'functionCount', label: 'Functions defined', minSpread: 1.5 },
+  { key: 'sophistication', label: 'Advanced constructs per 100 lines', minSpread: 2 },
+  { key: 'averageIdentifierLength', label: 'Average identifier length', minSpread: 1.5 },
+  { key: 'commentDensity', label: 'Comment density', minSpread: 0.1 },
+  { key: 'commentStyle', label: 'Share of polished comments', minSpread: 0.2 },
+  { key: 'identifierNaming', label: 'Naming style entropy', minSpread: 0.3 },
+  { key: 'formattingConsistency', label: 'Formatting consistency', minSpread: 0.1 },
+  { key: 'errorHandling', label: 'Error handling per function', minSpread: 0.5 },
+  { key: 'interviewScore', label: 'Interview score', minSpread: 10 }
+];
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function standardDeviation(values) {
+  const average = mean(values);
+  return Math.sqrt(mean(values.map(value => (value - average) ** 2)));
+}
+
+function dominantStyle(styles) {
+  const ranked = Object.entries(styles || {})
+    .filter(([style]) => style !== 'single-letter')
+    .sort((a, b) => b[1] - a[1]);
+  return ranked.length > 0 ? ranked[0][0] : null;
+}
+
+// Measurable profile of one submission
+function measureSubmission({ code, language, interviewScore }) {
+  const stylometry = analyzeStylometry(code, language);
+  const lineCount = stylometry?.lineCount || 0;
+  const features = Object.fromEntries((stylometry?.features || []).map(feature => [feature.key, feature]));
+  const functionCount = ((code || '').match(/\b(function\s+\w+|def\s+\w+|func\s+\w+|fn\s+\w+|\w+\s*=\s*(async\s*)?\([^)]*\)\s*=>)/g) || []).length;
+  const advanced = ADVANCED_PATTERNS.reduce((sum, pattern) => sum + ((code || '').match(pattern) || []).length, 0);
+
+  return {
+    language,
+    namingStyle: dominantStyle(features.identifierNaming?.styles),
+    values: {
+      lineCount,
+      functionCount,
+      sophistication: lineCount > 0 ? (advanced / lineCount) * 100 : 0,
+      averageIdentifierLength: features.identifierNaming?.averageLength,
+      commentDensity: features.commentDensity?.value,
+      commentStyle: features.commentStyle?.value,
+      identifierNaming: features.identifierNaming?.value,
+      formattingConsistency: features.formattingConsistency?.value,
+      errorHandling: features.errorHandling?.value,
+      interviewScore
+    }
+  };
+}
+
+function describeDeviation(metric, baselineMean, current, deviation) {
+  const direction = deviation > 0 ? 'higher' : 'lower';
+  return `${metric.label} is ${round(current, 1)}, ${direction} than the student's usual ${round(baselineMean, 1)}`;
+}
+
+// Compare the current submission with the student's history. `history` is a
+// list of { code, language, interviewScore }, oldest first.
+function compareToBaseline(current, history) {
+  // Prefer same-language history; naming and structure differ between languages
+  const sameLanguage = history.filter(sample => sample.language === current.language);
+  const mixedLanguages = sameLanguage.length < MIN_HISTORY;
+  const samples = (mixedLanguages ? history : sameLanguage).slice(-MAX_HISTORY);
+
+  if (samples.length < MIN_HISTORY) {
+    return {
+      version: BASELINE_VERSION,
+      status: 'insufficient-history',
+      submissionsCompared: samples.length,
+      deviations: [],
+      summary: `Not enough earlier submissions to build a baseline (${samples.length} of ${MIN_HISTORY} needed).`
+    };
+  }
+
+  const measured = samples.map(measureSubmission);
+  const now = measureSubmission(current);
+  const deviations = [];
+
+  for (const metric of METRICS) {
+    const currentValue = now.values[metric.key];
+    const baselineValues = measured.map(sample => sample.values[metric.key]).filter(value => typeof value === 'number');
+    if (typeof currentValue !== 'number' || baselineValues.length < MIN_HISTORY) continue;
+
+    const baselineMean = mean(baselineValues);
+    const spread = Math.max(standardDeviation(baselineValues), metric.minSpread);
+    const deviation = (currentValue - baselineMean) / spread;
+    const significant = Math.abs(deviation) >= SIGNIFICANT_DEVIATION;
+
+    deviations.push({
+      key: metric.key,
+      label: metric.label,
+      baseline: round(baselineMean),
+      current: round(currentValue),
+      deviation: round(deviation, 1),
+      significant,
+      description: significant ? describeDeviation(metric, baselineMean, currentValue, deviation) : null
+    });
+  }
+
+  // A switch in the dominant naming convention, e.g. snake_case to camelCase
+  let namingStyleChange = null;
+  const usualStyles = measured.map(sample => sample.namingStyle).filter(Boolean);
+  if (!mixedLanguages && now.namingStyle && usualStyles.length >= MIN_HISTORY) {
+    const usual = dominantStyle(usualStyles.reduce((counts, style) => ({ ...counts, [style]: (counts[style] || 0) + 1 }), {}));
+    if (usual && usual !== now.namingStyle) {
+      namingStyleChange = { baseline: usual, current: now.namingStyle };
+    }
+  }
+
+  const significant = deviations.filter(item => item.significant);
+  const changes = significant.map(item => item.description);
+  if (namingStyleChange) {
+    changes.push(`Naming style changed from ${namingStyleChange.baseline} to ${namingStyleChange.current}`);
+  }
+
+  const deviationScore = Math.min(100, Math.round(
+    mean(deviations.map(item => Math.min(Math.abs(item.deviation), 4))) * 25 + (namingStyleChange ? 15 : 0)
+  ));
+
+  return {
+    version: BASELINE_VERSION,
+    status: 'compared',
+    submissionsCompared: samples.length,
+    mixedLanguages,
+    deviationScore,
+    deviations,
+    namingStyleChange,
+    changes,
+    summary: changes.length > 0
+      ? `This submission differs from the student's previous ${samples.length} submissions: ${changes.join('; ')}.`
+      : `This submission is consistent with the student's previous ${samples.length} submissions.`
+  };
+}
+
+// Move confidence one step when the baseline agrees or disagrees with the
+// verdict. A sharp break from the student's usual work supports an AI verdict
+// and undercuts a human one; consistency does the opposite.
+function adjustConfidence(confidence, score, baseline) {
+  const index = CONFIDENCE_LEVELS.indexOf(confidence);
+  if (!baseline || baseline.status !== 'compared' || index === -1) {
+    return { confidence, adjustment: 'none' };
+  }
+
+  const deviates = baseline.changes.length > 0;
+  const verdictIsHuman = score >= 50;
+  const agrees = deviates !== verdictIsHuman;
+  const nextIndex = Math.max(0, Math.min(CONFIDENCE_LEVELS.length - 1, index + (agrees ? 1 : -1)));
+
+  if (nextIndex === index) return { confidence, adjustment: 'none' };
+  return { confidence: CONFIDENCE_LEVELS[nextIndex], adjustment: agrees ? 'raised' : 'lowered' };
+}
+
+module.exports = { BASELINE_VERSION, MIN_HISTORY, compareToBaseline, adjustConfidence };
@@ -0,0 +1,322 @@
+// Deterministic code-feature analysis. Each feature is scored 0-100 on the
+// same scale as the LLM verdict (0 = looks AI-generated, 100 = looks
+// human-written), and the weighted features combine into one stylometry score.
+// The same code always produces the same result.
+
+const STYLOMETRY_VERSION = 'stylometry-v1';
+
+// Languages whose line comments start with '#'
+const HASH_COMMENT_LANGUAGES = ['python', 'ruby', 'other'];
+
+// Header lines added by combineFiles() for multi-file submissions
+const FILE_HEADER = /^\/\/ ===== File: .* =====$/;
+
+const KEYWORDS = new Set([
+  'if', 'else', 'for', 'while', 'do', 'return', 'function', 'const', 'let', 'var', 'def', 'class', 'import',
+  'from', 'as', 'in', 'of', 'new', 'try', 'catch', 'except', 'finally', 'throw', 'raise', 'public', 'private',
+  'protected', 'static', 'void', 'int', 'float', 'double', 'char', 'bool', 'boolean', 'string', 'true', 'false',
+  'null', 'None', 'True', 'False', 'self', 'this', 'and', 'or', 'not', 'is', 'switch', 'case', 'break',
+  'continue', 'default', 'async', 'await', 'yield', 'lambda', 'with', 'pass', 'elif', 'fn', 'func', 'package',
+  'struct', 'enum', 'interface', 'extends', 'implements', 'typeof', 'instanceof', 'print', 'len', 'range',
+  'include', 'using', 'namespace', 'std', 'auto', 'mut', 'impl', 'pub', 'use', 'go', 'defer', 'type'
+]);
+
+function clamp(value) {
+  return Math.max(0, Math.min(100, Math.round(value)));
+}
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+function splitLines(code) {
+  return (code || '').split(/\r?\n/).filter(line => !FILE_HEADER.test(line));
+}
+
+// Comment text per line, plus which lines are code
+function classifyLines(lines, language) {
+  const hashComments = HASH_COMMENT_LANGUAGES.includes(language);
+  const comments = [];
+  let codeLines = 0;
+  let inBlock = false;
+
+  for (const raw of lines) {
+    const line = raw.trim();
+    if (!line) continue;
+
+    if (inBlock) {
+      comments.push(line.replace(/\*\/.*$/, '').replace(/^\*\s?/, ''));
+      if (line.includes('*/')) inBlock = false;
+      continue;
+    }
+    if (line.startsWith('/*')) {
+      comments.push(line.replace(/^\/\*+\s?/, '').replace(/\*\/.*$/, ''));
+      inBlock = !line.includes('*/');
+      continue;
+    }
+    if (line.startsWith('//') || (hashComments && line.startsWith('#'))) {
+      comments.push(line.replace(/^(\/\/+|#+)\s?/, ''));
+      continue;
+    }
+    if (/^("""|''')/.test(line)) {
+      comments.push(line.replace(/^("""|''')/, '').replace(/("""|''')$/, ''));
+      continue;
+    }
+
+    codeLines++;
+    const trailing = line.match(/\s(\/\/|#)\s?(.+)$/);
+    if (trailing && (trailing[1] === '//' || hashComments)) {
+      comments.push(trailing[2]);
+    }
+  }
+
+  return { comments: comments.filter(Boolean), codeLines };
+}
+
+// Identifiers in code lines, ignoring string literals and comments
+function extractNames(lines, language) {
+  const hashComments = HASH_COMMENT_LANGUAGES.includes(language);
+  const code = lines
+    .filter(line => !/^\s*(\/\/|\/\*|\*|"""|''')/.test(line) && !(hashComments && /^\s*#/.test(line)))
+    .map(line => line
+      .replace(/(["'`])(?:\\.|(?!\1).)*\1/g, '""')
+      .replace(hashComments ? /\s#.*$/ : /\s\/\/.*$/, ''))
+    .join('\n');
+
+  const names = [];
+  for (const match of code.matchAll(/\b[A-Za-z_][A-Za-z0-9_]*\b/g)) {
+    if (!KEYWORDS.has(match[0])) names.push(match[0]);
+  }
+  return names;
+}
+
+function namingStyle(name) {
+  if (name.length === 1) return 'single-letter';
+  if (/^[A-Z0-9_]+$/.test(name)) return 'UPPER_CASE';
+  if (name.includes('_')) return 'snake_case';
+  if (/^[A-Z]/.test(name)) return 'PascalCase';
+  if (/[A-Z]/.test(name)) return 'camelCase';
+  return 'lowercase';
+}
+
+function entropy(counts) {
+  const total = counts.reduce((sum, count) => sum + count, 0);
+  if (total === 0) return 0;
+  return -counts.reduce((sum, count) => {
+    const p = count / total;
+    return p > 0 ? sum + p * Math.log2(p) : sum;
+  }, 0);
+}
+
+// Share of comment lines to code lines. AI output tends to explain nearly
+// every step; people comment sparsely or not at all.
+function commentDensity(lines, language) {
+  const { comments, codeLines } = classifyLines(lines, language);
+  const density = codeLines > 0 ? comments.length / codeLines : 0;
+
+  let score;
+  if (density === 0) score = 55;
+  else if (density <= 0.15) score = 65;
+  else if (density <= 0.3) score = 50;
+  else score = clamp(50 - (density - 0.3) * 100);
+
+  return {
+    key: 'commentDensity',
+    label: 'Comment density',
+    value: round(density),
+    score,
+    weight: 1,
+    detail: `${comments.length} comment line(s) for ${codeLines} code line(s)`
+  };
+}
+
+// Polished full-sentence comments vs. terse notes, TODOs and lowercase asides
+function commentStyle(lines, language) {
+  const { comments } = classifyLines(lines, language);
+  if (comments.length < 2) return null;
+
+  const polished = comments.filter(text => /^[A-Z][\s\S]*[.!?:]$/.test(text.trim()) && text.trim().split(/\s+/).length >= 4).length;
+  const informal = comments.filter(text => /\b(TODO|FIXME|HACK|XXX|idk|lol|hmm|oops|why|\?\?)\b/i.test(text) || /^[a-z]/.test(text.trim())).length;
+  const polishedShare = polished / comments.length;
+  const informalShare = informal / comments.length;
+
+  return {
+    key: 'commentStyle',
+    label: 'Comment style',
+    value: round(polishedShare),
+    score: clamp(55 + informalShare * 40 - polishedShare * 40),
+    weight: 1,
+    detail: `${polished} polished full-sentence and ${informal} informal comment(s) out of ${comments.length}`
+  };
+}
+
+// Mixed naming conventions and short names are typical of hand-written code;
+// uniformly long descriptive names in one convention are typical of generated code
+function identifierNaming(lines, language) {
+  const names = [...new Set(extractNames(lines, language))];
+  if (names.length < 5) return null;
+
+  const styles = {};
+  for (const name of names) {
+    const style = namingStyle(name);
+    styles[style] = (styles[style] || 0) + 1;
+  }
+  const styleEntropy = entropy(Object.values(styles));
+  const averageLength = names.reduce((sum, name) => sum + name.length, 0) / names.length;
+
+  const entropyScore = 35 + Math.min(styleEntropy, 2) * 20;
+  const lengthScore = averageLength > 12 ? 30 : averageLength > 8 ? 45 : averageLength > 4 ? 60 : 70;
+
+  return {
+    key: 'identifierNaming',
+    label: 'Identifier naming entropy',
+    value: round(styleEntropy),
+    score: clamp((entropyScore + lengthScore) / 2),
+    weight: 1.5,
+    styles,
+    averageLength: round(averageLength, 1),
+    detail: `${names.length} distinct identifiers, average length ${round(averageLength, 1)}, ` +
+      `styles: ${Object.entries(styles).map(([style, count]) => `${style} ${count}`).join(', ')}`
+  };
+}
+
+// Inconsistent indentation, spacing and trailing whitespace are human quirks;
+// perfectly uniform formatting suggests generated (or auto-formatted) code
+function formattingConsistency(lines) {
+  const codeLines = lines.filter(line => line.trim());
+  if (codeLines.length < 5) return null;
+
+  let quirks = 0;
+  const indents = codeLines.map(line => line.match(/^[ \t]*/)[0]).filter(Boolean);
+  const usesTabs = indents.some(indent => indent.includes('\t'));
+  const usesSpaces = indents.some(indent => indent.includes(' '));
+  if (usesTabs && usesSpaces) quirks += 3;
+
+  const spaceIndents = indents.filter(indent => !indent.includes('\t')).map(indent => indent.length);
+  const unit = spaceIndents.length > 0 ? Math.min(...spaceIndents) : 0;
+  const offGrid = unit > 0 ? spaceIndents.filter(width => width % unit !== 0).length : 0;
+  quirks += offGrid;
+
+  const trailingWhitespace = codeLines.filter(line => /[ \t]+$/.test(line)).length;
+  quirks += trailingWhitespace;
+
+  // Operators written both with and without surrounding spaces
+  const spaced = (lines.join('\n').match(/\w\s+[=+\-*/<>]=?\s+\w/g) || []).length;
+  const tight = (lines.join('\n').match(/\w[=+\-*/<>]=?\w/g) || []).length;
+  if (spaced > 0 && tight > 0) quirks += Math.min(spaced, tight);
+
+  const quirkRate = quirks / codeLines.length;
+  return {
+    key: 'formattingConsistency',
+    label: 'Formatting consistency',
+    value: round(1 - Math.min(quirkRate, 1)),
+    score: clamp(40 + Math.min(quirkRate, 0.5) * 100),
+    weight: 1,
+    detail: `${quirks} formatting inconsistenc${quirks === 1 ? 'y' : 'ies'} in ${codeLines.length} lines ` +
+      `(${trailingWhitespace} trailing whitespace, ${offGrid} off-grid indents${usesTabs && usesSpaces ? ', mixed tabs and spaces' : ''})`
+  };
+}
+
+// Defensive try/catch and input validation around every step is a common
+// trait of generated code
+function errorHandling(code) {
+  const functions = (code.match(/\b(function\b|def\s+\w+|=>|func\s+\w+|fn\s+\w+)/g) || []).length;
+  const handlers = (code.match(/\b(try\s*[:{]|try:|catch\s*\(|except\b|rescue\b|recover\(\))/g) || []).length;
+  const validations = (code.match(/\b(throw new \w*Error|raise \w+(Error|Exception)|panic\(|if\s*\(?\s*(not\s+|!)?\s*isinstance|typeof \w+ !==)/g) || []).length;
+
+  if (functions === 0 && handlers === 0 && validations === 0) return null;
+
+  const perFunction = (handlers + validations) / Math.max(functions, 1);
+  return {
+    key: 'errorHandling',
+    label: 'Error-handling density',
+    value: round(perFunction),
+    score: clamp(65 - perFunction * 25),
+    weight: 1,
+    detail: `${handlers} exception handler(s) and ${validations} input check(s) across ${functions} function(s)`
+  };
+}
+
+// Commented-out code, debug prints and leftover TODOs are traces of a person
+// working through the problem
+function workInProgressTraces(lines, language) {
+  const { comments } = classifyLines(lines, language);
+  const commentedCode = comments.filter(text => /[;{}()=]\s*$|^\s*(if|for|while|return|print|console\.log)\b/.test(text)).length;
+  const debugPrints = lines.filter(line => /\b(console\.log|print|printf|System\.out\.println|fmt\.Println|puts|dbg!)\s*\(?\s*["'`]?(debug|test|here|x|got|val|value|\w+\s*[:=])/i.test(line)).length;
+  const todos = comments.filter(text => /\b(TODO|FIXME|XXX|HACK)\b/i.test(text)).length;
+  const traces = commentedCode + debugPrints + todos;
+
+  return {
+    key: 'workInProgressTraces',
+    label: 'Work-in-progress traces',
+    value: traces,
+    score: clamp(45 + traces * 10),
+    weight: 0.75,
+    detail: `${commentedCode} commented-out line(s), ${debugPrints} debug print(s), ${todos} TODO/FIXME note(s)`
+  };
+}
+
+// Run every feature over the submitted code. Features that don't apply to
+// very short code are left out rather than guessed.
+function analyzeStylometry(code, language = 'other') {
+  if (!code || !code.trim()) return null;
+
+  const lines = splitLines(code);
+  const text = lines.join('\n');
+  const features = [
+    commentDensity(lines, language),
+    commentStyle(lines, language),
+    identifierNaming(lines, language),
+    formattingConsistency(lines),
+    errorHandling(text),
+    workInProgressTraces(lines, language)
+  ].filter(Boolean);
+
+  const totalWeight = features.reduce((sum, feature) => sum + feature.weight, 0);
+  const score = 50 + features.reduce((sum, feature) => sum + feature.weight * (feature.score - 50), 0) / totalWeight;
+
+  return {
+    version: STYLOMETRY_VERSION,
+    score: clamp(score),
+    lineCount: lines.filter(line => line.trim()).length,
+    features
+  };
+}
+
+// Weighted ensemble of the LLM score and the stylometry score. Every
+// component's contribution is its pull away from the neutral 50, so the
+// contributions add up to the final score.
+function blendScores(llmScore, stylometry, stylometryWeight) {
+  if (!stylometry || stylometryWeight <= 0) {
+    return {
+      score: llmScore,
+      components: [{ source: 'llm', label: 'LLM verdict', score: llmScore, weight: 1, contribution: round(llmScore - 50, 1) }]
+    };
+  }
+
+  const llmWeight = 1 - stylometryWeight;
+  const totalFeatureWeight = stylometry.features.reduce((sum, feature) => sum + feature.weight, 0);
+  const components = [
+    { source: 'llm', label: 'LLM verdict', score: llmScore, weight: llmWeight },
+    ...stylometry.features.map(feature => ({
+      source: 'stylometry',
+      key: feature.key,
+      label: feature.label,
+      score: feature.score,
+      weight: stylometryWeight * feature.weight / totalFeatureWeight
+    }))
+  ].map(component => ({ ...component, contribution: component.weight * (component.score - 50) }));
+
+  const score = 50 + components.reduce((sum, component) => sum + component.contribution, 0);
+  return {
+    score: clamp(score),
+    components: components.map(component => ({
+      ...component,
+      weight: round(component.weight, 3),
+      contribution: round(component.contribution, 1)
+    }))
+  };
+}
+
+module.exports = { STYLOMETRY_VERSION, analyzeStylometry, blendScores };
@@ -0,0 +1,127 @@
+// Splits an interview transcript into speaker turns and lines the turns up
+// with the questions generated for the submission. Text-chat transcripts use
+// the exact question text; voice transcripts (Ribbon) paraphrase, so questions
+// are matched by word overlap rather than equality.
+
+const INTERVIEWER_LABELS = ['interviewer', 'ai', 'assistant', 'agent', 'bot', 'ribbon', 'codefessor'];
+const STUDENT_LABELS = ['student', 'user', 'candidate', 'interviewee', 'human', 'you'];
+const SPEAKER_LINE = new RegExp(`^[ \\t]*(${[...INTERVIEWER_LABELS, ...STUDENT_LABELS].join('|')})[ \\t]*:[ \\t]*`, 'i');
+
+// Share of a question's words the interviewer must say for the turn to count as asking it
+const MIN_QUESTION_OVERLAP = 0.35;
+
+const STOPWORDS = new Set([
+  'the', 'and', 'you', 'your', 'this', 'that', 'what', 'how', 'why', 'can', 'did', 'does', 'for', 'with',
+  'are', 'was', 'were', 'about', 'into', 'from', 'would', 'could', 'code', 'me', 'walk', 'explain'
+]);
+
+// [{ speaker: 'interviewer' | 'student', text, start, end }] where start/end
+// are character offsets of the text in the transcript. Lines without a
+// speaker label continue the previous turn; a transcript with no labels at
+// all is one student turn.
+function parseTurns(transcript) {
+  const source = transcript || '';
+  const turns = [];
+  let offset = 0;
+
+  for (const line of source.split('\n')) {
+    const label = line.match(SPEAKER_LINE);
+    if (label) {
+      const speaker = INTERVIEWER_LABELS.includes(label[1].toLowerCase()) ? 'interviewer' : 'student';
+      const start = offset + label[0].length;
+      turns.push({ speaker, start, end: offset + line.length });
+    } else if (turns.length > 0 && line.trim()) {
+      turns[turns.length - 1].end = offset + line.length;
+    } else if (line.trim()) {
+      turns.push({ speaker: 'student', start: offset, end: offset + line.length });
+    }
+    offset += line.length + 1;
+  }
+
+  return turns.map(turn => ({ ...turn, text: source.slice(turn.start, turn.end).trim() }));
+}
+
+function contentWords(text) {
+  return new Set((text || '').toLowerCase()
+    .replace(/[^a-z0-9_\s]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word.length > 2 && !STOPWORDS.has(word)));
+}
+
+function overlap(questionWords, text) {
+  if (questionWords.size === 0) return 0;
+  const words = contentWords(text);
+  let shared = 0;
+  for (const word of questionWords) {
+    if (words.has(word)) shared++;
+  }
+  return shared / questionWords.size;
+}
+
+// Index of the question an interviewer turn asks, or -1 for small talk and
+// follow-ups. Ties go to the question after the current one.
+function findAskedQuestion(text, questionWords, current) {
+  let best = -1;
+  let bestOverlap = MIN_QUESTION_OVERLAP;
+  questionWords.forEach((words, index) => {
+    const value = overlap(words, text);
+    if (value > bestOverlap || (value === bestOverlap && value > MIN_QUESTION_OVERLAP && index === current + 1)) {
+      best = index;
+      bestOverlap = value;
+    }
+  });
+  return best;
+}
+
+// One segment per question: whether it was asked, and the student's answer
+// (every student turn until the interviewer moves on to another question)
+function segmentTranscript(transcript, questions) {
+  const turns = parseTurns(transcript);
+  const questionWords = (questions || []).map(contentWords);
+  const segments = (questions || []).map((question, index) => ({
+    index,
+    question,
+    asked: false,
+    answer: '',
+    answerRanges: []
+  }));
+
+  let current = -1;
+  for (const turn of turns) {
+    if (turn.speaker === 'interviewer') {
+      const asked = findAskedQuestion(turn.text, questionWords, current);
+      if (asked !== -1) {
+        current = asked;
+        segments[asked].asked = true;
+      }
+    } else if (current !== -1) {
+      const segment = segments[current];
+      segment.answer = segment.answer ? `${segment.answer}\n${turn.text}` : turn.text;
+      segment.answerRanges.push({ start: turn.start, end: turn.end });
+    }
+  }
+
+  return { turns, segments };
+}
+
+// Segments with the model's per-question scores attached. Scores are matched
+// by question number, falling back to position; anything unusable is null.
+// `questionTargets` are the parts of the code each question is about
+// (services/question-validation.js), when the submission has them.
+function buildQuestionBreakdown(segments, questionScores, questionTargets = null) {
+  const scores = Array.isArray(questionScores) ? questionScores : [];
+  return segments.map(segment => {
+    const scored = scores.find(item => Number(item?.question) === segment.index + 1) || scores[segment.index] || {};
+    const score = segment.asked && typeof scored.score === 'number' && Number.isFinite(scored.score)
+      ? Math.round(Math.max(0, Math.min(100, scored.score)))
+      : null;
+    return {
+      ...segment,
+      score,
+      notes: typeof scored.notes === 'string' ? scored.notes : (segment.asked ? '' : 'Not asked in the interview.'),
+      targets: questionTargets?.[segment.index] || []
+    };
+  });
+}
+
+module.exports = { parseTurns, contentWords, segmentTranscript, buildQuestionBreakdown };
@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+
+function sign(secret, timestamp, rawBody) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+}
+
+// Verify an HMAC-SHA256 signature over `${timestamp}.${rawBody}`.
+// Deliveries whose timestamp is outside the tolerance window are rejected so
+// a captured request can't be replayed later; replays inside the window are
+// caught by the event ID check in the route.
+function verifySignature({ secret, timestamp, signature, rawBody, toleranceSeconds = DEFAULT_TOLERANCE_SECONDS, now = Date.now() }) {
+  if (!timestamp || !signature || rawBody === undefined) {
+    return { valid: false, reason: 'Missing signature headers' };
+  }
+
+  const sentAt = Number(timestamp);
+  if (!Number.isFinite(sentAt) || Math.abs(now / 1000 - sentAt) > toleranceSeconds) {
+    return { valid: false, reason: 'Timestamp outside tolerance window' };
+  }
+
+  const expected = Buffer.from(sign(secret, timestamp, rawBody), 'hex');
+  const provided = Buffer.from(String(signature).replace(/^sha256=/, ''), 'hex');
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return { valid: false, reason: 'Signature mismatch' };
+  }
+
+  return { valid: true };
+}
+
+module.exports = { sign, verifySignature };
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { SignJWT, exportJWK, generateKeyPair } = require('jose');
+const { createAuth, canViewSubmission } = require('../services/auth');
+
+const ISSUER = 'codefessor-test';
+
+async function setup(t, profileFor) {
+  const { publicKey, privateKey } = await generateKeyPair('RS256');
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'codefessor-auth-'));
+  const jwksFile = path.join(dir, 'jwks.json');
+  fs.writeFileSync(jwksFile, JSON.stringify({ keys: [{ ...(await exportJWK(publicKey)), kid: 'test', alg: 'RS256' }] }));
+
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.headers.authorization);
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(profileFor(req.headers.authorization)));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const auth = createAuth({
+    jwksFile,
+    issuer: ISSUER,
+    userinfoUrl: `http://127.0.0.1:${server.address().port}/userinfo`,
+    rolesClaim: 'roles'
+  });
+  const sign = claims => new SignJWT(claims)
+    .setProtectedHeader({ alg: 'RS256', kid: 'test' })
+    .setIssuer(ISSUER)
+    .setIssuedAt()
+    .setExpirationTime('5m')
+    .sign(privateKey);
+  return { auth, sign, requests };
+}
+
+test('takes the name and email from the token when it has them', async t => {
+  const { auth, sign, requests } = await setup(t, () => ({}));
+  const user = await auth.verifyToken(await sign({ sub: 'u1', email: 'ada@example.com', name: 'Ada' }));
+  assert.equal(user.email, 'ada@example.com');
+  assert.equal(user.name, 'Ada');
+  assert.equal(requests.length, 0);
+});
+
+test('fills a missing name and email from userinfo, once per user', async t => {
+  const { auth, sign, requests } = await setup(t, () => ({ sub: 'u2', email: 'grace@example.com', name: 'Grace' }));
+  const token = await sign({ sub: 'u2' });
+  const [first, second] = await Promise.all([auth.verifyToken(token), auth.verifyToken(token)]);
+  assert.equal(first.email, 'grace@example.com');
+  assert.equal(second.name, 'Grace');
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0], `Bearer ${token}`);
+});
+
+test('ignores userinfo for another user or with an unverified email', async t => {
+  const { auth, sign } = await setup(t, header => header.endsWith(tokens.other)
+    ? { sub: 'someone-else', email: 'mallory@example.com' }
+    : { sub: 'u4', email: 'unverified@example.com', email_verified: false, name: 'Unverified' });
+  const tokens = { other: await sign({ sub: 'u3' }), unverified: await sign({ sub: 'u4' }) };
+
+  assert.equal((await auth.verifyToken(tokens.other)).email, null);
+  const user = await auth.verifyToken(tokens.unverified);
+  assert.equal(user.email, null);
+  assert.equal(user.name, 'Unverified');
+});
+
+test('submissions outside any course are visible only to admins and their student', () => {
+  const teacher = { id: 'teacher-1', role: 'teacher' };
+  const course = { id: 'course-1', teacherId: 'teacher-1' };
+  const courseless = { studentId: 'student-1', courseId: null };
+  const inCourse = { studentId: 'student-1', courseId: 'course-1' };
+
+  assert.equal(canViewSubmission(teacher, courseless, null), false);
+  assert.equal(canViewSubmission(teacher, null, null), false);
+  assert.equal(canViewSubmission(teacher, inCourse, course), true);
+  assert.equal(canViewSubmission(teacher, inCourse, { ...course, teacherId: 'teacher-2' }), false);
+  assert.equal(canViewSubmission({ id: 'admin-1', role: 'admin' }, courseless, null), true);
+  assert.equal(canViewSubmission({ id: 'student-1', role: 'student' }, courseless, null), true);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { runChallengeTests } = require('../services/challenges/sandbox');
+
+const LIMITS = { timeoutMs: 500, memoryMb: 64 };
+
+function run(code, tests) {
+  return runChallengeTests({ code, language: 'javascript', tests }, LIMITS);
+}
+
+test('passes and fails hidden tests on their results', async () => {
+  const result = await run('function add(a, b) { return a + b; }', [
+    { name: 'adds', expression: 'add(2, 3)', expected: 5 },
+    { name: 'wrong', expression: 'add(2, 2)', expected: 5 },
+    { name: 'throws', expression: 'add(null.x)', throws: 'Cannot read properties' }
+  ]);
+  assert.deepEqual(result.results.map(r => r.passed), [true, false, true]);
+});
+
+test('a thrown Proxy cannot reach the host Function', async () => {
+  const code = `
+    var leak = 'none';
+    function getter() {
+      try {
+        leak = arguments.callee.caller.constructor('return typeof process')();
+      } catch (e) {
+        leak = 'blocked';
+      }
+      return 'x';
+    }
+    function add() { throw new Proxy({}, { get: getter }); }
+  `;
+  const result = await run(code, [
+    { name: 'throws', expression: 'add()', throws: 'x' },
+    { name: 'leak', expression: 'leak', expected: 'object' }
+  ]);
+  assert.equal(result.results[1].passed, false);
+});
+
+test('the code cannot reach process, require, eval or Function', async () => {
+  const result = await run('function probe(source) { try { return source(); } catch (e) { return "blocked"; } }', [
+    { name: 'process', expression: 'typeof process', expected: 'undefined' },
+    { name: 'require', expression: 'probe(() => require("fs"))', expected: 'blocked' },
+    { name: 'eval', expression: 'probe(() => eval("1"))', expected: 'blocked' },
+    { name: 'Function', expression: 'probe(() => Function("return 1")())', expected: 'blocked' },
+    { name: 'constructor', expression: 'probe(() => probe.constructor("return process")())', expected: 'blocked' }
+  ]);
+  assert.deepEqual(result.results.map(r => r.passed), [true, true, true, true, true]);
+});
+
+test('redefining JSON or String does not make tests pass', async () => {
+  const code = `
+    JSON.stringify = () => '5';
+    String = () => 'Expected message';
+    function add() { return 0; }
+    function fail() { throw 'something else'; }
+  `;
+  const result = await run(code, [
+    { name: 'adds', expression: 'add(2, 3)', expected: 5 },
+    { name: 'throws', expression: 'fail()', throws: 'Expected message' }
+  ]);
+  assert.deepEqual(result.results.map(r => r.passed), [false, false]);
+});
+
+test('reports infinite loops as timeouts', async () => {
+  const atLoad = await run('while (true) {}', [{ name: 'a', expression: '1', expected: 1 }]);
+  assert.match(atLoad.error, /Took longer than 500 ms/);
+
+  const inTest = await run('function spin() { for (;;) {} }', [
+    { name: 'spins', expression: 'spin()', expected: 1 },
+    { name: 'after', expression: '1', expected: 1 }
+  ]);
+  assert.match(inTest.results[0].error, /Took longer than 500 ms/);
+  assert.equal(inTest.results[1].passed, true);
+});
+
+test('a thrown look-alike of the timeout error is not reported as one', async () => {
+  const code = `function fake() {
+    const error = new Error('fake');
+    error.code = 'ERR_SCRIPT_EXECUTION_TIMEOUT';
+    throw error;
+  }`;
+  const result = await run(code, [{ name: 'fake', expression: 'fake()', expected: 1 }]);
+  assert.equal(result.results[0].error, 'Threw: fake');
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { lexStructure } = require('../services/code-structure');
+
+const C_SOURCE = `public static int add(int a, int b) {
+  return a + b;
+}
+char **split(const char *s, int *count)
+{
+  int n = 0;
+}
+`;
+
+test('lexes C-like functions and variables', () => {
+  const { symbols } = lexStructure(C_SOURCE, 'c');
+  const functions = symbols.filter(symbol => symbol.kind === 'function');
+  assert.deepEqual(functions.map(({ name, startLine, endLine }) => ({ name, startLine, endLine })), [
+    { name: 'add', startLine: 1, endLine: 3 },
+    { name: 'split', startLine: 4, endLine: 7 }
+  ]);
+  assert.ok(symbols.some(symbol => symbol.kind === 'variable' && symbol.name === 'count'));
+});
+
+test('does not backtrack quadratically on hostile input', () => {
+  const inputs = [
+    'a' + '*'.repeat(80000) + 'b(',
+    'a<'.repeat(40000) + '(',
+    'int' + ' '.repeat(80000) + '(',
+    'const a = ('.repeat(18000),
+    'func ('.repeat(30000),
+    'fun <'.repeat(30000)
+  ];
+  for (const code of inputs) {
+    for (const language of ['c', 'javascript', 'go', 'kotlin', 'other']) {
+      const started = Date.now();
+      lexStructure(code, language);
+      assert.ok(Date.now() - started < 1000, `${language} took ${Date.now() - started} ms on ${code.slice(0, 10)}...`);
+    }
+  }
+});
+
+test('only lexes the first 200 KB', () => {
+  const code = 'x'.repeat(200 * 1024) + '\nint late(int a) {\n}\n';
+  assert.equal(lexStructure(code, 'c').symbols.length, 0);
+});
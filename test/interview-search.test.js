@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStore } = require('../services/store');
+const { parseInterviewQuery, searchInterviews } = require('../services/interview-search');
+
+const TEACHER = { id: 'teacher-1', email: 'teacher@example.com', role: 'teacher' };
+const OTHER_TEACHER = { id: 'teacher-2', email: 'other@example.com', role: 'teacher' };
+
+// A fresh store with the teachers' courses. Queries stay inside them, since
+// the store also imports the legacy analysis_results.json.
+function createTestStore() {
+  const store = createStore(':memory:');
+  store.createCourse({ id: 'course-1', name: 'Algorithms', teacherId: TEACHER.id });
+  store.createCourse({ id: 'course-2', name: 'Databases', teacherId: OTHER_TEACHER.id });
+  store.createAssignment({ id: 'assignment-1', courseId: 'course-1', title: 'Sorting' });
+  return store;
+}
+
+// Interviews completed at the same time, so only the ID orders them
+function seed(store, count, { completedAt = '2026-03-01T10:00:00.000Z', courseId = 'course-1', assignmentId = null, offset = 0 } = {}) {
+  for (let i = offset; i < offset + count; i++) {
+    const interviewId = `interview-${String(i).padStart(2, '0')}`;
+    store.saveSubmission({
+      interviewId,
+      backend: 'chat',
+      studentName: `Student ${i}`,
+      studentEmail: `student${i}@example.com`,
+      language: i % 2 ? 'python' : 'javascript',
+      code: `print(${i})`,
+      courseId,
+      assignmentId,
+      createdAt: '2026-03-01T09:00:00.000Z'
+    });
+    store.createChatInterview({ interviewId, questions: ['Why?'], language: 'python', studentName: `Student ${i}`, status: 'pending', createdAt: '2026-03-01T09:00:00.000Z' });
+    store.updateChatInterview({ interviewId, answers: [`answer ${i}`], status: 'completed', startedAt: null, completedAt });
+    store.saveAnalysis(interviewId, { score: 40 + i, confidence: 'medium' });
+  }
+}
+
+function list(store, query, user = TEACHER) {
+  return searchInterviews(store, parseInterviewQuery({ courseId: 'course-1', ...query }), user);
+}
+
+function allPages(store, query, user) {
+  const ids = [];
+  let cursor;
+  do {
+    const page = list(store, { ...query, cursor }, user);
+    ids.push(...page.interviews.map(interview => interview.interviewId));
+    cursor = page.nextCursor;
+  } while (cursor);
+  return ids;
+}
+
+test('pages through every interview once, with ties broken by ID', () => {
+  const store = createTestStore();
+  seed(store, 7);
+
+  const ids = allPages(store, { limit: '3' });
+  assert.deepEqual(ids, [...ids].sort());
+  assert.equal(new Set(ids).size, 7);
+
+  const byScore = allPages(store, { limit: '2', sort: 'score', order: 'asc' });
+  assert.deepEqual(byScore, ids);
+});
+
+test('cursors neither skip nor repeat interviews added between pages', () => {
+  const store = createTestStore();
+  seed(store, 4);
+
+  const first = list(store, { limit: '2' });
+  // Newer interviews land before the cursor and don't shift the next page
+  seed(store, 2, { completedAt: '2026-03-02T10:00:00.000Z', offset: 10 });
+  const second = list(store, { limit: '2', cursor: first.nextCursor });
+
+  assert.deepEqual(
+    [...first.interviews, ...second.interviews].map(interview => interview.interviewId),
+    ['interview-00', 'interview-01', 'interview-02', 'interview-03']
+  );
+  assert.equal(second.nextCursor, null);
+});
+
+test('completedAt is the stored time, the same on every request', () => {
+  const store = createTestStore();
+  seed(store, 1, { completedAt: '2026-03-01T11:00:00+01:00' });
+
+  const [interview] = list(store, {}).interviews;
+  assert.equal(interview.completedAt, '2026-03-01T10:00:00.000Z');
+  assert.deepEqual(list(store, {}).interviews, [interview]);
+});
+
+test('filters, stats and access run over every match', () => {
+  const store = createTestStore();
+  seed(store, 4);
+  seed(store, 1, { assignmentId: 'assignment-1', offset: 4 });
+  seed(store, 1, { courseId: 'course-2', offset: 20 });
+
+  const python = list(store, { language: 'python', limit: '1' });
+  assert.equal(python.total, 2);
+  assert.equal(python.interviews.length, 1);
+  assert.equal(python.stats.total, 2);
+
+  assert.equal(list(store, { q: 'answer 3' }).total, 1);
+  assert.equal(list(store, { q: 'print(4)' }).total, 1);
+  assert.equal(list(store, { minScore: '42' }).stats.averageScore, 43);
+  assert.equal(list(store, { from: '2026-03-02' }).total, 0);
+  assert.deepEqual(list(store, {}).groups.map(group => [group.assignmentTitle, group.count]), [[null, 4], ['Sorting', 1]]);
+
+  // Teachers only see the courses they own
+  assert.equal(list(store, {}, OTHER_TEACHER).total, 0);
+  assert.equal(list(store, { courseId: 'course-2' }).total, 0);
+  assert.deepEqual(list(store, { courseId: 'course-2' }, OTHER_TEACHER).interviews.map(interview => interview.interviewId), ['interview-20']);
+});
+
+test('interviews outside any course are listed for admins only', () => {
+  const store = createTestStore();
+  seed(store, 2);
+  seed(store, 1, { courseId: null, offset: 30 });
+
+  const teacherIds = searchInterviews(store, parseInterviewQuery({}), TEACHER).interviews.map(interview => interview.interviewId);
+  assert.deepEqual(teacherIds, ['interview-00', 'interview-01']);
+  const all = searchInterviews(store, parseInterviewQuery({ limit: '100' }), { id: 'admin-1', role: 'admin' });
+  assert.ok(all.interviews.some(interview => interview.interviewId === 'interview-30'));
+});
+
+test('failed analyses are neither AI-generated nor part of the average', () => {
+  const store = createTestStore();
+  seed(store, 2);
+  seed(store, 1, { offset: 2 });
+  store.saveAnalysis('interview-02', { score: 0, confidence: 'error', status: 'failed', geminiAnalysis: false });
+
+  const { interviews, stats } = list(store, {});
+  assert.equal(interviews.find(interview => interview.interviewId === 'interview-02').aiLikelihood, 'analysis failed');
+  assert.equal(stats.likelyAI, 2);
+  assert.equal(stats.analysisFailed, 1);
+  assert.equal(stats.averageScore, 41);
+  assert.deepEqual(list(store, { likelihood: 'analysis failed' }).interviews.map(interview => interview.interviewId), ['interview-02']);
+  assert.equal(list(store, {}).groups[0].likelyAI, 2);
+});
+
+test('rejects cursors from another sort order', () => {
+  const store = createTestStore();
+  seed(store, 3);
+  const { nextCursor } = list(store, { limit: '1' });
+  assert.throws(() => parseInterviewQuery({ cursor: nextCursor, sort: 'score' }), /different sort order/);
+  assert.throws(() => parseInterviewQuery({ cursor: 'not-a-cursor' }), /Invalid cursor/);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStore } = require('../services/store');
+const { createLlmScheduler, isQuotaError } = require('../services/llm/scheduler');
+
+// Silence the retry and budget logs: Node 20's test runner can't parse emoji
+// written to stdout while a test is waiting on a promise
+test.mock.method(console, 'log', () => {});
+
+function createScheduler(options = {}) {
+  return createLlmScheduler({ store: createStore(':memory:'), baseDelayMs: 5, ...options });
+}
+
+function httpError(status, headers = {}) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers } });
+}
+
+test('runs the highest priority first, then the oldest', async () => {
+  const scheduler = createScheduler({ concurrency: 1 });
+  const order = [];
+  let release;
+  const blocker = scheduler.schedule(() => new Promise(resolve => { release = resolve; }), { priority: 'background' });
+  await new Promise(resolve => setImmediate(resolve));
+
+  const calls = [
+    ['backfill', 'background'],
+    ['analysis', 'normal'],
+    ['questions', 'interactive'],
+    ['second analysis', 'normal']
+  ].map(([label, priority]) => scheduler.schedule(async () => order.push(label), { priority, label }));
+  assert.equal(scheduler.status().waitingByPriority.normal, 2);
+
+  release();
+  await Promise.all([blocker, ...calls]);
+  assert.deepEqual(order, ['questions', 'analysis', 'second analysis', 'backfill']);
+});
+
+test('retries rate limits and transient errors, not other failures', async () => {
+  const scheduler = createScheduler({ maxRetries: 2 });
+  let attempts = 0;
+  const result = await scheduler.schedule(async () => {
+    attempts++;
+    if (attempts === 1) throw httpError(429, { 'retry-after': '0' });
+    if (attempts === 2) throw Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' });
+    return { text: 'ok', usage: { inputTokens: 10, outputTokens: 5 } };
+  }, { provider: 'test' });
+  assert.equal(result.text, 'ok');
+  assert.equal(attempts, 3);
+
+  let badRequests = 0;
+  await assert.rejects(scheduler.schedule(async () => {
+    badRequests++;
+    throw httpError(400);
+  }), /status code 400/);
+  assert.equal(badRequests, 1);
+
+  const status = scheduler.status('test');
+  assert.equal(status.totals.retried, 2);
+  assert.equal(status.totals.failed, 1);
+  assert.deepEqual(status.budgets.requests.used, 3);
+  assert.equal(status.budgets.tokens.used, 15);
+});
+
+test('a long Retry-After fails as a quota error and pauses every call', async () => {
+  const scheduler = createScheduler({ maxDelayMs: 1000 });
+  await assert.rejects(scheduler.schedule(async () => {
+    throw httpError(429, { 'retry-after': '120' });
+  }), error => {
+    assert.ok(isQuotaError(error));
+    assert.ok(Date.parse(error.retryAfter) - Date.now() > 100 * 1000);
+    return true;
+  });
+
+  let ran = false;
+  await assert.rejects(scheduler.schedule(async () => { ran = true; }), error => isQuotaError(error));
+  assert.equal(ran, false);
+});
+
+test('daily budgets stop background calls first', async () => {
+  const scheduler = createScheduler({ dailyRequestLimit: 5 });
+  const call = priority => scheduler.schedule(async () => 'done', { priority, provider: 'test' });
+
+  for (let i = 0; i < 4; i++) await call('normal');
+  await assert.rejects(call('background'), error => {
+    assert.ok(isQuotaError(error));
+    assert.match(error.message, /Daily LLM request budget reached \(4\/5\)/);
+    return true;
+  });
+  assert.equal(await call('interactive'), 'done');
+  await assert.rejects(call('interactive'), error => isQuotaError(error) && /\(5\/5\)/.test(error.message));
+});
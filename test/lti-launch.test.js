@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { SignJWT, exportJWK, generateKeyPair } = require('jose');
+const { createStore } = require('../services/store');
+const { CLAIMS, createLaunchValidator } = require('../services/lti/launch');
+const { createToolKeys } = require('../services/lti/keys');
+const { createAuth } = require('../services/auth');
+
+const ISSUER = 'https://lms.example.com';
+const CLIENT_ID = 'codefessor-client';
+
+// A platform whose keys are served locally, and a login started with it
+async function setup(t) {
+  const { publicKey, privateKey } = await generateKeyPair('RS256');
+  const jwks = { keys: [{ ...(await exportJWK(publicKey)), kid: 'lms', alg: 'RS256' }] };
+  const server = http.createServer((req, res) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(jwks));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  const store = createStore(':memory:');
+  store.createLtiPlatform({
+    id: 'platform-1',
+    issuer: ISSUER,
+    clientId: CLIENT_ID,
+    deploymentIds: ['deployment-1'],
+    authLoginUrl: `${ISSUER}/auth`,
+    authTokenUrl: `${ISSUER}/token`,
+    jwksUrl: `http://127.0.0.1:${server.address().port}/jwks`
+  });
+  const validator = createLaunchValidator({ store, toolUrl: 'https://codefessor.example.com' });
+
+  const login = () => {
+    const params = new URL(validator.startLogin({ iss: ISSUER, login_hint: 'user-1', client_id: CLIENT_ID })).searchParams;
+    return { state: params.get('state'), nonce: params.get('nonce') };
+  };
+  const idToken = (claims = {}) => new SignJWT({
+    [CLAIMS.messageType]: 'LtiResourceLinkRequest',
+    [CLAIMS.version]: '1.3.0',
+    [CLAIMS.deploymentId]: 'deployment-1',
+    [CLAIMS.resourceLink]: { id: 'link-1' },
+    ...claims
+  })
+    .setProtectedHeader({ alg: 'RS256', kid: 'lms' })
+    .setIssuer(ISSUER)
+    .setAudience(CLIENT_ID)
+    .setSubject('user-1')
+    .setIssuedAt()
+    .setExpirationTime('5m')
+    .sign(privateKey);
+  return { validator, login, idToken };
+}
+
+function rejectsWith(promise, status, message) {
+  return assert.rejects(promise, error => {
+    assert.equal(error.status, status);
+    assert.match(error.message, message);
+    return true;
+  });
+}
+
+test('a login state completes exactly one launch', async t => {
+  const { validator, login, idToken } = await setup(t);
+  const { state, nonce } = login();
+  const token = await idToken({ nonce });
+
+  const { user } = await validator.validateLaunch({ id_token: token, state });
+  assert.equal(user.id, 'lti|platform-1|user-1');
+  await rejectsWith(validator.validateLaunch({ id_token: token, state }), 401, /Unknown or expired launch state/);
+});
+
+test('rejects launches with an unknown state or another login\'s nonce', async t => {
+  const { validator, login, idToken } = await setup(t);
+  const first = login();
+  const second = login();
+  assert.notEqual(first.state, second.state);
+  assert.notEqual(first.nonce, second.nonce);
+
+  await rejectsWith(validator.validateLaunch({ id_token: await idToken({ nonce: first.nonce }), state: 'made-up' }), 401, /Unknown or expired launch state/);
+  await rejectsWith(validator.validateLaunch({ id_token: await idToken({ nonce: first.nonce }), state: second.state }), 401, /nonce does not match/);
+  await rejectsWith(validator.validateLaunch({ id_token: await idToken(), state: first.state }), 401, /nonce does not match/);
+  await rejectsWith(validator.validateLaunch({ id_token: await idToken({ nonce: first.nonce }) }), 400, /missing id_token or state/);
+});
+
+test('session tokens keep the launch role whatever email the LMS sent', async () => {
+  const keys = createToolKeys(createStore(':memory:'));
+  const auth = createAuth({ adminEmails: 'dean@example.com', teacherEmails: 'prof@example.com', sessionTokens: keys.sessionTokens });
+
+  const student = await auth.verifyToken(await keys.signSession({ id: 'lti|platform-1|user-1', email: 'dean@example.com', name: 'Mallory', role: 'student' }, {}));
+  assert.equal(student.role, 'student');
+  const teacher = await auth.verifyToken(await keys.signSession({ id: 'lti|platform-1|user-2', email: 'dean@example.com', name: 'Pat', role: 'teacher' }, {}));
+  assert.equal(teacher.role, 'teacher');
+});
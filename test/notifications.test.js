@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStore } = require('../services/store');
+const { createNotifier } = require('../services/notifications');
+
+const SETTINGS = { intervalMinutes: 15, reminderLeadHours: 24, defaultDeadlineHours: 72, digestHours: 24, digestEmails: [] };
+
+function submit(store, interviewId, analysis) {
+  store.saveSubmission({
+    interviewId,
+    backend: 'chat',
+    studentName: `Student ${interviewId}`,
+    studentEmail: `${interviewId}@example.com`,
+    language: 'python',
+    code: 'print(1)',
+    courseId: 'course-1',
+    createdAt: new Date().toISOString()
+  });
+  store.saveAnalysis(interviewId, analysis);
+}
+
+test('the teacher digest flags likely AI-generated work, never failed analyses', async () => {
+  const store = createStore(':memory:');
+  store.createCourse({ id: 'course-1', name: 'Algorithms', teacherId: 'teacher-1', teacherEmail: 'teacher@example.com' });
+  submit(store, 'copied', { score: 20, confidence: 'high', geminiAnalysis: true });
+  submit(store, 'original', { score: 85, confidence: 'high', geminiAnalysis: true });
+  // A placeholder stored without a failed status, as older analyses were
+  submit(store, 'placeholder', { score: 0, confidence: 'unknown', reasoning: 'No interview data available', geminiAnalysis: false, status: 'completed' });
+
+  const sent = [];
+  const notifier = createNotifier({
+    store,
+    findInterview: async () => null,
+    appUrl: 'https://codefessor.example.com',
+    transport: { name: 'test', send: async message => sent.push(message) },
+    settings: SETTINGS
+  });
+  await notifier.run();
+
+  assert.equal(sent.length, 1);
+  const [digest] = sent;
+  assert.equal(digest.to, 'teacher@example.com');
+  assert.match(digest.subject, /3 interviews completed, 1 flagged/);
+  const flaggedSection = digest.text.split('Flagged as likely AI-generated (1):')[1].split('\n\n')[0];
+  assert.match(flaggedSection, /Student copied/);
+  assert.doesNotMatch(flaggedSection, /Student placeholder/);
+  assert.match(digest.text, /Student placeholder <placeholder@example\.com>, Algorithms: analysis failed \(completed/);
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createStore } = require('../services/store');
+const { createLlmScheduler } = require('../services/llm/scheduler');
+const { createOpenAIProvider } = require('../services/llm/openai-provider');
+
+test('a stalled request times out and is retried', async t => {
+  let requests = 0;
+  // Accepts every request and never answers
+  const server = http.createServer(() => requests++);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  const scheduler = createLlmScheduler({ store: createStore(':memory:'), maxRetries: 1, baseDelayMs: 10 });
+  const provider = createOpenAIProvider({ baseUrl: `http://127.0.0.1:${server.address().port}/v1`, timeoutMs: 200, scheduler });
+
+  const started = Date.now();
+  await assert.rejects(provider.healthCheck(), error => {
+    assert.equal(error.code, 'ECONNABORTED');
+    return true;
+  });
+  assert.equal(requests, 2);
+  assert.ok(Date.now() - started < 5000);
+});
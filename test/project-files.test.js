@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const AdmZip = require('adm-zip');
+const tar = require('tar-stream');
+const { LIMITS, extractArchive } = require('../services/project-files');
+
+// Files just under the per-file limit; they compress to almost nothing
+function projectFiles(count) {
+  return Array.from({ length: count }, (_, i) => ({
+    path: `src/file${i}.js`,
+    content: Buffer.from(`// ${i}\n${'x'.repeat(LIMITS.maxFileBytes - 100)}\n`)
+  }));
+}
+
+function zipOf(files) {
+  const zip = new AdmZip();
+  for (const file of files) zip.addFile(file.path, file.content);
+  return zip.toBuffer();
+}
+
+function tarOf(files) {
+  return new Promise(resolve => {
+    const pack = tar.pack();
+    for (const file of files) pack.entry({ name: file.path }, file.content);
+    pack.finalize();
+    const chunks = [];
+    pack.on('data', chunk => chunks.push(chunk));
+    pack.on('end', () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+const fitting = Math.floor(LIMITS.maxTotalBytes / LIMITS.maxFileBytes);
+
+test('extracts a zip within the limits', async () => {
+  const files = await extractArchive(zipOf(projectFiles(fitting)), 'project.zip');
+  assert.equal(files.length, fitting);
+  assert.equal(files[0].language, 'javascript');
+});
+
+test('rejects a zip whose files add up to more than the total limit', async () => {
+  const archive = zipOf(projectFiles(fitting + 1));
+  assert.ok(archive.length < LIMITS.maxArchiveBytes);
+  await assert.rejects(extractArchive(archive, 'project.zip'), error => {
+    assert.equal(error.status, 400);
+    assert.match(error.message, /larger than 1024 KB in total/);
+    return true;
+  });
+});
+
+test('counts skipped binary entries toward the total while inflating', async () => {
+  const binary = projectFiles(fitting + 1).map(file => ({ path: file.path.replace('.js', '.bin'), content: Buffer.alloc(file.content.length) }));
+  await assert.rejects(extractArchive(zipOf(binary), 'project.zip'), /in total/);
+});
+
+test('rejects a zip entry over the per-file limit', async () => {
+  const archive = zipOf([{ path: 'big.js', content: Buffer.alloc(LIMITS.maxFileBytes + 1, 'a') }]);
+  await assert.rejects(extractArchive(archive, 'project.zip'), /big\.js is larger than 200 KB/);
+});
+
+// Zero every entry's declared uncompressed size, in the local and central headers
+function zeroDeclaredSizes(archive) {
+  const patched = Buffer.from(archive);
+  for (let offset = 0; offset < patched.length - 4; offset++) {
+    const signature = patched.readUInt32LE(offset);
+    if (signature === 0x04034b50) patched.writeUInt32LE(0, offset + 22);
+    if (signature === 0x02014b50) patched.writeUInt32LE(0, offset + 24);
+  }
+  return patched;
+}
+
+test('caps inflation of entries whose declared size is zeroed', async () => {
+  const bomb = zeroDeclaredSizes(zipOf([{ path: 'bomb.js', content: Buffer.alloc(50 * 1024 * 1024, 'a') }]));
+  assert.ok(bomb.length < 100 * 1024);
+  const before = process.memoryUsage().arrayBuffers;
+  await assert.rejects(extractArchive(bomb, 'project.zip'), error => {
+    assert.equal(error.status, 400);
+    assert.match(error.message, /bomb\.js is larger than 200 KB/);
+    return true;
+  });
+  assert.ok(process.memoryUsage().arrayBuffers - before < 10 * 1024 * 1024);
+
+  const small = zeroDeclaredSizes(zipOf([{ path: 'small.js', content: Buffer.from('console.log(1);\n') }]));
+  await assert.rejects(extractArchive(small, 'project.zip'), /does not match the size recorded/);
+});
+
+test('tar archives have the same total limit', async () => {
+  await assert.rejects(extractArchive(await tarOf(projectFiles(fitting + 1)), 'project.tar'), /in total/);
+});
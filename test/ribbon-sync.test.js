@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createStore } = require('../services/store');
+const { createRibbonSync } = require('../services/interviews/ribbon-sync');
+
+test('reports a status change once, when the mirror records it', async () => {
+  const store = createStore(':memory:');
+  let remote = { interview_id: 'ribbon-1', interview_flow_id: 'flow-1', status: 'incomplete' };
+  const changes = [];
+  const sync = createRibbonSync({
+    store,
+    client: { getInterview: async () => remote },
+    onStatusChange: (interviewId, status) => changes.push([interviewId, status])
+  });
+
+  // First sight of an interview isn't a change
+  await sync.getInterview('ribbon-1', { refresh: true });
+  assert.deepEqual(changes, []);
+
+  remote = { ...remote, status: 'in_progress' };
+  await sync.getInterview('ribbon-1', { refresh: true });
+  await sync.getInterview('ribbon-1', { refresh: true });
+  assert.deepEqual(changes, [['ribbon-1', 'in_progress']]);
+
+  remote = { ...remote, status: 'completed', completed_at: '2026-03-01T10:00:00.000Z' };
+  await sync.getInterview('ribbon-1', { refresh: true });
+  await sync.getInterview('ribbon-1');
+  assert.deepEqual(changes, [['ribbon-1', 'in_progress'], ['ribbon-1', 'completed']]);
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { fingerprint, compareFingerprints, compareAllPairs, tokenize } = require('../services/similarity');
+
+const ORIGINAL = `function total(items) {
+  let sum = 0;
+  for (const item of items) {
+    sum += item.price * item.quantity;
+  }
+  return sum;
+}
+
+function average(items) {
+  if (items.length === 0) return 0;
+  return total(items) / items.length;
+}
+`;
+
+// The same code with new names, comments and formatting
+const DISGUISED = `// Adds up the order
+function orderTotal(lines)
+{
+  let runningTotal = 0; // start at zero
+  for (const line of lines) { runningTotal += line.price * line.quantity; }
+  return runningTotal;
+}
+
+function mean(lines) {
+  if (lines.length === 0) return 0;
+  return orderTotal(lines) / lines.length;
+}
+`;
+
+const UNRELATED = `class Stack {
+  constructor() { this.items = []; }
+  push(value) { this.items.push(value); }
+  pop() { return this.items.pop(); }
+  peek() { return this.items[this.items.length - 1]; }
+  isEmpty() { return this.items.length === 0; }
+}
+`;
+
+test('renaming and reformatting do not hide a copy', () => {
+  assert.deepEqual(tokenize('a = b; // note', 'javascript').map(token => token.text), ['id', '=', 'id', ';']);
+
+  const result = compareFingerprints(fingerprint(ORIGINAL, 'javascript'), fingerprint(DISGUISED, 'javascript'));
+  assert.equal(result.score, 1);
+  assert.ok(result.regions.length > 0);
+  assert.ok(result.regions.every(region => region.a.startLine >= 1 && region.b.endLine <= DISGUISED.split('\n').length));
+});
+
+test('unrelated submissions score low', () => {
+  const [match] = compareAllPairs([
+    { interviewId: 'a', code: ORIGINAL, language: 'javascript' },
+    { interviewId: 'b', code: UNRELATED, language: 'javascript' }
+  ]);
+  assert.equal(match.interviewId, 'a');
+  assert.equal(match.otherInterviewId, 'b');
+  assert.ok(match.score < 0.3, `score ${match.score}`);
+});
+
+test('repetitive code is compared in bounded time and memory', () => {
+  const code = 'x=1;\n'.repeat(40 * 1024);
+  const prints = fingerprint(code, 'javascript');
+  assert.ok(prints.length > 10000);
+
+  const before = process.memoryUsage().heapUsed;
+  const started = Date.now();
+  const result = compareFingerprints(prints, prints);
+  assert.ok(Date.now() - started < 2000, `took ${Date.now() - started} ms`);
+  assert.ok(process.memoryUsage().heapUsed - before < 64 * 1024 * 1024);
+  assert.equal(result.score, 1);
+  assert.deepEqual(result.regions, [{ a: { startLine: 1, endLine: 40 * 1024 }, b: { startLine: 1, endLine: 40 * 1024 } }]);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createStore } = require('../services/store');
+const { sign, verifySignature } = require('../services/webhooks');
+const createWebhookRoutes = require('../routes/webhooks');
+
+const SECRET = 'test-secret';
+
+function signed(body, { secret = SECRET, timestamp = Math.floor(Date.now() / 1000) } = {}) {
+  const rawBody = JSON.stringify(body);
+  return { rawBody, timestamp: String(timestamp), signature: `sha256=${sign(secret, timestamp, rawBody)}` };
+}
+
+test('accepts only deliveries signed with the secret over the exact body', () => {
+  const delivery = signed({ event_id: 'evt-1', type: 'interview.completed' });
+  assert.deepEqual(verifySignature({ secret: SECRET, ...delivery }), { valid: true });
+
+  assert.equal(verifySignature({ secret: 'other-secret', ...delivery }).reason, 'Signature mismatch');
+  assert.equal(verifySignature({ secret: SECRET, ...delivery, rawBody: delivery.rawBody.replace('evt-1', 'evt-2') }).reason, 'Signature mismatch');
+  assert.equal(verifySignature({ secret: SECRET, ...delivery, signature: 'sha256=abcd' }).reason, 'Signature mismatch');
+  assert.equal(verifySignature({ secret: SECRET, ...delivery, signature: undefined }).reason, 'Missing signature headers');
+});
+
+test('rejects timestamps outside the tolerance window', () => {
+  const now = Date.now();
+  const stale = signed({ event_id: 'evt-1' }, { timestamp: Math.floor(now / 1000) - 301 });
+  const future = signed({ event_id: 'evt-1' }, { timestamp: Math.floor(now / 1000) + 301 });
+  assert.equal(verifySignature({ secret: SECRET, ...stale, now }).reason, 'Timestamp outside tolerance window');
+  assert.equal(verifySignature({ secret: SECRET, ...future, now }).reason, 'Timestamp outside tolerance window');
+  assert.equal(verifySignature({ secret: SECRET, ...signed({}, { timestamp: 'soon' }), now }).reason, 'Timestamp outside tolerance window');
+});
+
+test('the route runs each event once and refuses unsigned deliveries', async t => {
+  const completed = [];
+  const app = express();
+  app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+  app.use('/api/webhooks', createWebhookRoutes({
+    store: createStore(':memory:'),
+    secret: SECRET,
+    onStarted: () => {},
+    onCompleted: interviewId => completed.push(interviewId)
+  }));
+  const server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  t.after(() => server.close());
+
+  const deliver = ({ rawBody, timestamp, signature }) => fetch(`http://127.0.0.1:${server.address().port}/api/webhooks/interview-events`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Webhook-Timestamp': timestamp, 'X-Webhook-Signature': signature },
+    body: rawBody
+  });
+
+  const delivery = signed({ event_id: 'evt-1', type: 'interview.completed', data: { interview_id: 'interview-1' } });
+  assert.deepEqual(await (await deliver(delivery)).json(), { received: true });
+  // A replay inside the tolerance window, even re-signed, is acknowledged and ignored
+  assert.deepEqual(await (await deliver(delivery)).json(), { received: true, duplicate: true });
+  assert.deepEqual(await (await deliver(signed(JSON.parse(delivery.rawBody)))).json(), { received: true, duplicate: true });
+  assert.deepEqual(completed, ['interview-1']);
+
+  const forged = { ...signed({ event_id: 'evt-2', type: 'interview.completed', data: { interview_id: 'interview-2' } }), signature: 'sha256=00' };
+  const response = await deliver(forged);
+  assert.equal(response.status, 401);
+  assert.deepEqual(completed, ['interview-1']);
+});